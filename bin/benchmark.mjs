@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * Mide el modelo de grafo con adyacencia indexada frente a la representación anterior
+ * (arrays de nodos y aristas recorridos en cada consulta) en grafos de varios tamaños,
+ * y el tiempo de los algoritmos y del layout de fuerzas sobre el modelo indexado.
+ *
+ * Uso: node bin/benchmark.mjs [opciones]   (ver --help)
+ */
+
+import { parseArgs } from 'node:util';
+
+import Graph from '../src/models/Graph.js';
+import Node from '../src/models/Node.js';
+import Edge from '../src/models/Edge.js';
+import Dsatur from '../src/models/algorithms/Dsatur.js';
+import Tabucol from '../src/models/algorithms/Tabucol.js';
+import SimulatedAnnealing from '../src/models/algorithms/SimulatedAnnealing.js';
+import { generarGrafoAleatorio } from '../src/models/utils/graphGenerators.js';
+import { contarConflictosConColor, contarConflictosVecinosConColor } from '../src/models/utils/graphAnalysis.js';
+import { crearGeneradorAleatorio } from '../src/models/utils/random.js';
+import { GRAPH_CONSTRAINTS } from '../src/models/constants/index.js';
+
+const AYUDA = `Uso: benchmark [opciones]
+
+Compara el modelo de grafo indexado con la representación por listas (sin índices) y mide
+los algoritmos y el layout. Los grafos son k-coloreables con solución oculta.
+
+Opciones:
+  -n, --sizes <lista>        Tamaños separados por comas (por defecto: 150,500,1000,2000)
+  -d, --degree <d>           Grado medio de los grafos (por defecto: 6)
+  -k, --colors <k>           Colores de la solución oculta y de los algoritmos (por defecto: 4)
+  -r, --repetitions <r>      Repeticiones de cada medición; se informa la mejor (por defecto: 3)
+  -s, --seed <semilla>       Semilla de los grafos y los algoritmos (por defecto: 1)
+  -h, --help                 Muestra esta ayuda`;
+
+/**
+ * Interpreta un entero positivo de la línea de comandos.
+ * @param {string} valor - Texto de la opción.
+ * @param {string} nombre - Nombre de la opción para el mensaje de error.
+ * @returns {number} Entero.
+ * @throws {Error} Si el valor no es un entero positivo.
+ */
+function leerEntero(valor, nombre) {
+  if (!/^\d+$/.test(valor) || Number(valor) === 0) {
+    throw new Error(`${nombre} debe ser un entero positivo (se recibió "${valor}").`);
+  }
+  return Number(valor);
+}
+
+/**
+ * Mide una función varias veces y devuelve el mejor tiempo.
+ * @param {Function} funcion - Operación a medir.
+ * @param {number} repeticiones - Veces que se ejecuta.
+ * @returns {number} Menor duración en milisegundos.
+ */
+function medir(funcion, repeticiones) {
+  let mejor = Infinity;
+  for (let i = 0; i < repeticiones; i++) {
+    const inicio = performance.now();
+    funcion();
+    mejor = Math.min(mejor, performance.now() - inicio);
+  }
+  return mejor;
+}
+
+// Representación anterior: cada operación recorre los arrays de nodos y aristas
+
+/**
+ * Construye nodos y aristas comprobando repetidas con un recorrido de las aristas.
+ * @param {number} n - Número de nodos.
+ * @param {Array<[number, number]>} pares - Aristas.
+ * @returns {{nodos: Array<Node>, aristas: Array<Edge>}} Grafo como listas.
+ */
+function construirConListas(n, pares) {
+  const nodos = [];
+  const aristas = [];
+  for (let id = 1; id <= n; id++) nodos.push(new Node(id, 0.5, 0.5));
+  for (const [u, v] of pares) {
+    if (!nodos.some((nodo) => nodo.id === u) || !nodos.some((nodo) => nodo.id === v)) continue;
+    const existe = aristas.some(
+      (arista) => (arista.sourceId === u && arista.targetId === v) || (arista.sourceId === v && arista.targetId === u)
+    );
+    if (!existe) aristas.push(new Edge(u, v));
+  }
+  return { nodos, aristas };
+}
+
+/**
+ * Vecinos de un nodo recorriendo todas las aristas.
+ * @param {number} id - ID del nodo.
+ * @param {Array<Edge>} aristas - Aristas del grafo.
+ * @returns {Array<number>} IDs de los vecinos.
+ */
+function vecinosConListas(id, aristas) {
+  const vecinos = [];
+  for (const arista of aristas) {
+    if (arista.sourceId === id) vecinos.push(arista.targetId);
+    else if (arista.targetId === id) vecinos.push(arista.sourceId);
+  }
+  return vecinos;
+}
+
+/**
+ * Mide las operaciones básicas y los algoritmos en un grafo de n nodos.
+ * @param {number} n - Número de nodos.
+ * @param {Object} configuracion - { degree, colors, repetitions, seed }.
+ * @returns {{n: number, m: number, filas: Array<Object>}} Mediciones: comparaciones (lista frente a
+ * índice) y tiempos del modelo indexado solo.
+ */
+function medirTamano(n, configuracion) {
+  const { degree, colors, repetitions, seed } = configuracion;
+  const probabilidad = Math.min(1, degree / ((n - 1) * (1 - 1 / colors)));
+  const { aristas: pares } = generarGrafoAleatorio(
+    n, { model: 'planted', classes: colors, probability: probabilidad, balance: 1 }, crearGeneradorAleatorio(seed)
+  );
+
+  const listas = construirConListas(n, pares);
+  const grafo = Graph.crearDesdeAristas(n, pares, Math.random, { layout: false });
+
+  const aleatorio = crearGeneradorAleatorio(seed);
+  const paleta = Array.from({ length: colors }, (_, indice) => `c${indice}`);
+  const colores = {};
+  grafo.nodos.forEach((nodo) => {
+    colores[nodo.id] = paleta[Math.floor(aleatorio() * colors)];
+  });
+
+  const filas = [
+    {
+      operacion: 'Construir el grafo',
+      lista: medir(() => construirConListas(n, pares), repetitions),
+      indice: medir(() => Graph.crearDesdeAristas(n, pares, Math.random, { layout: false }), repetitions)
+    },
+    {
+      operacion: 'Vecinos de cada nodo',
+      lista: medir(() => listas.nodos.forEach((nodo) => vecinosConListas(nodo.id, listas.aristas)), repetitions),
+      indice: medir(() => grafo.nodos.forEach((nodo) => [...grafo.obtenerVecinos(nodo.id)]), repetitions)
+    },
+    {
+      operacion: 'Conflictos por nodo y color',
+      lista: medir(() => listas.nodos.forEach((nodo) => paleta.forEach((color) => {
+        contarConflictosConColor(nodo.id, color, listas.aristas, colores);
+      })), repetitions),
+      indice: medir(() => grafo.nodos.forEach((nodo) => paleta.forEach((color) => {
+        contarConflictosVecinosConColor(color, grafo.obtenerVecinos(nodo.id), colores);
+      })), repetitions)
+    }
+  ];
+
+  const ejecutar = (Clase, opciones = {}) => () => {
+    const algo = new Clase(grafo, { ...opciones, numberOfColors: colors, seed, recordHistory: false });
+    algo.ejecutarBloque(Infinity);
+  };
+  filas.push(
+    { operacion: 'DSATUR', indice: medir(ejecutar(Dsatur), repetitions) },
+    { operacion: 'Tabucol (10 000 iteraciones)', indice: medir(ejecutar(Tabucol, { maxIterations: 10000 }), repetitions) },
+    { operacion: 'Recocido simulado', indice: medir(ejecutar(SimulatedAnnealing), repetitions) },
+    {
+      operacion: 'Generar con layout de fuerzas',
+      indice: medir(() => Graph.crearDesdeAristas(n, pares, crearGeneradorAleatorio(seed)), 1)
+    }
+  );
+
+  return { n, m: grafo.aristas.length, filas };
+}
+
+/**
+ * Formatea una duración en milisegundos.
+ * @param {number} ms - Duración.
+ * @returns {string} Texto con una o ninguna cifra decimal.
+ */
+function formatearMs(ms) {
+  return ms < 100 ? `${ms.toFixed(1)} ms` : `${Math.round(ms)} ms`;
+}
+
+/**
+ * Formatea las mediciones de un tamaño como tabla de texto.
+ * @param {{n: number, m: number, filas: Array<Object>}} medicion - Resultado de medirTamano.
+ * @returns {string} Tabla.
+ */
+function formatearTabla({ n, m, filas }) {
+  const lineas = [`${n} nodos, ${m} aristas`];
+  lineas.push(`  ${'Operación'.padEnd(32)}${'Listas'.padStart(12)}${'Indexado'.padStart(12)}${'Mejora'.padStart(10)}`);
+  filas.forEach(({ operacion, lista, indice }) => {
+    const mejora = lista === undefined ? '' : `×${(lista / Math.max(indice, 0.01)).toFixed(0)}`;
+    lineas.push(
+      `  ${operacion.padEnd(32)}${(lista === undefined ? '—' : formatearMs(lista)).padStart(12)}` +
+      `${formatearMs(indice).padStart(12)}${mejora.padStart(10)}`
+    );
+  });
+  return lineas.join('\n');
+}
+
+/**
+ * Punto de entrada: interpreta los argumentos, mide cada tamaño e imprime las tablas.
+ * @param {Array<string>} argumentos - Argumentos de la línea de comandos.
+ * @returns {number} Código de salida.
+ */
+function main(argumentos) {
+  const { values } = parseArgs({
+    args: argumentos,
+    options: {
+      sizes: { type: 'string', short: 'n', default: '150,500,1000,2000' },
+      degree: { type: 'string', short: 'd', default: '6' },
+      colors: { type: 'string', short: 'k', default: '4' },
+      repetitions: { type: 'string', short: 'r', default: '3' },
+      seed: { type: 'string', short: 's', default: '1' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(`${AYUDA}\n`);
+    return 0;
+  }
+
+  const tamanos = values.sizes.split(',').map((valor) => leerEntero(valor.trim(), '--sizes'));
+  tamanos.forEach((n) => {
+    if (n < GRAPH_CONSTRAINTS.MIN_RANDOM_NODES || n > GRAPH_CONSTRAINTS.MAX_NODES) {
+      throw new Error(
+        `Los tamaños deben estar entre ${GRAPH_CONSTRAINTS.MIN_RANDOM_NODES} y ${GRAPH_CONSTRAINTS.MAX_NODES} (se recibió ${n}).`
+      );
+    }
+  });
+  const configuracion = {
+    degree: leerEntero(values.degree, '--degree'),
+    colors: leerEntero(values.colors, '--colors'),
+    repetitions: leerEntero(values.repetitions, '--repetitions'),
+    seed: leerEntero(values.seed, '--seed')
+  };
+  if (configuracion.colors < GRAPH_CONSTRAINTS.MIN_COLORS || configuracion.colors > GRAPH_CONSTRAINTS.MAX_COLORS) {
+    throw new Error(
+      `El número de colores debe estar entre ${GRAPH_CONSTRAINTS.MIN_COLORS} y ${GRAPH_CONSTRAINTS.MAX_COLORS}.`
+    );
+  }
+
+  tamanos.forEach((n, indice) => {
+    if (indice > 0) process.stdout.write('\n');
+    process.stdout.write(`${formatearTabla(medirTamano(n, configuracion))}\n`);
+  });
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  process.stderr.write(`Error: ${error.message}\n`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+/**
+ * Ejecuta los algoritmos de coloración desde la línea de comandos, sin navegador.
+ * Lee un grafo DIMACS (.col) o una sesión JSON guardada por la aplicación, ejecuta el
+ * algoritmo elegido con k colores, intentos y semilla, e imprime el resultado como texto o JSON.
+ *
+ * Uso: node bin/colorear.mjs <archivo> [opciones]   (ver --help)
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import Graph from '../src/models/Graph.js';
+import Node from '../src/models/Node.js';
+import Edge from '../src/models/Edge.js';
+import LasVegas from '../src/models/algorithms/LasVegas.js';
+import SmartLasVegas from '../src/models/algorithms/SmartLasVegas.js';
+import MonteCarlo from '../src/models/algorithms/MonteCarlo.js';
+import LocalSearch from '../src/models/algorithms/LocalSearch.js';
+import Dsatur from '../src/models/algorithms/Dsatur.js';
+import GreedyColoring from '../src/models/algorithms/GreedyColoring.js';
+import RecursiveLargestFirst from '../src/models/algorithms/RecursiveLargestFirst.js';
+import Tabucol from '../src/models/algorithms/Tabucol.js';
+import SimulatedAnnealing from '../src/models/algorithms/SimulatedAnnealing.js';
+import HybridEvolutionary from '../src/models/algorithms/HybridEvolutionary.js';
+import AntColony from '../src/models/algorithms/AntColony.js';
+import ExactColoring from '../src/models/algorithms/ExactColoring.js';
+import { parsearDimacs } from '../src/models/utils/dimacs.js';
+import { leerDocumentoSesion } from '../src/models/utils/session.js';
+import { verificarFactibilidad } from '../src/models/utils/chromaticBounds.js';
+import { coloracionAleatoria } from '../src/models/utils/graphEvaluation.js';
+import { generarPaletaColores } from '../src/models/utils/colorPalette.js';
+import { compararConColoracionPlantada } from '../src/models/utils/plantedColoring.js';
+import { crearGeneradorAleatorio, derivarSemilla, resolverSemilla } from '../src/models/utils/random.js';
+import { opcionesWorkerParalelo } from '../src/models/utils/parallelRuns.js';
+import { GRAPH_CONSTRAINTS } from '../src/models/constants/index.js';
+
+// Algoritmos disponibles por nombre en la línea de comandos. `parallel` es cómo la aplicación
+// reparte el algoritmo entre workers (ver WorkerPool), para poder repetir uno con --worker.
+const ALGORITMOS = {
+  lasvegas: {
+    label: 'Las Vegas',
+    Clase: LasVegas,
+    checkFeasibility: true,
+    parallel: 'carrera',
+    buildOptions: (opciones) => ({ maxAttempts: opciones.iterations ?? Infinity })
+  },
+  'lasvegas-smart': {
+    label: 'Las Vegas con propagación',
+    Clase: SmartLasVegas,
+    checkFeasibility: true,
+    parallel: 'carrera',
+    buildOptions: (opciones) => ({ maxAttempts: opciones.iterations ?? Infinity })
+  },
+  montecarlo: {
+    label: 'Monte Carlo',
+    Clase: MonteCarlo,
+    parallel: 'muestras',
+    buildOptions: (opciones) => ({ iterations: opciones.iterations ?? 1000 })
+  },
+  'local-search': {
+    label: 'Búsqueda Local'
+  },
+  dsatur: {
+    label: 'DSATUR',
+    Clase: Dsatur,
+    buildOptions: () => ({})
+  },
+  greedy: {
+    label: 'Greedy secuencial',
+    Clase: GreedyColoring,
+    buildOptions: (opciones) => ({ ordering: opciones.ordering })
+  },
+  rlf: {
+    label: 'RLF',
+    Clase: RecursiveLargestFirst,
+    buildOptions: () => ({})
+  },
+  annealing: {
+    label: 'Recocido Simulado',
+    Clase: SimulatedAnnealing,
+    buildOptions: () => ({})
+  },
+  hea: {
+    label: 'Evolutivo híbrido',
+    Clase: HybridEvolutionary,
+    buildOptions: (opciones) => (opciones.iterations ? { maxGenerations: opciones.iterations } : {})
+  },
+  aco: {
+    label: 'Colonia de hormigas',
+    Clase: AntColony,
+    buildOptions: (opciones) => (opciones.iterations ? { maxCycles: opciones.iterations } : {})
+  },
+  tabucol: {
+    label: 'Tabucol',
+    Clase: Tabucol,
+    buildOptions: (opciones) => (opciones.iterations ? { maxIterations: opciones.iterations } : {})
+  },
+  exact: {
+    label: 'Exacto (χ)',
+    Clase: ExactColoring,
+    buildOptions: () => ({})
+  }
+};
+
+const AYUDA = `Uso: colorear <archivo.col|archivo.json> [opciones]
+
+Colorea un grafo DIMACS (.col) o una sesión JSON exportada por la aplicación.
+
+Opciones:
+  -a, --algorithm <nombre>   ${Object.keys(ALGORITMOS).join(', ')} (por defecto: lasvegas)
+  -k, --colors <k>           Número de colores, entre ${GRAPH_CONSTRAINTS.MIN_COLORS} y ${GRAPH_CONSTRAINTS.MAX_COLORS}
+                             (por defecto: el de la sesión o ${GRAPH_CONSTRAINTS.DEFAULT_COLORS})
+  -i, --iterations <n>       Intentos de Monte Carlo (1000 por defecto), máximo de intentos
+                             de Las Vegas y lasvegas-smart (sin límite por defecto), de
+                             iteraciones de Tabucol, de generaciones del evolutivo híbrido
+                             o de ciclos de aco
+  -o, --ordering <orden>     Orden de los vértices del greedy: largest-first (por defecto),
+                             smallest-last, incidence-degree, natural o random
+  -s, --seed <semilla>       Semilla del generador aleatorio (por defecto: aleatoria)
+  -w, --worker <i>/<n>       Repite solo el worker i (desde 0) de una ejecución de la aplicación
+                             repartida entre n workers: workerIndex y workerCount de sus
+                             estadísticas, con su semilla base en --seed y las mismas
+                             --iterations (montecarlo, lasvegas y lasvegas-smart)
+  -f, --format <formato>     text o json (por defecto: text)
+  -h, --help                 Muestra esta ayuda
+
+Códigos de salida: 0 si la ejecución terminó (con o sin conflictos), 1 si hubo un error
+de uso o de lectura, 2 si k colores no alcanzan para Las Vegas.`;
+
+/**
+ * Interpreta un entero positivo de la línea de comandos.
+ * @param {string|undefined} valor - Texto de la opción.
+ * @param {string} nombre - Nombre de la opción para el mensaje de error.
+ * @returns {number|undefined} Entero, o undefined si la opción no se indicó.
+ * @throws {Error} Si el valor no es un entero positivo.
+ */
+function leerEntero(valor, nombre) {
+  if (valor === undefined) return undefined;
+  if (!/^\d+$/.test(valor) || Number(valor) === 0) {
+    throw new Error(`${nombre} debe ser un entero positivo (se recibió "${valor}").`);
+  }
+  return Number(valor);
+}
+
+/**
+ * Interpreta la opción --worker.
+ * @param {string|undefined} valor - Texto de la opción, "i/n".
+ * @param {Object} algoritmo - Entrada de ALGORITMOS elegida.
+ * @returns {{index: number, count: number}|null} Worker a repetir, o null si la opción no se indicó.
+ * @throws {Error} Si el valor no tiene la forma i/n con 0 ≤ i < n o el algoritmo no se ejecuta en paralelo.
+ */
+function leerWorker(valor, algoritmo) {
+  if (valor === undefined) return null;
+  if (!algoritmo.parallel) {
+    throw new Error(`--worker solo se aplica a montecarlo, lasvegas y lasvegas-smart, no a ${algoritmo.label}.`);
+  }
+  const partes = /^(\d+)\/(\d+)$/.exec(valor);
+  if (!partes || Number(partes[2]) === 0 || Number(partes[1]) >= Number(partes[2])) {
+    throw new Error(`--worker debe tener la forma i/n con 0 ≤ i < n (se recibió "${valor}").`);
+  }
+  return { index: Number(partes[1]), count: Number(partes[2]) };
+}
+
+/**
+ * Lee el grafo de un archivo DIMACS o de una sesión JSON.
+ * @param {string} ruta - Ruta del archivo.
+ * @returns {{graph: Graph, numColors: number|null, warnings: Array<string>}} Grafo sin colores (con la
+ * solución oculta si la sesión la tiene), número de colores guardado en la sesión (null para DIMACS)
+ * y advertencias de lectura.
+ * @throws {Error} Si el archivo no se puede leer o es inválido.
+ */
+function leerGrafo(ruta) {
+  let texto;
+  try {
+    texto = readFileSync(ruta, 'utf8');
+  } catch (error) {
+    throw new Error(`No se pudo leer "${ruta}": ${error.message}`);
+  }
+
+  if (extname(ruta).toLowerCase() === '.json') {
+    let documento;
+    try {
+      documento = JSON.parse(texto);
+    } catch (error) {
+      throw new Error(`"${ruta}" no es un JSON válido: ${error.message}`);
+    }
+    const sesion = leerDocumentoSesion(documento);
+    const graph = Graph.desdeDatos(
+      sesion.graph.nodes.map((datos) => new Node(datos.id, datos.x, datos.y)),
+      sesion.graph.edges.map((arista) => new Edge(arista.sourceId, arista.targetId))
+    );
+    graph.coloracionPlantada = sesion.plantedColoring ?? null;
+    return { graph, numColors: sesion.coloring.numColors, warnings: [] };
+  }
+
+  const instancia = parsearDimacs(texto, { maxNodos: GRAPH_CONSTRAINTS.MAX_NODES });
+  // Sin canvas no hacen falta coordenadas
+  const graph = Graph.crearDesdeAristas(instancia.numeroDeNodos, instancia.aristas, Math.random, { layout: false });
+  return { graph, numColors: null, warnings: instancia.advertencias };
+}
+
+/**
+ * Ejecuta Búsqueda Local partiendo de una coloración aleatoria con la semilla dada.
+ * @param {Graph} graph - Grafo a colorear.
+ * @param {number} numColors - Número de colores.
+ * @param {number} seed - Semilla de la coloración inicial.
+ * @returns {{colors: Object, stats: Object, extraStats: Object}} Resultado final.
+ */
+function ejecutarBusquedaLocal(graph, numColors, seed) {
+  const colores = coloracionAleatoria(graph.nodos, generarPaletaColores(numColors), crearGeneradorAleatorio(seed));
+  const nodos = graph.nodos.map((nodo) => ({ ...nodo, color: colores[nodo.id] }));
+
+  const algo = new LocalSearch(Graph.desdeDatos(nodos, graph.aristas), numColors);
+  let resultado;
+  do {
+    resultado = algo.step();
+  } while (!resultado.done);
+
+  return {
+    colors: resultado.colors,
+    stats: { attempts: resultado.stats.attempts, conflicts: resultado.stats.conflicts },
+    extraStats: {
+      initialConflicts: resultado.stats.initialConflicts,
+      passes: resultado.stats.passNumber
+    }
+  };
+}
+
+/**
+ * Colorea el grafo con el algoritmo pedido.
+ * @param {Graph} graph - Grafo a colorear.
+ * @param {Object} configuracion - { algorithm, numColors, iterations, ordering, seed, worker }.
+ * @returns {Object} Resultado con timeMs, attempts, conflicts, success, colors y extraStats.
+ */
+function colorear(graph, configuracion) {
+  const algoritmo = ALGORITMOS[configuracion.algorithm];
+  const inicio = performance.now();
+
+  let resultado;
+  if (configuracion.algorithm === 'local-search') {
+    resultado = ejecutarBusquedaLocal(graph, configuracion.numColors, configuracion.seed);
+  } else {
+    const opciones = {
+      ...algoritmo.buildOptions(configuracion),
+      numberOfColors: configuracion.numColors,
+      seed: configuracion.seed,
+      recordHistory: false
+    };
+    const { worker } = configuracion;
+    const algo = new algoritmo.Clase(
+      graph,
+      worker ? opcionesWorkerParalelo(opciones, algoritmo.parallel, worker.index, worker.count) : opciones
+    );
+    algo.ejecutarBloque(Infinity);
+    resultado = algo.construirResultado();
+  }
+
+  return {
+    timeMs: performance.now() - inicio,
+    attempts: resultado.stats.attempts,
+    conflicts: resultado.stats.conflicts,
+    // El solver exacto deja nodos sin color si χ(G) supera la paleta: sin conflictos, pero incompleta
+    success: resultado.stats.conflicts === 0 && !resultado.extraStats?.exceedsPalette,
+    colors: resultado.colors,
+    extraStats: resultado.extraStats ?? null
+  };
+}
+
+/**
+ * Convierte la coloración a índices de color 1..k en el orden de los vértices.
+ * Todas las paletas son prefijos de la misma lista, así que el índice no depende de k.
+ * @param {Graph} graph - Grafo coloreado.
+ * @param {Object} colores - Mapa nodeId -> color de la paleta.
+ * @returns {Array<number|null>} Índice de color de cada vértice (null si quedó sin color).
+ */
+function indicesDeColor(graph, colores) {
+  const paleta = generarPaletaColores(GRAPH_CONSTRAINTS.MAX_COLORS);
+  return graph.nodos.map((nodo) => {
+    const indice = paleta.indexOf(colores?.[nodo.id]);
+    return indice === -1 ? null : indice + 1;
+  });
+}
+
+/**
+ * Compara la coloración obtenida con la solución oculta del grafo, si la tiene.
+ * @param {Graph} graph - Grafo coloreado.
+ * @param {Object} colores - Mapa nodeId -> color de la paleta.
+ * @returns {{k: number, agreement: number, recoveredPartition: boolean}|null} Resumen, o null sin solución oculta.
+ */
+function compararConPlantada(graph, colores) {
+  if (!graph.coloracionPlantada) return null;
+  const nodos = graph.nodos.map((nodo) => ({ id: nodo.id, color: colores?.[nodo.id] ?? null }));
+  const { k, agreement, recoveredPartition } = compararConColoracionPlantada(nodos, graph.aristas, graph.coloracionPlantada);
+  return { k, agreement, recoveredPartition };
+}
+
+/**
+ * Describe en una línea si la coloración es válida, tiene conflictos o quedó incompleta.
+ * @param {Object} salida - Resultado completo de la ejecución.
+ * @returns {string} Descripción del resultado.
+ */
+function describirResultado(salida) {
+  if (salida.success) return 'coloración válida';
+  if (salida.extraStats?.exceedsPalette) {
+    const { uncoloredNodes } = salida.extraStats;
+    return `coloración incompleta: ${uncoloredNodes} ${uncoloredNodes === 1 ? 'vértice' : 'vértices'} sin color ` +
+      `(la paleta tiene ${GRAPH_CONSTRAINTS.MAX_COLORS} colores)`;
+  }
+  return 'coloración con conflictos';
+}
+
+/**
+ * Formatea el resultado como texto legible.
+ * @param {Object} salida - Resultado completo de la ejecución.
+ * @returns {string} Texto a imprimir.
+ */
+function formatearTexto(salida) {
+  const lineas = [
+    `Grafo:      ${salida.file} (${salida.nodes} vértices, ${salida.edges} aristas)`,
+    `Algoritmo:  ${salida.label} · k = ${salida.numColors} · semilla ${salida.seed}`
+  ];
+  if (salida.iterations !== null) {
+    lineas.push(`Límite:     ${salida.iterations} intentos`);
+  }
+  if (salida.workerCount !== undefined) {
+    lineas.push(
+      `Worker:     ${salida.workerIndex + 1} de ${salida.workerCount} (índice ${salida.workerIndex}) · ` +
+      `semilla derivada ${salida.derivedSeed}`
+    );
+  }
+  lineas.push(
+    `Intentos:   ${salida.attempts}`,
+    `Conflictos: ${salida.conflicts}`,
+    `Tiempo:     ${salida.timeMs.toFixed(1)} ms`,
+    `Resultado:  ${describirResultado(salida)}`
+  );
+  if (salida.extraStats?.ordering !== undefined) {
+    lineas.push(`Orden:      ${salida.extraStats.ordering} · ${salida.extraStats.greedyColors} colores usados`);
+  }
+  if (salida.extraStats?.diversity !== undefined) {
+    const { populationSize, populationMean, diversity } = salida.extraStats;
+    lineas.push(
+      `Población:  ${populationSize} individuos · media ${populationMean.toFixed(1)} conflictos · ` +
+      `diversidad ${(diversity * 100).toFixed(1)}%`
+    );
+  }
+  if (salida.extraStats?.ants !== undefined) {
+    const { ants, populationMean } = salida.extraStats;
+    lineas.push(`Colonia:    ${ants} hormigas por ciclo · media del último ciclo ${populationMean.toFixed(1)} conflictos`);
+  }
+  if (salida.extraStats?.deadEnds !== undefined) {
+    const { deadEnds, deadEndDepthTotal, maxDeadEndDepth, vertexCount } = salida.extraStats;
+    const profundidad = deadEnds > 0
+      ? ` · profundidad media ${(deadEndDepthTotal / deadEnds).toFixed(1)}, máxima ${maxDeadEndDepth} de ${vertexCount} vértices`
+      : '';
+    lineas.push(`Callejones: ${deadEnds} sin salida${profundidad}`);
+  }
+  if (salida.extraStats?.chromaticNumber !== undefined) {
+    lineas.push(`χ(G):       ${salida.extraStats.chromaticNumber}`);
+  }
+  if (salida.planted) {
+    const { k, agreement, recoveredPartition } = salida.planted;
+    const coincidencia = Number.isNaN(agreement) ? 'sin nodos coloreados' : `${(agreement * 100).toFixed(1)}% de coincidencia`;
+    lineas.push(
+      `Oculta:     ${k} clases · ${coincidencia}${recoveredPartition ? ' (partición recuperada)' : ''}`
+    );
+  }
+  return lineas.join('\n');
+}
+
+/**
+ * Punto de entrada: interpreta los argumentos, ejecuta y devuelve el código de salida.
+ * @param {Array<string>} argumentos - Argumentos de la línea de comandos.
+ * @returns {number} Código de salida.
+ */
+function main(argumentos) {
+  const { values, positionals } = parseArgs({
+    args: argumentos,
+    allowPositionals: true,
+    options: {
+      algorithm: { type: 'string', short: 'a', default: 'lasvegas' },
+      colors: { type: 'string', short: 'k' },
+      iterations: { type: 'string', short: 'i' },
+      ordering: { type: 'string', short: 'o' },
+      seed: { type: 'string', short: 's' },
+      worker: { type: 'string', short: 'w' },
+      format: { type: 'string', short: 'f', default: 'text' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(`${AYUDA}\n`);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw new Error('Indica exactamente un archivo de grafo (ver --help).');
+  }
+  if (!ALGORITMOS[values.algorithm]) {
+    throw new Error(`Algoritmo desconocido "${values.algorithm}"; usa uno de: ${Object.keys(ALGORITMOS).join(', ')}.`);
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Formato desconocido "${values.format}"; usa text o json.`);
+  }
+
+  const ruta = positionals[0];
+  const { graph, numColors: coloresSesion, warnings } = leerGrafo(ruta);
+  const numColors = leerEntero(values.colors, '--colors') ?? coloresSesion ?? GRAPH_CONSTRAINTS.DEFAULT_COLORS;
+  if (numColors < GRAPH_CONSTRAINTS.MIN_COLORS || numColors > GRAPH_CONSTRAINTS.MAX_COLORS) {
+    throw new Error(
+      `El número de colores debe estar entre ${GRAPH_CONSTRAINTS.MIN_COLORS} y ${GRAPH_CONSTRAINTS.MAX_COLORS}.`
+    );
+  }
+  if (values.seed !== undefined && !/^\d+$/.test(values.seed)) {
+    throw new Error(`--seed debe ser un entero no negativo (se recibió "${values.seed}").`);
+  }
+
+  const algoritmo = ALGORITMOS[values.algorithm];
+  const configuracion = {
+    algorithm: values.algorithm,
+    numColors,
+    iterations: leerEntero(values.iterations, '--iterations'),
+    ordering: values.ordering,
+    seed: resolverSemilla(values.seed),
+    worker: leerWorker(values.worker, algoritmo)
+  };
+
+  warnings.forEach((advertencia) => process.stderr.write(`Advertencia: ${advertencia}\n`));
+
+  // Las Vegas no termina si k colores no alcanzan y no hay límite de intentos
+  if (algoritmo.checkFeasibility) {
+    const verificacion = verificarFactibilidad(graph.nodos, graph.aristas, numColors);
+    if (verificacion.infeasible) {
+      process.stderr.write(`${numColors} colores no alcanzan: χ(G) ≥ ${verificacion.lowerBound}.\n`);
+      return 2;
+    }
+  }
+
+  const resultado = colorear(graph, configuracion);
+  const salida = {
+    file: basename(ruta),
+    nodes: graph.nodos.length,
+    edges: graph.aristas.length,
+    algorithm: configuracion.algorithm,
+    label: algoritmo.label,
+    numColors,
+    iterations: configuracion.iterations ?? null,
+    seed: configuracion.seed,
+    ...(configuracion.worker && {
+      workerIndex: configuracion.worker.index,
+      derivedSeed: derivarSemilla(configuracion.seed, configuracion.worker.index),
+      workerCount: configuracion.worker.count
+    }),
+    timeMs: resultado.timeMs,
+    attempts: resultado.attempts,
+    conflicts: resultado.conflicts,
+    success: resultado.success,
+    extraStats: resultado.extraStats,
+    coloring: indicesDeColor(graph, resultado.colors),
+    planted: compararConPlantada(graph, resultado.colors)
+  };
+
+  process.stdout.write(
+    values.format === 'json' ? `${JSON.stringify(salida, null, 2)}\n` : `${formatearTexto(salida)}\n`
+  );
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  // Errores de parseArgs, de lectura del grafo o de validación
+  process.stderr.write(`Error: ${error.message}\n`);
+  process.exitCode = 1;
+}
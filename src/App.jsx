@@ -5,6 +5,7 @@ import "./views/styles/control-panel.css";
 import "./views/styles/graph-canvas.css";
 import "./views/styles/context-menu.css";
 import "./views/styles/recolor-metrics.css";
+import "./views/styles/workspace.css";
 
 function App() {
   return <MainLayout />;
@@ -1,5 +1,7 @@
 import { generarPaletaColores } from "../models/utils/colorPalette";
 import { contarConflictosTotales } from "../models/utils/graphAnalysis.js";
+import { resolverSemilla } from "../models/utils/random.js";
+import { opcionesWorkerParalelo } from "../models/utils/parallelRuns.js";
 import { ALGORITHM, GRAPH_CONSTRAINTS } from "../models/constants/index.js";
 import {
   calcularImpactoRecoloracion,
@@ -8,6 +10,113 @@ import {
   analizarImpacto
 } from "../models/utils/recolorAnalysis.js";
 import LocalSearch from "../models/algorithms/LocalSearch.js";
+import Tabucol from "../models/algorithms/Tabucol.js";
+import RecursiveLargestFirst from "../models/algorithms/RecursiveLargestFirst.js";
+import { RecolorNodeCommand } from "./GraphCommands.js";
+import { MODOS_PARALELOS } from "./WorkerPool.js";
+
+/**
+ * Algoritmos ejecutados en el Web Worker, indexados por el identificador usado en la vista.
+ * Cada entrada define el tipo de mensaje del worker, la etiqueta mostrada y cómo
+ * construir las opciones del algoritmo. `checkFeasibility` indica que antes de lanzar
+ * se verifica que k colores puedan alcanzar, porque el algoritmo no termina si no alcanzan.
+ * `parallel` indica que la ejecución se reparte entre varios workers (ver WorkerPool).
+ * `attemptLimitOption` es la opción con la que se limitan los intentos en comparaciones y
+ * experimentos, para que también Las Vegas termine aunque no encuentre solución.
+ */
+export const ALGORITMOS_WORKER = {
+  'lasvegas-dynamic': {
+    messageType: 'colorLasVegas',
+    label: 'Las Vegas',
+    checkFeasibility: true,
+    parallel: true,
+    attemptLimitOption: 'maxAttempts',
+    buildOptions: (options, numberOfColors) => ({ maxAttempts: Infinity, numberOfColors })
+  },
+  'lasvegas-smart': {
+    messageType: 'colorSmartLasVegas',
+    label: 'Las Vegas con propagación',
+    checkFeasibility: true,
+    parallel: true,
+    attemptLimitOption: 'maxAttempts',
+    buildOptions: (options, numberOfColors) => ({ maxAttempts: Infinity, numberOfColors })
+  },
+  'montecarlo-dynamic': {
+    messageType: 'colorMonteCarlo',
+    label: 'Monte Carlo',
+    parallel: true,
+    attemptLimitOption: 'iterations',
+    buildOptions: (options, numberOfColors) => ({
+      iterations: options.iterations || 1000,
+      numberOfColors
+    })
+  },
+  'dsatur-dynamic': {
+    messageType: 'colorDsatur',
+    label: 'DSATUR',
+    buildOptions: (options, numberOfColors) => ({ numberOfColors })
+  },
+  'greedy': {
+    messageType: 'colorGreedy',
+    label: 'Greedy secuencial',
+    buildOptions: (options, numberOfColors) => ({ numberOfColors, ordering: options.ordering })
+  },
+  'rlf': {
+    messageType: 'colorRlf',
+    label: 'RLF',
+    buildOptions: (options, numberOfColors) => ({ numberOfColors })
+  },
+  'annealing-dynamic': {
+    messageType: 'colorSimulatedAnnealing',
+    label: 'Recocido Simulado',
+    buildOptions: (options, numberOfColors) => ({
+      numberOfColors,
+      initialTemperature: options.initialTemperature,
+      coolingRate: options.coolingRate,
+      movesPerTemperature: options.movesPerTemperature
+    })
+  },
+  'hea': {
+    messageType: 'colorHybridEvolutionary',
+    label: 'Evolutivo híbrido',
+    buildOptions: (options, numberOfColors) => ({
+      numberOfColors,
+      populationSize: options.populationSize,
+      maxGenerations: options.maxGenerations,
+      tabuIterations: options.tabuIterations
+    })
+  },
+  'aco': {
+    messageType: 'colorAntColony',
+    label: 'Colonia de hormigas',
+    buildOptions: (options, numberOfColors) => ({
+      numberOfColors,
+      ants: options.ants,
+      evaporation: options.evaporation,
+      heuristicWeight: options.heuristicWeight,
+      maxCycles: options.maxCycles,
+      showPheromones: options.showPheromones
+    })
+  },
+  'exact-chromatic': {
+    messageType: 'colorExact',
+    label: 'Exacto (χ)',
+    buildOptions: () => ({})
+  },
+  'tabucol': {
+    messageType: 'colorTabucol',
+    label: 'Tabucol',
+    buildOptions: (options, numberOfColors) => ({
+      numberOfColors,
+      initialColors: options.initialColors
+    })
+  }
+};
+
+/**
+ * Etiquetas de los algoritmos que optimizan una coloración existente en el loop dinámico.
+ */
+const OPTIMIZADORES = new Set(['Búsqueda Local', 'Tabucol']);
 
 /**
  * Administra algoritmos de coloración de grafos y operaciones relacionadas.
@@ -22,11 +131,13 @@ export default class ColoringController {
    * @param {Graph} graph - Referencia al modelo del grafo.
    * @param {StateManager} stateManager - Referencia al state manager.
    * @param {WorkerManager} workerManager - Referencia al worker manager.
+   * @param {HistoryController} history - Historial de deshacer / rehacer.
    */
-  constructor(graph, stateManager, workerManager) {
+  constructor(graph, stateManager, workerManager, history) {
     this.graph = graph;
     this.stateManager = stateManager;
     this.workerManager = workerManager;
+    this.history = history;
   }
 
   /**
@@ -53,7 +164,7 @@ export default class ColoringController {
    * @returns {Object} Métricas de recoloreo incluyendo conflictos y sugerencias.
    */
   manualRecolor(nodeId, newColor) {
-    const nodo = this.graph.nodos.find(n => n.id === nodeId);
+    const nodo = this.graph.obtenerNodo(nodeId);
     if (!nodo) return null;
 
     const oldColor = nodo.color;
@@ -65,12 +176,12 @@ export default class ColoringController {
     const impact = calcularImpactoRecoloracion(
       nodeId,
       newColor,
-      this.graph.nodos,
-      this.graph.aristas
+      this.graph
     );
 
     // Aplicar nuevo color
     nodo.color = newColor;
+    this.history.record(new RecolorNodeCommand(nodeId, oldColor ?? null, newColor));
 
     // Calcular conflictos después
     const conflictsAfter = contarConflictosTotales(this.graph.nodos, this.graph.aristas);
@@ -80,8 +191,7 @@ export default class ColoringController {
     const { probabilidad, conteoRecoloreables } = calcularProbabilidadExito(
       impact.vecinosConflictivos,
       availableColors,
-      this.graph.aristas,
-      this.graph.nodos,
+      this.graph,
       this.stateManager.numColors
     );
 
@@ -89,8 +199,7 @@ export default class ColoringController {
     const recolorSuggestions = generarSugerenciasRecoloracion(
       impact.vecinosConflictivos,
       availableColors,
-      this.graph.aristas,
-      this.graph.nodos
+      this.graph
     );
 
     // Analizar impacto
@@ -135,6 +244,7 @@ export default class ColoringController {
 
     // Resetear flag de cambios manuales al iniciar búsqueda local
     this.stateManager.resetManualChanges();
+    this.history.beginColoring('Búsqueda Local');
 
     // Crear instancia del algoritmo greedy
     const algo = new LocalSearch(this.graph, this.stateManager.numColors);
@@ -167,6 +277,153 @@ export default class ColoringController {
     this._startDynamicLoop();
   }
 
+  /**
+   * Inicia la optimización Tabucol partiendo de la coloración actual.
+   * En modo 'slow' se ejecuta paso a paso en el loop dinámico; en 'fast' se ejecuta en el Web Worker.
+   * 
+   * @param {Object} [options={}] - Configuración de la búsqueda tabú.
+   * @param {string} [options.speed='slow'] - Velocidad de ejecución ('fast' o 'slow').
+   * @param {number|string} [options.seed] - Semilla del generador aleatorio; vacía para generar una nueva.
+   */
+  startTabuSearch(options = {}) {
+    this.stopDynamicRun(true);
+
+    if (this.graph.nodos.length === 0) {
+      return;
+    }
+
+    const initialColors = {};
+    this.graph.nodos.forEach((nodo) => {
+      initialColors[nodo.id] = nodo.color;
+    });
+
+    // Evitar que quede pendiente el modal de incremento de colores de una ejecución anterior
+    this.stateManager.onNoSolutionFoundCallback = null;
+
+    if (options.speed === 'fast') {
+      this.startColoringWithWorker({
+        algorithm: 'tabucol',
+        numColors: this.stateManager.numColors,
+        initialColors,
+        seed: options.seed
+      });
+      return;
+    }
+
+    this.stateManager.resetManualChanges();
+    this.history.beginColoring('Tabucol');
+
+    const algo = new Tabucol(this.graph, {
+      numberOfColors: this.stateManager.numColors,
+      initialColors,
+      seed: resolverSemilla(options.seed)
+    });
+    const startTime = performance.now();
+
+    this.stateManager.dynamicRun = {
+      algo,
+      mode: 'tabu-search',
+      running: true,
+      timerId: null,
+      delay: ALGORITHM.TABU_SEARCH_DELAY,
+      startTime,
+      speed: 'slow',
+      algorithmLabel: 'Tabucol'
+    };
+
+    this.stateManager.setColoringStats({
+      algorithm: 'Tabucol',
+      dynamic: true,
+      isRunning: true,
+      isPaused: false,
+      attempts: 0,
+      conflicts: algo.initialConflicts,
+      progress: 0,
+      showProgress: true,
+      seed: algo.seed,
+      ...algo.obtenerEstadisticasExtra()
+    });
+
+    this.stateManager.notify();
+    this._startDynamicLoop();
+  }
+
+  /**
+   * Inicia RLF paso a paso en el loop dinámico: cada paso agrega un vértice a la clase en
+   * construcción y el canvas resalta el vértice agregado, los candidatos (U) y los excluidos (W).
+   * Si al terminar quedan conflictos se invoca el callback de solución no encontrada.
+   * 
+   * @param {Object} options - Opciones de coloración.
+   * @param {number} [options.numColors] - Número de colores a usar.
+   * @param {number|string} [options.seed] - Semilla del generador aleatorio; vacía para generar una nueva.
+   */
+  startRlfStepByStep(options) {
+    this.stopDynamicRun(true);
+
+    if (this.graph.nodos.length === 0) {
+      return;
+    }
+
+    this.stateManager.setNumColors(options.numColors || GRAPH_CONSTRAINTS.DEFAULT_COLORS);
+    this.stateManager.setAttemptsHistory([]);
+    this.stateManager.resetManualChanges();
+    this.history.beginColoring('RLF');
+
+    // Partir de un grafo sin colores para que se vea cómo crece cada clase
+    this.applyColoring(null);
+
+    const algo = new RecursiveLargestFirst(this.graph, {
+      numberOfColors: this.stateManager.numColors,
+      seed: resolverSemilla(options.seed)
+    });
+    const startTime = performance.now();
+
+    this.stateManager.dynamicRun = {
+      algo,
+      mode: 'rlf',
+      running: true,
+      timerId: null,
+      delay: ALGORITHM.RLF_STEP_DELAY,
+      startTime,
+      speed: 'slow',
+      algorithmLabel: 'RLF'
+    };
+
+    this.stateManager.setColoringStats({
+      algorithm: 'RLF',
+      dynamic: true,
+      isRunning: true,
+      isPaused: false,
+      attempts: 0,
+      conflicts: 0,
+      progress: 0,
+      showProgress: true,
+      seed: algo.seed,
+      ...algo.obtenerEstadisticasExtra()
+    });
+
+    this.stateManager.notify();
+    this._startDynamicLoop();
+  }
+
+  /**
+   * Inicia el cálculo exacto del número cromático en el Web Worker.
+   * Reporta cotas inferior y superior mientras busca; se cancela con stopDynamicRun.
+   */
+  startExactSolver() {
+    if (this.graph.nodos.length === 0) {
+      return;
+    }
+
+    // El solver busca el mínimo de colores, no aplica el incremento automático
+    this.stateManager.onNoSolutionFoundCallback = null;
+
+    this.startColoringWithWorker({
+      algorithm: 'exact-chromatic',
+      numColors: this.stateManager.numColors
+    });
+  }
+
   /**
    * Inicia el loop de ejecución dinámica para algoritmos.
    * Método privado - maneja ejecución paso a paso del algoritmo con actualizaciones visuales.
@@ -185,16 +442,28 @@ export default class ColoringController {
     }
 
     const tick = () => {
+      // En pausa el intervalo está detenido; solo stepColoring ejecuta un tick
       const current = this.stateManager.dynamicRun;
-      if (!current || !current.running) return;
+      if (!current) return;
 
       const stepResult = algo.step();
       const { colors, conflictEdges, stats } = stepResult;
       const now = performance.now();
+      const tiempoEnPausa = (current.tiempoPausado ?? 0) + (current.inicioPausa ? now - current.inicioPausa : 0);
 
       this.applyColoring(colors);
       this.stateManager.setConflictEdges(conflictEdges || []);
 
+      // RLF: resaltar el vértice agregado y los conjuntos de candidatos (U) y excluidos (W)
+      if (mode === 'rlf') {
+        this.stateManager.setHighlight({
+          type: 'rlf',
+          nodeIds: stepResult.addedNodeId === null ? [] : [stepResult.addedNodeId],
+          edges: [],
+          ...algo.obtenerConjuntos()
+        });
+      }
+
       // Registrar intento en historial para gráfico (solo MonteCarlo)
       if (algorithmLabel === 'Monte Carlo') {
         this.stateManager.addAttemptToHistory({
@@ -209,27 +478,31 @@ export default class ColoringController {
       const baseStats = {
         algorithm: algorithmLabel,
         dynamic: true,
-        isRunning: current.running,
+        isRunning: true,
         isPaused: !current.running,
         attempts: stats.attempts,
         conflicts: stats.conflicts,
-        timeMs: now - startTime,
+        timeMs: now - startTime - tiempoEnPausa,
         progress: stats.progress,
         mode,
         iterations,
         speed,
+        seed: algo.seed,
       };
 
       // Agregar estadísticas específicas del algoritmo
-      if (algorithmLabel !== 'Búsqueda Local') {
+      if (!OPTIMIZADORES.has(algorithmLabel)) {
         baseStats.meanConflicts = stats.meanConflicts;
         baseStats.successRate = stats.successRate;
       }
+      if (stepResult.extraStats) {
+        Object.assign(baseStats, stepResult.extraStats);
+      }
 
       this.stateManager.setColoringStats(baseStats);
 
       // Notificar basado en algoritmo
-      if (algorithmLabel === 'Búsqueda Local' || stats.attempts % 50 === 0 || stepResult.done) {
+      if (OPTIMIZADORES.has(algorithmLabel) || speed === 'slow' || stats.attempts % 50 === 0 || stepResult.done) {
         this.stateManager.notify();
       }
 
@@ -252,7 +525,7 @@ export default class ColoringController {
               recoloredCount: stats.attempts,
               conflictsReduced: stats.conflictsReduced,
               improvement: stats.improvement,
-              timeMs: now - startTime,
+              timeMs: now - startTime - tiempoEnPausa,
               finalConflicts: stats.conflicts,
               success: stats.conflicts === 0,
               recoloredNodes: stats.recoloredNodes || []
@@ -262,11 +535,28 @@ export default class ColoringController {
           }
         }
 
+        if (algorithmLabel === 'Tabucol') {
+          this.stateManager.coloringStats.success = stats.conflicts === 0;
+          if (stats.conflicts === 0) {
+            this.stateManager.resetManualChanges();
+          }
+        }
+
+        if (mode === 'rlf') {
+          this.stateManager.coloringStats.success = stats.conflicts === 0;
+          const onNoSolutionFound = this.stateManager.onNoSolutionFoundCallback;
+          this.stateManager.onNoSolutionFoundCallback = null;
+          if (stats.conflicts > 0 && onNoSolutionFound) {
+            const estadisticasFinales = { ...this.stateManager.coloringStats };
+            setTimeout(() => onNoSolutionFound(estadisticasFinales), 500);
+          }
+        }
+
         this.stopDynamicRun(false);
         if (this.stateManager.coloringStats) {
           this.stateManager.coloringStats.isRunning = false;
           this.stateManager.coloringStats.isPaused = false;
-          if (algorithmLabel === 'Búsqueda Local') {
+          if (OPTIMIZADORES.has(algorithmLabel)) {
             this.stateManager.coloringStats.dynamic = false;
           }
           this.stateManager.notify();
@@ -274,17 +564,88 @@ export default class ColoringController {
       }
     };
 
+    run.tick = tick;
     run.timerId = setInterval(tick, delay);
     tick();
   }
 
+  /**
+   * Pausa la ejecución en curso (loop dinámico o Web Worker) conservando la coloración actual.
+   */
+  pauseColoring() {
+    const stats = this.stateManager.coloringStats;
+    if (!stats?.isRunning || stats.isPaused) return;
+
+    const run = this.stateManager.dynamicRun;
+    if (run) {
+      clearInterval(run.timerId);
+      run.timerId = null;
+      run.running = false;
+      run.inicioPausa = performance.now();
+      stats.isPaused = true;
+      this.stateManager.notify(true);
+    } else {
+      this.workerManager.pauseColoring();
+    }
+  }
+
+  /**
+   * Reanuda la ejecución en pausa.
+   */
+  resumeColoring() {
+    if (!this.stateManager.coloringStats?.isPaused) return;
+
+    const run = this.stateManager.dynamicRun;
+    if (run) {
+      run.running = true;
+      run.tiempoPausado = (run.tiempoPausado ?? 0) + performance.now() - run.inicioPausa;
+      run.inicioPausa = null;
+      this.stateManager.coloringStats.isPaused = false;
+      this._startDynamicLoop();
+    } else {
+      this.workerManager.resumeColoring();
+    }
+  }
+
+  /**
+   * Ejecuta un solo paso de la ejecución en pausa.
+   */
+  stepColoring() {
+    if (!this.stateManager.coloringStats?.isPaused) return;
+
+    const run = this.stateManager.dynamicRun;
+    if (run) {
+      run.tick();
+      this.stateManager.notify(true);
+    } else {
+      this.workerManager.stepColoring();
+    }
+  }
+
   /**
    * Inicia el algoritmo de coloración usando Web Worker.
    * 
    * @param {Object} options - Opciones de coloración.
-   * @param {string} options.algorithm - Tipo de algoritmo ('lasvegas-dynamic' o 'montecarlo-dynamic').
+   * @param {string} options.algorithm - Tipo de algoritmo (clave de ALGORITMOS_WORKER, p. ej. 'lasvegas-dynamic').
    * @param {number} [options.numColors] - Número de colores a usar.
    * @param {number} [options.iterations] - Número de iteraciones (solo MonteCarlo).
+   * @param {number} [options.initialTemperature] - Temperatura inicial (solo Recocido Simulado).
+   * @param {number} [options.coolingRate] - Factor de enfriamiento (solo Recocido Simulado).
+   * @param {number} [options.movesPerTemperature] - Movimientos por temperatura (solo Recocido Simulado).
+   * @param {string} [options.ordering] - Orden de los vértices (solo Greedy secuencial, p. ej. 'largest-first').
+   * @param {number} [options.populationSize] - Individuos de la población (solo Evolutivo híbrido).
+   * @param {number} [options.maxGenerations] - Máximo de generaciones (solo Evolutivo híbrido).
+   * @param {number} [options.tabuIterations] - Iteraciones tabú por individuo (solo Evolutivo híbrido).
+   * @param {number} [options.ants] - Hormigas por ciclo (solo Colonia de hormigas).
+   * @param {number} [options.evaporation] - Tasa de evaporación de la feromona (solo Colonia de hormigas).
+   * @param {number} [options.heuristicWeight] - Peso β de la información heurística (solo Colonia de hormigas).
+   * @param {number} [options.maxCycles] - Máximo de ciclos (solo Colonia de hormigas).
+   * @param {boolean} [options.showPheromones] - Si se reporta el mapa de feromonas para el canvas (solo Colonia de hormigas).
+   * @param {Function} [options.onInfeasible] - Callback si la verificación previa (en el worker) prueba que k colores
+   * no alcanzan.
+   * @param {number|string} [options.seed] - Semilla del generador aleatorio; vacía para generar una nueva.
+   * @param {{index: number, count: number}} [options.replayWorker] - Repite solo y secuencialmente uno de los
+   * workers de una ejecución paralela con esta semilla (ver workerIndex y workerCount en las estadísticas).
    */
   startColoringWithWorker(options) {
     this.stopDynamicRun(true);
@@ -297,15 +658,64 @@ export default class ColoringController {
       this.workerManager.terminateWorker();
     }
 
+    const algoritmo = ALGORITMOS_WORKER[options.algorithm] || ALGORITMOS_WORKER['montecarlo-dynamic'];
+
+    if (!algoritmo.checkFeasibility) {
+      this._lanzarColoracionEnWorker(algoritmo, options);
+      return;
+    }
+
+    // Evitar una ejecución sin fin cuando k colores son demostrablemente insuficientes.
+    // La verificación busca un clique, así que corre en el worker y la coloración se lanza al terminar
+    this.stateManager.setColoringStats({
+      algorithm: algoritmo.label,
+      dynamic: true,
+      isRunning: true,
+      isPaused: false,
+      attempts: 0,
+      conflicts: 0,
+      progress: 0,
+      checkingFeasibility: true
+    });
+    this.stateManager.notify();
+
+    this.workerManager.checkFeasibility(this._datosGrafoWorker(), numColors, (verificacion) => {
+      if (verificacion.infeasible) {
+        this.stateManager.setColoringStats(null);
+        this.stateManager.setHighlight(verificacion.certificate);
+        this.stateManager.notify(true);
+        options.onInfeasible?.({ ...verificacion, numColors, algorithm: algoritmo.label });
+        return;
+      }
+      this._lanzarColoracionEnWorker(algoritmo, options);
+    });
+  }
+
+  /**
+   * Lanza en el Web Worker (o en el pool de workers) la coloración de startColoringWithWorker.
+   *
+   * @private
+   * @param {Object} algoritmo - Entrada de ALGORITMOS_WORKER.
+   * @param {Object} options - Opciones recibidas por startColoringWithWorker.
+   */
+  _lanzarColoracionEnWorker(algoritmo, options) {
+    const algorithmLabel = algoritmo.label;
+    const seed = resolverSemilla(options.seed);
+    const modoParalelo = algoritmo.parallel && MODOS_PARALELOS[algoritmo.messageType];
+    const repeticion = modoParalelo && options.replayWorker ? options.replayWorker : null;
+
     // Limpiar historial para nuevo gráfico
     this.stateManager.setAttemptsHistory([]);
     this.stateManager.resetManualChanges();
+    this.history.beginColoring(algorithmLabel);
 
-    this.workerManager.initWorker();
-    this.workerManager.setWorkerRunning(true);
+    const opcionesAlgoritmo = { ...algoritmo.buildOptions(options, this.stateManager.numColors), seed };
+    const opcionesWorker = repeticion
+      ? opcionesWorkerParalelo(opcionesAlgoritmo, modoParalelo, repeticion.index, repeticion.count)
+      : opcionesAlgoritmo;
 
-    const isLasVegas = options.algorithm === 'lasvegas-dynamic';
-    const algorithmLabel = isLasVegas ? 'Las Vegas' : 'Monte Carlo';
+    this.workerManager.initWorker(Boolean(algoritmo.parallel) && !repeticion);
+    this.workerManager.setWorkerRunning(true);
 
     // Mostrar indicador de progreso
     this.stateManager.setColoringStats({
@@ -316,12 +726,56 @@ export default class ColoringController {
       attempts: 0,
       conflicts: 0,
       progress: 0,
-      showProgress: true, // Mostrar barra de progreso para algoritmos probabilísticos
+      showProgress: true, // Mostrar barra de progreso durante la ejecución
+      seed,
+      ...(repeticion && {
+        replayedWorker: true,
+        workerIndex: repeticion.index,
+        derivedSeed: opcionesWorker.seed,
+        workerCount: repeticion.count
+      })
     });
     this.stateManager.notify();
 
-    // Preparar datos del grafo
-    const graphData = {
+    this.workerManager.postMessage({
+      type: algoritmo.messageType,
+      data: {
+        graph: this._datosGrafoWorker(),
+        options: opcionesWorker
+      }
+    });
+  }
+
+  /**
+   * Busca un clique máximo (Bron–Kerbosch con pivoteo) en el Web Worker.
+   * El resultado se resalta en el canvas y su tamaño es cota inferior del número de colores.
+   */
+  findMaxClique() {
+    if (this.graph.nodos.length === 0) {
+      return;
+    }
+
+    this.stopDynamicRun(true);
+
+    this.stateManager.setMaxClique({ running: true });
+    this.stateManager.notify(true);
+
+    this.workerManager.initWorker();
+    this.workerManager.setWorkerRunning(true);
+    this.workerManager.postMessage({
+      type: 'findMaxClique',
+      data: { graph: this._datosGrafoWorker() }
+    });
+  }
+
+  /**
+   * Serializa el grafo para enviarlo al Web Worker.
+   * 
+   * @private
+   * @returns {{nodes: Array<Object>, edges: Array<Object>}} Nodos y aristas planos.
+   */
+  _datosGrafoWorker() {
+    return {
       nodes: this.graph.nodos.map(nodo => ({
         id: nodo.id,
         x: nodo.x,
@@ -332,45 +786,31 @@ export default class ColoringController {
         targetId: arista.targetId
       }))
     };
-
-    if (isLasVegas) {
-      this.workerManager.postMessage({
-        type: 'colorLasVegas',
-        data: {
-          graph: graphData,
-          options: { maxAttempts: Infinity, numberOfColors: this.stateManager.numColors }
-        }
-      });
-    } else {
-      this.workerManager.postMessage({
-        type: 'colorMonteCarlo',
-        data: {
-          graph: graphData,
-          options: {
-            iterations: options.iterations || 1000,
-            numberOfColors: this.stateManager.numColors
-          }
-        }
-      });
-    }
   }
 
   /**
    * Inicia el algoritmo de coloración dinámico (Las Vegas o Monte Carlo).
-   * Usa automáticamente Web Worker para mejor rendimiento.
+   * Usa automáticamente Web Worker para mejor rendimiento, salvo RLF en modo 'slow',
+   * que se ejecuta paso a paso en el loop dinámico.
    * 
    * @param {Object} options - Configuración de coloración.
-   * @param {string} options.algorithm - Tipo de algoritmo ('lasvegas-dynamic' o 'montecarlo-dynamic').
+   * @param {string} options.algorithm - Tipo de algoritmo (clave de ALGORITMOS_WORKER, p. ej. 'lasvegas-dynamic' o 'rlf').
    * @param {number} [options.iterations] - Número de muestras (solo MonteCarlo).
    * @param {number} [options.numColors] - Número de colores a usar.
    * @param {string} [options.speed] - Velocidad de ejecución ('fast' o 'slow').
+   * @param {number|string} [options.seed] - Semilla para reproducir la ejecución.
    * @param {Function} [options.onNoSolutionFound] - Callback cuando no se encuentra solución.
+   * @param {Function} [options.onInfeasible] - Callback cuando k colores son demostrablemente insuficientes;
+   * recibe el certificado y las cotas de χ(G).
    */
   startDynamicColoring(options) {
     this.stopDynamicRun(true);
     // Guardar callback en el state manager para usarlo después
     this.stateManager.onNoSolutionFoundCallback = options.onNoSolutionFound || null;
-    // Siempre usar Web Worker para mejor rendimiento
+    if (options.algorithm === 'rlf' && options.speed === 'slow') {
+      this.startRlfStepByStep(options);
+      return;
+    }
     this.startColoringWithWorker(options);
   }
 
@@ -380,10 +820,15 @@ export default class ColoringController {
    * @param {boolean} [clearStats=true] - Si limpiar las estadísticas de coloración.
    */
   stopDynamicRun(clearStats = true) {
+    // Registrar en el historial lo que alcanzó a colorear la ejecución
+    this.history.finishColoring();
+
     if (this.stateManager.dynamicRun && this.stateManager.dynamicRun.timerId) {
       clearInterval(this.stateManager.dynamicRun.timerId);
     }
     this.stateManager.dynamicRun = null;
+    this.stateManager.setHighlight(null);
+    this.stateManager.setMaxClique(null);
 
     // Terminar worker si está corriendo para liberar memoria
     if (this.workerManager && this.workerManager.isWorkerRunning()) {
@@ -0,0 +1,362 @@
+import { coloracionAleatoria } from "../models/utils/graphEvaluation.js";
+import { generarPaletaColores } from "../models/utils/colorPalette.js";
+import { crearGeneradorAleatorio, resolverSemilla } from "../models/utils/random.js";
+import { ALGORITHM, COMPARISON } from "../models/constants/index.js";
+import Graph from "../models/Graph.js";
+import LocalSearch from "../models/algorithms/LocalSearch.js";
+import { ALGORITMOS_WORKER } from "./ColoringController.js";
+import { crearGraphWorker } from "./WorkerManager.js";
+
+/** Identificador de la búsqueda local, que se ejecuta en el hilo principal. */
+const BUSQUEDA_LOCAL = 'local-search';
+
+/**
+ * Reduce una curva de conflictos a como máximo `puntosMaximos` puntos promediando ventanas.
+ *
+ * @param {Array<{attemptNumber: number, conflicts: number}>} historial - Conflictos por intento.
+ * @param {number} [puntosMaximos=COMPARISON.MAX_CURVE_POINTS] - Máximo de puntos.
+ * @returns {Array<{attemptNumber: number, conflicts: number}>} Curva reducida.
+ */
+function resumirCurva(historial, puntosMaximos = COMPARISON.MAX_CURVE_POINTS) {
+  if (!historial || historial.length === 0) return [];
+
+  const tamañoVentana = Math.max(1, Math.ceil(historial.length / puntosMaximos));
+  const curva = [];
+
+  for (let i = 0; i < historial.length; i += tamañoVentana) {
+    const ventana = historial.slice(i, i + tamañoVentana);
+    const suma = ventana.reduce((total, intento) => total + intento.conflicts, 0);
+    curva.push({
+      attemptNumber: ventana[ventana.length - 1].attemptNumber,
+      conflicts: suma / ventana.length
+    });
+  }
+
+  return curva;
+}
+
+/**
+ * Compara varios algoritmos sobre una copia congelada del grafo.
+ * Las ejecuciones corren una tras otra (cada una en su propio Web Worker, salvo la búsqueda
+ * local) y sus resultados se conservan en `stateManager.comparison`, sin tocar la coloración,
+ * las estadísticas ni el historial de la ejecución principal.
+ *
+ * @class ComparisonController
+ */
+export default class ComparisonController {
+  /**
+   * Crea una nueva instancia de ComparisonController.
+   *
+   * @param {StateManager} stateManager - Referencia al state manager.
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.grafoCongelado = null; // { nodes, edges } copiados al iniciar la comparación
+    this.worker = null;
+    this.timerId = null;
+    this._siguienteId = 1;
+  }
+
+  /**
+   * Congela una copia del grafo y ejecuta las configuraciones en orden.
+   *
+   * @param {Graph} graph - Grafo actual.
+   * @param {Array<Object>} configs - Configuraciones a comparar.
+   * @param {string} configs[].algorithm - Clave del algoritmo (ver ALGORITMOS_WORKER) o 'local-search'.
+   * @param {number} configs[].numColors - Número de colores.
+   * @param {number} [configs[].iterations] - Máximo de intentos (Monte Carlo y Las Vegas).
+   * @param {number|string} [configs[].seed] - Semilla; vacía para generar una por ejecución.
+   */
+  start(graph, configs) {
+    this.cancel();
+
+    this.grafoCongelado = {
+      nodes: graph.nodos.map((nodo) => ({ id: nodo.id, x: nodo.x, y: nodo.y, color: nodo.color ?? null })),
+      edges: graph.aristas.map((arista) => ({ sourceId: arista.sourceId, targetId: arista.targetId }))
+    };
+
+    const runs = configs.map((config) => ({
+      id: this._siguienteId++,
+      algorithm: config.algorithm,
+      label: config.algorithm === BUSQUEDA_LOCAL ? 'Búsqueda Local' : ALGORITMOS_WORKER[config.algorithm].label,
+      numColors: config.numColors,
+      iterations: ALGORITMOS_WORKER[config.algorithm]?.attemptLimitOption ? config.iterations : undefined,
+      seed: resolverSemilla(config.seed),
+      status: 'pending', // 'pending' | 'running' | 'done' | 'infeasible' | 'error' | 'cancelled'
+      progress: 0,
+      live: null, // Estadísticas parciales mientras corre
+      stats: null,
+      curve: [],
+      error: null
+    }));
+
+    this.stateManager.setComparison({
+      running: true,
+      graph: { nodes: graph.nodos.length, edges: graph.aristas.length },
+      runs
+    });
+    this.stateManager.notify(true);
+
+    this._ejecutarSiguiente();
+  }
+
+  /**
+   * Cancela la comparación en curso; los resultados ya obtenidos se conservan.
+   */
+  cancel() {
+    this._detenerEjecucion();
+
+    const comparacion = this.stateManager.comparison;
+    if (!comparacion?.running) return;
+
+    this.stateManager.setComparison({
+      ...comparacion,
+      running: false,
+      runs: comparacion.runs.map((run) => (
+        run.status === 'pending' || run.status === 'running'
+          ? { ...run, status: 'cancelled', live: null }
+          : run
+      ))
+    });
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Cancela la comparación y descarta sus resultados.
+   */
+  clear() {
+    this._detenerEjecucion();
+    this.grafoCongelado = null;
+    this.stateManager.setComparison(null);
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Termina el worker o el loop de búsqueda local en curso.
+   *
+   * @private
+   */
+  _detenerEjecucion() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Inicia la siguiente ejecución pendiente o cierra la comparación si no quedan.
+   *
+   * @private
+   */
+  _ejecutarSiguiente() {
+    const comparacion = this.stateManager.comparison;
+    const indice = comparacion.runs.findIndex((run) => run.status === 'pending');
+
+    if (indice === -1) {
+      this.stateManager.setComparison({ ...comparacion, running: false });
+      this.stateManager.notify(true);
+      return;
+    }
+
+    this._actualizarRun(indice, { status: 'running' });
+    this.stateManager.notify(true);
+
+    if (comparacion.runs[indice].algorithm === BUSQUEDA_LOCAL) {
+      this._ejecutarBusquedaLocal(indice);
+    } else {
+      this._ejecutarEnWorker(indice);
+    }
+  }
+
+  /**
+   * Ejecuta un algoritmo en un Web Worker propio sobre la copia congelada.
+   *
+   * @private
+   * @param {number} indice - Índice de la ejecución.
+   */
+  _ejecutarEnWorker(indice) {
+    const run = this.stateManager.comparison.runs[indice];
+    const algoritmo = ALGORITMOS_WORKER[run.algorithm];
+    const { nodes, edges } = this.grafoCongelado;
+
+    const initialColors = {};
+    nodes.forEach((nodo) => {
+      initialColors[nodo.id] = nodo.color;
+    });
+
+    const mensaje = {
+      type: algoritmo.messageType,
+      data: {
+        graph: {
+          nodes: nodes.map(({ id, x, y }) => ({ id, x, y })),
+          edges
+        },
+        options: {
+          ...algoritmo.buildOptions({ iterations: run.iterations, initialColors }, run.numColors),
+          // Las Vegas se corta en el límite para que las ejecuciones siguientes puedan correr
+          ...(algoritmo.attemptLimitOption && { [algoritmo.attemptLimitOption]: run.iterations }),
+          seed: run.seed
+        }
+      }
+    };
+
+    const worker = crearGraphWorker();
+    this.worker = worker;
+
+    worker.onmessage = (event) => {
+      if (this.worker !== worker) return;
+
+      const { type, result } = event.data;
+      if (type !== 'feasibilityResult') {
+        this._recibir(indice, event.data);
+      } else if (result.infeasible) {
+        this._terminarRun(indice, {
+          status: 'infeasible',
+          error: `${run.numColors} colores no alcanzan (χ(G) ≥ ${result.lowerBound})`
+        });
+      } else {
+        worker.postMessage(mensaje);
+      }
+    };
+    worker.onerror = (error) => {
+      if (this.worker === worker) {
+        this._terminarRun(indice, { status: 'error', error: error.message || 'Error en el worker' });
+      }
+    };
+
+    // Las Vegas no termina si k colores no alcanzan: el worker lo verifica antes de colorear
+    worker.postMessage(algoritmo.checkFeasibility
+      ? { type: 'checkFeasibility', data: { graph: mensaje.data.graph, numColors: run.numColors } }
+      : mensaje);
+  }
+
+  /**
+   * Procesa un mensaje del worker de la ejecución en curso.
+   *
+   * @private
+   * @param {number} indice - Índice de la ejecución.
+   * @param {Object} mensaje - Mensaje recibido.
+   */
+  _recibir(indice, mensaje) {
+    switch (mensaje.type) {
+      case 'colorProgress':
+        this._actualizarRun(indice, {
+          progress: mensaje.progress,
+          live: { attempts: mensaje.attempts, conflicts: mensaje.conflicts, timeMs: mensaje.timeMs }
+        });
+        this.stateManager.notify();
+        break;
+      case 'colorComplete': {
+        const { stats, attemptsHistory } = mensaje.result;
+        this._terminarRun(indice, {
+          status: 'done',
+          progress: 1,
+          stats: {
+            timeMs: stats.timeMs,
+            attempts: stats.attempts,
+            conflicts: stats.conflicts,
+            successRate: stats.successRate,
+            meanConflicts: stats.meanConflicts
+          },
+          curve: resumirCurva(attemptsHistory)
+        });
+        break;
+      }
+      case 'error':
+        this._terminarRun(indice, { status: 'error', error: mensaje.error });
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Ejecuta la búsqueda local en el hilo principal, por tramos para no bloquear la interfaz.
+   * Parte de la coloración congelada si cubre todos los nodos con la paleta de la ejecución;
+   * si no, de una coloración aleatoria generada con la semilla.
+   *
+   * @private
+   * @param {number} indice - Índice de la ejecución.
+   */
+  _ejecutarBusquedaLocal(indice) {
+    const run = this.stateManager.comparison.runs[indice];
+    const paleta = generarPaletaColores(run.numColors);
+    const nodos = this.grafoCongelado.nodes.map((nodo) => ({ ...nodo }));
+
+    if (!nodos.every((nodo) => paleta.includes(nodo.color))) {
+      const colores = coloracionAleatoria(nodos, paleta, crearGeneradorAleatorio(run.seed));
+      nodos.forEach((nodo) => {
+        nodo.color = colores[nodo.id];
+      });
+    }
+
+    const algo = new LocalSearch(Graph.desdeDatos(nodos, this.grafoCongelado.edges), run.numColors);
+    const curva = [{ attemptNumber: 0, conflicts: algo.initialConflicts }];
+    const inicio = performance.now();
+
+    const avanzar = () => {
+      const limite = performance.now() + ALGORITHM.WORKER_SLICE_MS;
+      let resultado;
+      do {
+        resultado = algo.step();
+        curva.push({ attemptNumber: curva.length, conflicts: resultado.stats.conflicts });
+      } while (!resultado.done && performance.now() < limite);
+
+      const { stats } = resultado;
+      if (resultado.done) {
+        this.timerId = null;
+        this._terminarRun(indice, {
+          status: 'done',
+          progress: 1,
+          stats: {
+            timeMs: performance.now() - inicio,
+            attempts: stats.attempts,
+            conflicts: stats.conflicts
+          },
+          curve: resumirCurva(curva)
+        });
+      } else {
+        this._actualizarRun(indice, {
+          progress: stats.progress,
+          live: { attempts: stats.attempts, conflicts: stats.conflicts, timeMs: performance.now() - inicio }
+        });
+        this.stateManager.notify();
+        this.timerId = setTimeout(avanzar, 0);
+      }
+    };
+
+    this.timerId = setTimeout(avanzar, 0);
+  }
+
+  /**
+   * Registra el final de una ejecución y pasa a la siguiente.
+   *
+   * @private
+   * @param {number} indice - Índice de la ejecución.
+   * @param {Object} cambios - Campos a actualizar (status, stats, curve, error).
+   */
+  _terminarRun(indice, cambios) {
+    this._detenerEjecucion();
+    this._actualizarRun(indice, { ...cambios, live: null });
+    this._ejecutarSiguiente();
+  }
+
+  /**
+   * Reemplaza una ejecución por una copia con los cambios (el estado se publica inmutable).
+   *
+   * @private
+   * @param {number} indice - Índice de la ejecución.
+   * @param {Object} cambios - Campos a actualizar.
+   */
+  _actualizarRun(indice, cambios) {
+    const comparacion = this.stateManager.comparison;
+    this.stateManager.setComparison({
+      ...comparacion,
+      runs: comparacion.runs.map((run, i) => (i === indice ? { ...run, ...cambios } : run))
+    });
+  }
+}
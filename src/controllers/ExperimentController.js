@@ -0,0 +1,250 @@
+import {
+  expandirGrillaExperimento,
+  resumirResultadosExperimento,
+  serializarResumenCsv,
+  serializarEnsayosCsv
+} from "../models/utils/experiments.js";
+import { describirGenerador, MODELOS_GRAFO_ALEATORIO } from "../models/utils/graphGenerators.js";
+import { PARALLEL } from "../models/constants/index.js";
+import { ALGORITMOS_WORKER } from "./ColoringController.js";
+import { crearGraphWorker } from "./WorkerManager.js";
+
+/**
+ * Ejecuta experimentos por lotes: una grilla de configuraciones (parámetros y nodos del generador,
+ * k, algoritmo, intentos máximos) con varios ensayos cada una, repartidos entre varios Web Workers.
+ * Todos los ensayos usan el mismo modelo de grafo aleatorio (ver Graph.crearGrafoAleatorio); sus
+ * parámetros pueden barrerse con listas de valores.
+ * Cada worker genera el grafo del ensayo y ejecuta el algoritmo; los resultados y su resumen
+ * (media, mediana, desviación estándar e intervalo de confianza del 95 %) se publican en
+ * `stateManager.experiment` sin tocar el grafo del canvas.
+ *
+ * @class ExperimentController
+ */
+export default class ExperimentController {
+  /**
+   * Crea una nueva instancia de ExperimentController.
+   *
+   * @param {StateManager} stateManager - Referencia al state manager.
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.workers = [];
+    this.pendientes = []; // Ensayos que todavía no se enviaron a un worker
+    this.ensayos = [];
+  }
+
+  /**
+   * Inicia un experimento. Los ensayos se reparten entre hasta PARALLEL.MAX_WORKERS workers.
+   *
+   * @param {Object} grid - Grilla de configuraciones.
+   * @param {Array<number>} grid.nodeCounts - Números de nodos del generador aleatorio.
+   * @param {Array<number>} grid.colorCounts - Números de colores (k).
+   * @param {Array<string>} grid.algorithms - Claves de los algoritmos (ver ALGORITMOS_WORKER).
+   * @param {number} grid.iterations - Máximo de intentos (Monte Carlo y Las Vegas).
+   * @param {number} grid.trials - Ensayos por configuración.
+   * @param {number|string} [grid.seed] - Semilla base; vacía para generar una.
+   * @param {Object} [grid.generator] - Modelo y parámetros del generador de grafos.
+   * @param {Object<string, Array<number>>} [grid.generatorSweep] - Valores de los parámetros del generador
+   * a barrer, p. ej. { probability: [0.05, 0.1] }; se combinan con todos los demás valores de la grilla.
+   * @returns {{groups: number, trials: number, seed: number}} Resumen del experimento iniciado.
+   * @throws {Error} Si la grilla es inválida.
+   */
+  start(grid) {
+    const { seed, generator, generators, grupos, ensayos } = expandirGrillaExperimento({
+      ...grid,
+      algorithms: grid.algorithms.map((clave) => ({
+        value: clave,
+        label: ALGORITMOS_WORKER[clave].label,
+        usesIterations: Boolean(ALGORITMOS_WORKER[clave].attemptLimitOption)
+      }))
+    });
+
+    this.cancel();
+    this.ensayos = ensayos;
+    this.pendientes = [...ensayos];
+
+    this.stateManager.setExperiment({
+      running: true,
+      seed,
+      generator,
+      generatorLabel: generators.length > 1
+        ? `${MODELOS_GRAFO_ALEATORIO[generator.model]?.nombre ?? generator.model}, ${generators.length} configuraciones`
+        : describirGenerador(generator),
+      total: ensayos.length,
+      completed: 0,
+      startedAt: Date.now(),
+      timeMs: 0,
+      error: null,
+      groups: grupos
+    });
+    this.stateManager.notify(true);
+
+    const nucleos = Math.min(navigator.hardwareConcurrency || 1, PARALLEL.MAX_WORKERS, ensayos.length);
+    for (let i = 0; i < nucleos; i++) {
+      const worker = crearGraphWorker();
+      worker.onmessage = (event) => this._recibir(worker, event.data);
+      worker.onerror = (error) => this._fallar(error.message || 'Error en el worker');
+      this.workers.push(worker);
+      this._enviarSiguiente(worker);
+    }
+
+    return { groups: grupos.length, trials: ensayos.length, seed };
+  }
+
+  /**
+   * Cancela el experimento en curso; los resúmenes de los ensayos terminados se conservan.
+   */
+  cancel() {
+    this._terminarWorkers();
+
+    const experimento = this.stateManager.experiment;
+    if (!experimento?.running) return;
+
+    this.stateManager.setExperiment(this._cerrar(experimento));
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Cancela el experimento y descarta sus resultados.
+   */
+  clear() {
+    this._terminarWorkers();
+    this.ensayos = [];
+    this.stateManager.setExperiment(null);
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Exporta los resultados del experimento como CSV.
+   *
+   * @param {'summary'|'trials'} [tipo='summary'] - Resumen por configuración o una fila por ensayo.
+   * @returns {string|null} Contenido CSV, o null si no hay experimento.
+   */
+  exportCsv(tipo = 'summary') {
+    const experimento = this.stateManager.experiment;
+    if (!experimento) return null;
+
+    return tipo === 'trials'
+      ? serializarEnsayosCsv(experimento.groups, experimento.generator)
+      : serializarResumenCsv(experimento.groups, experimento.generator);
+  }
+
+  /**
+   * Envía el siguiente ensayo pendiente a un worker libre.
+   *
+   * @private
+   * @param {Worker} worker - Worker libre.
+   */
+  _enviarSiguiente(worker) {
+    const ensayo = this.pendientes.shift();
+    if (!ensayo) return;
+
+    const grupo = this.stateManager.experiment.groups[ensayo.groupIndex];
+    const algoritmo = ALGORITMOS_WORKER[grupo.algorithm];
+
+    worker.postMessage({
+      type: 'runTrial',
+      data: {
+        trialId: ensayo.id,
+        messageType: algoritmo.messageType,
+        generator: { numNodes: ensayo.numNodes, graphSeed: ensayo.graphSeed, config: grupo.generator },
+        options: {
+          ...algoritmo.buildOptions({ iterations: grupo.iterations }, grupo.numColors),
+          ...(algoritmo.attemptLimitOption && { [algoritmo.attemptLimitOption]: grupo.iterations }),
+          seed: ensayo.seed
+        }
+      }
+    });
+  }
+
+  /**
+   * Procesa un mensaje de un worker del experimento.
+   *
+   * @private
+   * @param {Worker} worker - Worker que envió el mensaje.
+   * @param {Object} mensaje - Mensaje recibido.
+   */
+  _recibir(worker, mensaje) {
+    if (!this.workers.includes(worker)) return;
+
+    if (mensaje.type === 'error') {
+      this._fallar(mensaje.error);
+      return;
+    }
+    if (mensaje.type !== 'trialComplete') return;
+
+    const ensayo = this.ensayos[mensaje.trialId];
+    const experimento = this.stateManager.experiment;
+    const resultado = {
+      ...mensaje.result,
+      trial: ensayo.trial,
+      graphSeed: ensayo.graphSeed,
+      seed: ensayo.seed
+    };
+
+    const groups = experimento.groups.map((grupo, indice) => {
+      if (indice !== ensayo.groupIndex) return grupo;
+      const results = [...grupo.results, resultado];
+      return { ...grupo, results, summary: resumirResultadosExperimento(results) };
+    });
+    const completed = experimento.completed + 1;
+
+    if (completed === experimento.total) {
+      this._terminarWorkers();
+      this.stateManager.setExperiment(this._cerrar({ ...experimento, groups, completed }));
+      this.stateManager.notify(true);
+      return;
+    }
+
+    this.stateManager.setExperiment({
+      ...experimento,
+      groups,
+      completed,
+      timeMs: Date.now() - experimento.startedAt
+    });
+    this.stateManager.notify();
+    this._enviarSiguiente(worker);
+  }
+
+  /**
+   * Detiene el experimento por un error de un worker.
+   *
+   * @private
+   * @param {string} mensajeError - Descripción del error.
+   */
+  _fallar(mensajeError) {
+    this._terminarWorkers();
+
+    const experimento = this.stateManager.experiment;
+    if (!experimento) return;
+
+    this.stateManager.setExperiment({ ...this._cerrar(experimento), error: mensajeError });
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Marca el experimento como terminado registrando su duración.
+   *
+   * @private
+   * @param {Object} experimento - Estado del experimento.
+   * @returns {Object} Estado actualizado.
+   */
+  _cerrar(experimento) {
+    return {
+      ...experimento,
+      running: false,
+      timeMs: Date.now() - experimento.startedAt
+    };
+  }
+
+  /**
+   * Termina todos los workers del experimento y vacía la cola.
+   *
+   * @private
+   */
+  _terminarWorkers() {
+    this.workers.forEach((worker) => worker.terminate());
+    this.workers = [];
+    this.pendientes = [];
+  }
+}
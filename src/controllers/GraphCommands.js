@@ -0,0 +1,312 @@
+/**
+ * Comandos reversibles sobre el grafo para el historial de deshacer / rehacer.
+ * Cada comando tiene una etiqueta y los métodos undo(stateManager) y redo(stateManager),
+ * que operan sobre `stateManager.graph`. Los comandos que pueden combinarse con el
+ * siguiente (p. ej. los movimientos de un mismo arrastre) implementan merge(otro).
+ * @module GraphCommands
+ */
+
+/**
+ * Captura el color de cada nodo.
+ * @param {Graph} grafo - Grafo a capturar.
+ * @returns {Object} Mapa de ID de nodo a color (o null).
+ */
+export function capturarColores(grafo) {
+  const colores = {};
+  grafo.nodos.forEach((nodo) => {
+    colores[nodo.id] = nodo.color ?? null;
+  });
+  return colores;
+}
+
+/**
+ * Captura la posición de cada nodo.
+ * @param {Graph} grafo - Grafo a capturar.
+ * @returns {Object} Mapa de ID de nodo a { x, y }.
+ */
+export function capturarPosiciones(grafo) {
+  const posiciones = {};
+  grafo.nodos.forEach((nodo) => {
+    posiciones[nodo.id] = { x: nodo.x, y: nodo.y };
+  });
+  return posiciones;
+}
+
+/**
+ * Captura el contenido completo del grafo para reemplazos (generar, cargar del catálogo, importar, reiniciar).
+ * Se guardan copias de los arrays; los nodos y aristas se comparten porque el
+ * historial es lineal y cualquier cambio posterior se deshace antes de volver a este estado.
+ * @param {StateManager} stateManager - State manager con el grafo actual.
+ * @returns {{nodos: Array<Node>, aristas: Array<Edge>, graphSeed: number|null, coloracionPlantada: Object|null,
+ * grafoConocido: Object|null}} Contenido del grafo.
+ */
+export function capturarContenido(stateManager) {
+  return {
+    nodos: [...stateManager.graph.nodos],
+    aristas: [...stateManager.graph.aristas],
+    graphSeed: stateManager.graphSeed,
+    coloracionPlantada: stateManager.graph.coloracionPlantada,
+    grafoConocido: stateManager.graph.grafoConocido
+  };
+}
+
+/**
+ * Aplica un mapa de colores a los nodos presentes en él.
+ * @param {Graph} grafo - Grafo a modificar.
+ * @param {Object} colores - Mapa de ID de nodo a color.
+ */
+function aplicarColores(grafo, colores) {
+  grafo.nodos.forEach((nodo) => {
+    if (nodo.id in colores) {
+      nodo.color = colores[nodo.id];
+    }
+  });
+}
+
+/**
+ * Aplica un mapa de posiciones a los nodos presentes en él.
+ * @param {Graph} grafo - Grafo a modificar.
+ * @param {Object} posiciones - Mapa de ID de nodo a { x, y }.
+ */
+function aplicarPosiciones(grafo, posiciones) {
+  Object.entries(posiciones).forEach(([id, { x, y }]) => {
+    grafo.actualizarPosicionNodo(Number(id), x, y);
+  });
+}
+
+/**
+ * Creación de un nodo.
+ */
+export class CreateNodeCommand {
+  /**
+   * @param {Node} nodo - Nodo creado.
+   */
+  constructor(nodo) {
+    this.label = 'Crear nodo';
+    this.nodo = nodo;
+  }
+
+  undo(stateManager) {
+    stateManager.graph.eliminarNodo(this.nodo.id);
+  }
+
+  redo(stateManager) {
+    stateManager.graph.restaurarNodo(this.nodo);
+  }
+}
+
+/**
+ * Eliminación de un nodo junto con sus aristas.
+ */
+export class DeleteNodeCommand {
+  /**
+   * @param {Node} nodo - Nodo eliminado.
+   * @param {Array<Edge>} aristas - Aristas que tenía el nodo.
+   */
+  constructor(nodo, aristas) {
+    this.label = 'Eliminar nodo';
+    this.nodo = nodo;
+    this.aristas = aristas;
+  }
+
+  undo(stateManager) {
+    stateManager.graph.restaurarNodo(this.nodo, this.aristas);
+  }
+
+  redo(stateManager) {
+    stateManager.graph.eliminarNodo(this.nodo.id);
+  }
+}
+
+/**
+ * Creación de una arista.
+ */
+export class ConnectNodesCommand {
+  /**
+   * @param {number} sourceId - ID del nodo origen.
+   * @param {number} targetId - ID del nodo destino.
+   */
+  constructor(sourceId, targetId) {
+    this.label = 'Conectar nodos';
+    this.sourceId = sourceId;
+    this.targetId = targetId;
+  }
+
+  undo(stateManager) {
+    stateManager.graph.eliminarArista(this.sourceId, this.targetId);
+  }
+
+  redo(stateManager) {
+    stateManager.graph.agregarArista(this.sourceId, this.targetId);
+  }
+}
+
+/**
+ * Eliminación de una arista.
+ */
+export class DeleteEdgeCommand {
+  /**
+   * @param {number} sourceId - ID del nodo origen.
+   * @param {number} targetId - ID del nodo destino.
+   */
+  constructor(sourceId, targetId) {
+    this.label = 'Eliminar arista';
+    this.sourceId = sourceId;
+    this.targetId = targetId;
+  }
+
+  undo(stateManager) {
+    stateManager.graph.agregarArista(this.sourceId, this.targetId);
+  }
+
+  redo(stateManager) {
+    stateManager.graph.eliminarArista(this.sourceId, this.targetId);
+  }
+}
+
+/**
+ * Movimiento de un nodo. Los movimientos sucesivos del mismo nodo se combinan
+ * en un solo paso hasta que el historial cierra el grupo (al soltar el nodo).
+ */
+export class MoveNodeCommand {
+  /**
+   * @param {number} nodeId - ID del nodo movido.
+   * @param {{x: number, y: number}} desde - Posición anterior.
+   * @param {{x: number, y: number}} hasta - Posición nueva.
+   */
+  constructor(nodeId, desde, hasta) {
+    this.label = 'Mover nodo';
+    this.nodeId = nodeId;
+    this.desde = desde;
+    this.hasta = hasta;
+  }
+
+  /**
+   * Absorbe un movimiento posterior del mismo nodo.
+   * @param {Object} otro - Comando siguiente.
+   * @returns {boolean} True si se combinó.
+   */
+  merge(otro) {
+    if (!(otro instanceof MoveNodeCommand) || otro.nodeId !== this.nodeId) return false;
+    this.hasta = otro.hasta;
+    return true;
+  }
+
+  undo(stateManager) {
+    stateManager.graph.actualizarPosicionNodo(this.nodeId, this.desde.x, this.desde.y);
+  }
+
+  redo(stateManager) {
+    stateManager.graph.actualizarPosicionNodo(this.nodeId, this.hasta.x, this.hasta.y);
+  }
+}
+
+/**
+ * Cambio de posición de varios nodos a la vez (reorganizar layout).
+ */
+export class MoveNodesCommand {
+  /**
+   * @param {string} label - Etiqueta del paso.
+   * @param {Object} antes - Mapa de ID de nodo a posición anterior.
+   * @param {Object} despues - Mapa de ID de nodo a posición nueva.
+   */
+  constructor(label, antes, despues) {
+    this.label = label;
+    this.antes = antes;
+    this.despues = despues;
+  }
+
+  undo(stateManager) {
+    aplicarPosiciones(stateManager.graph, this.antes);
+  }
+
+  redo(stateManager) {
+    aplicarPosiciones(stateManager.graph, this.despues);
+  }
+}
+
+/**
+ * Recoloreo manual de un nodo.
+ */
+export class RecolorNodeCommand {
+  /**
+   * @param {number} nodeId - ID del nodo recoloreado.
+   * @param {string|null} anterior - Color anterior.
+   * @param {string} nuevo - Color nuevo.
+   */
+  constructor(nodeId, anterior, nuevo) {
+    this.label = 'Recolorear nodo';
+    this.nodeId = nodeId;
+    this.anterior = anterior;
+    this.nuevo = nuevo;
+  }
+
+  undo(stateManager) {
+    aplicarColores(stateManager.graph, { [this.nodeId]: this.anterior });
+  }
+
+  redo(stateManager) {
+    aplicarColores(stateManager.graph, { [this.nodeId]: this.nuevo });
+  }
+}
+
+/**
+ * Cambio de la coloración completa (resultado de un algoritmo o limpiar colores).
+ */
+export class ApplyColoringCommand {
+  /**
+   * @param {string} label - Etiqueta del paso.
+   * @param {Object} antes - Mapa de ID de nodo a color anterior.
+   * @param {Object} despues - Mapa de ID de nodo a color nuevo.
+   */
+  constructor(label, antes, despues) {
+    this.label = label;
+    this.antes = antes;
+    this.despues = despues;
+  }
+
+  undo(stateManager) {
+    aplicarColores(stateManager.graph, this.antes);
+  }
+
+  redo(stateManager) {
+    aplicarColores(stateManager.graph, this.despues);
+  }
+}
+
+/**
+ * Reemplazo del contenido completo del grafo (generar aleatorio, cargar del catálogo, importar o reiniciar).
+ */
+export class ReplaceGraphCommand {
+  /**
+   * @param {string} label - Etiqueta del paso.
+   * @param {Object} antes - Contenido anterior (ver capturarContenido).
+   * @param {Object} despues - Contenido nuevo (ver capturarContenido).
+   */
+  constructor(label, antes, despues) {
+    this.label = label;
+    this.antes = antes;
+    this.despues = despues;
+  }
+
+  /**
+   * @private
+   * @param {StateManager} stateManager - State manager con el grafo actual.
+   * @param {Object} contenido - Contenido a restaurar.
+   */
+  _restaurar(stateManager, contenido) {
+    stateManager.graph.nodos = [...contenido.nodos];
+    stateManager.graph.aristas = [...contenido.aristas];
+    stateManager.graph.coloracionPlantada = contenido.coloracionPlantada;
+    stateManager.graph.grafoConocido = contenido.grafoConocido;
+    stateManager.setGraphSeed(contenido.graphSeed);
+  }
+
+  undo(stateManager) {
+    this._restaurar(stateManager, this.antes);
+  }
+
+  redo(stateManager) {
+    this._restaurar(stateManager, this.despues);
+  }
+}
@@ -0,0 +1,330 @@
+import Graph from '../models/Graph.js';
+import StateManager from './StateManager.js';
+import HistoryController from './HistoryController.js';
+import {
+  ApplyColoringCommand,
+  ConnectNodesCommand,
+  CreateNodeCommand,
+  DeleteEdgeCommand,
+  DeleteNodeCommand,
+  MoveNodeCommand,
+  MoveNodesCommand,
+  RecolorNodeCommand,
+  ReplaceGraphCommand,
+  capturarColores,
+  capturarContenido,
+  capturarPosiciones
+} from './GraphCommands.js';
+import { HISTORY } from '../models/constants/index.js';
+
+/**
+ * Estado comparable del grafo: nodos con posición y color, y aristas normalizadas y ordenadas.
+ * @param {Graph} grafo - Grafo a describir.
+ * @returns {{nodos: Array<Object>, aristas: Array<string>}} Estado del grafo.
+ */
+function estado(grafo) {
+  return {
+    nodos: grafo.nodos.map(({ id, x, y, color }) => ({ id, x, y, color: color ?? null })),
+    aristas: grafo.aristas
+      .map(({ sourceId, targetId }) => `${Math.min(sourceId, targetId)}-${Math.max(sourceId, targetId)}`)
+      .sort()
+  };
+}
+
+/**
+ * Crea un state manager con un camino 1-2-3-4 coloreado y su historial.
+ * @returns {{stateManager: StateManager, history: HistoryController, grafo: Graph}} Entorno de prueba.
+ */
+function crearEntorno() {
+  const grafo = new Graph();
+  [[0.1, 0.1], [0.4, 0.2], [0.6, 0.7], [0.9, 0.3]].forEach(([x, y]) => grafo.agregarNodo(x, y));
+  grafo.agregarArista(1, 2);
+  grafo.agregarArista(2, 3);
+  grafo.agregarArista(3, 4);
+  grafo.nodos.forEach((nodo, i) => {
+    nodo.color = i % 2 === 0 ? 'blue' : 'red';
+  });
+
+  const stateManager = new StateManager(grafo);
+  return { stateManager, history: new HistoryController(stateManager), grafo };
+}
+
+/**
+ * Ediciones de cada tipo de comando: aplican el cambio sobre el grafo y devuelven el comando registrado.
+ */
+const EDICIONES = [
+  ['CreateNodeCommand', (grafo) => new CreateNodeCommand(grafo.agregarNodo(0.5, 0.5))],
+  ['ConnectNodesCommand', (grafo) => {
+    grafo.agregarArista(1, 4);
+    return new ConnectNodesCommand(1, 4);
+  }],
+  ['DeleteEdgeCommand', (grafo) => {
+    grafo.eliminarArista(3, 2);
+    return new DeleteEdgeCommand(3, 2);
+  }],
+  ['MoveNodeCommand', (grafo) => {
+    grafo.actualizarPosicionNodo(3, 0.2, 0.9);
+    return new MoveNodeCommand(3, { x: 0.6, y: 0.7 }, { x: 0.2, y: 0.9 });
+  }],
+  ['MoveNodesCommand', (grafo) => {
+    const antes = capturarPosiciones(grafo);
+    grafo.nodos.forEach((nodo) => grafo.actualizarPosicionNodo(nodo.id, 1 - nodo.x, 1 - nodo.y));
+    return new MoveNodesCommand('Reorganizar', antes, capturarPosiciones(grafo));
+  }],
+  ['RecolorNodeCommand', (grafo) => {
+    grafo.nodos[0].color = 'green';
+    return new RecolorNodeCommand(1, 'blue', 'green');
+  }],
+  ['ApplyColoringCommand', (grafo) => {
+    const antes = capturarColores(grafo);
+    grafo.nodos.forEach((nodo) => {
+      nodo.color = null;
+    });
+    return new ApplyColoringCommand('Limpiar colores', antes, capturarColores(grafo));
+  }],
+  ['DeleteNodeCommand', (grafo) => {
+    const nodo = grafo.nodos.find((n) => n.id === 2);
+    const aristas = grafo.aristas.filter((a) => a.sourceId === 2 || a.targetId === 2);
+    grafo.eliminarNodo(2);
+    return new DeleteNodeCommand(nodo, aristas);
+  }]
+];
+
+describe('comandos de edición', () => {
+  test.each(EDICIONES)('%s: deshacer vuelve al grafo original y rehacer a la edición', (nombre, editar) => {
+    const { stateManager, history, grafo } = crearEntorno();
+    const original = estado(grafo);
+
+    const comando = editar(grafo);
+    history.record(comando);
+    const editado = estado(grafo);
+    expect(editado).not.toEqual(original);
+
+    expect(history.undo()).toBe(comando.label);
+    expect(estado(stateManager.graph)).toEqual(original);
+    expect(stateManager.editHistory).toMatchObject({ canUndo: false, canRedo: true, redoLabel: comando.label });
+
+    expect(history.redo()).toBe(comando.label);
+    expect(estado(stateManager.graph)).toEqual(editado);
+    expect(stateManager.editHistory).toMatchObject({ canUndo: true, canRedo: false, undoLabel: comando.label });
+  });
+
+  test('rehacer después de deshacer varios pasos recorre la misma secuencia', () => {
+    const { history, grafo } = crearEntorno();
+    const estados = [estado(grafo)];
+
+    EDICIONES.forEach(([, editar]) => {
+      history.record(editar(grafo));
+      history.closeGroup();
+      estados.push(estado(grafo));
+    });
+
+    for (let i = estados.length - 2; i >= 0; i--) {
+      history.undo();
+      expect(estado(grafo)).toEqual(estados[i]);
+    }
+    expect(history.undo()).toBeNull();
+
+    for (let i = 1; i < estados.length; i++) {
+      history.redo();
+      expect(estado(grafo)).toEqual(estados[i]);
+    }
+    expect(history.redo()).toBeNull();
+  });
+});
+
+describe('HistoryController', () => {
+  test('los movimientos de un mismo arrastre se deshacen en un solo paso', () => {
+    const { history, grafo } = crearEntorno();
+    const original = estado(grafo);
+    const posiciones = [{ x: 0.6, y: 0.7 }, { x: 0.5, y: 0.6 }, { x: 0.4, y: 0.5 }, { x: 0.3, y: 0.4 }];
+
+    for (let i = 1; i < posiciones.length; i++) {
+      grafo.actualizarPosicionNodo(3, posiciones[i].x, posiciones[i].y);
+      history.record(new MoveNodeCommand(3, posiciones[i - 1], posiciones[i]));
+    }
+    history.closeGroup();
+
+    expect(history.undoStack).toHaveLength(1);
+    history.undo();
+    expect(estado(grafo)).toEqual(original);
+    expect(history.undo()).toBeNull();
+
+    history.redo();
+    expect(grafo.nodos[2]).toMatchObject({ x: 0.3, y: 0.4 });
+  });
+
+  test('cerrar el grupo separa dos arrastres del mismo nodo', () => {
+    const { history, grafo } = crearEntorno();
+
+    grafo.actualizarPosicionNodo(3, 0.5, 0.5);
+    history.record(new MoveNodeCommand(3, { x: 0.6, y: 0.7 }, { x: 0.5, y: 0.5 }));
+    history.closeGroup();
+    grafo.actualizarPosicionNodo(3, 0.2, 0.2);
+    history.record(new MoveNodeCommand(3, { x: 0.5, y: 0.5 }, { x: 0.2, y: 0.2 }));
+    history.closeGroup();
+
+    history.undo();
+    expect(grafo.nodos[2]).toMatchObject({ x: 0.5, y: 0.5 });
+    history.undo();
+    expect(grafo.nodos[2]).toMatchObject({ x: 0.6, y: 0.7 });
+  });
+
+  test('no combina movimientos de nodos distintos', () => {
+    const { history, grafo } = crearEntorno();
+
+    grafo.actualizarPosicionNodo(1, 0.3, 0.3);
+    history.record(new MoveNodeCommand(1, { x: 0.1, y: 0.1 }, { x: 0.3, y: 0.3 }));
+    grafo.actualizarPosicionNodo(2, 0.3, 0.3);
+    history.record(new MoveNodeCommand(2, { x: 0.4, y: 0.2 }, { x: 0.3, y: 0.3 }));
+
+    expect(history.undoStack).toHaveLength(2);
+  });
+
+  test('registrar un comando después de deshacer vacía la pila de rehacer', () => {
+    const { stateManager, history, grafo } = crearEntorno();
+
+    grafo.agregarArista(1, 4);
+    history.record(new ConnectNodesCommand(1, 4));
+    history.undo();
+    expect(stateManager.editHistory.canRedo).toBe(true);
+
+    grafo.nodos[3].color = 'green';
+    history.record(new RecolorNodeCommand(4, 'red', 'green'));
+
+    expect(stateManager.editHistory).toMatchObject({ canRedo: false, redoLabel: null });
+    expect(history.redo()).toBeNull();
+    expect(estado(grafo).aristas).not.toContain('1-4');
+  });
+
+  test(`conserva como máximo ${HISTORY.MAX_STEPS} pasos`, () => {
+    const { history, grafo } = crearEntorno();
+
+    for (let i = 0; i < HISTORY.MAX_STEPS + 5; i++) {
+      const anterior = grafo.nodos[0].color;
+      grafo.nodos[0].color = i % 2 === 0 ? 'green' : 'blue';
+      history.record(new RecolorNodeCommand(1, anterior, grafo.nodos[0].color));
+    }
+
+    expect(history.undoStack).toHaveLength(HISTORY.MAX_STEPS);
+  });
+
+  test('la coloración de una ejecución se registra como un solo paso', () => {
+    const { stateManager, history, grafo } = crearEntorno();
+    const original = estado(grafo);
+
+    history.beginColoring('Greedy');
+    grafo.nodos.forEach((nodo, i) => {
+      nodo.color = ['green', 'yellow', 'purple', 'orange'][i];
+    });
+    history.finishColoring();
+    const coloreado = estado(grafo);
+
+    expect(history.undo()).toBe('Coloración (Greedy)');
+    expect(estado(grafo)).toEqual(original);
+    expect(stateManager.hasManualChanges).toBe(true);
+
+    history.redo();
+    expect(estado(grafo)).toEqual(coloreado);
+  });
+
+  test('una ejecución que no cambia colores no agrega pasos', () => {
+    const { history } = crearEntorno();
+
+    history.beginColoring('Greedy');
+    history.finishColoring();
+
+    expect(history.undoStack).toHaveLength(0);
+  });
+
+  test('deshacer hasta quitar todos los colores reinicia el estado de coloración', () => {
+    const { stateManager, history, grafo } = crearEntorno();
+    grafo.nodos.forEach((nodo) => {
+      nodo.color = null;
+    });
+
+    history.beginColoring('Greedy');
+    grafo.nodos.forEach((nodo) => {
+      nodo.color = 'blue';
+    });
+    history.finishColoring();
+    stateManager.markGraphAsColored();
+
+    history.undo();
+    expect(stateManager.hasColoredGraph).toBe(false);
+  });
+});
+
+describe('ReplaceGraphCommand', () => {
+  /**
+   * Reemplaza el grafo del entorno por un triángulo, como generar o importar.
+   * @param {StateManager} stateManager - State manager del entorno.
+   * @returns {ReplaceGraphCommand} Comando del reemplazo.
+   */
+  function reemplazarPorTriangulo(stateManager) {
+    const antes = capturarContenido(stateManager);
+    const grafo = stateManager.graph;
+    grafo.resetear();
+    [[0.2, 0.2], [0.8, 0.2], [0.5, 0.8]].forEach(([x, y]) => grafo.agregarNodo(x, y));
+    grafo.agregarArista(1, 2);
+    grafo.agregarArista(2, 3);
+    grafo.agregarArista(1, 3);
+    stateManager.setGraphSeed(123);
+    return new ReplaceGraphCommand('Generar grafo aleatorio', antes, capturarContenido(stateManager));
+  }
+
+  test('deshacer restaura los mismos nodos con sus colores y la semilla anterior', () => {
+    const { stateManager, history, grafo } = crearEntorno();
+    const nodosOriginales = [...grafo.nodos];
+    const original = estado(grafo);
+
+    history.record(reemplazarPorTriangulo(stateManager));
+    const reemplazado = estado(grafo);
+
+    history.undo();
+    expect(estado(grafo)).toEqual(original);
+    grafo.nodos.forEach((nodo, i) => expect(nodo).toBe(nodosOriginales[i]));
+    expect(stateManager.graphSeed).toBeNull();
+
+    history.redo();
+    expect(estado(grafo)).toEqual(reemplazado);
+    expect(stateManager.graphSeed).toBe(123);
+  });
+
+  test('los nodos compartidos con la coloración posterior quedan consistentes al deshacer y rehacer', () => {
+    const { stateManager, history, grafo } = crearEntorno();
+    const original = estado(grafo);
+
+    history.record(reemplazarPorTriangulo(stateManager));
+    history.closeGroup();
+    const sinColores = estado(grafo);
+
+    // La coloración modifica los mismos objetos nodo que guarda el reemplazo
+    history.beginColoring('DSatur');
+    ['blue', 'red', 'green'].forEach((color, i) => {
+      grafo.nodos[i].color = color;
+    });
+    history.finishColoring();
+    const coloreado = estado(grafo);
+
+    history.undo();
+    expect(estado(grafo)).toEqual(sinColores);
+    history.undo();
+    expect(estado(grafo)).toEqual(original);
+
+    history.redo();
+    expect(estado(grafo)).toEqual(sinColores);
+    history.redo();
+    expect(estado(grafo)).toEqual(coloreado);
+  });
+
+  test('editar el grafo reemplazado no altera el contenido guardado', () => {
+    const { stateManager, history, grafo } = crearEntorno();
+    const comando = reemplazarPorTriangulo(stateManager);
+    history.record(comando);
+
+    grafo.eliminarNodo(3);
+    expect(comando.despues.nodos).toHaveLength(3);
+    expect(comando.despues.aristas).toHaveLength(3);
+  });
+});
@@ -4,8 +4,10 @@
  * @module GraphContext
  */
 
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import GraphController from './GraphController.js';
+import SessionStorage from './SessionStorage.js';
+import { PERSISTENCE } from '../models/constants/index.js';
 
 /**
  * Objeto de contexto para estado del grafo y operaciones.
@@ -32,6 +34,7 @@ export function useGraphContext() {
  * Componente Graph Provider.
  * Envuelve la aplicación y provee estado del grafo y operaciones a todos los hijos.
  * Crea una instancia única de GraphController y se suscribe a los cambios de estado.
+ * Además autoguarda la sesión en IndexedDB y mantiene la biblioteca de grafos guardados.
  * 
  * @component
  * @param {Object} props
@@ -52,6 +55,70 @@ export function GraphProvider({ children }) {
         return unsubscribe;
     }, [controller]);
 
+    // Persistencia local: autoguardado y biblioteca de grafos
+    const [storage] = useState(() => new SessionStorage());
+    const [restorePending, setRestorePending] = useState(null);
+    const [library, setLibrary] = useState([]);
+
+    // No se autoguarda hasta decidir qué hacer con la sesión anterior, para no sobrescribirla
+    const autosaveEnabled = useRef(false);
+
+    const refreshLibrary = useCallback(async () => {
+        setLibrary(await storage.listGraphs());
+    }, [storage]);
+
+    useEffect(() => {
+        if (!storage.isAvailable()) return undefined;
+
+        let cancelado = false;
+        storage.loadAutosave()
+            .then((registro) => {
+                if (cancelado) return;
+                if (registro?.document?.graph?.nodes?.length > 0) {
+                    setRestorePending({
+                        savedAt: registro.savedAt,
+                        nodes: registro.document.graph.nodes.length,
+                        edges: registro.document.graph.edges.length,
+                        document: registro.document
+                    });
+                } else {
+                    autosaveEnabled.current = true;
+                }
+            })
+            .catch((error) => {
+                console.warn('No se pudo leer la sesión autoguardada:', error);
+                autosaveEnabled.current = true;
+            });
+        refreshLibrary().catch((error) => {
+            console.warn('No se pudo leer la biblioteca de grafos:', error);
+        });
+
+        return () => {
+            cancelado = true;
+        };
+    }, [storage, refreshLibrary]);
+
+    useEffect(() => {
+        if (!storage.isAvailable()) return undefined;
+
+        // Autoguardar con debounce; durante una ejecución se espera a que termine
+        let temporizador = null;
+        const unsubscribe = controller.subscribe((snapshot) => {
+            if (!autosaveEnabled.current || snapshot.coloringStats?.isRunning) return;
+            clearTimeout(temporizador);
+            temporizador = setTimeout(() => {
+                storage.saveAutosave(controller.exportSessionDocument()).catch((error) => {
+                    console.warn('No se pudo autoguardar la sesión:', error);
+                });
+            }, PERSISTENCE.AUTOSAVE_DELAY);
+        });
+
+        return () => {
+            clearTimeout(temporizador);
+            unsubscribe();
+        };
+    }, [controller, storage]);
+
     /**
      * Acciones de operaciones del grafo expuestas a los componentes.
      * Todas las acciones están memoizadas para prevenir re-renders innecesarios.
@@ -87,6 +154,29 @@ export function GraphProvider({ children }) {
             controller.moveNode(nodeId, x, y);
         }, [controller]),
 
+        /**
+         * Termina el arrastre de un nodo (los movimientos del arrastre quedan como un solo paso).
+         */
+        endNodeMove: useCallback(() => {
+            controller.endNodeMove();
+        }, [controller]),
+
+        /**
+         * Deshace la última edición.
+         * @returns {string|null} Etiqueta del paso deshecho.
+         */
+        undo: useCallback(() => {
+            return controller.undo();
+        }, [controller]),
+
+        /**
+         * Rehace la última edición deshecha.
+         * @returns {string|null} Etiqueta del paso rehecho.
+         */
+        redo: useCallback(() => {
+            return controller.redo();
+        }, [controller]),
+
         /**
          * Elimina una arista entre dos nodos.
          * @param {number} sourceId - ID del nodo origen.
@@ -105,11 +195,61 @@ export function GraphProvider({ children }) {
         }, [controller]),
 
         /**
-         * Genera un grafo conectado aleatorio.
+         * Genera un grafo aleatorio.
          * @param {number} numberOfNodes - Número de nodos a generar.
+         * @param {number|string} [seed] - Semilla para reproducir el grafo.
+         * @param {Object} [generator] - Modelo y parámetros del generador.
+         * @throws {Error} Si la configuración del generador es inválida.
+         */
+        generateRandomGraph: useCallback((numberOfNodes, seed, generator) => {
+            controller.generateRandomGraph(numberOfNodes, seed, generator);
+        }, [controller]),
+
+        /**
+         * Carga un grafo del catálogo de grafos clásicos.
+         * @param {string} id - Clave del catálogo (p. ej. 'petersen').
+         * @param {Object} [params] - Parámetros del grafo (p. ej. { n: 8 }).
+         * @param {number|string} [seed] - Semilla del layout de fuerzas.
+         * @returns {{name: string, nodes: number, edges: number, chromaticNumber: number}} Resumen del grafo cargado.
+         */
+        loadNamedGraph: useCallback((id, params, seed) => {
+            return controller.loadNamedGraph(id, params, seed);
+        }, [controller]),
+
+        /**
+         * Importa un grafo desde el contenido de un archivo DIMACS (.col).
+         * @param {string} texto - Contenido del archivo.
+         * @returns {{nodes: number, edges: number, warnings: Array<string>}} Resumen de la importación.
+         * @throws {Error} Si el archivo está mal formado o supera el máximo de nodos.
          */
-        generateRandomGraph: useCallback((numberOfNodes) => {
-            controller.generateRandomGraph(numberOfNodes);
+        importDimacs: useCallback((texto) => {
+            return controller.importDimacs(texto);
+        }, [controller]),
+
+        /**
+         * Exporta el grafo actual en formato DIMACS (.col).
+         * @returns {string} Contenido del archivo.
+         */
+        exportDimacs: useCallback(() => {
+            return controller.exportDimacs();
+        }, [controller]),
+
+        /**
+         * Serializa la sesión actual como JSON.
+         * @returns {string} Contenido del archivo de sesión.
+         */
+        exportSession: useCallback(() => {
+            return controller.exportSession();
+        }, [controller]),
+
+        /**
+         * Restaura una sesión desde el contenido de un archivo JSON.
+         * @param {string} texto - Contenido del archivo.
+         * @returns {{nodes: number, edges: number, schemaVersion: number}} Resumen de la sesión restaurada.
+         * @throws {Error} Si el archivo no es una sesión válida.
+         */
+        importSession: useCallback((texto) => {
+            return controller.importSession(texto);
         }, [controller]),
 
         /**
@@ -119,6 +259,22 @@ export function GraphProvider({ children }) {
             controller.clearColors();
         }, [controller]),
 
+        /**
+         * Colorea el grafo con su solución oculta (grafos generados con el modelo plantado).
+         * @returns {boolean} True si se aplicó; false si el grafo no tiene solución oculta.
+         */
+        revealPlantedColoring: useCallback(() => {
+            return controller.revealPlantedColoring();
+        }, [controller]),
+
+        /**
+         * Compara la coloración actual con la solución oculta del grafo.
+         * @returns {Object|null} Resumen de la comparación, o null si el grafo no tiene solución oculta.
+         */
+        comparePlantedColoring: useCallback(() => {
+            return controller.comparePlantedColoring();
+        }, [controller]),
+
         /**
          * Resetea el grafo completo a estado vacío.
          */
@@ -130,9 +286,10 @@ export function GraphProvider({ children }) {
 
         /**
          * Reorganiza el layout del grafo usando algoritmo dirigido por fuerzas.
+         * @param {number|string} [seed] - Semilla del layout.
          */
-        reorganizeLayout: useCallback(() => {
-            controller.reorganizeLayout();
+        reorganizeLayout: useCallback((seed) => {
+            controller.reorganizeLayout(seed);
         }, [controller]),
 
         // Operaciones de Coloración 
@@ -158,6 +315,27 @@ export function GraphProvider({ children }) {
             controller.startDynamicColoring(options);
         }, [controller]),
 
+        /**
+         * Pausa la ejecución en curso conservando la mejor coloración actual.
+         */
+        pauseColoring: useCallback(() => {
+            controller.pauseColoring();
+        }, [controller]),
+
+        /**
+         * Reanuda la ejecución en pausa.
+         */
+        resumeColoring: useCallback(() => {
+            controller.resumeColoring();
+        }, [controller]),
+
+        /**
+         * Ejecuta un solo paso de la ejecución en pausa.
+         */
+        stepColoring: useCallback(() => {
+            controller.stepColoring();
+        }, [controller]),
+
         /**
          * Inicia el algoritmo de búsqueda local con visualización paso a paso.
          * @param {Function} [onComplete] - Callback que recibe resultados cuando termina.
@@ -165,12 +343,166 @@ export function GraphProvider({ children }) {
         startLocalSearch: useCallback((onComplete) => {
             controller.startLocalSearchDynamic(onComplete);
         }, [controller]),
+
+        /**
+         * Inicia la optimización Tabucol desde la coloración actual.
+         * @param {Object} [options] - Configuración de la búsqueda tabú.
+         * @param {string} [options.speed] - 'slow' para paso a paso o 'fast' para ejecutar en el worker.
+         */
+        startTabuSearch: useCallback((options) => {
+            controller.startTabuSearch(options);
+        }, [controller]),
+
+        /**
+         * Calcula el número cromático exacto con branch-and-bound en el worker.
+         */
+        startExactSolver: useCallback(() => {
+            controller.startExactSolver();
+        }, [controller]),
+
+        /**
+         * Busca un clique máximo en el worker y lo resalta en el canvas.
+         */
+        findMaxClique: useCallback(() => {
+            controller.findMaxClique();
+        }, [controller]),
+
+        /**
+         * Compara varios algoritmos sobre una copia congelada del grafo.
+         * @param {Array<Object>} configs - Configuraciones (algorithm, numColors, iterations, seed).
+         */
+        startComparison: useCallback((configs) => {
+            controller.startComparison(configs);
+        }, [controller]),
+
+        /**
+         * Cancela la comparación en curso conservando los resultados obtenidos.
+         */
+        cancelComparison: useCallback(() => {
+            controller.cancelComparison();
+        }, [controller]),
+
+        /**
+         * Descarta la comparación y sus resultados.
+         */
+        clearComparison: useCallback(() => {
+            controller.clearComparison();
+        }, [controller]),
+
+        /**
+         * Inicia un experimento por lotes con ensayos repetidos.
+         * @param {Object} grid - Grilla (nodeCounts, colorCounts, algorithms, iterations, trials, seed).
+         * @returns {{groups: number, trials: number, seed: number}} Resumen del experimento iniciado.
+         * @throws {Error} Si la grilla es inválida.
+         */
+        startExperiment: useCallback((grid) => {
+            return controller.startExperiment(grid);
+        }, [controller]),
+
+        /**
+         * Cancela el experimento en curso conservando los ensayos terminados.
+         */
+        cancelExperiment: useCallback(() => {
+            controller.cancelExperiment();
+        }, [controller]),
+
+        /**
+         * Descarta el experimento y sus resultados.
+         */
+        clearExperiment: useCallback(() => {
+            controller.clearExperiment();
+        }, [controller]),
+
+        /**
+         * Exporta los resultados del experimento como CSV.
+         * @param {'summary'|'trials'} [tipo] - Resumen por configuración o una fila por ensayo.
+         * @returns {string|null} Contenido CSV.
+         */
+        exportExperimentCsv: useCallback((tipo) => {
+            return controller.exportExperimentCsv(tipo);
+        }, [controller]),
+
+        // Persistencia local
+
+        /**
+         * Restaura la sesión autoguardada ofrecida al cargar y reactiva el autoguardado.
+         * @returns {{nodes: number, edges: number, schemaVersion: number}} Resumen de la sesión restaurada.
+         * @throws {Error} Si la sesión guardada no es válida.
+         */
+        restoreAutosave: useCallback(() => {
+            try {
+                return controller.importSessionDocument(restorePending.document);
+            } finally {
+                setRestorePending(null);
+                autosaveEnabled.current = true;
+            }
+        }, [controller, restorePending]),
+
+        /**
+         * Descarta la oferta de restaurar y reactiva el autoguardado;
+         * la sesión anterior se reemplaza con el próximo cambio.
+         */
+        discardAutosave: useCallback(() => {
+            setRestorePending(null);
+            autosaveEnabled.current = true;
+        }, []),
+
+        /**
+         * Guarda el grafo y la coloración actuales en la biblioteca.
+         * @param {string} name - Nombre del grafo.
+         * @returns {Promise<void>}
+         */
+        saveToLibrary: useCallback(async (name) => {
+            await storage.saveGraph(name, controller.exportSessionDocument());
+            await refreshLibrary();
+        }, [controller, storage, refreshLibrary]),
+
+        /**
+         * Abre un grafo de la biblioteca reemplazando la sesión actual.
+         * @param {number} id - ID del grafo.
+         * @returns {Promise<{nodes: number, edges: number, schemaVersion: number}>} Resumen de la sesión abierta.
+         * @throws {Error} Si el grafo ya no existe o no es válido.
+         */
+        openFromLibrary: useCallback(async (id) => {
+            const entrada = await storage.loadGraph(id);
+            if (!entrada) {
+                await refreshLibrary();
+                throw new Error('El grafo ya no existe en la biblioteca.');
+            }
+            return controller.importSessionDocument(entrada.document);
+        }, [controller, storage, refreshLibrary]),
+
+        /**
+         * Cambia el nombre de un grafo de la biblioteca.
+         * @param {number} id - ID del grafo.
+         * @param {string} name - Nuevo nombre.
+         * @returns {Promise<void>}
+         */
+        renameInLibrary: useCallback(async (id, name) => {
+            await storage.renameGraph(id, name);
+            await refreshLibrary();
+        }, [storage, refreshLibrary]),
+
+        /**
+         * Elimina un grafo de la biblioteca.
+         * @param {number} id - ID del grafo.
+         * @returns {Promise<void>}
+         */
+        deleteFromLibrary: useCallback(async (id) => {
+            await storage.deleteGraph(id);
+            await refreshLibrary();
+        }, [storage, refreshLibrary]),
     };
 
     // Valor de contexto provisto a todos los hijos
     const contextValue = {
         graphState,
         actions,
+        persistence: {
+            available: storage.isAvailable(),
+            restorePending,
+            library,
+        },
     };
 
     return (
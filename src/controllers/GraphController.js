@@ -4,10 +4,15 @@ import WorkerManager from "./WorkerManager.js";
 import GraphOperationsController from "./GraphOperationsController.js";
 import LayoutController from "./LayoutController.js";
 import ColoringController from "./ColoringController.js";
+import SessionController from "./SessionController.js";
+import HistoryController from "./HistoryController.js";
+import ComparisonController from "./ComparisonController.js";
+import ExperimentController from "./ExperimentController.js";
 
 /**
  * Controlador principal del grafo que orquesta todas las operaciones relacionadas con el grafo.
- * Actúa como fachada coordinando StateManager, WorkerManager y controladores especializados.
+ * Actúa como fachada coordinando StateManager, WorkerManager, el historial de deshacer / rehacer
+ * y controladores especializados.
  * 
  * @class GraphController
  */
@@ -22,17 +27,22 @@ export default class GraphController {
     // Inicializar state manager
     this.stateManager = new StateManager(this.graph);
 
+    // Historial de deshacer / rehacer compartido por todos los controladores
+    this.historyController = new HistoryController(this.stateManager);
+
     // Inicializar coloring controller primero (necesario para otros)
     this.coloringController = new ColoringController(
       this.graph,
       this.stateManager,
-      null // WorkerManager será configurado después de la inicialización
+      null, // WorkerManager será configurado después de la inicialización
+      this.historyController
     );
 
     // Inicializar worker manager con callback de coloración
     this.workerManager = new WorkerManager(
       this.stateManager,
-      this.coloringController.applyColoring.bind(this.coloringController)
+      this.coloringController.applyColoring.bind(this.coloringController),
+      this.historyController
     );
 
     // Actualizar referencia de workerManager en coloringController
@@ -44,15 +54,29 @@ export default class GraphController {
     this.graphOps = new GraphOperationsController(
       this.graph,
       this.stateManager,
-      stopDynamicRun
+      stopDynamicRun,
+      this.historyController
     );
 
     this.layoutController = new LayoutController(
       this.graph,
       this.stateManager,
       this.workerManager,
+      stopDynamicRun,
+      this.historyController
+    );
+
+    this.sessionController = new SessionController(
+      this.graph,
+      this.stateManager,
       stopDynamicRun
     );
+
+    // Comparación de algoritmos sobre una copia congelada del grafo
+    this.comparisonController = new ComparisonController(this.stateManager);
+
+    // Experimentos por lotes sobre grafos generados en los workers
+    this.experimentController = new ExperimentController(this.stateManager);
   }
 
 
@@ -96,17 +120,115 @@ export default class GraphController {
   }
 
   /**
-   * Genera un grafo conectado aleatorio.
+   * Genera un grafo aleatorio.
    * 
    * @param {number} numNodes - Número de nodos a generar.
+   * @param {number|string} [seed] - Semilla para reproducir el grafo.
+   * @param {Object} [generator] - Modelo y parámetros del generador.
+   * @throws {Error} Si la configuración del generador es inválida.
    */
-  generateRandomGraph(numNodes) {
-    this.graphOps.generateRandomGraph(numNodes);
+  generateRandomGraph(numNodes, seed, generator) {
+    this.graphOps.generateRandomGraph(numNodes, seed, generator);
     // Actualizar referencia del grafo en caso de que haya sido reemplazado
     this.graph = this.stateManager.graph;
     this._updateGraphReferences();
   }
 
+  /**
+   * Carga un grafo del catálogo de grafos clásicos.
+   * 
+   * @param {string} id - Clave del catálogo.
+   * @param {Object} [params] - Parámetros del grafo.
+   * @param {number|string} [seed] - Semilla del layout de fuerzas.
+   * @returns {{name: string, nodes: number, edges: number, chromaticNumber: number}} Resumen del grafo cargado.
+   * @throws {Error} Si el grafo no existe o los parámetros son inválidos.
+   */
+  loadNamedGraph(id, params, seed) {
+    const resumen = this.graphOps.loadNamedGraph(id, params, seed);
+    // Actualizar referencia del grafo reemplazado
+    this.graph = this.stateManager.graph;
+    this._updateGraphReferences();
+    return resumen;
+  }
+
+  /**
+   * Importa un grafo desde un archivo DIMACS (.col).
+   * 
+   * @param {string} texto - Contenido del archivo.
+   * @returns {{nodes: number, edges: number, warnings: Array<string>}} Resumen de la importación.
+   * @throws {Error} Si el archivo está mal formado o supera el máximo de nodos.
+   */
+  importDimacs(texto) {
+    const resumen = this.graphOps.importDimacs(texto);
+    // Actualizar referencia del grafo reemplazado
+    this.graph = this.stateManager.graph;
+    this._updateGraphReferences();
+    return resumen;
+  }
+
+  /**
+   * Exporta el grafo actual en formato DIMACS (.col).
+   * 
+   * @returns {string} Contenido del archivo.
+   */
+  exportDimacs() {
+    return this.graphOps.exportDimacs();
+  }
+
+  /**
+   * Serializa la sesión actual (grafo, coloración, estadísticas e historial) como JSON.
+   * 
+   * @returns {string} Contenido del archivo de sesión.
+   */
+  exportSession() {
+    return this.sessionController.exportSession();
+  }
+
+  /**
+   * Restaura una sesión desde el contenido de un archivo JSON.
+   * 
+   * @param {string} texto - Contenido del archivo.
+   * @returns {{nodes: number, edges: number, schemaVersion: number}} Resumen de la sesión restaurada.
+   * @throws {Error} Si el archivo no es una sesión válida.
+   */
+  importSession(texto) {
+    const resumen = this.sessionController.importSession(texto);
+    // Actualizar referencia del grafo reemplazado
+    this.graph = this.stateManager.graph;
+    this._updateGraphReferences();
+    // La sesión abierta empieza con el historial vacío
+    this.historyController.clear();
+    this.stateManager.notify(true);
+    return resumen;
+  }
+
+  /**
+   * Construye el documento de sesión con el estado actual (para persistirlo sin serializar).
+   *
+   * @returns {Object} Documento de sesión.
+   */
+  exportSessionDocument() {
+    return this.sessionController.exportSessionDocument();
+  }
+
+  /**
+   * Restaura una sesión desde un documento ya parseado (p. ej. leído de IndexedDB).
+   *
+   * @param {Object} documento - Documento de sesión.
+   * @returns {{nodes: number, edges: number, schemaVersion: number}} Resumen de la sesión restaurada.
+   * @throws {Error} Si el documento no es una sesión válida.
+   */
+  importSessionDocument(documento) {
+    const resumen = this.sessionController.importSessionDocument(documento);
+    // Actualizar referencia del grafo reemplazado
+    this.graph = this.stateManager.graph;
+    this._updateGraphReferences();
+    // La sesión abierta empieza con el historial vacío
+    this.historyController.clear();
+    this.stateManager.notify(true);
+    return resumen;
+  }
+
   /**
    * Limpia todos los colores de los nodos sin remover la estructura del grafo.
    */
@@ -114,6 +236,24 @@ export default class GraphController {
     this.graphOps.clearColors();
   }
 
+  /**
+   * Colorea el grafo con su solución oculta (modelo plantado).
+   * 
+   * @returns {boolean} True si se aplicó; false si el grafo no tiene solución oculta.
+   */
+  revealPlantedColoring() {
+    return this.graphOps.revealPlantedColoring();
+  }
+
+  /**
+   * Compara la coloración actual con la solución oculta del grafo.
+   * 
+   * @returns {Object|null} Resumen de la comparación, o null si el grafo no tiene solución oculta.
+   */
+  comparePlantedColoring() {
+    return this.graphOps.comparePlantedColoring();
+  }
+
   /**
    * Resetea el grafo completo a estado vacío.
    */
@@ -132,6 +272,38 @@ export default class GraphController {
     this.graphOps.moveNode(nodeId, x, y);
   }
 
+  /**
+   * Termina el arrastre de un nodo para que el siguiente movimiento sea otro paso del historial.
+   */
+  endNodeMove() {
+    this.graphOps.endNodeMove();
+  }
+
+  /**
+   * Deshace la última edición del grafo o de la coloración.
+   * Si hay un algoritmo en ejecución se detiene primero (su resultado parcial queda como un paso).
+   * 
+   * @returns {string|null} Etiqueta del paso deshecho, o null si no había.
+   */
+  undo() {
+    this.coloringController.stopDynamicRun(true);
+    const etiqueta = this.historyController.undo();
+    this.stateManager.notify(true);
+    return etiqueta;
+  }
+
+  /**
+   * Rehace la última edición deshecha.
+   * 
+   * @returns {string|null} Etiqueta del paso rehecho, o null si no había.
+   */
+  redo() {
+    this.coloringController.stopDynamicRun(true);
+    const etiqueta = this.historyController.redo();
+    this.stateManager.notify(true);
+    return etiqueta;
+  }
+
   /**
    * Elimina una arista entre dos nodos.
    * 
@@ -153,9 +325,11 @@ export default class GraphController {
 
   /**
    * Reorganiza el layout del grafo usando algoritmo dirigido por fuerzas.
+   * 
+   * @param {number|string} [seed] - Semilla del layout.
    */
-  reorganizeLayout() {
-    this.layoutController.reorganizeLayout();
+  reorganizeLayout(seed) {
+    this.layoutController.reorganizeLayout(seed);
   }
 
   /**
@@ -178,6 +352,29 @@ export default class GraphController {
     this.coloringController.startLocalSearchDynamic(onComplete);
   }
 
+  /**
+   * Inicia la optimización Tabucol desde la coloración actual.
+   * 
+   * @param {Object} [options={}] - Configuración de la búsqueda tabú.
+   */
+  startTabuSearch(options = {}) {
+    this.coloringController.startTabuSearch(options);
+  }
+
+  /**
+   * Inicia el cálculo exacto del número cromático.
+   */
+  startExactSolver() {
+    this.coloringController.startExactSolver();
+  }
+
+  /**
+   * Busca un clique máximo y lo resalta en el canvas.
+   */
+  findMaxClique() {
+    this.coloringController.findMaxClique();
+  }
+
   /**
    * Inicia el algoritmo de coloración dinámico (Las Vegas o Monte Carlo).
    * 
@@ -187,6 +384,85 @@ export default class GraphController {
     this.coloringController.startDynamicColoring(options);
   }
 
+  /**
+   * Pausa la ejecución en curso conservando la mejor coloración actual.
+   */
+  pauseColoring() {
+    this.coloringController.pauseColoring();
+  }
+
+  /**
+   * Reanuda la ejecución en pausa.
+   */
+  resumeColoring() {
+    this.coloringController.resumeColoring();
+  }
+
+  /**
+   * Ejecuta un solo paso de la ejecución en pausa.
+   */
+  stepColoring() {
+    this.coloringController.stepColoring();
+  }
+
+  /**
+   * Compara varios algoritmos sobre una copia congelada del grafo actual.
+   * 
+   * @param {Array<Object>} configs - Configuraciones a comparar (algorithm, numColors, iterations, seed).
+   */
+  startComparison(configs) {
+    this.comparisonController.start(this.graph, configs);
+  }
+
+  /**
+   * Cancela la comparación en curso conservando los resultados ya obtenidos.
+   */
+  cancelComparison() {
+    this.comparisonController.cancel();
+  }
+
+  /**
+   * Descarta la comparación y sus resultados.
+   */
+  clearComparison() {
+    this.comparisonController.clear();
+  }
+
+  /**
+   * Inicia un experimento por lotes con ensayos repetidos.
+   * 
+   * @param {Object} grid - Grilla (nodeCounts, colorCounts, algorithms, iterations, trials, seed).
+   * @returns {{groups: number, trials: number, seed: number}} Resumen del experimento iniciado.
+   * @throws {Error} Si la grilla es inválida.
+   */
+  startExperiment(grid) {
+    return this.experimentController.start(grid);
+  }
+
+  /**
+   * Cancela el experimento en curso conservando los ensayos terminados.
+   */
+  cancelExperiment() {
+    this.experimentController.cancel();
+  }
+
+  /**
+   * Descarta el experimento y sus resultados.
+   */
+  clearExperiment() {
+    this.experimentController.clear();
+  }
+
+  /**
+   * Exporta los resultados del experimento como CSV.
+   * 
+   * @param {'summary'|'trials'} [tipo='summary'] - Resumen por configuración o una fila por ensayo.
+   * @returns {string|null} Contenido CSV, o null si no hay experimento.
+   */
+  exportExperimentCsv(tipo) {
+    return this.experimentController.exportCsv(tipo);
+  }
+
 
   /**
    * Actualiza las referencias del grafo en todos los controladores después de reemplazo del grafo.
@@ -197,5 +473,6 @@ export default class GraphController {
     this.layoutController.graph = this.graph;
     this.coloringController.graph = this.graph;
     this.graphOps.graph = this.graph;
+    this.sessionController.graph = this.graph;
   }
 }
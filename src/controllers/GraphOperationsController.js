@@ -1,8 +1,24 @@
 import Graph from "../models/Graph";
+import { crearGeneradorAleatorio, resolverSemilla } from "../models/utils/random.js";
+import { parsearDimacs, serializarDimacs } from "../models/utils/dimacs.js";
+import { coloresPlantados, compararConColoracionPlantada } from "../models/utils/plantedColoring.js";
+import { GRAPH_CONSTRAINTS } from "../models/constants/index.js";
+import {
+  CreateNodeCommand,
+  DeleteNodeCommand,
+  ConnectNodesCommand,
+  DeleteEdgeCommand,
+  MoveNodeCommand,
+  ApplyColoringCommand,
+  ReplaceGraphCommand,
+  capturarColores,
+  capturarContenido
+} from "./GraphCommands.js";
 
 /**
  * Maneja operaciones CRUD para nodos y aristas del grafo.
  * Administra modificaciones de estructura del grafo y operaciones básicas.
+ * Cada modificación se registra en el historial para poder deshacerla.
  * 
  * @class GraphOperationsController
  */
@@ -13,11 +29,13 @@ export default class GraphOperationsController {
    * @param {Graph} graph - Referencia al modelo del grafo.
    * @param {StateManager} stateManager - Referencia al state manager.
    * @param {Function} stopDynamicRunCallback - Callback para detener ejecución dinámica.
+   * @param {HistoryController} history - Historial de deshacer / rehacer.
    */
-  constructor(graph, stateManager, stopDynamicRunCallback) {
+  constructor(graph, stateManager, stopDynamicRunCallback, history) {
     this.graph = graph;
     this.stateManager = stateManager;
     this.stopDynamicRun = stopDynamicRunCallback;
+    this.history = history;
   }
 
   /**
@@ -28,7 +46,8 @@ export default class GraphOperationsController {
    */
   createManualNode(x, y) {
     this.stopDynamicRun(true);
-    this.graph.agregarNodo(x, y);
+    const nodo = this.graph.agregarNodo(x, y);
+    this.history.record(new CreateNodeCommand(nodo));
     this.stateManager.notify();
   }
 
@@ -41,7 +60,8 @@ export default class GraphOperationsController {
    */
   connectNodes(sourceId, targetId) {
     this.stopDynamicRun(false); // false para preservar coloración
-    this.graph.agregarArista(sourceId, targetId);
+    if (!this.graph.agregarArista(sourceId, targetId)) return;
+    this.history.record(new ConnectNodesCommand(sourceId, targetId));
 
     // Marcar como cambio manual y limpiar stats si hay coloración activa
     if (this.stateManager.hasColoredGraph) {
@@ -52,55 +72,190 @@ export default class GraphOperationsController {
   }
 
   /**
-   * Genera un grafo conectado aleatorio.
+   * Genera un grafo aleatorio con el modelo indicado.
    * 
    * @param {number} numNodes - Número de nodos a generar.
+   * @param {number|string} [seed] - Semilla para reproducir el grafo; vacía para generar una nueva.
+   * @param {Object} [generator={}] - Modelo y parámetros (ver Graph.crearGrafoAleatorio); por defecto
+   * el árbol con aristas extra.
+   * @throws {Error} Si la configuración del generador es inválida; el grafo actual no cambia.
    */
-  generateRandomGraph(numNodes) {
+  generateRandomGraph(numNodes, seed, generator = {}) {
+    const semilla = resolverSemilla(seed);
+    const grafo = Graph.crearGrafoAleatorio(numNodes, generator, crearGeneradorAleatorio(semilla));
+
     this.stopDynamicRun(true);
-    this.graph = Graph.crearGrafoConectadoAleatorio(numNodes);
+    const antes = capturarContenido(this.stateManager);
+    this.graph = grafo;
     this.stateManager.graph = this.graph;
+    this.stateManager.setGraphSeed(semilla);
+    this.history.record(new ReplaceGraphCommand('Generar grafo aleatorio', antes, capturarContenido(this.stateManager)));
     this.stateManager.resetManualChanges();
     this.stateManager.notify();
   }
 
+  /**
+   * Reemplaza el grafo por uno del catálogo de grafos clásicos.
+   * 
+   * @param {string} id - Clave del catálogo (p. ej. 'petersen', 'queen').
+   * @param {Object} [params={}] - Parámetros del grafo (p. ej. { n: 8 }).
+   * @param {number|string} [seed] - Semilla del layout de fuerzas (grafos sin disposición propia).
+   * @returns {{name: string, nodes: number, edges: number, chromaticNumber: number}} Resumen del grafo cargado.
+   * @throws {Error} Si el grafo no existe o los parámetros son inválidos; el grafo actual no cambia.
+   */
+  loadNamedGraph(id, params = {}, seed) {
+    const grafo = Graph.crearGrafoConocido(id, params, crearGeneradorAleatorio(resolverSemilla(seed)));
+
+    this.stopDynamicRun(true);
+    const antes = capturarContenido(this.stateManager);
+    this.graph = grafo;
+    this.stateManager.graph = this.graph;
+    this.stateManager.setGraphSeed(null);
+    this.history.record(new ReplaceGraphCommand(`Cargar ${grafo.grafoConocido.name}`, antes, capturarContenido(this.stateManager)));
+    this.stateManager.resetColoringState();
+    this.stateManager.notify();
+
+    return {
+      name: grafo.grafoConocido.name,
+      nodes: grafo.nodos.length,
+      edges: grafo.aristas.length,
+      chromaticNumber: grafo.grafoConocido.chromaticNumber
+    };
+  }
+
+  /**
+   * Reemplaza el grafo por uno leído de un archivo DIMACS (.col).
+   * Como el formato no tiene coordenadas, los nodos se ubican con el layout de fuerzas.
+   * 
+   * @param {string} texto - Contenido del archivo.
+   * @returns {{nodes: number, edges: number, warnings: Array<string>}} Resumen de la importación.
+   * @throws {Error} Si el archivo está mal formado o supera el máximo de nodos.
+   */
+  importDimacs(texto) {
+    const instancia = parsearDimacs(texto, { maxNodos: GRAPH_CONSTRAINTS.MAX_NODES });
+    const grafo = Graph.crearDesdeAristas(instancia.numeroDeNodos, instancia.aristas);
+
+    this.stopDynamicRun(true);
+    const antes = capturarContenido(this.stateManager);
+    this.graph = grafo;
+    this.stateManager.graph = this.graph;
+    this.stateManager.setGraphSeed(null);
+    this.history.record(new ReplaceGraphCommand('Importar DIMACS', antes, capturarContenido(this.stateManager)));
+    this.stateManager.resetColoringState();
+    this.stateManager.notify();
+
+    return {
+      nodes: instancia.numeroDeNodos,
+      edges: instancia.aristas.length,
+      warnings: instancia.advertencias
+    };
+  }
+
+  /**
+   * Serializa el grafo actual en formato DIMACS (.col).
+   * 
+   * @returns {string} Contenido del archivo.
+   */
+  exportDimacs() {
+    return serializarDimacs(this.graph.nodos, this.graph.aristas, [
+      'Grafo exportado desde Coloración de Grafos',
+      `${this.graph.nodos.length} vértices, ${this.graph.aristas.length} aristas`
+    ]);
+  }
+
   /**
    * Limpia todos los colores de los nodos sin remover la estructura del grafo.
    */
   clearColors() {
     this.stopDynamicRun(true);
+    const antes = capturarColores(this.graph);
 
     // Solo remover colores de los nodos
     this.graph.nodos.forEach(nodo => {
       nodo.color = null;
     });
+    this.history.record(new ApplyColoringCommand('Limpiar colores', antes, capturarColores(this.graph)));
 
     this.stateManager.resetColoringState();
     this.stateManager.notify();
   }
 
+  /**
+   * Colorea el grafo con su solución oculta (grafos generados con el modelo plantado)
+   * y ajusta el número de colores a las k clases. Los nodos agregados después de
+   * generar el grafo no tienen clase y quedan sin color.
+   * 
+   * @returns {boolean} True si se aplicó; false si el grafo no tiene solución oculta.
+   */
+  revealPlantedColoring() {
+    const plantada = this.graph.coloracionPlantada;
+    if (!plantada) return false;
+
+    this.stopDynamicRun(true);
+    const antes = capturarColores(this.graph);
+    const colores = coloresPlantados(plantada);
+    this.graph.nodos.forEach(nodo => {
+      nodo.color = colores[nodo.id] ?? null;
+    });
+    this.history.record(new ApplyColoringCommand('Mostrar solución oculta', antes, capturarColores(this.graph)));
+
+    this.stateManager.resetColoringState();
+    this.stateManager.setNumColors(plantada.k);
+    this.stateManager.markGraphAsColored();
+    this.stateManager.notify(true);
+    return true;
+  }
+
+  /**
+   * Compara la coloración actual con la solución oculta del grafo.
+   * 
+   * @returns {Object|null} Resumen de la comparación (ver compararConColoracionPlantada),
+   * o null si el grafo no tiene solución oculta.
+   */
+  comparePlantedColoring() {
+    const plantada = this.graph.coloracionPlantada;
+    if (!plantada) return null;
+    return compararConColoracionPlantada(this.graph.nodos, this.graph.aristas, plantada);
+  }
+
   /**
    * Resetea el grafo completo a estado vacío.
    */
   resetGraph() {
     this.stopDynamicRun(true);
+    const antes = capturarContenido(this.stateManager);
     this.graph.resetear();
+    this.stateManager.setGraphSeed(null);
+    this.history.record(new ReplaceGraphCommand('Reiniciar grafo', antes, capturarContenido(this.stateManager)));
     this.stateManager.resetManualChanges();
     this.stateManager.notify();
   }
 
   /**
    * Mueve un nodo a nuevas coordenadas.
+   * Los movimientos de un mismo arrastre se combinan en un paso del historial hasta endNodeMove.
    * 
    * @param {number} nodeId - ID del nodo a mover.
    * @param {number} x - Nueva coordenada x normalizada (0-1).
    * @param {number} y - Nueva coordenada y normalizada (0-1).
    */
   moveNode(nodeId, x, y) {
+    const nodo = this.graph.obtenerNodo(nodeId);
+    if (!nodo) return;
+
+    const desde = { x: nodo.x, y: nodo.y };
     this.graph.actualizarPosicionNodo(nodeId, x, y);
+    this.history.record(new MoveNodeCommand(nodeId, desde, { x, y }));
     this.stateManager.notify();
   }
 
+  /**
+   * Termina el arrastre de un nodo: el próximo movimiento será un paso nuevo del historial.
+   */
+  endNodeMove() {
+    this.history.closeGroup();
+  }
+
   /**
    * Elimina una arista entre dos nodos.
    * Marca el grafo como modificado manualmente si está coloreado.
@@ -110,7 +265,14 @@ export default class GraphOperationsController {
    */
   deleteEdge(sourceId, targetId) {
     this.stopDynamicRun(false); // false para preservar coloración
+    const arista = this.graph.aristas.find(
+      (a) =>
+        (a.sourceId === sourceId && a.targetId === targetId) ||
+        (a.sourceId === targetId && a.targetId === sourceId)
+    );
+    if (!arista) return;
     this.graph.eliminarArista(sourceId, targetId);
+    this.history.record(new DeleteEdgeCommand(arista.sourceId, arista.targetId));
 
     // Marcar como cambio manual y limpiar stats si hay coloración activa
     if (this.stateManager.hasColoredGraph) {
@@ -128,7 +290,11 @@ export default class GraphOperationsController {
    */
   deleteNode(nodeId) {
     this.stopDynamicRun(false); // false para preservar coloración
+    const nodo = this.graph.obtenerNodo(nodeId);
+    if (!nodo) return;
+    const aristas = this.graph.aristas.filter((a) => a.sourceId === nodeId || a.targetId === nodeId);
     this.graph.eliminarNodo(nodeId);
+    this.history.record(new DeleteNodeCommand(nodo, aristas));
 
     // Marcar como cambio manual y limpiar stats si hay coloración activa
     if (this.stateManager.hasColoredGraph) {
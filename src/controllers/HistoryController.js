@@ -0,0 +1,159 @@
+import { HISTORY } from "../models/constants/index.js";
+import { ApplyColoringCommand, capturarColores } from "./GraphCommands.js";
+
+/**
+ * Historial de deshacer / rehacer basado en comandos (ver GraphCommands).
+ * Los controladores registran un comando por cada edición; los resultados de los
+ * algoritmos se registran como un solo paso desde que empieza la ejecución hasta que termina.
+ *
+ * @class HistoryController
+ */
+export default class HistoryController {
+  /**
+   * Crea una nueva instancia de HistoryController.
+   *
+   * @param {StateManager} stateManager - Referencia al state manager.
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.undoStack = [];
+    this.redoStack = [];
+    this._permiteCombinar = false; // Si el próximo comando puede combinarse con el último
+    this._coloracionPendiente = null; // { label, antes } de la ejecución en curso
+  }
+
+  /**
+   * Registra un comando ya aplicado. Si el último comando puede absorberlo
+   * (p. ej. otro movimiento del mismo arrastre) se combinan en un solo paso.
+   *
+   * @param {Object} comando - Comando con label, undo y redo.
+   */
+  record(comando) {
+    const ultimo = this.undoStack[this.undoStack.length - 1];
+    const combinado = this._permiteCombinar && Boolean(ultimo?.merge?.(comando));
+
+    if (!combinado) {
+      this.undoStack.push(comando);
+      if (this.undoStack.length > HISTORY.MAX_STEPS) {
+        this.undoStack.shift();
+      }
+    }
+
+    this._permiteCombinar = true;
+    this.redoStack = [];
+    this._publicar();
+  }
+
+  /**
+   * Cierra el grupo actual: el próximo comando no se combina con el último
+   * (por ejemplo, al soltar un nodo arrastrado).
+   */
+  closeGroup() {
+    this._permiteCombinar = false;
+  }
+
+  /**
+   * Guarda la coloración actual antes de lanzar un algoritmo.
+   *
+   * @param {string} algorithmLabel - Etiqueta del algoritmo.
+   */
+  beginColoring(algorithmLabel) {
+    this._coloracionPendiente = {
+      label: `Coloración (${algorithmLabel})`,
+      antes: capturarColores(this.stateManager.graph)
+    };
+  }
+
+  /**
+   * Registra el resultado de la ejecución en curso como un solo paso, si cambió algún color.
+   * Se llama al terminar, al detener o al reemplazar la ejecución.
+   */
+  finishColoring() {
+    const pendiente = this._coloracionPendiente;
+    if (!pendiente) return;
+    this._coloracionPendiente = null;
+
+    const despues = capturarColores(this.stateManager.graph);
+    const cambio = Object.keys(despues).some((id) => despues[id] !== (pendiente.antes[id] ?? null));
+    if (cambio) {
+      this.record(new ApplyColoringCommand(pendiente.label, pendiente.antes, despues));
+      this.closeGroup();
+    }
+  }
+
+  /**
+   * Deshace el último paso.
+   *
+   * @returns {string|null} Etiqueta del paso deshecho, o null si no había.
+   */
+  undo() {
+    const comando = this.undoStack.pop();
+    if (!comando) return null;
+
+    comando.undo(this.stateManager);
+    this.redoStack.push(comando);
+    this._sincronizarColoracion();
+    return comando.label;
+  }
+
+  /**
+   * Rehace el último paso deshecho.
+   *
+   * @returns {string|null} Etiqueta del paso rehecho, o null si no había.
+   */
+  redo() {
+    const comando = this.redoStack.pop();
+    if (!comando) return null;
+
+    comando.redo(this.stateManager);
+    this.undoStack.push(comando);
+    this._sincronizarColoracion();
+    return comando.label;
+  }
+
+  /**
+   * Vacía el historial (p. ej. al abrir una sesión).
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._permiteCombinar = false;
+    this._coloracionPendiente = null;
+    this._publicar();
+  }
+
+  /**
+   * Ajusta el estado de coloración tras deshacer o rehacer: las estadísticas ya no
+   * corresponden a los colores actuales, así que se tratan como un cambio manual.
+   *
+   * @private
+   */
+  _sincronizarColoracion() {
+    this._permiteCombinar = false;
+
+    if (this.stateManager.graph.nodos.some((nodo) => nodo.color)) {
+      this.stateManager.markGraphAsColored();
+      this.stateManager.markManualChange();
+    } else {
+      this.stateManager.resetColoringState();
+    }
+
+    this._publicar();
+  }
+
+  /**
+   * Publica en el state manager qué se puede deshacer y rehacer.
+   *
+   * @private
+   */
+  _publicar() {
+    const ultimoDeshacer = this.undoStack[this.undoStack.length - 1];
+    const ultimoRehacer = this.redoStack[this.redoStack.length - 1];
+    this.stateManager.setEditHistory({
+      canUndo: Boolean(ultimoDeshacer),
+      canRedo: Boolean(ultimoRehacer),
+      undoLabel: ultimoDeshacer?.label ?? null,
+      redoLabel: ultimoRehacer?.label ?? null
+    });
+  }
+}
@@ -1,3 +1,6 @@
+import { crearGeneradorAleatorio, resolverSemilla } from "../models/utils/random.js";
+import { MoveNodesCommand, capturarPosiciones } from "./GraphCommands.js";
+
 /**
  * Administra la reorganización del layout del grafo usando algoritmos dirigidos por fuerzas.
  * Maneja cómputo de layout tanto síncrono como basado en Web Worker.
@@ -12,23 +15,29 @@ export default class LayoutController {
    * @param {StateManager} stateManager - Referencia al state manager.
    * @param {WorkerManager} workerManager - Referencia al worker manager.
    * @param {Function} stopDynamicRunCallback - Callback para detener ejecución dinámica.
+   * @param {HistoryController} history - Historial de deshacer / rehacer.
    */
-  constructor(graph, stateManager, workerManager, stopDynamicRunCallback) {
+  constructor(graph, stateManager, workerManager, stopDynamicRunCallback, history) {
     this.graph = graph;
     this.stateManager = stateManager;
     this.workerManager = workerManager;
     this.stopDynamicRun = stopDynamicRunCallback;
+    this.history = history;
   }
 
   /**
    * Reorganiza el layout del grafo usando algoritmo dirigido por fuerzas.
    * Ejecuta de forma síncrona sin mostrar overlay.
+   * 
+   * @param {number|string} [seed] - Semilla del layout; vacía para generar una nueva.
    */
-  reorganizeLayout() {
+  reorganizeLayout(seed) {
     this.stopDynamicRun(true);
 
     // Ejecutar reorganización de forma síncrona sin overlay
-    this.graph.aplicarLayoutFuerzas();
+    const antes = capturarPosiciones(this.graph);
+    this.graph.aplicarLayoutFuerzas(undefined, crearGeneradorAleatorio(resolverSemilla(seed)));
+    this.history.record(new MoveNodesCommand('Reorganizar layout', antes, capturarPosiciones(this.graph)));
     this.stateManager.notify();
   }
 }
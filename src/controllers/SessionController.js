@@ -0,0 +1,122 @@
+import Graph from "../models/Graph";
+import Node from "../models/Node";
+import Edge from "../models/Edge";
+import { crearDocumentoSesion, leerDocumentoSesion } from "../models/utils/session.js";
+
+/**
+ * Guarda y restaura sesiones completas: grafo con posiciones, coloración,
+ * número de colores, estadísticas, historial de intentos, solución oculta y grafo del catálogo.
+ *
+ * @class SessionController
+ */
+export default class SessionController {
+  /**
+   * Crea una nueva instancia de SessionController.
+   *
+   * @param {Graph} graph - Referencia al modelo del grafo.
+   * @param {StateManager} stateManager - Referencia al state manager.
+   * @param {Function} stopDynamicRunCallback - Callback para detener ejecución dinámica.
+   */
+  constructor(graph, stateManager, stopDynamicRunCallback) {
+    this.graph = graph;
+    this.stateManager = stateManager;
+    this.stopDynamicRun = stopDynamicRunCallback;
+  }
+
+  /**
+   * Construye el documento de sesión con el estado actual.
+   * Las estadísticas de una ejecución en curso no se guardan.
+   *
+   * @returns {Object} Documento de sesión en la versión actual del esquema.
+   */
+  exportSessionDocument() {
+    const stats = this.stateManager.coloringStats;
+    return crearDocumentoSesion({
+      nodos: this.graph.nodos,
+      aristas: this.graph.aristas,
+      numColors: this.stateManager.numColors,
+      coloringStats: stats && !stats.isRunning ? stats : null,
+      attemptsHistory: this.stateManager.attemptsHistory,
+      graphSeed: this.stateManager.graphSeed,
+      plantedColoring: this.graph.coloracionPlantada,
+      namedGraph: this.graph.grafoConocido
+    });
+  }
+
+  /**
+   * Serializa la sesión actual como JSON.
+   *
+   * @returns {string} Contenido del archivo de sesión.
+   */
+  exportSession() {
+    return JSON.stringify(this.exportSessionDocument(), null, 2);
+  }
+
+  /**
+   * Reemplaza el estado actual por el de un documento de sesión.
+   *
+   * @param {Object} documento - Documento de sesión (cualquier versión soportada del esquema).
+   * @returns {{nodes: number, edges: number, schemaVersion: number}} Resumen de la sesión restaurada.
+   * @throws {Error} Si el documento no es una sesión válida.
+   */
+  importSessionDocument(documento) {
+    const sesion = leerDocumentoSesion(documento);
+
+    const grafo = Graph.desdeDatos(
+      sesion.graph.nodes.map((datos) => {
+        const nodo = new Node(datos.id, datos.x, datos.y);
+        if (datos.color) {
+          nodo.color = datos.color;
+        }
+        return nodo;
+      }),
+      sesion.graph.edges.map((arista) => new Edge(arista.sourceId, arista.targetId))
+    );
+    grafo.coloracionPlantada = sesion.plantedColoring ?? null;
+    grafo.grafoConocido = sesion.namedGraph ?? null;
+    const stats = sesion.coloring.coloringStats;
+    const historial = [...(sesion.coloring.attemptsHistory ?? [])];
+
+    // A partir de aquí nada puede fallar: el documento ya fue validado por completo
+    this.stopDynamicRun(true);
+    this.graph = grafo;
+    this.stateManager.graph = this.graph;
+    this.stateManager.resetColoringState();
+    this.stateManager.setNumColors(sesion.coloring.numColors);
+    this.stateManager.setGraphSeed(sesion.graphSeed ?? null);
+
+    this.stateManager.setColoringStats(
+      stats ? { ...stats, dynamic: false, isRunning: false, isPaused: false } : null
+    );
+    this.stateManager.setAttemptsHistory(historial);
+
+    if (grafo.nodos.some((nodo) => nodo.color)) {
+      this.stateManager.markGraphAsColored();
+    }
+
+    this.stateManager.notify(true);
+
+    return {
+      nodes: grafo.nodos.length,
+      edges: grafo.aristas.length,
+      schemaVersion: documento.schemaVersion
+    };
+  }
+
+  /**
+   * Restaura una sesión desde el contenido de un archivo JSON.
+   *
+   * @param {string} texto - Contenido del archivo.
+   * @returns {{nodes: number, edges: number, schemaVersion: number}} Resumen de la sesión restaurada.
+   * @throws {Error} Si el texto no es JSON o no es una sesión válida.
+   */
+  importSession(texto) {
+    let documento;
+    try {
+      documento = JSON.parse(texto);
+    } catch {
+      throw new Error('El archivo no es un JSON válido.');
+    }
+    return this.importSessionDocument(documento);
+  }
+}
@@ -0,0 +1,178 @@
+import { PERSISTENCE } from "../models/constants/index.js";
+
+/** Almacén con la última sesión guardada automáticamente (un solo registro). */
+const ALMACEN_AUTOGUARDADO = 'autosave';
+
+/** Almacén con los grafos guardados por nombre. */
+const ALMACEN_BIBLIOTECA = 'library';
+
+/** Clave del registro de autoguardado. */
+const CLAVE_AUTOGUARDADO = 'ultima';
+
+/**
+ * Convierte un IDBRequest en una promesa.
+ *
+ * @param {IDBRequest} request - Petición de IndexedDB.
+ * @returns {Promise<*>} Resultado de la petición.
+ */
+function esperarPeticion(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persiste sesiones en IndexedDB: el autoguardado de la sesión actual y una
+ * biblioteca de grafos con nombre que se pueden abrir, renombrar y eliminar.
+ * Todas las operaciones son asíncronas; si el navegador no soporta IndexedDB
+ * `isAvailable()` devuelve false y las operaciones fallan.
+ *
+ * @class SessionStorage
+ */
+export default class SessionStorage {
+  /**
+   * Crea una nueva instancia de SessionStorage.
+   *
+   * @param {IDBFactory} [factory=window.indexedDB] - Fábrica de IndexedDB.
+   */
+  constructor(factory = window.indexedDB) {
+    this.factory = factory;
+    this._conexion = null;
+  }
+
+  /**
+   * Indica si IndexedDB está disponible en el entorno.
+   *
+   * @returns {boolean} True si se puede persistir.
+   */
+  isAvailable() {
+    return Boolean(this.factory);
+  }
+
+  /**
+   * Abre (una sola vez) la base de datos, creando los almacenes si no existen.
+   *
+   * @private
+   * @returns {Promise<IDBDatabase>} Conexión a la base de datos.
+   */
+  _abrir() {
+    if (!this._conexion) {
+      const request = this.factory.open(PERSISTENCE.DB_NAME, PERSISTENCE.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ALMACEN_AUTOGUARDADO)) {
+          db.createObjectStore(ALMACEN_AUTOGUARDADO);
+        }
+        if (!db.objectStoreNames.contains(ALMACEN_BIBLIOTECA)) {
+          db.createObjectStore(ALMACEN_BIBLIOTECA, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      this._conexion = esperarPeticion(request);
+    }
+    return this._conexion;
+  }
+
+  /**
+   * Ejecuta una operación sobre un almacén y espera su resultado.
+   *
+   * @private
+   * @param {string} almacen - Nombre del almacén.
+   * @param {IDBTransactionMode} modo - 'readonly' o 'readwrite'.
+   * @param {Function} operacion - Recibe el IDBObjectStore y devuelve un IDBRequest.
+   * @returns {Promise<*>} Resultado de la petición.
+   */
+  async _ejecutar(almacen, modo, operacion) {
+    const db = await this._abrir();
+    const transaccion = db.transaction(almacen, modo);
+    return esperarPeticion(operacion(transaccion.objectStore(almacen)));
+  }
+
+  /**
+   * Guarda la sesión actual como autoguardado, reemplazando el anterior.
+   *
+   * @param {Object} documento - Documento de sesión.
+   * @returns {Promise<void>}
+   */
+  async saveAutosave(documento) {
+    await this._ejecutar(ALMACEN_AUTOGUARDADO, 'readwrite', (store) =>
+      store.put({ savedAt: Date.now(), document: documento }, CLAVE_AUTOGUARDADO)
+    );
+  }
+
+  /**
+   * Obtiene el último autoguardado.
+   *
+   * @returns {Promise<{savedAt: number, document: Object}|undefined>} Registro guardado, si existe.
+   */
+  loadAutosave() {
+    return this._ejecutar(ALMACEN_AUTOGUARDADO, 'readonly', (store) => store.get(CLAVE_AUTOGUARDADO));
+  }
+
+  /**
+   * Lista los grafos de la biblioteca sin sus documentos, del más reciente al más antiguo.
+   *
+   * @returns {Promise<Array<{id: number, name: string, savedAt: number, nodes: number, edges: number}>>}
+   */
+  async listGraphs() {
+    const entradas = await this._ejecutar(ALMACEN_BIBLIOTECA, 'readonly', (store) => store.getAll());
+    return entradas
+      .map(({ id, name, savedAt, document }) => ({
+        id,
+        name,
+        savedAt,
+        nodes: document.graph.nodes.length,
+        edges: document.graph.edges.length
+      }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Guarda un grafo con nombre en la biblioteca.
+   *
+   * @param {string} name - Nombre del grafo.
+   * @param {Object} documento - Documento de sesión.
+   * @returns {Promise<number>} ID asignado.
+   */
+  saveGraph(name, documento) {
+    return this._ejecutar(ALMACEN_BIBLIOTECA, 'readwrite', (store) =>
+      store.add({ name, savedAt: Date.now(), document: documento })
+    );
+  }
+
+  /**
+   * Obtiene un grafo de la biblioteca.
+   *
+   * @param {number} id - ID del grafo.
+   * @returns {Promise<{id: number, name: string, savedAt: number, document: Object}|undefined>}
+   */
+  loadGraph(id) {
+    return this._ejecutar(ALMACEN_BIBLIOTECA, 'readonly', (store) => store.get(id));
+  }
+
+  /**
+   * Cambia el nombre de un grafo de la biblioteca.
+   *
+   * @param {number} id - ID del grafo.
+   * @param {string} name - Nuevo nombre.
+   * @returns {Promise<void>}
+   * @throws {Error} Si el grafo no existe.
+   */
+  async renameGraph(id, name) {
+    const entrada = await this.loadGraph(id);
+    if (!entrada) {
+      throw new Error('El grafo ya no existe en la biblioteca.');
+    }
+    await this._ejecutar(ALMACEN_BIBLIOTECA, 'readwrite', (store) => store.put({ ...entrada, name }));
+  }
+
+  /**
+   * Elimina un grafo de la biblioteca.
+   *
+   * @param {number} id - ID del grafo.
+   * @returns {Promise<void>}
+   */
+  async deleteGraph(id) {
+    await this._ejecutar(ALMACEN_BIBLIOTECA, 'readwrite', (store) => store.delete(id));
+  }
+}
@@ -1,5 +1,6 @@
 // src/controllers/StateManager.js
 import { obtenerAristasConflicto } from "../models/utils/graphAnalysis.js";
+import { grafoConocidoVigente } from "../models/utils/namedGraphs.js";
 import { GRAPH_CONSTRAINTS } from "../models/constants/index.js";
 
 /**
@@ -25,6 +26,12 @@ export default class StateManager {
     this.attemptsHistory = []; // Historial para gráfico de MonteCarlo
     this.hasManualChanges = false; // Detecta recoloreo manual
     this.hasColoredGraph = false; // Flag indicando si el grafo tiene coloración
+    this.highlight = null; // Subgrafo resaltado en el canvas: { type, nodeIds, edges }
+    this.maxClique = null; // Resultado de la búsqueda de clique máximo: { running, nodeIds, size, complete, timeMs }
+    this.graphSeed = null; // Semilla con la que se generó el grafo aleatorio actual
+    this.editHistory = { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null }; // Deshacer / rehacer
+    this.comparison = null; // Comparación de algoritmos: { running, graph, runs }
+    this.experiment = null; // Experimento por lotes: { running, seed, total, completed, timeMs, error, groups }
 
     // Throttling para notificaciones
     this._ultimaNotificacion = null;
@@ -48,6 +55,15 @@ export default class StateManager {
       attemptsHistory: this.attemptsHistory || [],
       hasManualChanges: this.hasManualChanges,
       hasColoredGraph: this.hasColoredGraph,
+      highlight: this.highlight,
+      maxClique: this.maxClique,
+      graphSeed: this.graphSeed,
+      plantedColoring: this.graph.coloracionPlantada,
+      namedGraph: grafoConocidoVigente(this.graph),
+      numColors: this.numColors,
+      editHistory: this.editHistory,
+      comparison: this.comparison,
+      experiment: this.experiment,
     };
   }
 
@@ -105,6 +121,8 @@ export default class StateManager {
     this.attemptsHistory = [];
     this.hasManualChanges = false;
     this.hasColoredGraph = false;
+    this.highlight = null;
+    this.maxClique = null;
   }
 
 
@@ -145,6 +163,60 @@ export default class StateManager {
     this.coloringStats = stats;
   }
 
+  /**
+   * Establece el subgrafo resaltado en el canvas (por ejemplo, un certificado de infactibilidad).
+   * 
+   * @param {Object|null} highlight - Objeto con type, nodeIds y edges, o null para quitar el resaltado.
+   */
+  setHighlight(highlight) {
+    this.highlight = highlight;
+  }
+
+  /**
+   * Establece el resultado de la búsqueda de clique máximo.
+   * 
+   * @param {Object|null} maxClique - Objeto con running, nodeIds, size, complete y timeMs, o null.
+   */
+  setMaxClique(maxClique) {
+    this.maxClique = maxClique;
+  }
+
+  /**
+   * Registra la semilla con la que se generó el grafo aleatorio.
+   * 
+   * @param {number|null} seed - Semilla usada, o null si el grafo no es aleatorio.
+   */
+  setGraphSeed(seed) {
+    this.graphSeed = seed;
+  }
+
+  /**
+   * Establece qué pasos se pueden deshacer y rehacer.
+   * 
+   * @param {Object} editHistory - Objeto con canUndo, canRedo, undoLabel y redoLabel.
+   */
+  setEditHistory(editHistory) {
+    this.editHistory = editHistory;
+  }
+
+  /**
+   * Establece el estado de la comparación de algoritmos.
+   * 
+   * @param {Object|null} comparison - Objeto con running, graph y runs, o null.
+   */
+  setComparison(comparison) {
+    this.comparison = comparison;
+  }
+
+  /**
+   * Establece el estado del experimento por lotes.
+   * 
+   * @param {Object|null} experiment - Objeto con running, total, completed y groups, o null.
+   */
+  setExperiment(experiment) {
+    this.experiment = experiment;
+  }
+
   /**
    * Actualiza el array de aristas en conflicto.
    * 
@@ -1,6 +1,23 @@
+import { aristasDeClique } from "../models/utils/cliqueAnalysis.js";
+import { PARALLEL } from "../models/constants/index.js";
+import WorkerPool from "./WorkerPool.js";
+
+/**
+ * Crea un Web Worker de GraphWorker.
+ *
+ * @returns {Worker} Worker de módulo nuevo.
+ */
+export function crearGraphWorker() {
+  return new Worker(
+    new URL('../controllers/workers/GraphWorker.js', import.meta.url),
+    { type: 'module' }
+  );
+}
+
 /**
  * Administra el ciclo de vida y comunicación del Web Worker para procesamiento en segundo plano.
  * Maneja cómputo de layout y algoritmos de coloración para grafos grandes.
+ * Monte Carlo y Las Vegas pueden repartirse entre varios workers (ver WorkerPool).
  * 
  * @class WorkerManager
  */
@@ -10,24 +27,31 @@ export default class WorkerManager {
    * 
    * @param {StateManager} stateManager - Referencia al state manager.
    * @param {Function} applyColoringCallback - Callback para aplicar coloración al grafo.
+   * @param {HistoryController} history - Historial de deshacer / rehacer.
    */
-  constructor(stateManager, applyColoringCallback) {
+  constructor(stateManager, applyColoringCallback, history) {
     this.stateManager = stateManager;
     this.applyColoring = applyColoringCallback;
+    this.history = history;
     this.worker = null;
     this.workerRunning = false;
+    this.pausaSolicitada = false; // Si el usuario pidió pausar la coloración en curso
+    this.alVerificarFactibilidad = null; // Continuación de la verificación de factibilidad en curso
   }
 
   /**
    * Inicializa el Web Worker para procesamiento en segundo plano.
+   * 
+   * @param {boolean} [parallel=false] - Si usar un pool con un worker por núcleo (Monte Carlo y Las Vegas).
    */
-  initWorker() {
+  initWorker(parallel = false) {
     if (this.worker) return;
 
-    this.worker = new Worker(
-      new URL('../controllers/workers/GraphWorker.js', import.meta.url),
-      { type: 'module' }
-    );
+    const nucleos = Math.min(navigator.hardwareConcurrency || 1, PARALLEL.MAX_WORKERS);
+
+    this.worker = parallel && nucleos > 1
+      ? new WorkerPool(crearGraphWorker, nucleos)
+      : crearGraphWorker();
 
     this.worker.onmessage = (event) => {
       this._handleWorkerMessage(event);
@@ -54,9 +78,18 @@ export default class WorkerManager {
       case 'colorProgress':
         this._handleColorProgress(data);
         break;
+      case 'colorPaused':
+        this._handleColorPaused(data);
+        break;
       case 'colorComplete':
         this._handleColorComplete(data);
         break;
+      case 'cliqueComplete':
+        this._handleCliqueComplete(data);
+        break;
+      case 'feasibilityResult':
+        this._handleFeasibilityResult(data);
+        break;
       case 'error':
         this._handleError(data);
         break;
@@ -89,6 +122,9 @@ export default class WorkerManager {
     if (typeof data.timeMs !== 'undefined') {
       this.stateManager.coloringStats.timeMs = data.timeMs;
     }
+    if (data.extraStats) {
+      Object.assign(this.stateManager.coloringStats, data.extraStats);
+    }
 
     // Aplicar colores intermedios y conflictEdges para actualizaciones en tiempo real
     if (data.colors) {
@@ -104,8 +140,30 @@ export default class WorkerManager {
       this.stateManager.addAttemptsToHistoryBatch(data.newAttempts);
     }
 
-    const deberiaForzarNotificacion = data.attempts % 50 === 0;
-    this.stateManager.notify(deberiaForzarNotificacion);
+    // El worker ya publica como máximo un progreso por tramo (ALGORITHM.WORKER_SLICE_MS)
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Maneja la confirmación de pausa (o de un paso individual) del worker.
+   * Aplica la coloración actual para poder inspeccionarla mientras la ejecución sigue abierta.
+   * 
+   * @private
+   * @param {Object} data - Datos de progreso en el momento de la pausa.
+   */
+  _handleColorPaused(data) {
+    const stats = this.stateManager.coloringStats;
+    if (!stats) return;
+
+    if (typeof data.attempts !== 'undefined') {
+      this._handleColorProgress(data);
+    } else if (typeof data.timeMs !== 'undefined') {
+      stats.timeMs = data.timeMs;
+    }
+
+    // Un paso confirmado después de reanudar no debe volver a marcar la pausa
+    stats.isPaused = this.pausaSolicitada;
+    this.stateManager.notify(true);
   }
 
   /**
@@ -118,6 +176,7 @@ export default class WorkerManager {
     // Aplicar resultado de coloración
     this.applyColoring(data.result.colors);
     this.stateManager.setConflictEdges(data.result.conflictEdges || []);
+    this.history.finishColoring();
 
     // El historial ya fue acumulado incrementalmente durante el progreso
     // Solo se usa attemptsHistory como fallback si no hubo progreso reportado
@@ -125,6 +184,9 @@ export default class WorkerManager {
       this.stateManager.setAttemptsHistory([...data.result.attemptsHistory]);
     }
 
+    // Al repetir un solo worker de una ejecución paralela se conservan la semilla base y el worker
+    const { replayedWorker, seed: semillaBase, workerIndex, derivedSeed, workerCount } = this.stateManager.coloringStats ?? {};
+
     const estadisticasFinales = {
       algorithm: data.algorithm,
       dynamic: false,
@@ -136,10 +198,19 @@ export default class WorkerManager {
       successRate: data.result.stats.successRate,
       timeMs: data.result.stats.timeMs,
       progress: 1,
+      seed: data.result.seed,
+      ...data.result.extraStats,
+      ...(replayedWorker && { replayedWorker, seed: semillaBase, workerIndex, derivedSeed, workerCount }),
     };
 
     this.stateManager.setColoringStats(estadisticasFinales);
 
+    // Algoritmos que eligen su propio número de colores (solver exacto)
+    const coloresUsados = data.result.extraStats?.colorsUsed;
+    if (coloresUsados && !data.result.extraStats.exceedsPalette) {
+      this.stateManager.setNumColors(coloresUsados);
+    }
+
     // Verificar si no se encontró solución válida  y ejecutar callback
     const noSeEncontroSolucion = data.result.stats.conflicts > 0;
     if (noSeEncontroSolucion && this.stateManager.onNoSolutionFoundCallback) {
@@ -161,6 +232,46 @@ export default class WorkerManager {
     this.stateManager.notify(true);
   }
 
+  /**
+   * Maneja el resultado de la búsqueda de clique máximo y lo resalta en el canvas.
+   * 
+   * @private
+   * @param {Object} data - Resultado con clique, complete, calls y timeMs.
+   */
+  _handleCliqueComplete(data) {
+    const { clique, complete, timeMs } = data.result;
+
+    this.stateManager.setMaxClique({
+      running: false,
+      nodeIds: clique,
+      size: clique.length,
+      complete,
+      timeMs
+    });
+    this.stateManager.setHighlight({
+      type: 'clique',
+      nodeIds: clique,
+      edges: aristasDeClique(clique)
+    });
+
+    this.workerRunning = false;
+    this.terminateWorker();
+
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Maneja el resultado de la verificación de factibilidad y se lo entrega a quien la pidió.
+   * 
+   * @private
+   * @param {Object} data - Resultado de verificarFactibilidad.
+   */
+  _handleFeasibilityResult(data) {
+    const alVerificar = this.alVerificarFactibilidad;
+    this.terminateWorker();
+    alVerificar?.(data.result);
+  }
+
   /**
    * Maneja errores del worker.
    * 
@@ -172,17 +283,69 @@ export default class WorkerManager {
     this.workerRunning = false;
     this.terminateWorker();
     this.stateManager.setColoringStats(null);
+    this.stateManager.setMaxClique(null);
+    this.stateManager.notify(true);
+  }
+
+  /**
+   * Verifica en el worker si k colores pueden alcanzar, sin bloquear la interfaz mientras
+   * se busca el clique que lo certifica.
+   * 
+   * @param {Object} graph - Grafo serializado para el worker ({ nodes, edges }).
+   * @param {number} numColors - Número de colores.
+   * @param {Function} onResult - Recibe el resultado de verificarFactibilidad. No se llama si
+   * el worker se termina antes (por ejemplo, al detener la ejecución).
+   */
+  checkFeasibility(graph, numColors, onResult) {
+    this.initWorker();
+    this.workerRunning = true;
+    this.alVerificarFactibilidad = onResult;
+    this.worker.postMessage({ type: 'checkFeasibility', data: { graph, numColors } });
+  }
+
+  /**
+   * Pide al worker que pause la coloración en curso.
+   * El estado pasa a pausado cuando el worker lo confirma con 'colorPaused'.
+   */
+  pauseColoring() {
+    if (this.worker && this.workerRunning) {
+      this.pausaSolicitada = true;
+      this.worker.postMessage({ type: 'pause' });
+    }
+  }
+
+  /**
+   * Reanuda la coloración en pausa.
+   */
+  resumeColoring() {
+    const stats = this.stateManager.coloringStats;
+    if (!this.worker || !this.workerRunning || !stats?.isPaused) return;
+
+    this.pausaSolicitada = false;
+    stats.isPaused = false;
+    this.worker.postMessage({ type: 'resume' });
     this.stateManager.notify(true);
   }
 
+  /**
+   * Ejecuta un solo paso de la coloración en pausa.
+   */
+  stepColoring() {
+    if (this.worker && this.workerRunning && this.stateManager.coloringStats?.isPaused) {
+      this.worker.postMessage({ type: 'step' });
+    }
+  }
+
   /**
    * Termina el Web Worker y limpia los recursos.
    */
   terminateWorker() {
+    this.alVerificarFactibilidad = null;
     if (this.worker) {
       this.worker.terminate();
       this.worker = null;
       this.workerRunning = false;
+      this.pausaSolicitada = false;
     }
   }
 
@@ -0,0 +1,489 @@
+import { PARALLEL } from "../models/constants/index.js";
+import { derivarSemilla } from "../models/utils/random.js";
+import { cantidadWorkersParalelos, opcionesWorkerParalelo } from "../models/utils/parallelRuns.js";
+
+/**
+ * Cómo reparte el pool cada tipo de mensaje de coloración:
+ * - 'muestras': las iteraciones de Monte Carlo se reparten entre los workers de forma intercalada
+ *   (el worker i hace las muestras i, i + n, i + 2n, ...).
+ * - 'carrera': cada worker ejecuta Las Vegas con su propia semilla; gana el primero que
+ *   encuentra una coloración válida y el resto se cancela.
+ */
+export const MODOS_PARALELOS = {
+  colorMonteCarlo: 'muestras',
+  colorLasVegas: 'carrera',
+  colorSmartLasVegas: 'carrera'
+};
+
+/**
+ * Estadísticas extra que son conteos por worker y se combinan sumándolas o tomando el máximo;
+ * el resto de extraStats se toma del último mensaje recibido.
+ */
+const EXTRA_ACUMULADOS = {
+  deadEnds: 'suma',
+  deadEndDepthTotal: 'suma',
+  maxDeadEndDepth: 'maximo'
+};
+
+/**
+ * Pool de Web Workers para los algoritmos probabilísticos.
+ * Expone la misma interfaz que un Worker (postMessage, onmessage, onerror, terminate) y
+ * publica los mismos mensajes que un solo GraphWorker ('colorProgress', 'colorPaused',
+ * 'colorComplete', 'error'), combinando la mejor coloración, las estadísticas y el
+ * historial de intentos de todos los workers en orden.
+ *
+ * @class WorkerPool
+ */
+export default class WorkerPool {
+  /**
+   * Crea una nueva instancia de WorkerPool.
+   *
+   * @param {Function} crearWorker - Crea un Worker de GraphWorker.
+   * @param {number} maxWorkers - Número máximo de workers simultáneos.
+   */
+  constructor(crearWorker, maxWorkers) {
+    this.crearWorker = crearWorker;
+    this.maxWorkers = Math.max(1, maxWorkers);
+    this.onmessage = null;
+    this.onerror = null;
+    this._reiniciar();
+  }
+
+  /**
+   * Envía un mensaje al pool: inicia una ejecución o la pausa, reanuda o avanza un paso.
+   *
+   * @param {Object} message - Mensaje con type y data, como para GraphWorker.
+   * @throws {Error} Si el tipo de mensaje no se puede repartir entre workers.
+   */
+  postMessage(message) {
+    const { type, data } = message;
+    const modo = MODOS_PARALELOS[type];
+
+    if (modo) {
+      this._iniciar(type, modo, data);
+      return;
+    }
+
+    switch (type) {
+      case 'pause':
+        this._pausar();
+        break;
+      case 'resume':
+        this._reanudar();
+        break;
+      case 'step':
+        this._avanzarUnPaso();
+        break;
+      default:
+        throw new Error(`WorkerPool no admite mensajes de tipo "${type}"`);
+    }
+  }
+
+  /**
+   * Termina todos los workers y descarta la ejecución en curso.
+   */
+  terminate() {
+    this.estados.forEach((estado) => estado.worker.terminate());
+    this._reiniciar();
+  }
+
+  /**
+   * Limpia el estado de la ejecución.
+   *
+   * @private
+   */
+  _reiniciar() {
+    this.estados = [];
+    this.modo = null;
+    this.seed = null;
+    this.totalMuestras = 0;
+    this._turno = 0; // Worker al que le toca aportar el siguiente intento al historial
+    this._emitidos = 0; // Intentos del historial ya numerados
+    this._pendientes = []; // Intentos liberados que aún no se enviaron
+    this._pausaSolicitada = false;
+    this._ultimoEnvio = 0;
+    this._ultimoIntento = null;
+    this._extra = {};
+    this._ganador = null; // Worker que ganó la carrera de Las Vegas
+  }
+
+  /**
+   * Reparte una ejecución entre los workers.
+   *
+   * @private
+   * @param {string} type - Tipo de mensaje del algoritmo.
+   * @param {string} modo - 'muestras' o 'carrera'.
+   * @param {Object} data - Datos del mensaje con graph y options.
+   */
+  _iniciar(type, modo, data) {
+    this.terminate();
+
+    const options = data.options || {};
+    const iteraciones = options.iterations ?? 1000;
+    const cantidad = cantidadWorkersParalelos(modo, iteraciones, this.maxWorkers, PARALLEL.MIN_SAMPLES_PER_WORKER);
+
+    this.modo = modo;
+    this.seed = options.seed;
+    this.totalMuestras = modo === 'muestras' ? iteraciones : 0;
+
+    for (let indice = 0; indice < cantidad; indice++) {
+      const estado = {
+        indice,
+        worker: this.crearWorker(),
+        attempts: 0,
+        successCount: 0,
+        totalConflicts: 0,
+        conflicts: Infinity,
+        colors: null,
+        conflictEdges: [],
+        timeMs: 0,
+        extra: {},
+        cola: [], // Intentos reportados por el worker que aún no entraron al historial combinado
+        terminado: false,
+        esperandoPausa: false
+      };
+      estado.worker.onmessage = (event) => this._recibir(estado, event.data);
+      estado.worker.onerror = (error) => this._fallar(error);
+
+      this.estados.push(estado);
+      estado.worker.postMessage({
+        type,
+        data: { ...data, options: opcionesWorkerParalelo(options, modo, indice, cantidad) }
+      });
+    }
+  }
+
+  /**
+   * Procesa un mensaje de uno de los workers.
+   *
+   * @private
+   * @param {Object} estado - Estado del worker que envió el mensaje.
+   * @param {Object} mensaje - Mensaje recibido.
+   */
+  _recibir(estado, mensaje) {
+    // Mensajes de workers ya cancelados o de una ejecución anterior
+    if (estado.terminado || !this.estados.includes(estado)) return;
+
+    switch (mensaje.type) {
+      case 'colorProgress':
+        this._actualizar(estado, mensaje);
+        this._emitirProgreso('colorProgress', false);
+        break;
+      case 'colorPaused':
+        this._actualizar(estado, mensaje);
+        estado.esperandoPausa = false;
+        this._confirmarPausa();
+        break;
+      case 'colorComplete':
+        this._completar(estado, mensaje);
+        break;
+      case 'error':
+        this.terminate();
+        this._emitir(mensaje);
+        break;
+      default:
+        console.warn('Unknown worker message type:', mensaje.type);
+    }
+  }
+
+  /**
+   * Actualiza el estado de un worker con un mensaje de progreso o de pausa.
+   *
+   * @private
+   * @param {Object} estado - Estado del worker.
+   * @param {Object} mensaje - Mensaje de progreso.
+   */
+  _actualizar(estado, mensaje) {
+    if (typeof mensaje.timeMs !== 'undefined') {
+      estado.timeMs = mensaje.timeMs;
+    }
+    // Pausa antes del primer intento: solo trae el tiempo
+    if (typeof mensaje.attempts === 'undefined') return;
+
+    estado.attempts = mensaje.attempts;
+    estado.successCount = mensaje.successCount;
+    estado.totalConflicts = mensaje.totalConflicts;
+    estado.conflicts = mensaje.conflicts;
+    estado.colors = mensaje.colors;
+    estado.conflictEdges = mensaje.conflictEdges || [];
+
+    this._ultimoIntento = mensaje.currentAttempt;
+    this._extra = mensaje.extraStats || {};
+    estado.extra = this._extra;
+
+    if (mensaje.newAttempts && mensaje.newAttempts.length > 0) {
+      estado.cola.push(...mensaje.newAttempts);
+    }
+  }
+
+  /**
+   * Registra el final de un worker. En una carrera de Las Vegas, el primero que encuentra
+   * una coloración válida cancela al resto; en Monte Carlo se espera a todos.
+   *
+   * @private
+   * @param {Object} estado - Estado del worker.
+   * @param {Object} mensaje - Mensaje 'colorComplete'.
+   */
+  _completar(estado, mensaje) {
+    const { stats } = mensaje.result;
+
+    estado.terminado = true;
+    estado.esperandoPausa = false;
+    estado.attempts = stats.attempts;
+    estado.successCount = stats.successCount;
+    estado.totalConflicts = stats.totalConflicts;
+    estado.timeMs = stats.timeMs;
+    estado.conflicts = stats.conflicts;
+    estado.colors = mensaje.result.colors;
+    estado.conflictEdges = mensaje.result.conflictEdges || [];
+    estado.extra = mensaje.result.extraStats || estado.extra;
+
+    const ganoCarrera = this.modo === 'carrera' && stats.conflicts === 0;
+    if (ganoCarrera) {
+      this._ganador = estado;
+      this.estados.forEach((otro) => {
+        if (!otro.terminado) {
+          otro.worker.terminate();
+          otro.terminado = true;
+          otro.esperandoPausa = false;
+        }
+      });
+    }
+
+    if (this.estados.every((otro) => otro.terminado)) {
+      this._finalizar(mensaje.algorithm);
+    } else {
+      // Un paso en pausa puede terminar a un worker: el resto sigue en pausa
+      this._confirmarPausa();
+    }
+  }
+
+  /**
+   * Publica el último progreso (con el historial pendiente) y el resultado combinado.
+   * Las estadísticas extra identifican al worker que produjo la coloración (workerIndex,
+   * derivedSeed, workerCount), para poder repetirlo solo y secuencialmente.
+   *
+   * @private
+   * @param {string} algorithm - Nombre del algoritmo.
+   */
+  _finalizar(algorithm) {
+    this._emitirProgreso('colorProgress', true);
+
+    const combinado = this._combinar();
+    const elegido = this._workerElegido();
+    const seed = this.seed;
+    const workerCount = this.estados.length;
+    this.terminate();
+
+    this._emitir({
+      type: 'colorComplete',
+      algorithm,
+      result: {
+        colors: combinado.colors || {},
+        conflictEdges: combinado.conflictEdges,
+        stats: {
+          attempts: combinado.attempts,
+          conflicts: combinado.conflicts,
+          meanConflicts: combinado.meanConflicts,
+          successRate: combinado.successRate,
+          timeMs: combinado.timeMs
+        },
+        extraStats: {
+          ...combinado.extraStats,
+          ...(elegido && {
+            workerIndex: elegido.indice,
+            derivedSeed: derivarSemilla(seed, elegido.indice),
+            workerCount
+          })
+        },
+        seed,
+        attemptsHistory: [] // El historial ya se envió combinado en los mensajes de progreso
+      }
+    });
+  }
+
+  /**
+   * Worker cuya coloración es el resultado: el ganador de la carrera o, si nadie ganó
+   * (o en Monte Carlo), el primero con menos conflictos, como en _combinar.
+   *
+   * @private
+   * @returns {Object|null} Estado del worker, o null si ninguno reportó una coloración.
+   */
+  _workerElegido() {
+    if (this._ganador) return this._ganador;
+    return this.estados.reduce(
+      (mejor, estado) => (estado.colors && (!mejor || estado.conflicts < mejor.conflicts) ? estado : mejor),
+      null
+    );
+  }
+
+  /**
+   * Combina el estado de todos los workers: mejor coloración, conteos sumados (también los
+   * de EXTRA_ACUMULADOS) y promedios calculados sobre el total de intentos.
+   *
+   * @private
+   * @returns {Object} Datos de progreso combinados.
+   */
+  _combinar() {
+    let attempts = 0;
+    let successCount = 0;
+    let totalConflicts = 0;
+    let timeMs = 0;
+    let mejor = null;
+    const acumulados = {};
+
+    this.estados.forEach((estado) => {
+      Object.entries(EXTRA_ACUMULADOS).forEach(([clave, modo]) => {
+        const valor = estado.extra[clave];
+        if (typeof valor !== 'number') return;
+        acumulados[clave] = clave in acumulados
+          ? (modo === 'suma' ? acumulados[clave] + valor : Math.max(acumulados[clave], valor))
+          : valor;
+      });
+      attempts += estado.attempts;
+      successCount += estado.successCount;
+      totalConflicts += estado.totalConflicts;
+      timeMs = Math.max(timeMs, estado.timeMs);
+      if (estado.colors && (!mejor || estado.conflicts < mejor.conflicts)) {
+        mejor = estado;
+      }
+    });
+
+    return {
+      progress: this.totalMuestras > 0 ? Math.min(attempts / this.totalMuestras, 1) : 0,
+      attempts,
+      conflicts: mejor ? mejor.conflicts : 0,
+      colors: mejor ? mejor.colors : null,
+      conflictEdges: mejor ? mejor.conflictEdges : [],
+      meanConflicts: attempts > 0 ? totalConflicts / attempts : 0,
+      successRate: attempts > 0 ? successCount / attempts : 0,
+      timeMs,
+      currentAttempt: this._ultimoIntento,
+      extraStats: { ...this._extra, ...acumulados, parallelWorkers: this.estados.length }
+    };
+  }
+
+  /**
+   * Pasa al historial combinado los intentos reportados, en el orden intercalado de los
+   * workers, y los renumera de forma consecutiva. Se detiene en el primer worker activo
+   * que todavía no reportó su siguiente intento.
+   *
+   * @private
+   */
+  _liberarHistorial() {
+    const cantidad = this.estados.length;
+
+    while (cantidad > 0) {
+      const estado = this.estados[this._turno];
+
+      if (estado.cola.length > 0) {
+        this._pendientes.push({ ...estado.cola.shift(), attemptNumber: ++this._emitidos });
+      } else if (!estado.terminado) {
+        break;
+      } else if (this.estados.every((otro) => otro.terminado && otro.cola.length === 0)) {
+        break;
+      }
+
+      this._turno = (this._turno + 1) % cantidad;
+    }
+  }
+
+  /**
+   * Publica el progreso combinado, como máximo cada PARALLEL.PROGRESS_INTERVAL_MS salvo que se fuerce.
+   *
+   * @private
+   * @param {string} type - 'colorProgress' o 'colorPaused'.
+   * @param {boolean} forzar - Si se publica sin esperar el intervalo.
+   */
+  _emitirProgreso(type, forzar) {
+    const ahora = performance.now();
+    if (!forzar && ahora - this._ultimoEnvio < PARALLEL.PROGRESS_INTERVAL_MS) return;
+    this._ultimoEnvio = ahora;
+
+    this._liberarHistorial();
+    const newAttempts = this._pendientes;
+    this._pendientes = [];
+
+    this._emitir({ type, ...this._combinar(), newAttempts });
+  }
+
+  /**
+   * Pide a todos los workers activos que se pausen.
+   *
+   * @private
+   */
+  _pausar() {
+    if (this.estados.length === 0) return;
+
+    this._pausaSolicitada = true;
+    this.estados.forEach((estado) => {
+      if (!estado.terminado) {
+        estado.esperandoPausa = true;
+        estado.worker.postMessage({ type: 'pause' });
+      }
+    });
+    this._confirmarPausa();
+  }
+
+  /**
+   * Publica 'colorPaused' cuando todos los workers activos confirmaron la pausa.
+   *
+   * @private
+   */
+  _confirmarPausa() {
+    if (!this._pausaSolicitada || this.estados.some((estado) => estado.esperandoPausa)) return;
+    this._emitirProgreso('colorPaused', true);
+  }
+
+  /**
+   * Reanuda todos los workers activos.
+   *
+   * @private
+   */
+  _reanudar() {
+    this._pausaSolicitada = false;
+    this.estados.forEach((estado) => {
+      if (!estado.terminado) {
+        estado.esperandoPausa = false;
+        estado.worker.postMessage({ type: 'resume' });
+      }
+    });
+  }
+
+  /**
+   * Avanza un solo intento en pausa: lo ejecuta el worker al que le corresponde el
+   * siguiente intento en el orden intercalado (el activo con menos intentos).
+   *
+   * @private
+   */
+  _avanzarUnPaso() {
+    if (!this._pausaSolicitada) return;
+
+    const activos = this.estados.filter((estado) => !estado.terminado);
+    if (activos.length === 0) return;
+
+    const siguiente = activos.reduce((elegido, estado) => (estado.attempts < elegido.attempts ? estado : elegido));
+    siguiente.worker.postMessage({ type: 'step' });
+  }
+
+  /**
+   * Maneja un error no capturado de un worker: cancela la ejecución y lo reporta.
+   *
+   * @private
+   * @param {ErrorEvent} error - Error del worker.
+   */
+  _fallar(error) {
+    this.terminate();
+    this.onerror?.(error);
+  }
+
+  /**
+   * Publica un mensaje combinado a quien usa el pool.
+   *
+   * @private
+   * @param {Object} data - Mensaje con el mismo formato que los de GraphWorker.
+   */
+  _emitir(data) {
+    this.onmessage?.({ data });
+  }
+}
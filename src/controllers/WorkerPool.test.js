@@ -0,0 +1,283 @@
+import WorkerPool from './WorkerPool.js';
+import { derivarSemilla } from '../models/utils/random.js';
+import { PARALLEL } from '../models/constants/index.js';
+
+/**
+ * Worker de prueba: guarda los mensajes recibidos y permite responder como lo haría GraphWorker.
+ */
+class WorkerFalso {
+  constructor() {
+    this.mensajes = [];
+    this.terminado = false;
+    this.onmessage = null;
+    this.onerror = null;
+  }
+
+  postMessage(mensaje) {
+    this.mensajes.push(mensaje);
+  }
+
+  terminate() {
+    this.terminado = true;
+  }
+
+  /**
+   * Publica un mensaje hacia el pool.
+   * @param {Object} data - Mensaje con el formato de GraphWorker.
+   */
+  responder(data) {
+    this.onmessage?.({ data });
+  }
+
+  /**
+   * Reporta intentos nuevos con su número local y su cantidad de conflictos.
+   * @param {Array<number>} conflictos - Conflictos de cada intento nuevo.
+   * @param {Object} [extra={}] - Estadísticas extra del mensaje.
+   */
+  progresar(conflictos, extra = {}) {
+    const previos = this.intentos ?? [];
+    this.intentos = [...previos, ...conflictos];
+    this.responder({
+      type: 'colorProgress',
+      ...this._resumen(),
+      newAttempts: conflictos.map((c, i) => ({ attemptNumber: previos.length + i + 1, conflicts: c, worker: this.indice })),
+      extraStats: extra
+    });
+  }
+
+  /**
+   * Termina la ejecución del worker con los intentos reportados.
+   * @param {Object} [extra={}] - Estadísticas extra del resultado.
+   */
+  completar(extra = {}) {
+    const { attempts, successCount, totalConflicts, conflicts, colors, timeMs } = this._resumen();
+    this.responder({
+      type: 'colorComplete',
+      algorithm: 'Prueba',
+      result: {
+        colors,
+        conflictEdges: [],
+        stats: { attempts, successCount, totalConflicts, conflicts, timeMs },
+        extraStats: extra
+      }
+    });
+  }
+
+  /** @private */
+  _resumen() {
+    const intentos = this.intentos ?? [];
+    const conflicts = intentos.length > 0 ? Math.min(...intentos) : Infinity;
+    return {
+      attempts: intentos.length,
+      successCount: intentos.filter((c) => c === 0).length,
+      totalConflicts: intentos.reduce((suma, c) => suma + c, 0),
+      conflicts,
+      colors: { 1: `worker-${this.indice}` },
+      timeMs: 10 * (this.indice + 1)
+    };
+  }
+}
+
+/**
+ * Crea un pool de workers falsos y registra lo que publica.
+ * @param {number} maxWorkers - Máximo de workers.
+ * @returns {{pool: WorkerPool, workers: Array<WorkerFalso>, recibidos: Array<Object>}} Pool de prueba.
+ */
+function crearPool(maxWorkers) {
+  const workers = [];
+  const pool = new WorkerPool(() => {
+    const worker = new WorkerFalso();
+    worker.indice = workers.length;
+    workers.push(worker);
+    return worker;
+  }, maxWorkers);
+  const recibidos = [];
+  pool.onmessage = (event) => recibidos.push(event.data);
+  return { pool, workers, recibidos };
+}
+
+/**
+ * Historial combinado que publicó el pool en sus mensajes de progreso.
+ * @param {Array<Object>} recibidos - Mensajes publicados.
+ * @returns {Array<Object>} Intentos en el orden publicado.
+ */
+function historial(recibidos) {
+  return recibidos.flatMap((mensaje) => mensaje.newAttempts ?? []);
+}
+
+const GRAFO = { nodes: [{ id: 1 }], edges: [] };
+
+describe('derivarSemilla', () => {
+  test('el índice 0 conserva la semilla base', () => {
+    expect(derivarSemilla(12345, 0)).toBe(12345);
+  });
+
+  test('cada índice deriva una semilla distinta y reproducible', () => {
+    const semillas = [1, 2, 3, 4, 5, 6, 7].map((indice) => derivarSemilla(12345, indice));
+
+    expect(new Set([12345, ...semillas]).size).toBe(8);
+    expect([1, 2, 3, 4, 5, 6, 7].map((indice) => derivarSemilla(12345, indice))).toEqual(semillas);
+    semillas.forEach((semilla) => expect(Number.isInteger(semilla) && semilla >= 0).toBe(true));
+  });
+});
+
+describe('WorkerPool', () => {
+  test('reparte las muestras de Monte Carlo con la semilla derivada de cada worker', () => {
+    const { pool, workers } = crearPool(4);
+    const iteraciones = 3 * PARALLEL.MIN_SAMPLES_PER_WORKER + 2;
+
+    pool.postMessage({ type: 'colorMonteCarlo', data: { graph: GRAFO, options: { seed: 99, iterations: iteraciones } } });
+
+    expect(workers).toHaveLength(3);
+    const opciones = workers.map((worker) => worker.mensajes[0].data.options);
+    expect(opciones.map((o) => o.seed)).toEqual([99, derivarSemilla(99, 1), derivarSemilla(99, 2)]);
+    expect(opciones.map((o) => o.iterations)).toEqual([1001, 1001, 1000]);
+    expect(opciones.reduce((suma, o) => suma + o.iterations, 0)).toBe(iteraciones);
+    workers.forEach((worker) => expect(worker.mensajes[0].data.graph).toBe(GRAFO));
+  });
+
+  test('en una carrera de Las Vegas usa todos los workers sin repartir iteraciones', () => {
+    const { pool, workers } = crearPool(4);
+
+    pool.postMessage({ type: 'colorLasVegas', data: { graph: GRAFO, options: { seed: 7, iterations: 50 } } });
+
+    expect(workers).toHaveLength(4);
+    workers.forEach((worker, indice) => {
+      expect(worker.mensajes[0]).toMatchObject({
+        type: 'colorLasVegas',
+        data: { options: { seed: derivarSemilla(7, indice), iterations: 50 } }
+      });
+    });
+  });
+
+  test('intercala el historial en el orden de las muestras y lo renumera', () => {
+    const { pool, workers, recibidos } = crearPool(2);
+    pool.postMessage({ type: 'colorMonteCarlo', data: { graph: GRAFO, options: { seed: 1, iterations: 2000 } } });
+    const [primero, segundo] = workers;
+
+    // El segundo worker se adelanta: sus intentos esperan a los del primero
+    segundo.progresar([5, 4, 3]);
+    primero.progresar([9]);
+    primero.progresar([8, 7]);
+    segundo.completar();
+    primero.completar();
+
+    const intentos = historial(recibidos);
+    expect(intentos.map((intento) => intento.attemptNumber)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(intentos.map((intento) => intento.worker)).toEqual([0, 1, 0, 1, 0, 1]);
+    expect(intentos.map((intento) => intento.conflicts)).toEqual([9, 5, 8, 4, 7, 3]);
+  });
+
+  test('combina conteos, promedios y la mejor coloración al terminar', () => {
+    const { pool, workers, recibidos } = crearPool(2);
+    pool.postMessage({ type: 'colorMonteCarlo', data: { graph: GRAFO, options: { seed: 1, iterations: 2000 } } });
+
+    workers[0].progresar([4, 2, 0]);
+    workers[1].progresar([3, 1, 5, 0]);
+    workers[0].completar();
+    workers[1].completar();
+
+    const final = recibidos[recibidos.length - 1];
+    expect(final.type).toBe('colorComplete');
+    expect(final.result.stats).toEqual({
+      attempts: 7,
+      conflicts: 0,
+      meanConflicts: 15 / 7,
+      successRate: 2 / 7,
+      timeMs: 20
+    });
+    expect(final.result.colors).toEqual({ 1: 'worker-0' });
+    expect(final.result.seed).toBe(1);
+    expect(final.result.extraStats).toMatchObject({ parallelWorkers: 2, workerIndex: 0, derivedSeed: 1, workerCount: 2 });
+    workers.forEach((worker) => expect(worker.terminado).toBe(true));
+  });
+
+  test('el primer worker que encuentra una coloración válida gana la carrera y cancela al resto', () => {
+    const { pool, workers, recibidos } = crearPool(3);
+    pool.postMessage({ type: 'colorLasVegas', data: { graph: GRAFO, options: { seed: 3 } } });
+
+    workers[0].progresar([2, 2]);
+    workers[2].progresar([1]);
+    workers[1].progresar([0]);
+    workers[1].completar();
+
+    expect(workers[0].terminado).toBe(true);
+    expect(workers[2].terminado).toBe(true);
+
+    const final = recibidos[recibidos.length - 1];
+    expect(final.type).toBe('colorComplete');
+    expect(final.result.colors).toEqual({ 1: 'worker-1' });
+    expect(final.result.stats.conflicts).toBe(0);
+    expect(final.result.stats.attempts).toBe(4);
+    expect(final.result.extraStats).toMatchObject({ workerIndex: 1, derivedSeed: derivarSemilla(3, 1), workerCount: 3 });
+
+    // Los mensajes tardíos de los perdedores se ignoran
+    const cantidad = recibidos.length;
+    workers[0].completar();
+    expect(recibidos).toHaveLength(cantidad);
+  });
+
+  test('sin ganador identifica al primer worker con menos conflictos', () => {
+    const { pool, workers, recibidos } = crearPool(3);
+    pool.postMessage({ type: 'colorLasVegas', data: { graph: GRAFO, options: { seed: 8, iterations: 2 } } });
+
+    workers[0].progresar([4, 3]);
+    workers[1].progresar([2, 5]);
+    workers[2].progresar([2, 2]);
+    workers.forEach((worker) => worker.completar());
+
+    const { result } = recibidos[recibidos.length - 1];
+    expect(result.colors).toEqual({ 1: 'worker-1' });
+    expect(result.extraStats).toMatchObject({ workerIndex: 1, derivedSeed: derivarSemilla(8, 1), workerCount: 3 });
+  });
+
+  test('suma los callejones sin salida de todos los workers y toma la mayor profundidad', () => {
+    const { pool, workers, recibidos } = crearPool(3);
+    pool.postMessage({ type: 'colorSmartLasVegas', data: { graph: GRAFO, options: { seed: 5 } } });
+
+    workers[0].progresar([3], { deadEnds: 4, deadEndDepthTotal: 10, maxDeadEndDepth: 4, vertexCount: 4 });
+    workers[1].progresar([2], { deadEnds: 1, deadEndDepthTotal: 6, maxDeadEndDepth: 6, vertexCount: 4 });
+    workers[2].progresar([0], { deadEnds: 0, deadEndDepthTotal: 0, maxDeadEndDepth: 0, vertexCount: 4 });
+    workers[2].completar({ deadEnds: 2, deadEndDepthTotal: 5, maxDeadEndDepth: 3, vertexCount: 4 });
+
+    const { extraStats } = recibidos[recibidos.length - 1].result;
+    expect(extraStats.deadEnds).toBe(7);
+    expect(extraStats.deadEndDepthTotal).toBe(21);
+    expect(extraStats.maxDeadEndDepth).toBe(6);
+    expect(extraStats.parallelWorkers).toBe(3);
+  });
+
+  test('publica la pausa cuando todos los workers activos la confirmaron', () => {
+    const { pool, workers, recibidos } = crearPool(2);
+    pool.postMessage({ type: 'colorLasVegas', data: { graph: GRAFO, options: { seed: 3 } } });
+
+    pool.postMessage({ type: 'pause' });
+    workers.forEach((worker) => expect(worker.mensajes[1]).toEqual({ type: 'pause' }));
+
+    workers[0].responder({ type: 'colorPaused', timeMs: 5 });
+    expect(recibidos.some((mensaje) => mensaje.type === 'colorPaused')).toBe(false);
+    workers[1].responder({ type: 'colorPaused', timeMs: 6 });
+    expect(recibidos[recibidos.length - 1].type).toBe('colorPaused');
+
+    // Un paso lo da el worker activo con menos intentos
+    pool.postMessage({ type: 'step' });
+    expect(workers[0].mensajes[2]).toEqual({ type: 'step' });
+    expect(workers[1].mensajes).toHaveLength(2);
+  });
+
+  test('un error de un worker cancela la ejecución y se reporta', () => {
+    const { pool, workers, recibidos } = crearPool(2);
+    pool.postMessage({ type: 'colorLasVegas', data: { graph: GRAFO, options: { seed: 3 } } });
+
+    workers[1].responder({ type: 'error', error: 'falló' });
+
+    expect(workers.every((worker) => worker.terminado)).toBe(true);
+    expect(recibidos[recibidos.length - 1]).toEqual({ type: 'error', error: 'falló' });
+  });
+
+  test('rechaza los mensajes que no se pueden repartir', () => {
+    const { pool } = crearPool(2);
+    expect(() => pool.postMessage({ type: 'colorGreedy', data: {} }))
+      .toThrow('WorkerPool no admite mensajes de tipo "colorGreedy"');
+  });
+});
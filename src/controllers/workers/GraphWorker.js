@@ -3,126 +3,332 @@
 
 import Graph from '../../models/Graph.js';
 import LasVegas from '../../models/algorithms/LasVegas.js';
+import SmartLasVegas from '../../models/algorithms/SmartLasVegas.js';
 import MonteCarlo from '../../models/algorithms/MonteCarlo.js';
+import Dsatur from '../../models/algorithms/Dsatur.js';
+import GreedyColoring from '../../models/algorithms/GreedyColoring.js';
+import RecursiveLargestFirst from '../../models/algorithms/RecursiveLargestFirst.js';
+import Tabucol from '../../models/algorithms/Tabucol.js';
+import SimulatedAnnealing from '../../models/algorithms/SimulatedAnnealing.js';
+import HybridEvolutionary from '../../models/algorithms/HybridEvolutionary.js';
+import AntColony from '../../models/algorithms/AntColony.js';
+import ExactColoring from '../../models/algorithms/ExactColoring.js';
+import { buscarCliqueMaxima } from '../../models/utils/cliqueAnalysis.js';
+import { verificarFactibilidad } from '../../models/utils/chromaticBounds.js';
+import { crearGeneradorAleatorio } from '../../models/utils/random.js';
+import { ALGORITHM } from '../../models/constants/index.js';
+
+// Algoritmos disponibles por tipo de mensaje
+const ALGORITMOS = {
+  colorLasVegas: { Clase: LasVegas, nombre: 'Las Vegas' },
+  colorSmartLasVegas: { Clase: SmartLasVegas, nombre: 'Las Vegas con propagación' },
+  colorMonteCarlo: { Clase: MonteCarlo, nombre: 'Monte Carlo' },
+  colorDsatur: { Clase: Dsatur, nombre: 'DSATUR' },
+  colorGreedy: { Clase: GreedyColoring, nombre: 'Greedy secuencial' },
+  colorRlf: { Clase: RecursiveLargestFirst, nombre: 'RLF' },
+  colorTabucol: { Clase: Tabucol, nombre: 'Tabucol' },
+  colorSimulatedAnnealing: { Clase: SimulatedAnnealing, nombre: 'Recocido Simulado' },
+  colorHybridEvolutionary: { Clase: HybridEvolutionary, nombre: 'Evolutivo híbrido' },
+  colorAntColony: { Clase: AntColony, nombre: 'Colonia de hormigas' },
+  colorExact: { Clase: ExactColoring, nombre: 'Exacto (χ)' }
+};
+
+/**
+ * Publica un error al hilo principal.
+ * @param {Error} error - Error capturado.
+ */
+function publicarError(error) {
+  self.postMessage({
+    type: 'error',
+    error: error.message,
+    stack: error.stack
+  });
+}
+
+// Ejecución de coloración en curso; se ejecuta por tramos para poder pausarla
+let ejecucionActual = null;
+
+/**
+ * Tiempo de ejecución transcurrido, sin contar el tiempo en pausa.
+ * @param {Object} ejecucion - Ejecución en curso.
+ * @returns {number} Milisegundos de ejecución.
+ */
+function tiempoEjecucion(ejecucion) {
+  const fin = ejecucion.inicioPausa ?? performance.now();
+  return fin - ejecucion.startTime - ejecucion.tiempoPausado;
+}
+
+/**
+ * Inicia un algoritmo de coloración. Se ejecuta por tramos de ALGORITHM.WORKER_SLICE_MS
+ * cediendo el control entre ellos, de modo que los mensajes de pausa, reanudación y
+ * paso se atienden mientras corre. El progreso se publica una vez por tramo.
+ * @param {Function} Clase - Clase del algoritmo (subclase de BaseAlgorithm).
+ * @param {string} nombre - Nombre del algoritmo reportado al hilo principal.
+ * @param {Object} data - Datos del mensaje con graph y options.
+ */
+function ejecutarAlgoritmo(Clase, nombre, data) {
+  const graph = Graph.desdeDatos(data.graph.nodes, data.graph.edges);
+
+  const options = data.options || {};
+
+  const ejecucion = {
+    algo: new Clase(graph, options),
+    nombre,
+    startTime: performance.now(),
+    tiempoPausado: 0,
+    inicioPausa: null,
+    paused: false,
+    timerId: null,
+    ultimoIndiceEnviado: 0 // Último índice de attemptsHistory enviado, para enviar solo incrementos
+  };
+  ejecucionActual = ejecucion;
+
+  continuarEjecucion();
+}
+
+/**
+ * Construye el mensaje de progreso con los intentos nuevos desde el último reporte.
+ * @param {Object} ejecucion - Ejecución en curso.
+ * @param {string} type - Tipo de mensaje ('colorProgress' o 'colorPaused').
+ * @param {Object} data - Datos de progreso del algoritmo.
+ * @returns {Object} Mensaje para el hilo principal.
+ */
+function construirMensajeProgreso(ejecucion, type, data) {
+  const { algo } = ejecucion;
+
+  // Obtener solo los intentos nuevos desde el último reporte
+  const nuevosIntentos = algo.attemptsHistory.slice(ejecucion.ultimoIndiceEnviado);
+  ejecucion.ultimoIndiceEnviado = algo.attemptsHistory.length;
+
+  return {
+    type,
+    progress: data.progress,
+    attempts: data.attempts,
+    conflicts: data.conflicts,
+    colors: data.colors,
+    conflictEdges: data.conflictEdges,
+    meanConflicts: data.meanConflicts,
+    successRate: data.successRate,
+    timeMs: tiempoEjecucion(ejecucion),
+    currentAttempt: data.currentAttempt,
+    extraStats: data.extraStats,
+    successCount: algo.successCount,      // Conteos crudos para combinar ejecuciones paralelas
+    totalConflicts: algo.totalConflicts,
+    newAttempts: nuevosIntentos  // Solo los nuevos intentos
+  };
+}
+
+/**
+ * Publica el progreso de la ejecución desde el último reporte.
+ * @param {Object} ejecucion - Ejecución en curso.
+ */
+function publicarProgreso(ejecucion) {
+  const progreso = ejecucion.algo.construirProgreso();
+  if (progreso) {
+    self.postMessage(construirMensajeProgreso(ejecucion, 'colorProgress', progreso));
+  }
+}
+
+/**
+ * Ejecuta un tramo de la ejecución en curso, publica su progreso (un mensaje por tramo,
+ * con todos los intentos nuevos) y programa el siguiente, salvo que esté en pausa o haya terminado.
+ */
+function continuarEjecucion() {
+  const ejecucion = ejecucionActual;
+  if (!ejecucion || ejecucion.paused) return;
+  ejecucion.timerId = null;
+
+  try {
+    const limite = performance.now() + ALGORITHM.WORKER_SLICE_MS;
+    while (!ejecucion.algo.estaTerminado() && performance.now() < limite) {
+      ejecucion.algo.ejecutarBloque(ALGORITHM.BATCH_SIZE);
+    }
+    publicarProgreso(ejecucion);
+
+    if (ejecucion.algo.estaTerminado()) {
+      completarEjecucion(ejecucion);
+    } else {
+      // Ceder el control para atender mensajes (pausa) antes del siguiente tramo
+      ejecucion.timerId = setTimeout(continuarEjecucion, 0);
+    }
+  } catch (error) {
+    ejecucionActual = null;
+    publicarError(error);
+  }
+}
+
+/**
+ * Publica el resultado final de la ejecución y la descarta.
+ * @param {Object} ejecucion - Ejecución terminada.
+ */
+function completarEjecucion(ejecucion) {
+  const { algo } = ejecucion;
+  const result = algo.construirResultado();
+  ejecucionActual = null;
+
+  self.postMessage({
+    type: 'colorComplete',
+    algorithm: ejecucion.nombre,
+    result: {
+      colors: result.colors,
+      conflictEdges: result.conflictEdges,
+      stats: {
+        ...result.stats,
+        timeMs: tiempoEjecucion(ejecucion),
+        successCount: algo.successCount,
+        totalConflicts: algo.totalConflicts
+      },
+      extraStats: result.extraStats,
+      seed: algo.seed,
+      attemptsHistory: algo.attemptsHistory
+    }
+  });
+}
+
+/**
+ * Publica el estado de la ejecución en pausa (mejor coloración actual y estadísticas).
+ * @param {Object} ejecucion - Ejecución en pausa.
+ */
+function publicarPausa(ejecucion) {
+  const progreso = ejecucion.algo.construirProgreso();
+  if (progreso) {
+    self.postMessage(construirMensajeProgreso(ejecucion, 'colorPaused', progreso));
+  } else {
+    self.postMessage({ type: 'colorPaused', timeMs: tiempoEjecucion(ejecucion) });
+  }
+}
+
+/**
+ * Pausa la ejecución en curso al terminar el tramo actual.
+ */
+function pausarEjecucion() {
+  const ejecucion = ejecucionActual;
+  if (!ejecucion || ejecucion.paused) return;
+
+  clearTimeout(ejecucion.timerId);
+  ejecucion.timerId = null;
+  ejecucion.paused = true;
+  ejecucion.inicioPausa = performance.now();
+  publicarPausa(ejecucion);
+}
+
+/**
+ * Reanuda una ejecución en pausa.
+ */
+function reanudarEjecucion() {
+  const ejecucion = ejecucionActual;
+  if (!ejecucion || !ejecucion.paused) return;
+
+  ejecucion.paused = false;
+  ejecucion.tiempoPausado += performance.now() - ejecucion.inicioPausa;
+  ejecucion.inicioPausa = null;
+  continuarEjecucion();
+}
+
+/**
+ * Ejecuta un solo paso de una ejecución en pausa y publica el nuevo estado.
+ */
+function avanzarUnPaso() {
+  const ejecucion = ejecucionActual;
+  if (!ejecucion || !ejecucion.paused) return;
+
+  ejecucion.algo.ejecutarBloque(1);
+
+  if (ejecucion.algo.estaTerminado()) {
+    publicarProgreso(ejecucion);
+    completarEjecucion(ejecucion);
+  } else {
+    publicarPausa(ejecucion);
+  }
+}
+
+/**
+ * Busca un clique máximo y publica el resultado.
+ * @param {Object} data - Datos del mensaje con graph.
+ */
+function ejecutarBusquedaClique(data) {
+  const startTime = performance.now();
+  const { clique, completo, llamadas } = buscarCliqueMaxima(data.graph.nodes, data.graph.edges, {
+    limiteLlamadas: ALGORITHM.MAX_CLIQUE_CALL_LIMIT
+  });
+
+  self.postMessage({
+    type: 'cliqueComplete',
+    result: {
+      clique,
+      complete: completo,
+      calls: llamadas,
+      timeMs: performance.now() - startTime
+    }
+  });
+}
+
+/**
+ * Verifica si k colores pueden alcanzar para colorear el grafo y publica el resultado.
+ * @param {Object} data - Datos del mensaje con graph y numColors.
+ */
+function ejecutarVerificacionFactibilidad(data) {
+  self.postMessage({
+    type: 'feasibilityResult',
+    result: verificarFactibilidad(data.graph.nodes, data.graph.edges, data.numColors)
+  });
+}
+
+/**
+ * Ejecuta un ensayo de un experimento por lotes: genera el grafo aleatorio con su semilla
+ * (sin layout) y ejecuta el algoritmo completo sin historial ni reportes de progreso.
+ * @param {Object} data - Datos del mensaje con trialId, generator ({ numNodes, graphSeed, config }), messageType y options.
+ */
+function ejecutarEnsayo(data) {
+  const { Clase } = ALGORITMOS[data.messageType];
+  const graph = Graph.crearGrafoAleatorio(
+    data.generator.numNodes,
+    data.generator.config,
+    crearGeneradorAleatorio(data.generator.graphSeed),
+    { layout: false }
+  );
+
+  const startTime = performance.now();
+  const algo = new Clase(graph, { ...data.options, recordHistory: false });
+  algo.ejecutarBloque(Infinity);
+  const { stats, extraStats } = algo.construirResultado();
+
+  self.postMessage({
+    type: 'trialComplete',
+    trialId: data.trialId,
+    result: {
+      timeMs: performance.now() - startTime,
+      attempts: stats.attempts,
+      conflicts: stats.conflicts,
+      success: stats.conflicts === 0 && !extraStats?.exceedsPalette,
+      edges: graph.aristas.length
+    }
+  });
+}
 
 // Worker Message Handler 
 self.onmessage = function (e) {
   const { type, data } = e.data;
 
   try {
-    if (type === 'colorLasVegas') {
-      const graph = new Graph();
-      graph.nodos = data.graph.nodes;
-      graph.aristas = data.graph.edges;
-
-      const options = data.options || {};
-
-      const startTime = performance.now();
-      const algo = new LasVegas(graph, options);
-
-      // Rastrear último índice enviado para enviar solo incrementos
-      let ultimoIndiceEnviado = 0;
-
-      // Callback de progreso - enviar solo nuevos intentos
-      const progressCallback = (data) => {
-        const currentTime = performance.now();
-
-        // Obtener solo los intentos nuevos desde el último reporte
-        const nuevosIntentos = algo.attemptsHistory.slice(ultimoIndiceEnviado);
-        ultimoIndiceEnviado = algo.attemptsHistory.length;
-
-        self.postMessage({
-          type: 'colorProgress',
-          progress: data.progress,
-          attempts: data.attempts,
-          conflicts: data.conflicts,
-          colors: data.colors,
-          conflictEdges: data.conflictEdges,
-          meanConflicts: data.meanConflicts,
-          successRate: data.successRate,
-          timeMs: currentTime - startTime,
-          currentAttempt: data.currentAttempt,
-          newAttempts: nuevosIntentos  // Solo los nuevos intentos
-        });
-      };
-
-      const result = algo.run(progressCallback);
-      const endTime = performance.now();
-
-      self.postMessage({
-        type: 'colorComplete',
-        algorithm: 'Las Vegas',
-        result: {
-          colors: result.colors,
-          conflictEdges: result.conflictEdges,
-          stats: {
-            ...result.stats,
-            timeMs: endTime - startTime
-          },
-          attemptsHistory: algo.attemptsHistory
-        }
-      });
-    }
-
-    if (type === 'colorMonteCarlo') {
-      const graph = new Graph();
-      graph.nodos = data.graph.nodes;
-      graph.aristas = data.graph.edges;
-
-      const options = data.options || {};
-
-      const startTime = performance.now();
-      const algo = new MonteCarlo(graph, options);
-
-      // Rastrear último índice enviado para enviar solo incrementos
-      let ultimoIndiceEnviado = 0;
-
-      // Callback de progreso - enviar solo nuevos intentos
-      const progressCallback = (data) => {
-        const currentTime = performance.now();
-
-        // Obtener solo los intentos nuevos desde el último reporte
-        const nuevosIntentos = algo.attemptsHistory.slice(ultimoIndiceEnviado);
-        ultimoIndiceEnviado = algo.attemptsHistory.length;
-
-        self.postMessage({
-          type: 'colorProgress',
-          progress: data.progress,
-          attempts: data.attempts,
-          conflicts: data.conflicts,
-          colors: data.colors,
-          conflictEdges: data.conflictEdges,
-          meanConflicts: data.meanConflicts,
-          successRate: data.successRate,
-          timeMs: currentTime - startTime,
-          currentAttempt: data.currentAttempt,
-          newAttempts: nuevosIntentos  // Solo los nuevos intentos
-        });
-      };
-
-      const result = algo.run(progressCallback);
-      const endTime = performance.now();
-
-      self.postMessage({
-        type: 'colorComplete',
-        algorithm: 'Monte Carlo',
-        result: {
-          colors: result.colors,
-          conflictEdges: result.conflictEdges,
-          stats: {
-            ...result.stats,
-            timeMs: endTime - startTime
-          },
-          attemptsHistory: algo.attemptsHistory
-        }
-      });
+    const algoritmo = ALGORITMOS[type];
+    if (algoritmo) {
+      ejecutarAlgoritmo(algoritmo.Clase, algoritmo.nombre, data);
+    } else if (type === 'pause') {
+      pausarEjecucion();
+    } else if (type === 'resume') {
+      reanudarEjecucion();
+    } else if (type === 'step') {
+      avanzarUnPaso();
+    } else if (type === 'findMaxClique') {
+      ejecutarBusquedaClique(data);
+    } else if (type === 'checkFeasibility') {
+      ejecutarVerificacionFactibilidad(data);
+    } else if (type === 'runTrial') {
+      ejecutarEnsayo(data);
     }
 
   } catch (error) {
-    self.postMessage({
-      type: 'error',
-      error: error.message,
-      stack: error.stack
-    });
+    publicarError(error);
   }
 };
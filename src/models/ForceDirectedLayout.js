@@ -9,8 +9,9 @@ export default class ForceDirectedLayout {
      * Crea un nuevo layout dirigido por fuerzas.
      * @param {number} [width=1.0] - Ancho del área de layout.
      * @param {number} [height=1.0] - Alto del área de layout.
+     * @param {Function} [aleatorio=Math.random] - Generador de números en [0, 1).
      */
-    constructor(width = 1.0, height = 1.0) {
+    constructor(width = 1.0, height = 1.0, aleatorio = Math.random) {
         /** @type {number} Ancho del área de layout. */
         this.width = width;
 
@@ -19,6 +20,9 @@ export default class ForceDirectedLayout {
 
         /** @type {number} Área total para cálculos de fuerzas. */
         this.area = width * height;
+
+        /** @type {Function} Generador aleatorio para desempatar nodos superpuestos. */
+        this.aleatorio = aleatorio;
     }
 
     /**
@@ -56,8 +60,8 @@ export default class ForceDirectedLayout {
     _calcularDistanciaSegura(deltaX, deltaY) {
         if (deltaX === 0 && deltaY === 0) {
             return {
-                deltaX: (Math.random() - 0.5) * 0.01,
-                deltaY: (Math.random() - 0.5) * 0.01,
+                deltaX: (this.aleatorio() - 0.5) * 0.01,
+                deltaY: (this.aleatorio() - 0.5) * 0.01,
                 distancia: 0.01
             };
         }
@@ -70,11 +74,17 @@ export default class ForceDirectedLayout {
 
     /**
      * Calcula fuerzas repulsivas entre todos los pares de nodos.
+     * En grafos de BARNES_HUT_THRESHOLD nodos o más usa la aproximación de Barnes-Hut.
      * @param {Array<Node>} nodos - Array de nodos.
      * @param {number} distanciaOptima - Distancia óptima entre nodos.
      * @private
      */
     calcularFuerzasRepulsivas(nodos, distanciaOptima) {
+        if (nodos.length >= FORCE_DIRECTED.BARNES_HUT_THRESHOLD) {
+            this.calcularFuerzasRepulsivasBarnesHut(nodos, distanciaOptima);
+            return;
+        }
+
         for (let i = 0; i < nodos.length; i++) {
             nodos[i].forceX = 0;
             nodos[i].forceY = 0;
@@ -95,6 +105,116 @@ export default class ForceDirectedLayout {
         }
     }
 
+    /**
+     * Aproximación de Barnes-Hut para grafos grandes: los nodos se agrupan en un quadtree y
+     * una celda lejana (lado / distancia < BARNES_HUT_THETA) repele como un solo cuerpo con la
+     * masa de sus nodos ubicado en su centro de masa. Cada iteración pasa de O(n²) a O(n log n).
+     * @param {Array<Node>} nodos - Array de nodos.
+     * @param {number} distanciaOptima - Distancia óptima entre nodos.
+     * @private
+     */
+    calcularFuerzasRepulsivasBarnesHut(nodos, distanciaOptima) {
+        const raiz = this._construirQuadtree(nodos);
+        const k2 = distanciaOptima * distanciaOptima;
+        const pendientes = [];
+
+        for (const nodo of nodos) {
+            nodo.forceX = 0;
+            nodo.forceY = 0;
+            pendientes.push(raiz);
+
+            while (pendientes.length > 0) {
+                const celda = pendientes.pop();
+
+                if (!celda.hijos) {
+                    for (const otro of celda.nodos) {
+                        if (otro === nodo) continue;
+                        const { deltaX, deltaY, distancia } = this._calcularDistanciaSegura(nodo.x - otro.x, nodo.y - otro.y);
+                        const fuerzaRepulsiva = k2 / distancia;
+                        nodo.forceX += (deltaX / distancia) * fuerzaRepulsiva;
+                        nodo.forceY += (deltaY / distancia) * fuerzaRepulsiva;
+                    }
+                    continue;
+                }
+
+                const deltaX = nodo.x - celda.sumaX / celda.masa;
+                const deltaY = nodo.y - celda.sumaY / celda.masa;
+                const distancia = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+                const contieneNodo = nodo.x >= celda.x && nodo.x < celda.x + celda.lado &&
+                    nodo.y >= celda.y && nodo.y < celda.y + celda.lado;
+
+                if (!contieneNodo && celda.lado < FORCE_DIRECTED.BARNES_HUT_THETA * distancia) {
+                    const fuerzaRepulsiva = (celda.masa * k2) / distancia;
+                    nodo.forceX += (deltaX / distancia) * fuerzaRepulsiva;
+                    nodo.forceY += (deltaY / distancia) * fuerzaRepulsiva;
+                    continue;
+                }
+
+                for (const hijo of celda.hijos) {
+                    if (hijo.masa > 0) pendientes.push(hijo);
+                }
+            }
+        }
+    }
+
+    /**
+     * Construye el quadtree de Barnes-Hut con la masa (cantidad de nodos) y la suma de
+     * posiciones de cada celda. Las hojas guardan sus nodos.
+     * @param {Array<Node>} nodos - Array de nodos.
+     * @returns {Object} Celda raíz: { x, y, lado, masa, sumaX, sumaY, nodos, hijos }.
+     * @private
+     */
+    _construirQuadtree(nodos) {
+        const crearCelda = (x, y, lado) => ({ x, y, lado, masa: 0, sumaX: 0, sumaY: 0, nodos: [], hijos: null });
+        const hijoPara = (celda, nodo) => {
+            const mitad = celda.lado / 2;
+            return celda.hijos[(nodo.x >= celda.x + mitad ? 1 : 0) + (nodo.y >= celda.y + mitad ? 2 : 0)];
+        };
+
+        const minX = Math.min(...nodos.map(nodo => nodo.x));
+        const minY = Math.min(...nodos.map(nodo => nodo.y));
+        const maxX = Math.max(...nodos.map(nodo => nodo.x));
+        const maxY = Math.max(...nodos.map(nodo => nodo.y));
+        // Lado levemente mayor para que los nodos del borde máximo queden dentro
+        const raiz = crearCelda(minX, minY, (Math.max(maxX - minX, maxY - minY) || 1) * (1 + 1e-9));
+
+        for (const nodo of nodos) {
+            let celda = raiz;
+            for (let profundidad = 0; ; profundidad++) {
+                celda.masa++;
+                celda.sumaX += nodo.x;
+                celda.sumaY += nodo.y;
+
+                if (!celda.hijos) {
+                    if (celda.nodos.length === 0 || profundidad >= FORCE_DIRECTED.BARNES_HUT_MAX_DEPTH) {
+                        celda.nodos.push(nodo);
+                        break;
+                    }
+                    // Hoja ocupada: dividir en cuatro y bajar el nodo que tenía
+                    const mitad = celda.lado / 2;
+                    celda.hijos = [
+                        crearCelda(celda.x, celda.y, mitad),
+                        crearCelda(celda.x + mitad, celda.y, mitad),
+                        crearCelda(celda.x, celda.y + mitad, mitad),
+                        crearCelda(celda.x + mitad, celda.y + mitad, mitad)
+                    ];
+                    for (const anterior of celda.nodos) {
+                        const hijo = hijoPara(celda, anterior);
+                        hijo.masa++;
+                        hijo.sumaX += anterior.x;
+                        hijo.sumaY += anterior.y;
+                        hijo.nodos.push(anterior);
+                    }
+                    celda.nodos = [];
+                }
+
+                celda = hijoPara(celda, nodo);
+            }
+        }
+
+        return raiz;
+    }
+
     /**
      * Calcula fuerzas atractivas a lo largo de las aristas.
      * Fórmula: Fuerza = distancia² / distanciaOptima
@@ -1,10 +1,32 @@
-import Node from "./Node";
-import Edge from "./Edge";
-import ForceDirectedLayout from "./ForceDirectedLayout";
-import { GRAPH_CONSTRAINTS, LAYOUT_ITERATIONS } from "./constants/index.js";
+import Node from "./Node.js";
+import Edge from "./Edge.js";
+import ForceDirectedLayout from "./ForceDirectedLayout.js";
+import { GRAPH_CONSTRAINTS, LAYOUT_ITERATIONS, RANDOM_GRAPH, FORCE_DIRECTED } from "./constants/index.js";
+import { generarGrafoAleatorio } from "./utils/graphGenerators.js";
+import { construirGrafoConocido, firmaEstructura } from "./utils/namedGraphs.js";
+import { construirAdyacenciaIndexada } from "./utils/graphAnalysis.js";
+
+/**
+ * Selecciona las iteraciones del layout de fuerzas según el tamaño del grafo.
+ * @param {number} numeroDeNodos - Número de nodos del grafo.
+ * @returns {number} Iteraciones de la simulación.
+ */
+function iteracionesLayoutPara(numeroDeNodos) {
+  return numeroDeNodos < LAYOUT_ITERATIONS.SMALL_GRAPH_THRESHOLD
+    ? LAYOUT_ITERATIONS.SMALL_GRAPH
+    : numeroDeNodos < LAYOUT_ITERATIONS.MEDIUM_GRAPH_THRESHOLD
+      ? LAYOUT_ITERATIONS.MEDIUM_GRAPH
+      : numeroDeNodos < LAYOUT_ITERATIONS.LARGE_GRAPH_THRESHOLD
+        ? LAYOUT_ITERATIONS.LARGE_GRAPH
+        : LAYOUT_ITERATIONS.HUGE_GRAPH;
+}
 
 /**
  * Representa una estructura de datos de grafo.
+ * Además de los arrays de nodos y aristas mantiene un índice de nodos por ID y una lista de
+ * adyacencia con conjuntos de vecinos, de modo que agregar una arista, consultar vecinos o
+ * verificar si dos nodos son adyacentes no recorren todas las aristas. Los algoritmos usan
+ * la adyacencia indexada (ver obtenerAdyacenciaIndexada), que se calcula una vez por estructura.
  * @class
  */
 export default class Graph {
@@ -13,10 +35,134 @@ export default class Graph {
    */
   constructor() {
     /** @type {Array<Node>} Array de nodos del grafo. */
-    this.nodos = [];
+    this._nodos = [];
 
     /** @type {Array<Edge>} Array de aristas del grafo. */
-    this.aristas = [];
+    this._aristas = [];
+
+    /** @type {Map<number, Node>} Nodo de cada ID. */
+    this._nodoPorId = new Map();
+
+    /** @type {Map<number, Set<number>>} IDs de los vecinos de cada nodo. */
+    this._adyacencia = new Map();
+
+    /** @type {Object|null} Adyacencia indexada en caché; null cuando cambió la estructura. */
+    this._adyacenciaIndexada = null;
+
+    /**
+     * Coloración oculta de los grafos generados con el modelo plantado: número de clases (k)
+     * y clase (0..k-1) de cada ID de nodo; null en los demás grafos.
+     * @type {{k: number, classes: Object<number, number>}|null}
+     */
+    this.coloracionPlantada = null;
+
+    /**
+     * Grafo del catálogo de grafos clásicos con el que se creó este grafo, con su número
+     * cromático y la firma de su estructura (para detectar ediciones); null en los demás.
+     * @type {{id: string, name: string, params: Object, chromaticNumber: number, signature: string}|null}
+     */
+    this.grafoConocido = null;
+  }
+
+  /**
+   * Nodos del grafo, ordenados por ID. Asignar un array nuevo reconstruye los índices.
+   * @type {Array<Node>}
+   */
+  get nodos() {
+    return this._nodos;
+  }
+
+  set nodos(nodos) {
+    this._nodos = nodos;
+    this._reindexar();
+  }
+
+  /**
+   * Aristas del grafo. Asignar un array nuevo reconstruye los índices.
+   * @type {Array<Edge>}
+   */
+  get aristas() {
+    return this._aristas;
+  }
+
+  set aristas(aristas) {
+    this._aristas = aristas;
+    this._reindexar();
+  }
+
+  /**
+   * Crea un grafo a partir de arrays de nodos y aristas ya construidos (p. ej. una sesión
+   * guardada o los datos enviados a un worker), sin validar límites ni duplicados.
+   * @param {Array<Node>} nodos - Nodos del grafo, ordenados por ID.
+   * @param {Array<Edge>} aristas - Aristas entre esos nodos.
+   * @returns {Graph} Un nuevo grafo con esos nodos y aristas.
+   * @static
+   */
+  static desdeDatos(nodos, aristas) {
+    const grafo = new Graph();
+    grafo._nodos = nodos;
+    grafo._aristas = aristas;
+    grafo._reindexar();
+    return grafo;
+  }
+
+  /**
+   * Reconstruye el índice de nodos y la lista de adyacencia a partir de los arrays.
+   * Las aristas con extremos inexistentes no forman parte de la adyacencia.
+   * @private
+   */
+  _reindexar() {
+    this._nodoPorId = new Map(this._nodos.map((nodo) => [nodo.id, nodo]));
+    this._adyacencia = new Map(this._nodos.map((nodo) => [nodo.id, new Set()]));
+    for (const arista of this._aristas) {
+      const vecinosOrigen = this._adyacencia.get(arista.sourceId);
+      const vecinosDestino = this._adyacencia.get(arista.targetId);
+      if (!vecinosOrigen || !vecinosDestino) continue;
+      vecinosOrigen.add(arista.targetId);
+      vecinosDestino.add(arista.sourceId);
+    }
+    this._adyacenciaIndexada = null;
+  }
+
+  /**
+   * Obtiene un nodo por su ID.
+   * @param {number} nodeId - Identificador del nodo.
+   * @returns {Node|undefined} El nodo, o undefined si no existe.
+   */
+  obtenerNodo(nodeId) {
+    return this._nodoPorId.get(nodeId);
+  }
+
+  /**
+   * Obtiene los IDs de los vecinos de un nodo. El conjunto es del grafo: no debe modificarse.
+   * @param {number} nodeId - Identificador del nodo.
+   * @returns {Set<number>} IDs de los vecinos (vacío si el nodo no existe).
+   */
+  obtenerVecinos(nodeId) {
+    return this._adyacencia.get(nodeId) ?? new Set();
+  }
+
+  /**
+   * Indica si dos nodos están unidos por una arista.
+   * @param {number} sourceId - Identificador del primer nodo.
+   * @param {number} targetId - Identificador del segundo nodo.
+   * @returns {boolean} True si la arista existe.
+   */
+  existeArista(sourceId, targetId) {
+    return this._adyacencia.get(sourceId)?.has(targetId) ?? false;
+  }
+
+  /**
+   * Adyacencia por índices enteros con arrays tipados para los algoritmos
+   * (ver construirAdyacenciaIndexada). Se reutiliza mientras no cambien los nodos o las aristas.
+   * @returns {{ids: Int32Array, indicePorId: Map<number, number>, inicio: Int32Array, vecinos: Int32Array}}
+   * Adyacencia indexada; no debe modificarse.
+   */
+  obtenerAdyacenciaIndexada() {
+    if (!this._adyacenciaIndexada) {
+      this._adyacenciaIndexada = construirAdyacenciaIndexada(this._nodos, this._aristas);
+    }
+    return this._adyacenciaIndexada;
   }
 
   /**
@@ -37,7 +183,10 @@ export default class Graph {
         : 1;
 
     const nuevoNodo = new Node(siguienteIdNodo, x, y);
-    this.nodos.push(nuevoNodo);
+    this._nodos.push(nuevoNodo);
+    this._nodoPorId.set(nuevoNodo.id, nuevoNodo);
+    this._adyacencia.set(nuevoNodo.id, new Set());
+    this._adyacenciaIndexada = null;
     return nuevoNodo;
   }
 
@@ -45,22 +194,20 @@ export default class Graph {
    * Agrega una arista entre dos nodos.
    * @param {number} sourceId - Identificador del nodo origen.
    * @param {number} targetId - Identificador del nodo destino.
-   * @returns {Edge|null} La arista recién creada, o null si es inválida.
+   * @returns {Edge|null} La arista recién creada, o null si es inválida (lazo, repetida o con un nodo inexistente).
    */
   agregarArista(sourceId, targetId) {
     if (sourceId === targetId) return null;
 
-    //evitar duplicados 
-    const aristaExiste = this.aristas.some(
-      (arista) =>
-        (arista.sourceId === sourceId && arista.targetId === targetId) ||
-        (arista.sourceId === targetId && arista.targetId === sourceId)
-    );
-    if (aristaExiste) return null;
+    const vecinosOrigen = this._adyacencia.get(sourceId);
+    const vecinosDestino = this._adyacencia.get(targetId);
+    if (!vecinosOrigen || !vecinosDestino || vecinosOrigen.has(targetId)) return null;
 
-    //crear nueva arista
     const nuevaArista = new Edge(sourceId, targetId);
-    this.aristas.push(nuevaArista);
+    this._aristas.push(nuevaArista);
+    vecinosOrigen.add(targetId);
+    vecinosDestino.add(sourceId);
+    this._adyacenciaIndexada = null;
     return nuevaArista;
   }
 
@@ -68,8 +215,11 @@ export default class Graph {
    * Limpia todos los nodos y aristas del grafo.
    */
   resetear() {
-    this.nodos = [];
-    this.aristas = [];
+    this._nodos = [];
+    this._aristas = [];
+    this._reindexar();
+    this.coloracionPlantada = null;
+    this.grafoConocido = null;
   }
 
   /**
@@ -79,7 +229,7 @@ export default class Graph {
    * @param {number} y - Nueva coordenada Y normalizada (0-1).
    */
   actualizarPosicionNodo(nodeId, x, y) {
-    const nodo = this.nodos.find((n) => n.id === nodeId);
+    const nodo = this._nodoPorId.get(nodeId);
     if (!nodo) return;
     nodo.x = x;
     nodo.y = y;
@@ -91,13 +241,18 @@ export default class Graph {
    * @param {number} targetId - Identificador del segundo nodo.
    */
   eliminarArista(sourceId, targetId) {
-    this.aristas = this.aristas.filter(
+    if (!this.existeArista(sourceId, targetId)) return;
+
+    this._aristas = this._aristas.filter(
       (arista) =>
         !(
           (arista.sourceId === sourceId && arista.targetId === targetId) ||
           (arista.sourceId === targetId && arista.targetId === sourceId)
         )
     );
+    this._adyacencia.get(sourceId).delete(targetId);
+    this._adyacencia.get(targetId).delete(sourceId);
+    this._adyacenciaIndexada = null;
   }
 
   /**
@@ -106,23 +261,53 @@ export default class Graph {
    */
   eliminarNodo(nodeId) {
     // Remover el nodo
-    this.nodos = this.nodos.filter((nodo) => nodo.id !== nodeId);
+    this._nodos = this._nodos.filter((nodo) => nodo.id !== nodeId);
+    this._nodoPorId.delete(nodeId);
 
     // Remover todas las aristas conectadas a este nodo
-    this.aristas = this.aristas.filter(
+    this._aristas = this._aristas.filter(
       (arista) => arista.sourceId !== nodeId && arista.targetId !== nodeId
     );
+    for (const idVecino of this._adyacencia.get(nodeId) ?? []) {
+      this._adyacencia.get(idVecino).delete(nodeId);
+    }
+    this._adyacencia.delete(nodeId);
+    this._adyacenciaIndexada = null;
+  }
+
+  /**
+   * Vuelve a insertar un nodo eliminado con su id original, manteniendo el orden por id,
+   * junto con las aristas que tenía.
+   * @param {Node} nodo - Nodo a insertar.
+   * @param {Array<Edge>} [aristas=[]] - Aristas del nodo a restaurar.
+   */
+  restaurarNodo(nodo, aristas = []) {
+    const indice = this._nodos.findIndex((n) => n.id > nodo.id);
+    if (indice === -1) {
+      this._nodos.push(nodo);
+    } else {
+      this._nodos.splice(indice, 0, nodo);
+    }
+    this._nodoPorId.set(nodo.id, nodo);
+    this._adyacencia.set(nodo.id, new Set());
+    this._adyacenciaIndexada = null;
+
+    aristas.forEach((arista) => this.agregarArista(arista.sourceId, arista.targetId));
   }
 
   /**
    * Crea un grafo conectado aleatorio con el número especificado de nodos.
    * Usa posicionamiento basado en grilla con variación aleatoria y layout dirigido por fuerzas.
    * @param {number} numeroDeNodos - Número de nodos a generar.
+   * @param {Function} [aleatorio=Math.random] - Generador de números en [0, 1); con semilla reproduce el mismo grafo.
+   * @param {Object} [opciones={}] - Opciones de generación.
+   * @param {boolean} [opciones.layout=true] - Si se aplica el layout de fuerzas. Las aristas se generan
+   * antes del layout, así que sin él se obtiene el mismo grafo (p. ej. para experimentos sin canvas).
    * @returns {Graph} Un nuevo grafo aleatorio conectado.
    * @throws {Error} Si numeroDeNodos está fuera del rango válido.
    * @static
    */
-  static crearGrafoConectadoAleatorio(numeroDeNodos) {
+  static crearGrafoConectadoAleatorio(numeroDeNodos, aleatorio = Math.random, opciones = {}) {
     if (
       numeroDeNodos < GRAPH_CONSTRAINTS.MIN_RANDOM_NODES ||
       numeroDeNodos > GRAPH_CONSTRAINTS.MAX_NODES
@@ -139,8 +324,8 @@ export default class Graph {
     const filas = Math.ceil(numeroDeNodos / columnas);
 
     const generarCoordenada = (col, fila, maxCol, maxFila) => {
-      const xNorm = (col + 0.5 + (Math.random() - 0.5) * 0.8) / maxCol;
-      const yNorm = (fila + 0.5 + (Math.random() - 0.5) * 0.8) / maxFila;
+      const xNorm = (col + 0.5 + (aleatorio() - 0.5) * 0.8) / maxCol;
+      const yNorm = (fila + 0.5 + (aleatorio() - 0.5) * 0.8) / maxFila;
       return {
         x: 0.05 + xNorm * 0.9,
         y: 0.05 + yNorm * 0.9
@@ -156,7 +341,7 @@ export default class Graph {
 
     // Crear árbol de expansión para conectar los nodos
     for (let i = 1; i < grafo.nodos.length; i++) {
-      const nodoPrevio = grafo.nodos[Math.floor(Math.random() * i)];
+      const nodoPrevio = grafo.nodos[Math.floor(aleatorio() * i)];
       grafo.agregarArista(grafo.nodos[i].id, nodoPrevio.id);
     }
 
@@ -165,21 +350,133 @@ export default class Graph {
     let agregadas = 0, intentos = 0, maxIntentos = numeroDeNodos * numeroDeNodos;
 
     while (agregadas < extras && intentos++ < maxIntentos) {
-      const a = grafo.nodos[Math.floor(Math.random() * grafo.nodos.length)];
-      const b = grafo.nodos[Math.floor(Math.random() * grafo.nodos.length)];
+      const a = grafo.nodos[Math.floor(aleatorio() * grafo.nodos.length)];
+      const b = grafo.nodos[Math.floor(aleatorio() * grafo.nodos.length)];
       if (a.id !== b.id && grafo.agregarArista(a.id, b.id)) {
         agregadas++;
       }
     }
 
-    // Selección de iteraciones de layout
-    const iteracionesLayout = numeroDeNodos < LAYOUT_ITERATIONS.SMALL_GRAPH_THRESHOLD
-      ? LAYOUT_ITERATIONS.SMALL_GRAPH
-      : numeroDeNodos < LAYOUT_ITERATIONS.MEDIUM_GRAPH_THRESHOLD
-        ? LAYOUT_ITERATIONS.MEDIUM_GRAPH
-        : LAYOUT_ITERATIONS.LARGE_GRAPH;
+    if (opciones.layout ?? true) {
+      grafo.aplicarLayoutFuerzas(iteracionesLayoutPara(numeroDeNodos), aleatorio);
+    }
+
+    return grafo;
+  }
+
+  /**
+   * Crea un grafo aleatorio con el modelo indicado (ver utils/graphGenerators).
+   * El modelo 'tree' (por defecto) usa crearGrafoConectadoAleatorio; los demás generan
+   * la lista de aristas y la ubican con crearDesdeAristas. En el modelo 'planted' el grafo
+   * guarda su solución oculta en `coloracionPlantada`.
+   * @param {number} numeroDeNodos - Número de nodos a generar.
+   * @param {Object} [configuracion={}] - Modelo y parámetros (ver generarGrafoAleatorio).
+   * @param {Function} [aleatorio=Math.random] - Generador de números en [0, 1); con semilla reproduce el mismo grafo.
+   * @param {Object} [opciones={}] - Opciones de generación.
+   * @param {boolean} [opciones.layout=true] - Si se aplica el layout de fuerzas.
+   * @returns {Graph} Un nuevo grafo aleatorio.
+   * @throws {Error} Si numeroDeNodos está fuera del rango válido o la configuración es inválida.
+   * @static
+   */
+  static crearGrafoAleatorio(numeroDeNodos, configuracion = {}, aleatorio = Math.random, opciones = {}) {
+    const modelo = configuracion.model ?? RANDOM_GRAPH.DEFAULT_MODEL;
+    if (modelo === 'tree') {
+      return Graph.crearGrafoConectadoAleatorio(numeroDeNodos, aleatorio, opciones);
+    }
 
-    grafo.aplicarLayoutFuerzas(iteracionesLayout);
+    if (
+      numeroDeNodos < GRAPH_CONSTRAINTS.MIN_RANDOM_NODES ||
+      numeroDeNodos > GRAPH_CONSTRAINTS.MAX_NODES
+    ) {
+      throw new Error(
+        `El número de nodos debe estar entre ${GRAPH_CONSTRAINTS.MIN_RANDOM_NODES} y ${GRAPH_CONSTRAINTS.MAX_NODES}.`
+      );
+    }
+
+    const { aristas, clasesPlantadas } = generarGrafoAleatorio(
+      numeroDeNodos, { ...configuracion, model: modelo }, aleatorio
+    );
+    const grafo = Graph.crearDesdeAristas(numeroDeNodos, aristas, aleatorio, opciones);
+
+    if (clasesPlantadas) {
+      const classes = {};
+      clasesPlantadas.forEach((clase, indice) => {
+        classes[indice + 1] = clase;
+      });
+      grafo.coloracionPlantada = { k: configuracion.classes, classes };
+    }
+
+    return grafo;
+  }
+
+  /**
+   * Crea un grafo del catálogo de grafos clásicos (ver utils/namedGraphs).
+   * Los nodos se ubican con la disposición propia del grafo o, si no tiene, con el layout de fuerzas.
+   * @param {string} id - Clave del catálogo (p. ej. 'petersen', 'queen').
+   * @param {Object} [parametros={}] - Parámetros del grafo (p. ej. { n: 8 }).
+   * @param {Function} [aleatorio=Math.random] - Generador usado por el layout de fuerzas.
+   * @returns {Graph} Un nuevo grafo con su número cromático conocido en `grafoConocido`.
+   * @throws {Error} Si el grafo no existe, los parámetros son inválidos o supera el máximo de nodos.
+   * @static
+   */
+  static crearGrafoConocido(id, parametros = {}, aleatorio = Math.random) {
+    const instancia = construirGrafoConocido(id, parametros);
+    const grafo = Graph.crearDesdeAristas(
+      instancia.numeroDeNodos, instancia.aristas, aleatorio, { layout: !instancia.posiciones }
+    );
+
+    if (instancia.posiciones) {
+      const { POSITION_MIN, POSITION_MAX } = FORCE_DIRECTED;
+      const escalar = (valor) => POSITION_MIN + valor * (POSITION_MAX - POSITION_MIN);
+      grafo.nodos.forEach((nodo, indice) => {
+        nodo.x = escalar(instancia.posiciones[indice].x);
+        nodo.y = escalar(instancia.posiciones[indice].y);
+      });
+    }
+
+    grafo.grafoConocido = {
+      id,
+      name: instancia.nombre,
+      params: instancia.parametros,
+      chromaticNumber: instancia.numeroCromatico,
+      signature: firmaEstructura(grafo.nodos, grafo.aristas)
+    };
+    return grafo;
+  }
+
+  /**
+   * Crea un grafo a partir de una lista de aristas sin coordenadas (p. ej. un archivo DIMACS).
+   * Los nodos se ubican en círculo y luego se distribuyen con el layout de fuerzas.
+   * @param {number} numeroDeNodos - Número de vértices (numerados desde 1).
+   * @param {Array<[number, number]>} pares - Aristas como pares de vértices, sin repetidos.
+   * @param {Function} [aleatorio=Math.random] - Generador usado por el layout.
+   * @param {Object} [opciones={}] - Opciones de construcción.
+   * @param {boolean} [opciones.layout=true] - Si se aplica el layout de fuerzas (sin él los nodos quedan en círculo).
+   * @returns {Graph} Un nuevo grafo con ids de nodo 1..numeroDeNodos.
+   * @throws {Error} Si numeroDeNodos supera el máximo permitido.
+   * @static
+   */
+  static crearDesdeAristas(numeroDeNodos, pares, aleatorio = Math.random, opciones = {}) {
+    if (numeroDeNodos > GRAPH_CONSTRAINTS.MAX_NODES) {
+      throw new Error(
+        `El grafo tiene ${numeroDeNodos} nodos y el máximo permitido es ${GRAPH_CONSTRAINTS.MAX_NODES}.`
+      );
+    }
+
+    const grafo = new Graph();
+
+    for (let i = 0; i < numeroDeNodos; i++) {
+      const angulo = (2 * Math.PI * i) / numeroDeNodos;
+      grafo.agregarNodo(0.5 + 0.45 * Math.cos(angulo), 0.5 + 0.45 * Math.sin(angulo));
+    }
+
+    for (const [u, v] of pares) {
+      grafo.agregarArista(u, v);
+    }
+
+    if (numeroDeNodos > 1 && (opciones.layout ?? true)) {
+      grafo.aplicarLayoutFuerzas(iteracionesLayoutPara(numeroDeNodos), aleatorio);
+    }
 
     return grafo;
   }
@@ -189,9 +486,10 @@ export default class Graph {
    * Aplica el algoritmo de layout dirigido por fuerzas para posicionar nodos.
    * Usa el algoritmo de Fruchterman-Reingold para distribución natural de nodos.
    * @param {number} [iteraciones=600] - Número de iteraciones de la simulación.
+   * @param {Function} [aleatorio=Math.random] - Generador usado para separar nodos superpuestos.
    */
-  aplicarLayoutFuerzas(iteraciones = 600) {
-    const layout = new ForceDirectedLayout(1.0, 1.0);
+  aplicarLayoutFuerzas(iteraciones = 600, aleatorio = Math.random) {
+    const layout = new ForceDirectedLayout(1.0, 1.0, aleatorio);
     layout.aplicar(this.nodos, this.aristas, iteraciones);
   }
 
@@ -0,0 +1,176 @@
+import Graph from './Graph.js';
+import Node from './Node.js';
+import Edge from './Edge.js';
+import { GRAPH_CONSTRAINTS } from './constants/index.js';
+import { construirAdyacenciaIndexada } from './utils/graphAnalysis.js';
+
+/**
+ * Vecinos de cada fila de una adyacencia indexada, como IDs de nodo ordenados.
+ * @param {Object} adyacencia - Resultado de construirAdyacenciaIndexada.
+ * @returns {Object<number, Array<number>>} IDs vecinos por ID de nodo.
+ */
+function filas(adyacencia) {
+  const resultado = {};
+  adyacencia.ids.forEach((id, i) => {
+    const fila = Array.from(adyacencia.vecinos.subarray(adyacencia.inicio[i], adyacencia.inicio[i + 1]));
+    resultado[id] = fila.map((j) => adyacencia.ids[j]).sort((a, b) => a - b);
+  });
+  return resultado;
+}
+
+/**
+ * Comprueba que el índice de nodos, la lista de adyacencia y la adyacencia indexada en caché
+ * coinciden con lo que se obtiene reconstruyéndolos desde los arrays de nodos y aristas.
+ * @param {Graph} grafo - Grafo a verificar.
+ */
+function verificarIndices(grafo) {
+  const ids = grafo.nodos.map((nodo) => nodo.id);
+  const esperados = new Map(ids.map((id) => [id, new Set()]));
+  grafo.aristas.forEach(({ sourceId, targetId }) => {
+    esperados.get(sourceId).add(targetId);
+    esperados.get(targetId).add(sourceId);
+  });
+
+  grafo.nodos.forEach((nodo) => {
+    expect(grafo.obtenerNodo(nodo.id)).toBe(nodo);
+    expect([...grafo.obtenerVecinos(nodo.id)].sort((a, b) => a - b))
+      .toEqual([...esperados.get(nodo.id)].sort((a, b) => a - b));
+  });
+  expect(grafo._nodoPorId.size).toBe(ids.length);
+  expect([...grafo._adyacencia.keys()].sort((a, b) => a - b)).toEqual([...ids].sort((a, b) => a - b));
+
+  const indexada = grafo.obtenerAdyacenciaIndexada();
+  expect(Array.from(indexada.ids)).toEqual(ids);
+  expect(filas(indexada)).toEqual(filas(construirAdyacenciaIndexada(grafo.nodos, grafo.aristas)));
+  expect(grafo.obtenerAdyacenciaIndexada()).toBe(indexada);
+}
+
+/**
+ * Crea un camino 1-2-3-4-5.
+ * @returns {Graph} Grafo de prueba.
+ */
+function camino() {
+  const grafo = new Graph();
+  for (let i = 0; i < 5; i++) grafo.agregarNodo(i / 5, 0.5);
+  for (let id = 1; id < 5; id++) grafo.agregarArista(id, id + 1);
+  return grafo;
+}
+
+describe('índices del grafo', () => {
+  test('agregar nodos y aristas mantiene el índice y la adyacencia indexada', () => {
+    const grafo = camino();
+    verificarIndices(grafo);
+
+    const anterior = grafo.obtenerAdyacenciaIndexada();
+    const nodo = grafo.agregarNodo(0.9, 0.9);
+    expect(nodo.id).toBe(6);
+    expect(grafo.obtenerAdyacenciaIndexada()).not.toBe(anterior);
+    verificarIndices(grafo);
+
+    expect(grafo.agregarArista(6, 1)).toBeInstanceOf(Edge);
+    expect(grafo.existeArista(1, 6)).toBe(true);
+    verificarIndices(grafo);
+  });
+
+  test('rechaza lazos, aristas repetidas y extremos inexistentes sin invalidar la caché', () => {
+    const grafo = camino();
+    const indexada = grafo.obtenerAdyacenciaIndexada();
+
+    expect(grafo.agregarArista(3, 3)).toBeNull();
+    expect(grafo.agregarArista(1, 2)).toBeNull();
+    expect(grafo.agregarArista(2, 1)).toBeNull();
+    expect(grafo.agregarArista(1, 99)).toBeNull();
+
+    expect(grafo.aristas).toHaveLength(4);
+    expect(grafo.obtenerAdyacenciaIndexada()).toBe(indexada);
+    verificarIndices(grafo);
+  });
+
+  test('eliminar aristas en cualquier sentido actualiza los índices', () => {
+    const grafo = camino();
+    grafo.obtenerAdyacenciaIndexada();
+
+    grafo.eliminarArista(3, 2);
+    expect(grafo.existeArista(2, 3)).toBe(false);
+    verificarIndices(grafo);
+
+    const indexada = grafo.obtenerAdyacenciaIndexada();
+    grafo.eliminarArista(1, 5);
+    expect(grafo.aristas).toHaveLength(3);
+    expect(grafo.obtenerAdyacenciaIndexada()).toBe(indexada);
+    verificarIndices(grafo);
+  });
+
+  test('eliminar y restaurar un nodo deja los mismos vecinos', () => {
+    const grafo = camino();
+    grafo.agregarArista(3, 5);
+    const nodo = grafo.obtenerNodo(3);
+    const aristas = grafo.aristas.filter((a) => a.sourceId === 3 || a.targetId === 3);
+    const vecinos = [...grafo.obtenerVecinos(3)];
+    grafo.obtenerAdyacenciaIndexada();
+
+    grafo.eliminarNodo(3);
+    expect(grafo.obtenerNodo(3)).toBeUndefined();
+    expect(grafo.obtenerVecinos(3).size).toBe(0);
+    expect(grafo.existeArista(2, 3)).toBe(false);
+    verificarIndices(grafo);
+
+    grafo.restaurarNodo(nodo, aristas);
+    expect(grafo.nodos.map((n) => n.id)).toEqual([1, 2, 3, 4, 5]);
+    expect([...grafo.obtenerVecinos(3)].sort()).toEqual(vecinos.sort());
+    verificarIndices(grafo);
+  });
+
+  test('asignar los arrays, resetear y desdeDatos reconstruyen los índices', () => {
+    const grafo = camino();
+    grafo.obtenerAdyacenciaIndexada();
+
+    grafo.aristas = [new Edge(1, 3), new Edge(3, 5)];
+    verificarIndices(grafo);
+    grafo.nodos = grafo.nodos.slice(0, 3);
+    expect(grafo.obtenerVecinos(3)).toEqual(new Set([1]));
+    expect(grafo.obtenerAdyacenciaIndexada().vecinos).toHaveLength(2);
+
+    grafo.resetear();
+    expect(grafo.nodos).toEqual([]);
+    expect(grafo.obtenerAdyacenciaIndexada().ids).toHaveLength(0);
+    verificarIndices(grafo);
+
+    const nodos = [new Node(1, 0, 0), new Node(2, 1, 0), new Node(4, 1, 1)];
+    const copia = Graph.desdeDatos(nodos, [new Edge(1, 2), new Edge(2, 4), new Edge(4, 1)]);
+    expect(copia.nodos).toBe(nodos);
+    expect(copia.agregarNodo(0.5, 0.5).id).toBe(5);
+    verificarIndices(copia);
+  });
+
+  test('desdeDatos ignora en la adyacencia las aristas repetidas o con extremos inexistentes', () => {
+    const nodos = [new Node(1, 0, 0), new Node(2, 1, 0)];
+    const grafo = Graph.desdeDatos(nodos, [new Edge(1, 2), new Edge(2, 1), new Edge(2, 9)]);
+
+    expect(grafo.obtenerVecinos(1)).toEqual(new Set([2]));
+    expect(grafo.obtenerVecinos(2)).toEqual(new Set([1]));
+    expect(filas(grafo.obtenerAdyacenciaIndexada())).toEqual({ 1: [2], 2: [1] });
+  });
+});
+
+describe('límite de nodos', () => {
+  test(`admite hasta ${GRAPH_CONSTRAINTS.MAX_NODES} nodos`, () => {
+    const grafo = new Graph();
+    for (let i = 0; i < GRAPH_CONSTRAINTS.MAX_NODES; i++) grafo.agregarNodo(0.5, 0.5);
+    for (let id = 1; id < GRAPH_CONSTRAINTS.MAX_NODES; id++) grafo.agregarArista(id, id + 1);
+
+    expect(() => grafo.agregarNodo(0.5, 0.5))
+      .toThrow(`Se alcanzó el máximo de ${GRAPH_CONSTRAINTS.MAX_NODES} nodos permitidos.`);
+    expect(grafo.nodos).toHaveLength(GRAPH_CONSTRAINTS.MAX_NODES);
+    expect(grafo.obtenerAdyacenciaIndexada().vecinos).toHaveLength(2 * (GRAPH_CONSTRAINTS.MAX_NODES - 1));
+    verificarIndices(grafo);
+  });
+
+  test('crearDesdeAristas rechaza grafos más grandes que el máximo', () => {
+    const n = GRAPH_CONSTRAINTS.MAX_NODES + 1;
+    expect(() => Graph.crearDesdeAristas(n, [], Math.random, { layout: false }))
+      .toThrow(`El grafo tiene ${n} nodos y el máximo permitido es ${GRAPH_CONSTRAINTS.MAX_NODES}.`);
+    expect(Graph.crearDesdeAristas(GRAPH_CONSTRAINTS.MAX_NODES, [[1, 2]], Math.random, { layout: false }).nodos)
+      .toHaveLength(GRAPH_CONSTRAINTS.MAX_NODES);
+  });
+});
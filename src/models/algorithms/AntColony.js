@@ -0,0 +1,253 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+import { ordenMenorUltimo } from '../utils/vertexOrderings.js';
+import { ALGORITHM } from '../constants/index.js';
+
+/**
+ * Colonia de hormigas para colorear grafos con k colores, en la línea de ANTCOL (Costa y Hertz 1997).
+ * El rastro de feromona está sobre los pares (vértice, color). En cada ciclo cada hormiga colorea
+ * todos los vértices en orden de degeneración (menor grado al final); el color c de v se elige con
+ * probabilidad proporcional a τ(v, c) · η(v, c)^β, con η = 1 / (1 + vecinos ya coloreados con c).
+ * Al cerrar el ciclo la feromona se evapora en la proporción `evaporation` y la mejor hormiga del
+ * ciclo deposita en cada par que usó (1 + mejores conflictos hallados) / (1 + sus conflictos): 1 si
+ * iguala a la mejor coloración, menos cuanto peor sea, sin depender de la escala de conflictos del
+ * grafo. La feromona no baja de ALGORITHM.ACO_MIN_PHEROMONE, para que ningún color quede descartado del todo.
+ * Cada ciclo es un intento; el historial guarda los conflictos de la mejor hormiga y la media de la colonia.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class AntColony extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia de la colonia de hormigas.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   * @param {number} [options.ants] - Hormigas por ciclo.
+   * @param {number} [options.evaporation] - Proporción de feromona que se evapora en cada ciclo, entre 0 y 1.
+   * @param {number} [options.heuristicWeight] - Exponente β de la información heurística.
+   * @param {number} [options.maxCycles] - Ciclos antes de detenerse sin solución.
+   * @param {boolean} [options.showPheromones=false] - Si se reporta el mapa de feromonas de cada nodo.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    /** @type {number} Hormigas por ciclo. */
+    this.ants = Math.max(1, options.ants ?? ALGORITHM.ACO_ANTS);
+
+    /** @type {number} Tasa de evaporación ρ. */
+    this.evaporation = options.evaporation ?? ALGORITHM.ACO_EVAPORATION;
+
+    /** @type {number} Peso β de la información heurística. */
+    this.heuristicWeight = options.heuristicWeight ?? ALGORITHM.ACO_HEURISTIC_WEIGHT;
+
+    /** @type {number} Máximo de ciclos. */
+    this.maxCycles = options.maxCycles ?? ALGORITHM.ACO_MAX_CYCLES;
+
+    /** @type {boolean} Si obtenerEstadisticasExtra incluye el mapa de feromonas. */
+    this.showPheromones = options.showPheromones ?? false;
+
+    const n = this.nodes.length;
+    const k = this.numberOfColors;
+
+    /** @type {Float64Array} Feromona de cada par (vértice, color) (matriz n × k). */
+    this.feromona = new Float64Array(n * k).fill(1);
+
+    /** @type {Int32Array} Orden en que las hormigas colorean los vértices. */
+    this.orden = ordenMenorUltimo(this.adyacencia);
+
+    /** @type {Int32Array} Vecinos ya coloreados con cada color durante la construcción (matriz n × k). */
+    this.neighborColorCount = new Int32Array(n * k);
+
+    /** @type {Float64Array} Peso de cada color del vértice que se está coloreando. */
+    this.pesos = new Float64Array(k);
+
+    /** @type {Int32Array} Coloración de la hormiga en construcción. */
+    this.coloracion = new Int32Array(n);
+
+    /** @type {Int32Array} Coloración de la mejor hormiga del ciclo. */
+    this.mejorDelCiclo = new Int32Array(n);
+
+    /** @type {number} Ciclos completados. */
+    this.cycle = 0;
+
+    /** @type {number} Conflictos medios de las hormigas del último ciclo. */
+    this.colonyMean = 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return this.maxCycles;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.finished ? 1 : this.attempts / this.obtenerMaximoIntentos();
+  }
+
+  /**
+   * Estadísticas de la colonia para el overlay y, si se pidió, el mapa de feromonas.
+   * @returns {{cycle: number, ants: number, bestConflicts: number, populationMean: number, pheromones?: Array<{nodeId: number, color: string, intensity: number}>}}
+   * Ciclo, hormigas, mejor y media de conflictos, y la feromona dominante de cada nodo.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      cycle: this.cycle,
+      ants: this.ants,
+      bestConflicts: this.bestEvaluation.conflicts,
+      populationMean: this.colonyMean,
+      ...(this.showPheromones && { pheromones: this.obtenerMapaFeromonas() })
+    };
+  }
+
+  /**
+   * Color con más feromona de cada nodo y cuánto domina sobre los demás: 0 con la feromona
+   * repartida por igual entre los k colores y 1 con toda en ese color.
+   * @returns {Array<{nodeId: number, color: string, intensity: number}>} Feromona dominante por nodo.
+   */
+  obtenerMapaFeromonas() {
+    const { ids } = this.adyacencia;
+    const k = this.numberOfColors;
+    const mapa = [];
+    for (let v = 0; v < ids.length; v++) {
+      let total = 0;
+      let dominante = 0;
+      for (let c = 0; c < k; c++) {
+        total += this.feromona[v * k + c];
+        if (this.feromona[v * k + c] > this.feromona[v * k + dominante]) dominante = c;
+      }
+      const proporcion = this.feromona[v * k + dominante] / total;
+      mapa.push({
+        nodeId: ids[v],
+        color: this.availableColors[dominante],
+        intensity: k > 1 ? (proporcion - 1 / k) / (1 - 1 / k) : 1
+      });
+    }
+    return mapa;
+  }
+
+  /**
+   * Construye la coloración de una hormiga en `this.coloracion`.
+   * @returns {number} Conflictos de la coloración construida.
+   * @private
+   */
+  _construirSolucion() {
+    const k = this.numberOfColors;
+    const { inicio, vecinos } = this.adyacencia;
+    const { feromona, neighborColorCount, pesos, coloracion } = this;
+
+    neighborColorCount.fill(0);
+    let conflictos = 0;
+    for (const v of this.orden) {
+      // Ruleta sobre τ(v, c) · η(v, c)^β
+      let total = 0;
+      for (let c = 0; c < k; c++) {
+        pesos[c] = feromona[v * k + c] * Math.pow(1 + neighborColorCount[v * k + c], -this.heuristicWeight);
+        total += pesos[c];
+      }
+      let umbral = this.random() * total;
+      let color = k - 1;
+      for (let c = 0; c < k - 1; c++) {
+        umbral -= pesos[c];
+        if (umbral < 0) {
+          color = c;
+          break;
+        }
+      }
+
+      coloracion[v] = color;
+      conflictos += neighborColorCount[v * k + color];
+      for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+        neighborColorCount[vecinos[p] * k + color]++;
+      }
+    }
+    return conflictos;
+  }
+
+  /**
+   * Evapora la feromona y deposita la de la mejor hormiga del ciclo.
+   * @param {number} conflictos - Conflictos de la mejor hormiga del ciclo.
+   * @private
+   */
+  _actualizarFeromona(conflictos) {
+    const k = this.numberOfColors;
+    const { feromona } = this;
+    const persistencia = 1 - this.evaporation;
+    for (let i = 0; i < feromona.length; i++) {
+      feromona[i] = Math.max(ALGORITHM.ACO_MIN_PHEROMONE, feromona[i] * persistencia);
+    }
+    const deposito = (1 + this.bestEvaluation.conflicts) / (1 + conflictos);
+    this.mejorDelCiclo.forEach((color, v) => {
+      feromona[v * k + color] += deposito;
+    });
+  }
+
+  /**
+   * Ejecuta un ciclo: cada hormiga construye una coloración y luego se actualiza la feromona.
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished) {
+      // El ciclo se corta si una hormiga encuentra una coloración válida
+      let mejoresConflictos = Infinity;
+      let suma = 0;
+      let hormigas = 0;
+      while (hormigas < this.ants && mejoresConflictos > 0) {
+        const conflictos = this._construirSolucion();
+        suma += conflictos;
+        hormigas++;
+        if (conflictos < mejoresConflictos) {
+          mejoresConflictos = conflictos;
+          this.mejorDelCiclo.set(this.coloracion);
+        }
+      }
+      this.colonyMean = suma / hormigas;
+
+      if (mejoresConflictos < this.bestEvaluation.conflicts) {
+        const colores = {};
+        this.nodes.forEach((nodo, i) => {
+          colores[nodo.id] = this.availableColors[this.mejorDelCiclo[i]];
+        });
+        const evalResult = this.evaluarColoracion(colores);
+        this.actualizarMejorSolucion(colores, evalResult.conflicts, evalResult.conflictEdges);
+      }
+
+      this._actualizarFeromona(mejoresConflictos);
+      this.cycle++;
+
+      this.updateStatistics(mejoresConflictos, mejoresConflictos === 0);
+      this.guardarIntentoEnHistorial(mejoresConflictos, mejoresConflictos === 0, {
+        populationMean: this.colonyMean
+      });
+
+      if (mejoresConflictos === 0 || this.cycle >= this.maxCycles) {
+        this.finished = true;
+      }
+    }
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      this.bestEvaluation.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors: { ...this.bestColors },
+      conflictEdges: this.bestEvaluation.conflictEdges,
+      stats: { ...stats, progress: this.calculateProgress() },
+      extraStats: this.obtenerEstadisticasExtra(),
+      currentAttempt: {
+        conflicts: this.bestEvaluation.conflicts,
+        success: this.bestEvaluation.conflicts === 0
+      }
+    };
+  }
+}
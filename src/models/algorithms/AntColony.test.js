@@ -0,0 +1,60 @@
+import Graph from '../Graph.js';
+import AntColony from './AntColony.js';
+import { construirGrafoConocido } from '../utils/namedGraphs.js';
+
+/**
+ * Ejecuta la colonia de hormigas hasta el final sobre un grafo del catálogo.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} parametros - Parámetros del grafo.
+ * @param {Object} opciones - Opciones del algoritmo.
+ * @returns {{graph: Graph, resultado: Object}} Grafo y resultado.
+ */
+function resolver(id, parametros, opciones) {
+  const { numeroDeNodos, aristas } = construirGrafoConocido(id, parametros);
+  const graph = Graph.crearDesdeAristas(numeroDeNodos, aristas, Math.random, { layout: false });
+  const algo = new AntColony(graph, opciones);
+  algo.ejecutarBloque(Infinity);
+  return { graph, resultado: algo.construirResultado() };
+}
+
+describe('AntColony', () => {
+  test.each([
+    ['petersen', {}, 3],
+    ['torus', { rows: 3, columns: 5 }, 3],
+    ['mycielski', { k: 5 }, 5],
+    ['queen', { n: 5 }, 5]
+  ])('encuentra una coloración válida de %s %j con k = %i y semilla fija', (id, parametros, k) => {
+    const { graph, resultado } = resolver(id, parametros, { numberOfColors: k, seed: 42 });
+
+    expect(resultado.stats.conflicts).toBe(0);
+    expect(resultado.extraStats.bestConflicts).toBe(0);
+    graph.aristas.forEach(({ sourceId, targetId }) => {
+      expect(resultado.colors[sourceId]).not.toBe(resultado.colors[targetId]);
+    });
+  });
+
+  test('la misma semilla reproduce la ejecución', () => {
+    const opciones = { numberOfColors: 5, seed: 3, maxCycles: 20 };
+    expect(resolver('queen', { n: 5 }, opciones).resultado).toEqual(resolver('queen', { n: 5 }, opciones).resultado);
+  });
+
+  test('se detiene tras maxCycles si k no alcanza', () => {
+    const { resultado } = resolver('complete', { n: 4 }, { numberOfColors: 3, seed: 1, maxCycles: 20 });
+
+    expect(resultado.stats.conflicts).toBe(1);
+    expect(resultado.stats.attempts).toBe(20);
+    expect(resultado.extraStats.cycle).toBe(20);
+  });
+
+  test('reporta la feromona dominante de cada nodo solo si se pide', () => {
+    const sinMapa = resolver('petersen', {}, { numberOfColors: 3, seed: 42 }).resultado;
+    const { graph, resultado } = resolver('petersen', {}, { numberOfColors: 3, seed: 42, showPheromones: true });
+
+    expect(sinMapa.extraStats.pheromones).toBeUndefined();
+    expect(resultado.extraStats.pheromones.map((entrada) => entrada.nodeId)).toEqual(graph.nodos.map((nodo) => nodo.id));
+    resultado.extraStats.pheromones.forEach(({ intensity }) => {
+      expect(intensity).toBeGreaterThanOrEqual(0);
+      expect(intensity).toBeLessThanOrEqual(1);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { generarPaletaColores } from '../utils/colorPalette.js';
 import { evaluarColoracion } from '../utils/graphEvaluation.js';
 import { ALGORITHM } from '../constants/index.js';
+import { crearGeneradorAleatorio, resolverSemilla } from '../utils/random.js';
 
 /**
  * Clase base abstracta para los algoritmos de coloración de grafos.
@@ -14,6 +15,9 @@ export default class BaseAlgorithm {
      * @param {Graph} graph - la instancia del grafo.
      * @param {Object} [options={}] - Opciones de configuración del algoritmo.
      * @param {number} [options.numberOfColors] - Número de colores a usar.
+     * @param {number} [options.seed] - Semilla del generador aleatorio; si se omite se genera una.
+     * @param {boolean} [options.recordHistory=true] - Si se guarda el historial de intentos
+     * (los experimentos por lotes solo necesitan el resultado final).
      */
     constructor(graph, options = {}) {
         /** @type {Array<Node>} Referencia a los nodos del grafo. */
@@ -22,12 +26,25 @@ export default class BaseAlgorithm {
         /** @type {Array<Edge>} Referencia a las aristas del grafo. */
         this.edges = graph.aristas;
 
+        /**
+         * Adyacencia del grafo por índices (posición en `nodes`) con arrays tipados:
+         * los vecinos del índice v son vecinos[inicio[v]] … vecinos[inicio[v + 1] - 1].
+         * @type {{ids: Int32Array, indicePorId: Map<number, number>, inicio: Int32Array, vecinos: Int32Array}}
+         */
+        this.adyacencia = graph.obtenerAdyacenciaIndexada();
+
         /** @type {number} Número de colores disponibles. */
         this.numberOfColors = options.numberOfColors ?? 3;
 
         /** @type {Array<string>} Paleta de colores. */
         this.availableColors = generarPaletaColores(this.numberOfColors);
 
+        /** @type {number} Semilla del generador aleatorio (reproduce la ejecución). */
+        this.seed = resolverSemilla(options.seed);
+
+        /** @type {Function} Generador aleatorio con semilla, misma firma que Math.random. */
+        this.random = crearGeneradorAleatorio(this.seed);
+
         /** @type {number} Número total de intentos realizados. */
         this.attempts = 0;
 
@@ -48,6 +65,12 @@ export default class BaseAlgorithm {
 
         /** @type {Array<Object>} historial del intentos */
         this.attemptsHistory = [];
+
+        /** @type {boolean} Si se guarda cada intento en attemptsHistory. */
+        this.recordHistory = options.recordHistory ?? true;
+
+        /** @type {Object|null} Resultado del último paso ejecutado. */
+        this.ultimoPaso = null;
     }
 
     /**
@@ -70,18 +93,31 @@ export default class BaseAlgorithm {
         throw new Error('obtenerMaximoIntentos() debe ser implementado por la subclase');
     }
 
+    /**
+     * Obtiene estadísticas adicionales propias del algoritmo.
+     * Las subclases pueden sobrescribirlo para reportar métricas extra en el overlay.
+     * @returns {Object} Mapa de métricas adicionales (vacío por defecto).
+     */
+    obtenerEstadisticasExtra() {
+        return {};
+    }
+
     /**
      * Guarda un intento en el historial.
      * @param {number} conflictos - Número de conflictos en este intento.
      * @param {boolean} exito - Si el coloreo fue exitoso.
+     * @param {Object} [extra={}] - Campos adicionales del intento (p. ej. temperatura).
      * @protected
      */
-    guardarIntentoEnHistorial(conflictos, exito) {
+    guardarIntentoEnHistorial(conflictos, exito, extra = {}) {
+        if (!this.recordHistory) return;
+
         this.attemptsHistory.push({
             attemptNumber: this.attempts,
             conflicts: conflictos,
             success: exito,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ...extra
         });
     }
 
@@ -119,38 +155,77 @@ export default class BaseAlgorithm {
      * @returns {Object} Resultado final con colors, conflictEdges y statistics.
      */
     run(progressCallback) {
-        let lastStepResult = null;
+        this.ejecutarBloque(Infinity, progressCallback);
+        return this.construirResultado();
+    }
 
-        while (true) {
-            lastStepResult = this.step();
+    /**
+     * Ejecuta como máximo `maxPasos` pasos, reportando progreso cada ALGORITHM.BATCH_SIZE
+     * intentos y al terminar. Permite ejecutar el algoritmo por tramos (pausar, reanudar, paso a paso).
+     * @param {number} maxPasos - Número máximo de pasos a ejecutar en este tramo.
+     * @param {Function} [progressCallback] - Callback invocado con actualizaciones de progreso.
+     * @returns {Object|null} Resultado del último paso ejecutado.
+     */
+    ejecutarBloque(maxPasos, progressCallback) {
+        for (let pasos = 0; pasos < maxPasos && !this.estaTerminado(); pasos++) {
+            const resultadoPaso = this.step();
+            this.ultimoPaso = resultadoPaso;
 
-            const shouldReportProgress = (this.attempts % ALGORITHM.BATCH_SIZE === 0) || lastStepResult.done;
+            const shouldReportProgress = (this.attempts % ALGORITHM.BATCH_SIZE === 0) || resultadoPaso.done;
             if (progressCallback && shouldReportProgress) {
-                const progress = this.calculateProgress();
-                progressCallback({
-                    progress,
-                    attempts: this.attempts,
-                    conflicts: lastStepResult.stats.conflicts,
-                    colors: lastStepResult.colors,
-                    conflictEdges: lastStepResult.conflictEdges,
-                    meanConflicts: lastStepResult.stats.meanConflicts,
-                    successRate: lastStepResult.stats.successRate,
-                    currentAttempt: lastStepResult.currentAttempt
-                });
+                progressCallback(this.construirProgreso());
             }
-
-            if (lastStepResult.done) break;
         }
 
+        return this.ultimoPaso ?? null;
+    }
+
+    /**
+     * Indica si el último paso ejecutado terminó el algoritmo.
+     * @returns {boolean} True si ya no quedan pasos por ejecutar.
+     */
+    estaTerminado() {
+        return Boolean(this.ultimoPaso?.done);
+    }
+
+    /**
+     * Construye el reporte de progreso a partir del último paso ejecutado.
+     * @returns {Object|null} Datos de progreso, o null si todavía no se ejecutó ningún paso.
+     */
+    construirProgreso() {
+        const ultimoPaso = this.ultimoPaso;
+        if (!ultimoPaso) return null;
+
+        return {
+            progress: this.calculateProgress(),
+            attempts: this.attempts,
+            conflicts: ultimoPaso.stats.conflicts,
+            colors: ultimoPaso.colors,
+            conflictEdges: ultimoPaso.conflictEdges,
+            meanConflicts: ultimoPaso.stats.meanConflicts,
+            successRate: ultimoPaso.stats.successRate,
+            currentAttempt: ultimoPaso.currentAttempt,
+            extraStats: this.obtenerEstadisticasExtra()
+        };
+    }
+
+    /**
+     * Construye el resultado final a partir del último paso ejecutado.
+     * @returns {Object} Resultado con colors, conflictEdges, stats y extraStats.
+     */
+    construirResultado() {
+        const ultimoPaso = this.ultimoPaso;
+
         return {
-            colors: lastStepResult.colors,
-            conflictEdges: lastStepResult.conflictEdges,
+            colors: ultimoPaso.colors,
+            conflictEdges: ultimoPaso.conflictEdges,
             stats: {
-                attempts: lastStepResult.stats.attempts,
-                conflicts: lastStepResult.stats.conflicts,
-                meanConflicts: lastStepResult.stats.meanConflicts,
-                successRate: lastStepResult.stats.successRate,
+                attempts: ultimoPaso.stats.attempts,
+                conflicts: ultimoPaso.stats.conflicts,
+                meanConflicts: ultimoPaso.stats.meanConflicts,
+                successRate: ultimoPaso.stats.successRate,
             },
+            extraStats: this.obtenerEstadisticasExtra(),
         };
     }
 
@@ -0,0 +1,189 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+
+/**
+ * Algoritmo DSATUR (Brélaz) para colorear grafos.
+ * Colorea en cada paso el vértice no coloreado con mayor grado de saturación
+ * (cantidad de colores distintos entre sus vecinos) usando el menor color libre.
+ * Es determinista, por lo que sirve como línea base para los algoritmos probabilísticos.
+ * Si los k colores ya están ocupados por los vecinos, asigna el color con menos conflictos.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class Dsatur extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del algoritmo DSATUR.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    const n = this.nodes.length;
+    const { inicio } = this.adyacencia;
+
+    /** @type {Object} Coloración parcial actual (nodeId -> color). */
+    this.colors = {};
+
+    /** @type {Int32Array} Vecinos coloreados de cada nodo con cada color (matriz n × k, fila v en v * k). */
+    this.neighborColorCount = new Int32Array(n * this.numberOfColors);
+
+    /** @type {Int32Array} Grado de saturación: colores distintos presentes entre los vecinos de cada nodo. */
+    this.saturation = new Int32Array(n);
+
+    /** @type {Int32Array} Grado de cada nodo en el subgrafo aún no coloreado. */
+    this.uncoloredDegree = Int32Array.from({ length: n }, (_, v) => inicio[v + 1] - inicio[v]);
+
+    /** @type {Uint8Array} 1 si el nodo de cada índice está pendiente de colorear. */
+    this.uncolored = new Uint8Array(n).fill(1);
+
+    /** @type {number} Nodos pendientes de colorear. */
+    this.pending = n;
+
+    /** @type {number} Conflictos acumulados de la coloración parcial. */
+    this.currentConflicts = 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return this.nodes.length;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.nodes.length > 0 ? this.attempts / this.nodes.length : 1;
+  }
+
+  /**
+   * Selecciona el siguiente vértice: mayor saturación, luego mayor grado
+   * en el subgrafo no coloreado y finalmente menor id.
+   * @returns {number} Índice del vértice a colorear.
+   * @private
+   */
+  _seleccionarVertice() {
+    const { ids } = this.adyacencia;
+    let elegido = -1;
+    let mejorSaturacion = -1;
+    let mejorGrado = -1;
+
+    for (let v = 0; v < this.uncolored.length; v++) {
+      if (!this.uncolored[v]) continue;
+      const saturacion = this.saturation[v];
+      const grado = this.uncoloredDegree[v];
+
+      if (
+        saturacion > mejorSaturacion ||
+        (saturacion === mejorSaturacion && grado > mejorGrado) ||
+        (saturacion === mejorSaturacion && grado === mejorGrado && ids[v] < ids[elegido])
+      ) {
+        elegido = v;
+        mejorSaturacion = saturacion;
+        mejorGrado = grado;
+      }
+    }
+
+    return elegido;
+  }
+
+  /**
+   * Elige el menor color libre para el vértice o, si no queda ninguno,
+   * el color que genera menos conflictos con los vecinos ya coloreados.
+   * @param {number} v - Índice del vértice.
+   * @returns {{color: number, conflictos: number}} Índice del color elegido y conflictos que introduce.
+   * @private
+   */
+  _elegirColor(v) {
+    const fila = v * this.numberOfColors;
+    let mejorColor = 0;
+    let menosConflictos = Infinity;
+
+    // El primer color sin vecinos es el menor color libre; si no hay, el de menos conflictos
+    for (let c = 0; c < this.numberOfColors; c++) {
+      const conflictos = this.neighborColorCount[fila + c];
+      if (conflictos < menosConflictos) {
+        menosConflictos = conflictos;
+        mejorColor = c;
+        if (conflictos === 0) break;
+      }
+    }
+
+    return { color: mejorColor, conflictos: menosConflictos };
+  }
+
+  /**
+   * Colorea un vértice por paso.
+   * Cada vértice cuenta como un intento; es exitoso si no introduce conflictos.
+   * Los conflictos del paso salen del conteo incremental; las aristas en conflicto solo se
+   * calculan al terminar o al construir el progreso, para que cada paso no recorra todas las aristas.
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished && this.pending > 0) {
+      const { ids, inicio, vecinos } = this.adyacencia;
+      const v = this._seleccionarVertice();
+      const { color, conflictos } = this._elegirColor(v);
+
+      this.colors[ids[v]] = this.availableColors[color];
+      this.uncolored[v] = 0;
+      this.pending--;
+      this.currentConflicts += conflictos;
+
+      for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+        const u = vecinos[p];
+        if (this.neighborColorCount[u * this.numberOfColors + color]++ === 0) this.saturation[u]++;
+        if (this.uncolored[u]) this.uncoloredDegree[u]--;
+      }
+
+      this.updateStatistics(conflictos, conflictos === 0);
+      this.guardarIntentoEnHistorial(this.currentConflicts, conflictos === 0);
+    }
+
+    if (this.pending === 0 && !this.finished) {
+      this.finished = true;
+      this.bestColors = { ...this.colors };
+      this.bestEvaluation = this.evaluarColoracion(this.colors);
+    }
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      this.currentConflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      // Mientras no termina, la coloración parcial se comparte; construirProgreso la copia
+      colors: this.finished ? this.bestColors : this.colors,
+      conflictEdges: this.finished ? this.bestEvaluation.conflictEdges : null,
+      stats,
+      currentAttempt: {
+        conflicts: this.currentConflicts,
+        success: this.finished && this.currentConflicts === 0
+      }
+    };
+  }
+
+  /**
+   * Construye el progreso con una copia de la coloración parcial y sus aristas en conflicto.
+   * @returns {Object|null} Datos de progreso, o null si todavía no se ejecutó ningún paso.
+   * @override
+   */
+  construirProgreso() {
+    const progreso = super.construirProgreso();
+    if (!progreso || this.finished) return progreso;
+
+    return {
+      ...progreso,
+      colors: { ...this.colors },
+      conflictEdges: this.evaluarColoracion(this.colors).conflictEdges
+    };
+  }
+}
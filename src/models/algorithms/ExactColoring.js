@@ -0,0 +1,335 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+import { buscarCliqueGreedy } from '../utils/cliqueAnalysis.js';
+import { ALGORITHM, COLOR_PALETTE } from '../constants/index.js';
+
+/**
+ * Algoritmo exacto para calcular el número cromático χ(G).
+ * Branch-and-bound con orden DSATUR: la cota superior parte de la heurística
+ * DSATUR y baja cada vez que la búsqueda encuentra una coloración con menos
+ * colores; la cota inferior es el tamaño de un clique, cuyos vértices se
+ * precolorean para romper simetrías. Termina cuando ambas cotas coinciden o
+ * cuando se agota el árbol, lo que prueba que la mejor coloración es óptima.
+ * La búsqueda usa una pila explícita para poder avanzar por pasos.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class ExactColoring extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del algoritmo exacto.
+   * El número de colores no se fija: se busca el mínimo.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.nodesPerStep] - Nodos del árbol de búsqueda explorados por paso.
+   */
+  constructor(graph, options = {}) {
+    super(graph, { ...options, numberOfColors: COLOR_PALETTE.NAMES.length });
+
+    /** @type {number} Nodos del árbol de búsqueda explorados por paso. */
+    this.nodesPerStep = options.nodesPerStep ?? ALGORITHM.EXACT_NODES_PER_STEP;
+
+    const n = this.nodes.length;
+    const { inicio, indicePorId } = this.adyacencia;
+
+    /** @type {Int32Array} Grado de cada nodo. */
+    this.grados = Int32Array.from({ length: n }, (_, v) => inicio[v + 1] - inicio[v]);
+
+    /** @type {Int32Array} Índice de color de cada nodo (-1 si no tiene). */
+    this.color = new Int32Array(n).fill(-1);
+
+    /** @type {number} Colores por fila de cuentaColores: ninguna coloración explorada usa más de Δ + 1. */
+    this.anchoColores = Math.max(0, ...this.grados) + 1;
+
+    /** @type {Int32Array} Vecinos de cada nodo que usan cada color (matriz n × anchoColores). */
+    this.cuentaColores = new Int32Array(n * this.anchoColores);
+
+    /** @type {Int32Array} Grado de saturación de cada nodo. */
+    this.saturacion = new Int32Array(n);
+
+    /** @type {number} Nodos coloreados en la rama actual. */
+    this.coloreados = 0;
+
+    /** @type {number} Nodos del árbol de búsqueda explorados. */
+    this.nodesExplored = 0;
+
+    /** @type {Array<number>} IDs del clique usado como cota inferior. */
+    this.clique = buscarCliqueGreedy(this.nodes, this.edges);
+
+    /** @type {number} Cota inferior de χ(G). */
+    this.lowerBound = this.clique.length;
+
+    /** @type {Int32Array|null} Mejor coloración encontrada (testigo de la cota superior). */
+    this.mejorColoracion = null;
+
+    /** @type {number} Cota superior de χ(G). */
+    this.upperBound = n;
+
+    this._coloracionDsatur();
+
+    // Precolorear el clique: sus vértices necesitan colores distintos en cualquier solución
+    this.clique.forEach((id, c) => this._asignar(indicePorId.get(id), c));
+
+    /** @type {number} Colores usados por la coloración parcial fija (clique). */
+    this.usadosBase = this.clique.length;
+
+    /** @type {Array<Object>} Pila de la búsqueda: {v, candidatos, idx, usadosPrevios, asignado}. */
+    this.pila = [];
+
+    /** @type {boolean} Si la búsqueda ya se inicializó. */
+    this.iniciado = false;
+
+    if (this.upperBound <= this.lowerBound) {
+      this.finished = true;
+    }
+  }
+
+  /**
+   * Asigna un color a un nodo y actualiza la saturación de sus vecinos.
+   * @param {number} v - Índice del nodo.
+   * @param {number} c - Índice de color.
+   * @private
+   */
+  _asignar(v, c) {
+    const { inicio, vecinos } = this.adyacencia;
+    this.color[v] = c;
+    this.coloreados++;
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      const u = vecinos[p];
+      if (this.cuentaColores[u * this.anchoColores + c]++ === 0) this.saturacion[u]++;
+    }
+  }
+
+  /**
+   * Quita el color de un nodo y actualiza la saturación de sus vecinos.
+   * @param {number} v - Índice del nodo.
+   * @private
+   */
+  _desasignar(v) {
+    const { inicio, vecinos } = this.adyacencia;
+    const c = this.color[v];
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      const u = vecinos[p];
+      if (--this.cuentaColores[u * this.anchoColores + c] === 0) this.saturacion[u]--;
+    }
+    this.color[v] = -1;
+    this.coloreados--;
+  }
+
+  /**
+   * Selecciona el nodo sin color con mayor saturación (desempate por grado).
+   * @returns {number} Índice del nodo o -1 si todos están coloreados.
+   * @private
+   */
+  _seleccionarNodo() {
+    let elegido = -1;
+    for (let v = 0; v < this.color.length; v++) {
+      if (this.color[v] !== -1) continue;
+      if (
+        elegido === -1 ||
+        this.saturacion[v] > this.saturacion[elegido] ||
+        (this.saturacion[v] === this.saturacion[elegido] && this.grados[v] > this.grados[elegido])
+      ) {
+        elegido = v;
+      }
+    }
+    return elegido;
+  }
+
+  /**
+   * Calcula la cota superior inicial con la heurística DSATUR sin límite de colores.
+   * @private
+   */
+  _coloracionDsatur() {
+    const orden = [];
+    let usados = 0;
+
+    for (let v = this._seleccionarNodo(); v !== -1; v = this._seleccionarNodo()) {
+      let c = 0;
+      while (this.cuentaColores[v * this.anchoColores + c] > 0) c++;
+      this._asignar(v, c);
+      orden.push(v);
+      usados = Math.max(usados, c + 1);
+    }
+
+    this._registrarSolucion(usados);
+    for (let i = orden.length - 1; i >= 0; i--) this._desasignar(orden[i]);
+  }
+
+  /**
+   * Guarda la coloración completa actual como nueva cota superior.
+   * @param {number} usados - Colores usados por la coloración.
+   * @private
+   */
+  _registrarSolucion(usados) {
+    this.upperBound = usados;
+    this.mejorColoracion = Int32Array.from(this.color);
+    this.guardarIntentoEnHistorial(usados, true, { upperBound: usados, lowerBound: this.lowerBound });
+  }
+
+  /**
+   * Crea el marco de pila para un nodo con los colores que aún pueden mejorar la cota superior.
+   * @param {number} v - Índice del nodo.
+   * @param {number} usados - Colores usados en la rama actual.
+   * @returns {Object} Marco de pila.
+   * @private
+   */
+  _crearMarco(v, usados) {
+    const candidatos = [];
+    const limite = Math.min(usados, this.upperBound - 2);
+    for (let c = 0; c <= limite; c++) {
+      if (this.cuentaColores[v * this.anchoColores + c] === 0) candidatos.push(c);
+    }
+    return { v, candidatos, idx: 0, usadosPrevios: usados, asignado: false };
+  }
+
+  /**
+   * Explora un nodo del árbol de búsqueda (asignación o retroceso).
+   * @private
+   */
+  _expandir() {
+    if (!this.iniciado) {
+      this.iniciado = true;
+      const v = this._seleccionarNodo();
+      if (v !== -1) this.pila.push(this._crearMarco(v, this.usadosBase));
+      return;
+    }
+
+    const marco = this.pila[this.pila.length - 1];
+    if (marco.asignado) {
+      this._desasignar(marco.v);
+      marco.asignado = false;
+    }
+
+    // Saltar colores que ya no pueden mejorar la cota superior actual
+    while (
+      marco.idx < marco.candidatos.length &&
+      Math.max(marco.usadosPrevios, marco.candidatos[marco.idx] + 1) >= this.upperBound
+    ) {
+      marco.idx++;
+    }
+
+    if (marco.idx >= marco.candidatos.length) {
+      this.pila.pop();
+      return;
+    }
+
+    const c = marco.candidatos[marco.idx++];
+    const usados = Math.max(marco.usadosPrevios, c + 1);
+    this._asignar(marco.v, c);
+    marco.asignado = true;
+    this.nodesExplored++;
+
+    if (this.coloreados === this.color.length) {
+      this._registrarSolucion(usados);
+      return;
+    }
+
+    this.pila.push(this._crearMarco(this._seleccionarNodo(), usados));
+  }
+
+  /**
+   * Traduce la mejor coloración a un mapa nodeId -> color de la paleta.
+   * Los índices fuera de la paleta quedan sin color.
+   * @returns {Object} Mapa de colores.
+   * @private
+   */
+  _obtenerMapaColores() {
+    const colores = {};
+    if (!this.mejorColoracion) return colores;
+    this.nodes.forEach((nodo, i) => {
+      colores[nodo.id] = this.availableColors[this.mejorColoracion[i]] ?? null;
+    });
+    return colores;
+  }
+
+  /**
+   * Cuenta los nodos que la mejor coloración deja sin color porque su índice no entra en la paleta.
+   * Con alguno sin color el testigo no es una coloración completa, aunque no tenga conflictos.
+   * @returns {number} Nodos sin color.
+   * @private
+   */
+  _contarSinColor() {
+    if (!this.mejorColoracion) return 0;
+    const k = this.availableColors.length;
+    return this.mejorColoracion.reduce((total, c) => (c >= k ? total + 1 : total), 0);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return Infinity;
+  }
+
+  /**
+   * Progreso aproximado como cociente entre cota inferior y superior.
+   * @inheritdoc
+   */
+  calculateProgress() {
+    if (this.finished || this.upperBound === 0) return 1;
+    return this.lowerBound / this.upperBound;
+  }
+
+  /**
+   * Cotas actuales, nodos explorados y, al terminar, el número cromático probado.
+   * @returns {Object} Estadísticas del solver exacto.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      lowerBound: this.lowerBound,
+      upperBound: this.upperBound,
+      nodesExplored: this.nodesExplored,
+      clique: this.clique,
+      colorsUsed: this.upperBound,
+      exceedsPalette: this.upperBound > this.availableColors.length,
+      uncoloredNodes: this._contarSinColor(),
+      ...(this.finished && { chromaticNumber: this.upperBound })
+    };
+  }
+
+  /**
+   * Explora un bloque de nodos del árbol de búsqueda.
+   * Si χ(G) supera la paleta el número cromático queda probado, pero la ejecución no es
+   * exitosa: el testigo que se devuelve deja nodos sin color.
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished) {
+      for (let i = 0; i < this.nodesPerStep; i++) {
+        this._expandir();
+        if (this.upperBound <= this.lowerBound || (this.iniciado && this.pila.length === 0)) {
+          // Cotas iguales o árbol agotado: la mejor coloración es óptima
+          this.lowerBound = this.upperBound;
+          this.finished = true;
+          break;
+        }
+      }
+      this.updateStatistics(0, this.finished && this._contarSinColor() === 0);
+    }
+
+    const colors = this._obtenerMapaColores();
+    const evalResult = this.evaluarColoracion(colors);
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      evalResult.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors,
+      conflictEdges: evalResult.conflictEdges,
+      stats: { ...stats, progress: this.calculateProgress() },
+      extraStats: this.obtenerEstadisticasExtra(),
+      currentAttempt: {
+        conflicts: evalResult.conflicts,
+        success: this.finished && this._contarSinColor() === 0
+      }
+    };
+  }
+}
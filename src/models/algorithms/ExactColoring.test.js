@@ -0,0 +1,74 @@
+import Graph from '../Graph.js';
+import ExactColoring from './ExactColoring.js';
+import { construirGrafoConocido } from '../utils/namedGraphs.js';
+
+/**
+ * Ejecuta el solver exacto hasta el final sobre un grafo del catálogo.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} parametros - Parámetros del grafo.
+ * @returns {{graph: Graph, instancia: Object, resultado: Object}} Grafo, instancia del catálogo y resultado.
+ */
+function resolver(id, parametros) {
+  const instancia = construirGrafoConocido(id, parametros);
+  const graph = Graph.crearDesdeAristas(instancia.numeroDeNodos, instancia.aristas, Math.random, { layout: false });
+  const algo = new ExactColoring(graph);
+  algo.ejecutarBloque(Infinity);
+  return { graph, instancia, resultado: algo.construirResultado() };
+}
+
+describe('ExactColoring', () => {
+  // Números cromáticos conocidos de la literatura
+  test.each([
+    ['petersen', {}, 3],
+    ['complete', { n: 6 }, 6],
+    ['cycle', { n: 7 }, 3],
+    ['cycle', { n: 8 }, 2],
+    ['wheel', { n: 5 }, 4],
+    ['wheel', { n: 6 }, 3],
+    ['complete-bipartite', { m: 3, n: 4 }, 2],
+    ['mycielski', { k: 4 }, 4],
+    ['mycielski', { k: 5 }, 5],
+    ['queen', { n: 5 }, 5],
+    ['queen', { n: 6 }, 7],
+    ['queen', { n: 7 }, 7],
+    ['grid', { rows: 3, columns: 4 }, 2],
+    ['torus', { rows: 3, columns: 5 }, 3],
+    ['hypercube', { d: 4 }, 2],
+    ['sudoku', { order: 2 }, 4],
+    ['sudoku', { order: 3 }, 9]
+  ])('prueba χ de %s %j = %i', (id, parametros, chi) => {
+    const { graph, instancia, resultado } = resolver(id, parametros);
+
+    expect(instancia.numeroCromatico).toBe(chi);
+    expect(resultado.extraStats.chromaticNumber).toBe(chi);
+    expect(resultado.extraStats.lowerBound).toBe(chi);
+    expect(resultado.extraStats.upperBound).toBe(chi);
+    expect(resultado.stats.conflicts).toBe(0);
+
+    // El testigo es una coloración válida con exactamente χ colores
+    graph.aristas.forEach(({ sourceId, targetId }) => {
+      expect(resultado.colors[sourceId]).not.toBe(resultado.colors[targetId]);
+    });
+    expect(new Set(graph.nodos.map((nodo) => resultado.colors[nodo.id])).size).toBe(chi);
+  });
+
+  test('K11 supera la paleta: prueba χ = 11 pero la ejecución no es exitosa', () => {
+    const { graph, resultado } = resolver('complete', { n: 11 });
+    const sinColor = graph.nodos.filter((nodo) => !resultado.colors[nodo.id]);
+
+    expect(resultado.extraStats.chromaticNumber).toBe(11);
+    expect(resultado.extraStats.exceedsPalette).toBe(true);
+    expect(resultado.extraStats.uncoloredNodes).toBe(1);
+    expect(sinColor).toHaveLength(1);
+    expect(resultado.stats.conflicts).toBe(0);
+    expect(resultado.stats.successRate).toBe(0);
+  });
+
+  test('K10 entra justo en la paleta y colorea todos los nodos', () => {
+    const { resultado } = resolver('complete', { n: 10 });
+
+    expect(resultado.extraStats.exceedsPalette).toBe(false);
+    expect(resultado.extraStats.uncoloredNodes).toBe(0);
+    expect(Object.values(resultado.colors).every(Boolean)).toBe(true);
+  });
+});
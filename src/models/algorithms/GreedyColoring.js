@@ -0,0 +1,209 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+import { ORDENES_ESTATICOS } from '../utils/vertexOrderings.js';
+import { ALGORITHM } from '../constants/index.js';
+
+/** Orden dinámico: el siguiente vértice es el que tiene más vecinos ya coloreados. */
+const GRADO_INCIDENCIA = 'incidence-degree';
+
+/**
+ * Coloreo greedy secuencial (first-fit): recorre los vértices en un orden y asigna a cada
+ * uno el menor color que no usa ningún vecino ya coloreado. El número de colores depende
+ * del orden, que se elige con `options.ordering`:
+ * - 'natural': por ID de nodo.
+ * - 'largest-first': mayor grado primero (Welsh–Powell).
+ * - 'smallest-last': menor grado al final (orden de degeneración).
+ * - 'random': orden aleatorio con la semilla de la ejecución.
+ * - 'incidence-degree': dinámico, el vértice con más vecinos coloreados (empates por grado y luego por ID).
+ * Como DSATUR, si los k colores ya están ocupados por los vecinos asigna el de menos conflictos;
+ * con k suficientes el resultado es el del greedy sin límite de colores.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class GreedyColoring extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del coloreo greedy.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   * @param {string} [options.ordering=ALGORITHM.GREEDY_DEFAULT_ORDERING] - Orden de los vértices.
+   * @throws {Error} Si el orden no existe.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    /** @type {string} Clave del orden de los vértices. */
+    this.ordering = options.ordering ?? ALGORITHM.GREEDY_DEFAULT_ORDERING;
+    if (this.ordering !== GRADO_INCIDENCIA && !ORDENES_ESTATICOS[this.ordering]) {
+      throw new Error(`Orden de vértices desconocido: "${this.ordering}".`);
+    }
+
+    const n = this.nodes.length;
+
+    /** @type {Int32Array|null} Índices de vértice en orden (null en el orden dinámico por incidencia). */
+    this.ordenEstatico = this.ordering === GRADO_INCIDENCIA
+      ? null
+      : ORDENES_ESTATICOS[this.ordering](this.adyacencia, this.random);
+
+    /** @type {Object} Coloración parcial actual (nodeId -> color). */
+    this.colors = {};
+
+    /** @type {Array<number>} IDs de los nodos en el orden en que se colorearon. */
+    this.vertexOrder = [];
+
+    /** @type {Int32Array} Vecinos coloreados de cada nodo con cada color (matriz n × k, fila v en v * k). */
+    this.neighborColorCount = new Int32Array(n * this.numberOfColors);
+
+    /** @type {Int32Array} Vecinos ya coloreados de cada nodo (orden por grado de incidencia). */
+    this.coloredNeighbors = new Int32Array(n);
+
+    /** @type {Uint8Array} 1 si el nodo de cada índice está pendiente de colorear. */
+    this.uncolored = new Uint8Array(n).fill(1);
+
+    /** @type {number} Colores distintos usados hasta ahora (first-fit usa siempre los primeros). */
+    this.colorsUsed = 0;
+
+    /** @type {number} Conflictos acumulados de la coloración parcial. */
+    this.currentConflicts = 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return this.nodes.length;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.nodes.length > 0 ? this.attempts / this.nodes.length : 1;
+  }
+
+  /**
+   * Reporta el orden usado, la secuencia de vértices coloreados (para numerarlos en el canvas)
+   * y los colores que usó el greedy.
+   * @returns {{ordering: string, vertexOrder: Array<number>, greedyColors: number}} Métricas extra.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      ordering: this.ordering,
+      vertexOrder: [...this.vertexOrder],
+      greedyColors: this.colorsUsed
+    };
+  }
+
+  /**
+   * Selecciona el siguiente vértice según el orden.
+   * @returns {number} Índice del vértice a colorear.
+   * @private
+   */
+  _siguienteVertice() {
+    if (this.ordenEstatico) return this.ordenEstatico[this.vertexOrder.length];
+
+    const { ids, inicio } = this.adyacencia;
+    let elegido = -1;
+    let mejorIncidencia = -1;
+    let mejorGrado = -1;
+
+    for (let v = 0; v < this.uncolored.length; v++) {
+      if (!this.uncolored[v]) continue;
+      const incidencia = this.coloredNeighbors[v];
+      const grado = inicio[v + 1] - inicio[v];
+
+      if (
+        incidencia > mejorIncidencia ||
+        (incidencia === mejorIncidencia && grado > mejorGrado) ||
+        (incidencia === mejorIncidencia && grado === mejorGrado && ids[v] < ids[elegido])
+      ) {
+        elegido = v;
+        mejorIncidencia = incidencia;
+        mejorGrado = grado;
+      }
+    }
+
+    return elegido;
+  }
+
+  /**
+   * Elige el menor color libre para el vértice o, si no queda ninguno,
+   * el color que genera menos conflictos con los vecinos ya coloreados.
+   * @param {number} v - Índice del vértice.
+   * @returns {{color: number, conflictos: number}} Índice del color elegido y conflictos que introduce.
+   * @private
+   */
+  _elegirColor(v) {
+    const fila = v * this.numberOfColors;
+    let mejorColor = 0;
+    let menosConflictos = Infinity;
+
+    for (let c = 0; c < this.numberOfColors; c++) {
+      const conflictos = this.neighborColorCount[fila + c];
+      if (conflictos < menosConflictos) {
+        menosConflictos = conflictos;
+        mejorColor = c;
+        if (conflictos === 0) break;
+      }
+    }
+
+    return { color: mejorColor, conflictos: menosConflictos };
+  }
+
+  /**
+   * Colorea un vértice por paso, en el orden elegido.
+   * Cada vértice cuenta como un intento; es exitoso si no introduce conflictos.
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished && this.vertexOrder.length < this.nodes.length) {
+      const { ids, inicio, vecinos } = this.adyacencia;
+      const v = this._siguienteVertice();
+      const { color, conflictos } = this._elegirColor(v);
+
+      this.colors[ids[v]] = this.availableColors[color];
+      this.vertexOrder.push(ids[v]);
+      this.uncolored[v] = 0;
+      this.colorsUsed = Math.max(this.colorsUsed, color + 1);
+      this.currentConflicts += conflictos;
+
+      for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+        const u = vecinos[p];
+        this.neighborColorCount[u * this.numberOfColors + color]++;
+        this.coloredNeighbors[u]++;
+      }
+
+      this.updateStatistics(conflictos, conflictos === 0);
+      this.guardarIntentoEnHistorial(this.currentConflicts, conflictos === 0);
+    }
+
+    const evalResult = this.evaluarColoracion(this.colors);
+
+    if (this.vertexOrder.length === this.nodes.length) {
+      this.finished = true;
+      this.bestColors = { ...this.colors };
+      this.bestEvaluation = evalResult;
+    }
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      evalResult.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors: { ...this.colors },
+      conflictEdges: evalResult.conflictEdges,
+      stats,
+      currentAttempt: {
+        conflicts: evalResult.conflicts,
+        success: this.finished && evalResult.conflicts === 0
+      }
+    };
+  }
+}
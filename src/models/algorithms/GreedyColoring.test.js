@@ -0,0 +1,95 @@
+import Graph from '../Graph.js';
+import GreedyColoring from './GreedyColoring.js';
+import { construirGrafoConocido } from '../utils/namedGraphs.js';
+
+/**
+ * Grafo del catálogo sin layout.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} [parametros={}] - Parámetros del grafo.
+ * @returns {Graph} Grafo con ids 1..n.
+ */
+function grafoConocido(id, parametros = {}) {
+  const { numeroDeNodos, aristas } = construirGrafoConocido(id, parametros);
+  return Graph.crearDesdeAristas(numeroDeNodos, aristas, Math.random, { layout: false });
+}
+
+/**
+ * Grafo corona con 2n vértices: K_{n,n} sin el emparejamiento perfecto. Los vértices
+ * impares son un lado y los pares el otro, de modo que el orden natural los alterna.
+ * @param {number} n - Vértices de cada lado.
+ * @returns {Graph} Grafo corona.
+ */
+function corona(n) {
+  const pares = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j) pares.push([2 * i + 1, 2 * j + 2]);
+    }
+  }
+  return Graph.crearDesdeAristas(2 * n, pares, Math.random, { layout: false });
+}
+
+/**
+ * Colorea el grafo con el orden dado y suficientes colores.
+ * @param {Graph} grafo - Grafo a colorear.
+ * @param {string} ordering - Orden de los vértices.
+ * @returns {Object} Resultado de la ejecución.
+ */
+function colorear(grafo, ordering) {
+  const algo = new GreedyColoring(grafo, { numberOfColors: 10, ordering, seed: 1 });
+  algo.ejecutarBloque(Infinity);
+  return algo.construirResultado();
+}
+
+const ORDENES = ['natural', 'largest-first', 'smallest-last', 'random', 'incidence-degree'];
+
+describe('GreedyColoring', () => {
+  describe.each(ORDENES)('con el orden %s', (ordering) => {
+    test.each([
+      ['C5', () => grafoConocido('cycle', { n: 5 }), 3],
+      ['Petersen', () => grafoConocido('petersen'), 3],
+      ['K3,4', () => grafoConocido('complete-bipartite', { m: 3, n: 4 }), 2],
+      ['Mycielski M4', () => grafoConocido('mycielski', { k: 4 }), 4]
+    ])('colorea %s sin conflictos con %i colores', (nombre, crear, colores) => {
+      const grafo = crear();
+      const resultado = colorear(grafo, ordering);
+
+      expect(resultado.stats.conflicts).toBe(0);
+      expect(resultado.extraStats.greedyColors).toBe(colores);
+      expect(new Set(Object.values(resultado.colors)).size).toBe(colores);
+      grafo.aristas.forEach(({ sourceId, targetId }) => {
+        expect(resultado.colors[sourceId]).not.toBe(resultado.colors[targetId]);
+      });
+      expect([...resultado.extraStats.vertexOrder].sort((a, b) => a - b)).toEqual(grafo.nodos.map((nodo) => nodo.id));
+    });
+  });
+
+  test('el orden natural necesita n colores en la corona y smallest-last solo 2', () => {
+    expect(colorear(corona(4), 'natural').extraStats.greedyColors).toBe(4);
+    expect(colorear(corona(4), 'smallest-last').extraStats.greedyColors).toBe(2);
+  });
+
+  test('el orden natural recorre los vértices por ID', () => {
+    expect(colorear(grafoConocido('petersen'), 'natural').extraStats.vertexOrder).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  test('el orden aleatorio se reproduce con la misma semilla', () => {
+    const grafo = grafoConocido('queen', { n: 5 });
+    expect(colorear(grafo, 'random')).toEqual(colorear(grafo, 'random'));
+  });
+
+  test('con pocos colores asigna el de menos conflictos', () => {
+    const grafo = grafoConocido('complete', { n: 4 });
+    const algo = new GreedyColoring(grafo, { numberOfColors: 3, ordering: 'natural', seed: 1 });
+    algo.ejecutarBloque(Infinity);
+    const resultado = algo.construirResultado();
+
+    expect(resultado.stats.conflicts).toBe(1);
+    expect(resultado.extraStats.greedyColors).toBe(3);
+  });
+
+  test('rechaza un orden desconocido', () => {
+    expect(() => new GreedyColoring(grafoConocido('petersen'), { ordering: 'alfabetico' }))
+      .toThrow('Orden de vértices desconocido: "alfabetico".');
+  });
+});
@@ -0,0 +1,289 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+import { cruceGpx, diversidadPoblacion } from '../utils/populationOperators.js';
+import { ALGORITHM } from '../constants/index.js';
+
+/**
+ * Algoritmo evolutivo híbrido (HEA, Galinier y Hao 1999) para colorear grafos con k colores.
+ * Mantiene una población de coloraciones, cada una mejorada con búsqueda tabú como Tabucol.
+ * En cada generación cruza dos padres al azar con GPX (ver populationOperators), mejora al hijo
+ * con `tabuIterations` iteraciones tabú y lo pone en lugar del padre con más conflictos.
+ * El primer paso construye la población inicial (generación 0) desde coloraciones aleatorias.
+ * Cada generación siguiente es un intento; el historial guarda, desde la generación 0, los
+ * conflictos del mejor individuo, la media de la población y su diversidad.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class HybridEvolutionary extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del algoritmo evolutivo híbrido.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   * @param {number} [options.populationSize] - Individuos de la población (al menos 2).
+   * @param {number} [options.maxGenerations] - Generaciones antes de detenerse sin solución.
+   * @param {number} [options.tabuIterations] - Iteraciones tabú para mejorar cada individuo.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    /** @type {number} Individuos de la población. */
+    this.populationSize = Math.max(2, options.populationSize ?? ALGORITHM.HEA_POPULATION_SIZE);
+
+    /** @type {number} Máximo de generaciones. */
+    this.maxGenerations = options.maxGenerations ?? ALGORITHM.HEA_MAX_GENERATIONS;
+
+    /** @type {number} Iteraciones de búsqueda tabú por individuo. */
+    this.tabuIterations = options.tabuIterations ?? ALGORITHM.HEA_TABU_ITERATIONS;
+
+    const n = this.nodes.length;
+    const k = this.numberOfColors;
+
+    /** @type {Array<Int32Array>} Coloraciones de la población (índice de color por nodo). */
+    this.poblacion = [];
+
+    /** @type {Array<number>} Conflictos de cada individuo. */
+    this.conflictosPoblacion = [];
+
+    /** @type {Int32Array} Vecinos de cada nodo con cada color durante la búsqueda tabú (matriz n × k). */
+    this.gamma = new Int32Array(n * k);
+
+    /** @type {Int32Array} Iteración hasta la que cada movimiento (nodo, color) es tabú (matriz n × k). */
+    this.tabu = new Int32Array(n * k);
+
+    /** @type {number} Generación actual (0 = población inicial). */
+    this.generation = 0;
+
+    /** @type {number} Conflictos medios de la población. */
+    this.populationMean = 0;
+
+    /** @type {number} Distancia media entre particiones de la población, entre 0 y 1. */
+    this.diversity = 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return this.maxGenerations;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.finished ? 1 : this.attempts / this.obtenerMaximoIntentos();
+  }
+
+  /**
+   * Estadísticas de la población para el overlay.
+   * @returns {{generation: number, populationSize: number, bestConflicts: number, populationMean: number, diversity: number}}
+   * Generación, tamaño de la población, mejor y media de conflictos, y diversidad.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      generation: this.generation,
+      populationSize: this.populationSize,
+      bestConflicts: this.bestEvaluation.conflicts,
+      populationMean: this.populationMean,
+      diversity: this.diversity
+    };
+  }
+
+  /**
+   * Traduce una coloración por índices a un mapa nodeId -> color.
+   * @param {Int32Array} coloracion - Índice de color por nodo.
+   * @returns {Object} Mapa de colores.
+   * @private
+   */
+  _obtenerMapaColores(coloracion) {
+    const colores = {};
+    this.nodes.forEach((nodo, i) => {
+      colores[nodo.id] = this.availableColors[coloracion[i]];
+    });
+    return colores;
+  }
+
+  /**
+   * Mejora una coloración con búsqueda tabú (mismos movimientos, tenencia y aspiración que
+   * Tabucol) y la deja en la mejor coloración alcanzada.
+   * @param {Int32Array} colores - Coloración a mejorar; se modifica en el lugar.
+   * @returns {number} Conflictos de la coloración resultante.
+   * @private
+   */
+  _mejorarConTabu(colores) {
+    const n = this.nodes.length;
+    const k = this.numberOfColors;
+    const { inicio, vecinos } = this.adyacencia;
+    const { gamma, tabu } = this;
+
+    gamma.fill(0);
+    tabu.fill(0);
+    let conflictos = 0;
+    for (let v = 0; v < n; v++) {
+      for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+        const u = vecinos[p];
+        gamma[v * k + colores[u]]++;
+        if (u > v && colores[u] === colores[v]) conflictos++;
+      }
+    }
+
+    const enConflicto = (v) => gamma[v * k + colores[v]] > 0;
+    let verticesEnConflicto = 0;
+    for (let v = 0; v < n; v++) {
+      if (enConflicto(v)) verticesEnConflicto++;
+    }
+
+    let menosConflictos = conflictos;
+    const mejorColoracion = Int32Array.from(colores);
+
+    for (let iteracion = 0; iteracion < this.tabuIterations && conflictos > 0; iteracion++) {
+      // Mejor movimiento no tabú (o que mejora la mejor coloración) entre los vértices en conflicto
+      let mejorDelta = Infinity;
+      let elegido = -1;
+      let colorElegido = -1;
+      let empates = 0;
+      for (let v = 0; v < n; v++) {
+        const propios = gamma[v * k + colores[v]];
+        if (propios === 0) continue;
+        for (let c = 0; c < k; c++) {
+          if (c === colores[v]) continue;
+          const delta = gamma[v * k + c] - propios;
+          if (tabu[v * k + c] > iteracion && conflictos + delta >= menosConflictos) continue;
+
+          // Empates al azar con muestreo de reservorio
+          if (delta < mejorDelta) {
+            mejorDelta = delta;
+            empates = 1;
+            elegido = v;
+            colorElegido = c;
+          } else if (delta === mejorDelta && this.random() * ++empates < 1) {
+            elegido = v;
+            colorElegido = c;
+          }
+        }
+      }
+      if (elegido === -1) continue;
+
+      const colorAnterior = colores[elegido];
+      verticesEnConflicto -= enConflicto(elegido) ? 1 : 0;
+      colores[elegido] = colorElegido;
+      verticesEnConflicto += enConflicto(elegido) ? 1 : 0;
+      conflictos += mejorDelta;
+      for (let p = inicio[elegido]; p < inicio[elegido + 1]; p++) {
+        const u = vecinos[p];
+        verticesEnConflicto -= enConflicto(u) ? 1 : 0;
+        gamma[u * k + colorAnterior]--;
+        gamma[u * k + colorElegido]++;
+        verticesEnConflicto += enConflicto(u) ? 1 : 0;
+      }
+
+      tabu[elegido * k + colorAnterior] = iteracion +
+        Math.floor(ALGORITHM.TABU_TENURE_FACTOR * verticesEnConflicto) +
+        Math.floor(this.random() * (ALGORITHM.TABU_TENURE_BASE + 1));
+
+      if (conflictos < menosConflictos) {
+        menosConflictos = conflictos;
+        mejorColoracion.set(colores);
+      }
+    }
+
+    colores.set(mejorColoracion);
+    return menosConflictos;
+  }
+
+  /**
+   * Construye la población inicial: coloraciones aleatorias mejoradas con búsqueda tabú.
+   * @private
+   */
+  _crearPoblacionInicial() {
+    for (let i = 0; i < this.populationSize; i++) {
+      const coloracion = Int32Array.from(this.nodes, () => Math.floor(this.random() * this.numberOfColors));
+      this.conflictosPoblacion.push(this._mejorarConTabu(coloracion));
+      this.poblacion.push(coloracion);
+    }
+  }
+
+  /**
+   * Ejecuta una generación: cruza dos padres distintos con GPX, mejora al hijo y
+   * reemplaza al padre con más conflictos.
+   * @private
+   */
+  _siguienteGeneracion() {
+    const a = Math.floor(this.random() * this.populationSize);
+    let b = Math.floor(this.random() * (this.populationSize - 1));
+    if (b >= a) b++;
+
+    const hijo = cruceGpx(this.poblacion[a], this.poblacion[b], this.numberOfColors, this.random);
+    const conflictos = this._mejorarConTabu(hijo);
+
+    const reemplazado = this.conflictosPoblacion[a] >= this.conflictosPoblacion[b] ? a : b;
+    this.poblacion[reemplazado] = hijo;
+    this.conflictosPoblacion[reemplazado] = conflictos;
+    this.generation++;
+  }
+
+  /**
+   * Ejecuta un paso: la población inicial en el primero y una generación en los siguientes.
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished) {
+      const esPoblacionInicial = this.poblacion.length === 0;
+      if (esPoblacionInicial) {
+        this._crearPoblacionInicial();
+      } else {
+        this._siguienteGeneracion();
+      }
+
+      let mejor = 0;
+      for (let i = 1; i < this.populationSize; i++) {
+        if (this.conflictosPoblacion[i] < this.conflictosPoblacion[mejor]) mejor = i;
+      }
+      const mejoresConflictos = this.conflictosPoblacion[mejor];
+      this.populationMean = this.conflictosPoblacion.reduce((suma, valor) => suma + valor, 0) / this.populationSize;
+      this.diversity = diversidadPoblacion(this.poblacion, this.numberOfColors);
+
+      if (mejoresConflictos < this.bestEvaluation.conflicts) {
+        const colores = this._obtenerMapaColores(this.poblacion[mejor]);
+        const evalResult = this.evaluarColoracion(colores);
+        this.actualizarMejorSolucion(colores, evalResult.conflicts, evalResult.conflictEdges);
+      }
+
+      // La población inicial queda en el historial como generación 0 pero no cuenta como intento
+      if (!esPoblacionInicial) {
+        this.updateStatistics(mejoresConflictos, mejoresConflictos === 0);
+      }
+      this.guardarIntentoEnHistorial(mejoresConflictos, mejoresConflictos === 0, {
+        populationMean: this.populationMean,
+        diversity: this.diversity
+      });
+
+      if (mejoresConflictos === 0 || this.generation >= this.maxGenerations) {
+        this.finished = true;
+      }
+    }
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      this.bestEvaluation.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors: { ...this.bestColors },
+      conflictEdges: this.bestEvaluation.conflictEdges,
+      stats: { ...stats, progress: this.calculateProgress() },
+      extraStats: this.obtenerEstadisticasExtra(),
+      currentAttempt: {
+        conflicts: this.bestEvaluation.conflicts,
+        success: this.bestEvaluation.conflicts === 0
+      }
+    };
+  }
+}
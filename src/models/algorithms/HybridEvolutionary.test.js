@@ -0,0 +1,55 @@
+import Graph from '../Graph.js';
+import HybridEvolutionary from './HybridEvolutionary.js';
+import { construirGrafoConocido } from '../utils/namedGraphs.js';
+
+/**
+ * Ejecuta el algoritmo evolutivo hasta el final sobre un grafo del catálogo.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} parametros - Parámetros del grafo.
+ * @param {Object} opciones - Opciones del algoritmo.
+ * @returns {{graph: Graph, resultado: Object}} Grafo y resultado.
+ */
+function resolver(id, parametros, opciones) {
+  const { numeroDeNodos, aristas } = construirGrafoConocido(id, parametros);
+  const graph = Graph.crearDesdeAristas(numeroDeNodos, aristas, Math.random, { layout: false });
+  const algo = new HybridEvolutionary(graph, opciones);
+  algo.ejecutarBloque(Infinity);
+  return { graph, resultado: algo.construirResultado() };
+}
+
+describe('HybridEvolutionary', () => {
+  test.each([
+    ['petersen', {}, 3, {}],
+    ['mycielski', { k: 5 }, 5, {}],
+    ['queen', { n: 5 }, 5, { tabuIterations: 5 }],
+    ['queen', { n: 6 }, 7, { tabuIterations: 20 }]
+  ])('encuentra una coloración válida de %s %j con k = %i y semilla fija', (id, parametros, k, extra) => {
+    const { graph, resultado } = resolver(id, parametros, { numberOfColors: k, seed: 42, ...extra });
+
+    expect(resultado.stats.conflicts).toBe(0);
+    expect(resultado.extraStats.bestConflicts).toBe(0);
+    graph.nodos.forEach((nodo) => expect(resultado.colors[nodo.id]).toBeTruthy());
+    graph.aristas.forEach(({ sourceId, targetId }) => {
+      expect(resultado.colors[sourceId]).not.toBe(resultado.colors[targetId]);
+    });
+  });
+
+  test('con una búsqueda tabú corta necesita cruzar varias generaciones', () => {
+    const { resultado } = resolver('queen', { n: 6 }, { numberOfColors: 7, seed: 42, tabuIterations: 20 });
+
+    expect(resultado.extraStats.generation).toBeGreaterThan(0);
+    expect(resultado.extraStats.populationSize).toBe(10);
+  });
+
+  test('la misma semilla reproduce la ejecución', () => {
+    const opciones = { numberOfColors: 5, seed: 7, tabuIterations: 5 };
+    expect(resolver('queen', { n: 5 }, opciones).resultado).toEqual(resolver('queen', { n: 5 }, opciones).resultado);
+  });
+
+  test('se detiene tras maxGenerations si k no alcanza', () => {
+    const { resultado } = resolver('complete', { n: 4 }, { numberOfColors: 3, seed: 1, maxGenerations: 10 });
+
+    expect(resultado.stats.conflicts).toBe(1);
+    expect(resultado.extraStats.generation).toBe(10);
+  });
+});
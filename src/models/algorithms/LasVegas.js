@@ -37,6 +37,15 @@ export default class LasVegas extends BaseAlgorithm {
     return this.maxAttempts === Infinity ? 0 : this.attempts / this.maxAttempts;
   }
 
+  /**
+   * Genera la coloración de un intento: cada nodo recibe un color uniforme al azar.
+   * @returns {Object} Mapa nodeId -> color.
+   * @protected
+   */
+  generarColoracion() {
+    return coloracionAleatoria(this.nodes, this.availableColors, this.random);
+  }
+
   /**
    * Ejecuta una iteración de Las Vegas.
    * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
@@ -64,7 +73,7 @@ export default class LasVegas extends BaseAlgorithm {
       };
     }
 
-    const colors = coloracionAleatoria(this.nodes, this.availableColors);
+    const colors = this.generarColoracion();
     const evalResult = this.evaluarColoracion(colors);
 
     const attempt = {
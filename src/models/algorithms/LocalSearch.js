@@ -1,5 +1,6 @@
-import { generarPaletaColores } from "../utils/colorPalette";
-import { obtenerAristasConflicto, contarConflictosConColor } from "../utils/graphAnalysis";
+import { generarPaletaColores } from "../utils/colorPalette.js";
+import { obtenerAristasConflicto, contarConflictosVecinosConColor } from "../utils/graphAnalysis.js";
+import { evaluarColoracion } from "../utils/graphEvaluation.js";
 
 /**
  * Algoritmo greedy de Búsqueda Local para optimización de coloración de grafos.
@@ -10,7 +11,7 @@ import { obtenerAristasConflicto, contarConflictosConColor } from "../utils/grap
 export default class LocalSearch {
     /**
      * Crea un nuevo optimizador de búsqueda local.
-     * @param {Graph} graph - El grafo con una coloración inicial.
+     * @param {Graph} graph - El grafo con una coloración inicial (usa su lista de adyacencia).
      * @param {number} numberOfColors - Número de colores disponibles.
      */
     constructor(graph, numberOfColors) {
@@ -75,12 +76,13 @@ export default class LocalSearch {
     encontrarMejorColor(nodeId) {
         const currentColor = this.colors[nodeId];
         let bestColor = currentColor;
-        let minimumConflicts = contarConflictosConColor(nodeId, currentColor, this.graph.aristas, this.colors);
+        const vecinos = this.graph.obtenerVecinos(nodeId);
+        let minimumConflicts = contarConflictosVecinosConColor(currentColor, vecinos, this.colors);
 
         for (const color of this.colorPalette) {
             if (color === currentColor) continue;
 
-            const conflictsWithColor = contarConflictosConColor(nodeId, color, this.graph.aristas, this.colors);
+            const conflictsWithColor = contarConflictosVecinosConColor(color, vecinos, this.colors);
 
             if (conflictsWithColor < minimumConflicts) {
                 minimumConflicts = conflictsWithColor;
@@ -139,10 +141,10 @@ export default class LocalSearch {
                 oldColor,
                 newColor: bestColor
             });
+            this.actualizarConflictos();
         }
 
         this.currentIndex++;
-        this.actualizarConflictos();
 
         return this._obtenerResultadoPaso();
     }
@@ -152,17 +154,7 @@ export default class LocalSearch {
      * @private
      */
     actualizarConflictos() {
-        const originalColors = {};
-        this.graph.nodos.forEach(nodo => {
-            originalColors[nodo.id] = nodo.color;
-            nodo.color = this.colors[nodo.id];
-        });
-
-        this.conflictEdges = obtenerAristasConflicto(this.graph.nodos, this.graph.aristas);
-
-        this.graph.nodos.forEach(nodo => {
-            nodo.color = originalColors[nodo.id];
-        });
+        this.conflictEdges = evaluarColoracion(this.graph.aristas, this.colors).conflictEdges;
     }
 
     /**
@@ -64,7 +64,7 @@ export default class MonteCarlo extends BaseAlgorithm {
       };
     }
 
-    const colors = coloracionAleatoria(this.nodes, this.availableColors);
+    const colors = coloracionAleatoria(this.nodes, this.availableColors, this.random);
     const evalResult = this.evaluarColoracion(colors);
     const { conflicts, conflictEdges } = evalResult;
     const success = conflicts === 0;
@@ -0,0 +1,296 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+
+// Estado de cada vértice mientras se construye una clase
+const CANDIDATO = 0; // Sin color y sin vecinos en la clase actual (conjunto U)
+const EXCLUIDO = 1; // Sin color y con algún vecino en la clase actual (conjunto W)
+const COLOREADO = 2;
+
+/**
+ * Algoritmo RLF (Recursive Largest First, Leighton 1979) para colorear grafos.
+ * Construye una clase de color por vez como conjunto independiente maximal:
+ * - Los vértices sin color son candidatos (U); el primero de la clase es el de mayor grado en U.
+ * - Al agregar un vértice a la clase, sus vecinos candidatos pasan a excluidos (W).
+ * - El siguiente es el candidato con más vecinos en W (empates: menos vecinos en U, luego menor id),
+ *   lo que deja en W las aristas que más restringen y hace crecer la clase.
+ * - Cuando U queda vacío la clase se cierra y los excluidos son los candidatos de la siguiente.
+ * Cada paso agrega un vértice. Si se cierran las k clases y quedan vértices, cada uno recibe el
+ * color con menos conflictos, como DSATUR.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class RecursiveLargestFirst extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del algoritmo RLF.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    const n = this.nodes.length;
+    const { inicio } = this.adyacencia;
+
+    /** @type {Object} Coloración parcial actual (nodeId -> color). */
+    this.colors = {};
+
+    /** @type {Uint8Array} Estado de cada vértice: candidato, excluido o coloreado. */
+    this.estado = new Uint8Array(n);
+
+    /** @type {Int32Array} Grado de cada vértice en el subgrafo aún no coloreado. */
+    this.gradoRestante = Int32Array.from({ length: n }, (_, v) => inicio[v + 1] - inicio[v]);
+
+    /** @type {Int32Array} Vecinos candidatos (en U) de cada vértice. */
+    this.vecinosEnU = Int32Array.from(this.gradoRestante);
+
+    /** @type {Int32Array} Vecinos excluidos (en W) de cada vértice. */
+    this.vecinosEnW = new Int32Array(n);
+
+    /** @type {Int32Array} Vecinos coloreados de cada nodo con cada color (matriz n × k, fila v en v * k). */
+    this.neighborColorCount = new Int32Array(n * this.numberOfColors);
+
+    /** @type {number} Índice de la clase en construcción (igual a k cuando ya no quedan clases). */
+    this.claseActual = 0;
+
+    /** @type {number} Vértices en la clase en construcción. */
+    this.tamanoClase = 0;
+
+    /** @type {number} Candidatos que quedan en U. */
+    this.candidatos = n;
+
+    /** @type {number} Vértices coloreados. */
+    this.coloreados = 0;
+
+    /** @type {number} Conflictos acumulados de la coloración parcial. */
+    this.currentConflicts = 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return this.nodes.length;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.nodes.length > 0 ? this.coloreados / this.nodes.length : 1;
+  }
+
+  /**
+   * Reporta la clase en construcción y el tamaño de los conjuntos U y W.
+   * @returns {{currentClass: number, classSize: number, candidates: number, excluded: number}} Métricas extra.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    const sinColor = this.nodes.length - this.coloreados;
+    return {
+      currentClass: Math.min(this.claseActual + 1, this.numberOfColors),
+      classSize: this.tamanoClase,
+      candidates: this.candidatos,
+      excluded: this.claseActual < this.numberOfColors ? sinColor - this.candidatos : 0
+    };
+  }
+
+  /**
+   * Cierra la clase actual: los vértices sin color vuelven a ser candidatos
+   * y su grado en U es el grado en el subgrafo no coloreado. Tras la última clase
+   * los vértices sin color quedan excluidos.
+   * @private
+   */
+  _abrirSiguienteClase() {
+    this.claseActual++;
+    this.tamanoClase = 0;
+    this.candidatos = 0;
+    if (this.claseActual >= this.numberOfColors) return;
+    for (let v = 0; v < this.estado.length; v++) {
+      if (this.estado[v] === COLOREADO) continue;
+      this.estado[v] = CANDIDATO;
+      this.vecinosEnU[v] = this.gradoRestante[v];
+      this.vecinosEnW[v] = 0;
+      this.candidatos++;
+    }
+  }
+
+  /**
+   * Selecciona el siguiente candidato de la clase: el de mayor grado en U si la clase está
+   * vacía; si no, el de más vecinos en W, luego menos vecinos en U y finalmente menor id.
+   * @returns {number} Índice del vértice elegido.
+   * @private
+   */
+  _seleccionarCandidato() {
+    const { ids } = this.adyacencia;
+    const claseVacia = this.tamanoClase === 0;
+    let elegido = -1;
+    let mejorW = -1;
+    let mejorU = 0;
+
+    for (let v = 0; v < this.estado.length; v++) {
+      if (this.estado[v] !== CANDIDATO) continue;
+      const enW = claseVacia ? 0 : this.vecinosEnW[v];
+      const enU = this.vecinosEnU[v];
+
+      const mejor = elegido === -1 ||
+        enW > mejorW ||
+        (enW === mejorW && (claseVacia ? enU > mejorU : enU < mejorU)) ||
+        (enW === mejorW && enU === mejorU && ids[v] < ids[elegido]);
+      if (mejor) {
+        elegido = v;
+        mejorW = enW;
+        mejorU = enU;
+      }
+    }
+
+    return elegido;
+  }
+
+  /**
+   * Con las k clases cerradas, elige el vértice sin color de mayor grado restante
+   * y el color con menos conflictos con sus vecinos.
+   * @returns {{v: number, color: number, conflictos: number}} Vértice, índice de color y conflictos.
+   * @private
+   */
+  _elegirSinClase() {
+    const { ids } = this.adyacencia;
+    let v = -1;
+    for (let u = 0; u < this.estado.length; u++) {
+      if (this.estado[u] === COLOREADO) continue;
+      if (v === -1 || this.gradoRestante[u] > this.gradoRestante[v] ||
+        (this.gradoRestante[u] === this.gradoRestante[v] && ids[u] < ids[v])) {
+        v = u;
+      }
+    }
+
+    const fila = v * this.numberOfColors;
+    let color = 0;
+    for (let c = 1; c < this.numberOfColors; c++) {
+      if (this.neighborColorCount[fila + c] < this.neighborColorCount[fila + color]) color = c;
+    }
+    return { v, color, conflictos: this.neighborColorCount[fila + color] };
+  }
+
+  /**
+   * Colorea v con el color dado y actualiza grados, conjuntos U y W y conteos de colores vecinos.
+   * @param {number} v - Índice del vértice.
+   * @param {number} color - Índice del color.
+   * @private
+   */
+  _colorear(v, color) {
+    const { ids, inicio, vecinos } = this.adyacencia;
+    const eraCandidato = this.estado[v] === CANDIDATO;
+
+    this.colors[ids[v]] = this.availableColors[color];
+    this.estado[v] = COLOREADO;
+    this.coloreados++;
+    if (eraCandidato) this.candidatos--;
+
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      const u = vecinos[p];
+      this.neighborColorCount[u * this.numberOfColors + color]++;
+      if (this.estado[u] === COLOREADO) continue;
+      this.gradoRestante[u]--;
+      if (eraCandidato) this.vecinosEnU[u]--;
+    }
+
+    if (!eraCandidato) return;
+
+    // Los vecinos candidatos de v ya no pueden entrar en la clase: pasan de U a W
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      const u = vecinos[p];
+      if (this.estado[u] !== CANDIDATO) continue;
+      this.estado[u] = EXCLUIDO;
+      this.candidatos--;
+      for (let q = inicio[u]; q < inicio[u + 1]; q++) {
+        const w = vecinos[q];
+        if (this.estado[w] === COLOREADO) continue;
+        this.vecinosEnU[w]--;
+        this.vecinosEnW[w]++;
+      }
+    }
+  }
+
+  /**
+   * IDs de los candidatos (U) y de los excluidos (W) de la clase en construcción, para
+   * mostrarlos en el canvas. Con las k clases cerradas ambos conjuntos están vacíos.
+   * @returns {{candidateIds: Array<number>, excludedIds: Array<number>}} Conjuntos U y W.
+   */
+  obtenerConjuntos() {
+    const { ids } = this.adyacencia;
+    const candidateIds = [];
+    const excludedIds = [];
+    if (this.claseActual < this.numberOfColors) {
+      for (let v = 0; v < this.estado.length; v++) {
+        if (this.estado[v] === CANDIDATO) candidateIds.push(ids[v]);
+        else if (this.estado[v] === EXCLUIDO) excludedIds.push(ids[v]);
+      }
+    }
+    return { candidateIds, excludedIds };
+  }
+
+  /**
+   * Agrega un vértice a la clase en construcción (o, sin clases libres, colorea un vértice
+   * con el color de menos conflictos). Cada vértice cuenta como un intento; es exitoso si no
+   * introduce conflictos.
+   * @returns {Object} Resultado del paso con flag done, colors, edges, estadísticas y el vértice agregado.
+   * @override
+   */
+  step() {
+    let agregado = null;
+
+    if (!this.finished && this.coloreados < this.nodes.length) {
+      if (this.candidatos === 0 && this.claseActual < this.numberOfColors) {
+        this._abrirSiguienteClase();
+      }
+
+      let v;
+      let color;
+      let conflictos = 0;
+      if (this.claseActual < this.numberOfColors) {
+        v = this._seleccionarCandidato();
+        color = this.claseActual;
+        this.tamanoClase++;
+      } else {
+        ({ v, color, conflictos } = this._elegirSinClase());
+      }
+
+      this._colorear(v, color);
+      agregado = this.adyacencia.ids[v];
+      this.currentConflicts += conflictos;
+
+      this.updateStatistics(conflictos, conflictos === 0);
+      this.guardarIntentoEnHistorial(this.currentConflicts, conflictos === 0);
+    }
+
+    const evalResult = this.evaluarColoracion(this.colors);
+
+    if (this.coloreados === this.nodes.length) {
+      this.finished = true;
+      this.bestColors = { ...this.colors };
+      this.bestEvaluation = evalResult;
+    }
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      evalResult.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors: { ...this.colors },
+      conflictEdges: evalResult.conflictEdges,
+      stats,
+      addedNodeId: agregado,
+      extraStats: this.obtenerEstadisticasExtra(),
+      currentAttempt: {
+        conflicts: evalResult.conflicts,
+        success: this.finished && evalResult.conflicts === 0
+      }
+    };
+  }
+}
@@ -0,0 +1,45 @@
+import Graph from '../Graph.js';
+import RecursiveLargestFirst from './RecursiveLargestFirst.js';
+import { construirGrafoConocido } from '../utils/namedGraphs.js';
+
+/**
+ * Ejecuta RLF hasta el final sobre un grafo del catálogo.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} parametros - Parámetros del grafo.
+ * @param {number} [numberOfColors=10] - Número de colores.
+ * @returns {{graph: Graph, resultado: Object}} Grafo y resultado.
+ */
+function resolver(id, parametros, numberOfColors = 10) {
+  const { numeroDeNodos, aristas } = construirGrafoConocido(id, parametros);
+  const graph = Graph.crearDesdeAristas(numeroDeNodos, aristas, Math.random, { layout: false });
+  const algo = new RecursiveLargestFirst(graph, { numberOfColors, seed: 1 });
+  algo.ejecutarBloque(Infinity);
+  return { graph, resultado: algo.construirResultado() };
+}
+
+describe('RecursiveLargestFirst', () => {
+  test.each([
+    ['cycle', { n: 5 }, 3],
+    ['petersen', {}, 3],
+    ['complete-bipartite', { m: 3, n: 4 }, 2],
+    ['mycielski', { k: 4 }, 4],
+    ['queen', { n: 5 }, 5],
+    ['complete', { n: 6 }, 6]
+  ])('colorea %s %j con %i colores', (id, parametros, colores) => {
+    const { graph, resultado } = resolver(id, parametros);
+
+    expect(resultado.stats.conflicts).toBe(0);
+    expect(new Set(Object.values(resultado.colors)).size).toBe(colores);
+    expect(resultado.extraStats.currentClass).toBe(colores);
+    graph.aristas.forEach(({ sourceId, targetId }) => {
+      expect(resultado.colors[sourceId]).not.toBe(resultado.colors[targetId]);
+    });
+  });
+
+  test('con menos colores que χ termina con conflictos y sin candidatos', () => {
+    const { resultado } = resolver('complete', { n: 5 }, 3);
+
+    expect(resultado.stats.conflicts).toBeGreaterThan(0);
+    expect(resultado.extraStats.candidates).toBe(0);
+  });
+});
@@ -0,0 +1,209 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { coloracionAleatoria, calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+import { ALGORITHM } from '../constants/index.js';
+
+/**
+ * Algoritmo de Recocido Simulado para colorear grafos.
+ * Parte de una coloración aleatoria y en cada paso propone recolorear un vértice
+ * en conflicto. Los movimientos que empeoran se aceptan con probabilidad
+ * exp(-Δ / T), donde la temperatura T se enfría geométricamente cada
+ * `movesPerTemperature` movimientos.
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class SimulatedAnnealing extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del algoritmo de Recocido Simulado.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   * @param {number} [options.initialTemperature] - Temperatura inicial.
+   * @param {number} [options.coolingRate] - Factor de enfriamiento geométrico (0-1).
+   * @param {number} [options.movesPerTemperature] - Movimientos antes de enfriar.
+   * @param {number} [options.minTemperature] - Temperatura a la que se detiene el algoritmo.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    /** @type {number} Temperatura inicial. */
+    this.initialTemperature = options.initialTemperature ?? ALGORITHM.SA_INITIAL_TEMPERATURE;
+
+    /** @type {number} Factor de enfriamiento. */
+    this.coolingRate = options.coolingRate ?? ALGORITHM.SA_COOLING_RATE;
+
+    /** @type {number} Movimientos por nivel de temperatura. */
+    this.movesPerTemperature = options.movesPerTemperature ?? ALGORITHM.SA_MOVES_PER_TEMPERATURE;
+
+    /** @type {number} Temperatura mínima. */
+    this.minTemperature = options.minTemperature ?? ALGORITHM.SA_MIN_TEMPERATURE;
+
+    /** @type {number} Temperatura actual. */
+    this.temperature = this.initialTemperature;
+
+    /** @type {number} Movimientos que empeoraron la coloración y fueron aceptados. */
+    this.acceptedWorse = 0;
+
+    /** @type {Object} Coloración actual (nodeId -> color). */
+    this.colors = coloracionAleatoria(this.nodes, this.availableColors, this.random);
+
+    /** @type {Int32Array} Índice de color de cada nodo, en paralelo con `colors`. */
+    this.colorIndices = Int32Array.from(this.nodes, nodo => this.availableColors.indexOf(this.colors[nodo.id]));
+
+    /** @type {Int32Array} Vecinos de cada nodo con su mismo color (> 0 si está en conflicto). */
+    this.nodeConflicts = new Int32Array(this.nodes.length);
+    for (let v = 0; v < this.nodes.length; v++) {
+      this.nodeConflicts[v] = this._conflictosConColor(v, this.colorIndices[v]);
+    }
+
+    const evalInicial = this.evaluarColoracion(this.colors);
+
+    /** @type {number} Conflictos de la coloración actual. */
+    this.currentConflicts = evalInicial.conflicts;
+
+    this.actualizarMejorSolucion({ ...this.colors }, evalInicial.conflicts, evalInicial.conflictEdges);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    const niveles = Math.ceil(
+      Math.log(this.minTemperature / this.initialTemperature) / Math.log(this.coolingRate)
+    );
+    return Math.max(niveles, 1) * this.movesPerTemperature;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.finished ? 1 : Math.min(this.attempts / this.obtenerMaximoIntentos(), 1);
+  }
+
+  /**
+   * Estadísticas propias del recocido para el overlay.
+   * @returns {Object} Temperatura actual, empeoramientos aceptados y mejor número de conflictos.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      temperature: this.temperature,
+      acceptedWorse: this.acceptedWorse,
+      bestConflicts: this.bestEvaluation.conflicts
+    };
+  }
+
+  /**
+   * Cuenta los vecinos de un nodo que tienen un color dado.
+   * @param {number} v - Índice del nodo.
+   * @param {number} color - Índice del color a evaluar.
+   * @returns {number} Conflictos del nodo con ese color.
+   * @private
+   */
+  _conflictosConColor(v, color) {
+    const { inicio, vecinos } = this.adyacencia;
+    let conflictos = 0;
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      if (this.colorIndices[vecinos[p]] === color) conflictos++;
+    }
+    return conflictos;
+  }
+
+  /**
+   * Elige al azar un nodo involucrado en algún conflicto.
+   * @returns {number} Índice del nodo o -1 si no hay conflictos.
+   * @private
+   */
+  _elegirNodoEnConflicto() {
+    const enConflicto = [];
+    for (let v = 0; v < this.nodes.length; v++) {
+      if (this.nodeConflicts[v] > 0) enConflicto.push(v);
+    }
+    if (enConflicto.length === 0) return -1;
+    return enConflicto[Math.floor(this.random() * enConflicto.length)];
+  }
+
+  /**
+   * Recolorea un nodo y actualiza los conflictos del nodo y de sus vecinos.
+   * @param {number} v - Índice del nodo.
+   * @param {number} nuevoColor - Índice del nuevo color.
+   * @private
+   */
+  _recolorear(v, nuevoColor) {
+    const { inicio, vecinos } = this.adyacencia;
+    const colorAnterior = this.colorIndices[v];
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      const u = vecinos[p];
+      if (this.colorIndices[u] === colorAnterior) this.nodeConflicts[u]--;
+      if (this.colorIndices[u] === nuevoColor) this.nodeConflicts[u]++;
+    }
+    this.colorIndices[v] = nuevoColor;
+    this.nodeConflicts[v] = this._conflictosConColor(v, nuevoColor);
+    this.colors[this.adyacencia.ids[v]] = this.availableColors[nuevoColor];
+  }
+
+  /**
+   * Ejecuta un movimiento del recocido simulado.
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished && this.currentConflicts > 0 && this.temperature > this.minTemperature) {
+      const v = this._elegirNodoEnConflicto();
+      const colorActual = this.colorIndices[v];
+      // Color al azar entre los otros k - 1, en el orden de la paleta
+      const otroColor = Math.floor(this.random() * (this.numberOfColors - 1));
+      const nuevoColor = otroColor >= colorActual ? otroColor + 1 : otroColor;
+
+      const delta = this._conflictosConColor(v, nuevoColor) - this.nodeConflicts[v];
+      const acepta = delta <= 0 || this.random() < Math.exp(-delta / this.temperature);
+
+      if (acepta) {
+        this._recolorear(v, nuevoColor);
+        this.currentConflicts += delta;
+        if (delta > 0) this.acceptedWorse++;
+      }
+
+      this.updateStatistics(this.currentConflicts, this.currentConflicts === 0);
+      this.guardarIntentoEnHistorial(this.currentConflicts, this.currentConflicts === 0, {
+        temperature: this.temperature
+      });
+
+      if (this.currentConflicts < this.bestEvaluation.conflicts) {
+        const evalResult = this.evaluarColoracion(this.colors);
+        this.actualizarMejorSolucion({ ...this.colors }, evalResult.conflicts, evalResult.conflictEdges);
+      }
+
+      if (this.attempts % this.movesPerTemperature === 0) {
+        this.temperature *= this.coolingRate;
+      }
+    }
+
+    if (this.currentConflicts === 0 || this.temperature <= this.minTemperature) {
+      this.finished = true;
+    }
+
+    const colors = this.finished ? this.bestColors : this.colors;
+    const evalResult = this.finished ? this.bestEvaluation : this.evaluarColoracion(colors);
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      evalResult.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors: { ...colors },
+      conflictEdges: evalResult.conflictEdges,
+      stats: { ...stats, progress: this.calculateProgress() },
+      extraStats: this.obtenerEstadisticasExtra(),
+      currentAttempt: {
+        conflicts: this.currentConflicts,
+        success: this.currentConflicts === 0
+      }
+    };
+  }
+}
@@ -0,0 +1,112 @@
+import LasVegas from './LasVegas.js';
+
+/**
+ * Las Vegas con propagación de restricciones para colorear grafos.
+ * En cada intento recorre los vértices en un orden aleatorio y sortea el color de cada uno
+ * solo entre los que no usan sus vecinos ya coloreados. Si un vértice no tiene colores
+ * libres el intento llega a un callejón sin salida y se reinicia en el siguiente. Sigue siendo
+ * Las Vegas: la coloración que devuelve sin conflictos siempre es válida, pero cada intento
+ * tiene mucha más probabilidad de éxito que el muestreo uniforme.
+ * Para que los intentos fallidos sigan siendo comparables con Las Vegas, los vértices que quedan
+ * tras el callejón sin salida reciben un color uniforme al azar y se cuentan sus conflictos.
+ * @extends LasVegas
+ * @class
+ */
+export default class SmartLasVegas extends LasVegas {
+  /**
+   * Crea una nueva instancia de Las Vegas con propagación.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.maxAttempts=Infinity] - Número máximo de intentos.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    const n = this.nodes.length;
+
+    /** @type {Int32Array} Orden aleatorio de los vértices del intento en curso. */
+    this.orden = Int32Array.from({ length: n }, (_, v) => v);
+
+    /** @type {Int32Array} Vecinos coloreados de cada nodo con cada color (matriz n × k, fila v en v * k). */
+    this.neighborColorCount = new Int32Array(n * this.numberOfColors);
+
+    /** @type {Int32Array} Colores libres del vértice que se está coloreando. */
+    this.coloresLibres = new Int32Array(this.numberOfColors);
+
+    /** @type {number} Intentos que terminaron en un callejón sin salida. */
+    this.deadEnds = 0;
+
+    /** @type {number} Suma de los vértices coloreados antes de cada callejón sin salida. */
+    this.deadEndDepthTotal = 0;
+
+    /** @type {number} Mayor cantidad de vértices coloreados antes de un callejón sin salida. */
+    this.maxDeadEndDepth = 0;
+  }
+
+  /**
+   * Estadísticas de los callejones sin salida. Son conteos crudos para que el pool de
+   * workers pueda sumarlos; la profundidad media es deadEndDepthTotal / deadEnds.
+   * @returns {{deadEnds: number, deadEndDepthTotal: number, maxDeadEndDepth: number, vertexCount: number}}
+   * Callejones sin salida, suma y máximo de su profundidad, y el total de vértices.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      deadEnds: this.deadEnds,
+      deadEndDepthTotal: this.deadEndDepthTotal,
+      maxDeadEndDepth: this.maxDeadEndDepth,
+      vertexCount: this.nodes.length
+    };
+  }
+
+  /**
+   * Genera la coloración de un intento con propagación: cada vértice, en orden aleatorio,
+   * recibe un color al azar entre los que no usan sus vecinos ya coloreados.
+   * @returns {Object} Mapa nodeId -> color.
+   * @protected
+   * @override
+   */
+  generarColoracion() {
+    const k = this.numberOfColors;
+    const { ids, inicio, vecinos } = this.adyacencia;
+    const { orden, neighborColorCount, coloresLibres } = this;
+    const n = orden.length;
+
+    // Fisher–Yates
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [orden[i], orden[j]] = [orden[j], orden[i]];
+    }
+    neighborColorCount.fill(0);
+
+    const colores = {};
+    let profundidad = 0;
+    for (; profundidad < n; profundidad++) {
+      const v = orden[profundidad];
+      let libres = 0;
+      for (let c = 0; c < k; c++) {
+        if (neighborColorCount[v * k + c] === 0) coloresLibres[libres++] = c;
+      }
+      if (libres === 0) break;
+
+      const color = coloresLibres[Math.floor(this.random() * libres)];
+      colores[ids[v]] = this.availableColors[color];
+      for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+        neighborColorCount[vecinos[p] * k + color]++;
+      }
+    }
+
+    if (profundidad < n) {
+      this.deadEnds++;
+      this.deadEndDepthTotal += profundidad;
+      this.maxDeadEndDepth = Math.max(this.maxDeadEndDepth, profundidad);
+
+      for (let i = profundidad; i < n; i++) {
+        colores[ids[orden[i]]] = this.availableColors[Math.floor(this.random() * k)];
+      }
+    }
+
+    return colores;
+  }
+}
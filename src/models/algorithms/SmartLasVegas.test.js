@@ -0,0 +1,44 @@
+import Graph from '../Graph.js';
+import SmartLasVegas from './SmartLasVegas.js';
+import { construirGrafoConocido } from '../utils/namedGraphs.js';
+
+/**
+ * Ejecuta Las Vegas con propagación hasta el final sobre un grafo del catálogo.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} parametros - Parámetros del grafo.
+ * @param {Object} opciones - Opciones del algoritmo.
+ * @returns {{graph: Graph, resultado: Object}} Grafo y resultado.
+ */
+function resolver(id, parametros, opciones) {
+  const { numeroDeNodos, aristas } = construirGrafoConocido(id, parametros);
+  const graph = Graph.crearDesdeAristas(numeroDeNodos, aristas, Math.random, { layout: false });
+  const algo = new SmartLasVegas(graph, opciones);
+  algo.ejecutarBloque(Infinity);
+  return { graph, resultado: algo.construirResultado() };
+}
+
+describe('SmartLasVegas', () => {
+  test.each([
+    ['petersen', {}, 3],
+    ['torus', { rows: 3, columns: 5 }, 3],
+    ['mycielski', { k: 5 }, 5],
+    ['queen', { n: 5 }, 5]
+  ])('encuentra una coloración válida de %s %j con k = %i y semilla fija', (id, parametros, k) => {
+    const { graph, resultado } = resolver(id, parametros, { numberOfColors: k, seed: 42 });
+
+    expect(resultado.stats.conflicts).toBe(0);
+    expect(resultado.extraStats.deadEnds).toBe(resultado.stats.attempts - 1);
+    graph.aristas.forEach(({ sourceId, targetId }) => {
+      expect(resultado.colors[sourceId]).not.toBe(resultado.colors[targetId]);
+    });
+  });
+
+  test('en K4 con 3 colores todos los intentos son callejones sin salida tras 3 vértices', () => {
+    const { resultado } = resolver('complete', { n: 4 }, { numberOfColors: 3, seed: 3, maxAttempts: 20 });
+
+    expect(resultado.stats.attempts).toBe(20);
+    expect(resultado.stats.successRate).toBe(0);
+    expect(resultado.stats.conflicts).toBe(1);
+    expect(resultado.extraStats).toEqual({ deadEnds: 20, deadEndDepthTotal: 60, maxDeadEndDepth: 3, vertexCount: 4 });
+  });
+});
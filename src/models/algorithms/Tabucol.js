@@ -0,0 +1,276 @@
+import BaseAlgorithm from './BaseAlgorithm.js';
+import { coloracionAleatoria, calcularEstadisticasAlgoritmo } from '../utils/graphEvaluation.js';
+import { ALGORITHM } from '../constants/index.js';
+
+/**
+ * Algoritmo Tabucol (Hertz y de Werra) para reducir conflictos de una coloración.
+ * En cada iteración aplica el mejor movimiento (vértice en conflicto, nuevo color)
+ * que no sea tabú. Al mover un vértice, su color anterior queda prohibido durante
+ * un número de iteraciones (tenencia). Un movimiento tabú se acepta igualmente si
+ * produce una coloración mejor que la mejor encontrada (criterio de aspiración).
+ * @extends BaseAlgorithm
+ * @class
+ */
+export default class Tabucol extends BaseAlgorithm {
+  /**
+   * Crea una nueva instancia del algoritmo Tabucol.
+   * @param {Graph} graph - El grafo a colorear.
+   * @param {Object} [options={}] - Opciones del algoritmo.
+   * @param {number} [options.numberOfColors] - Número de colores.
+   * @param {Object} [options.initialColors] - Coloración inicial (nodeId -> color); los nodos sin color válido se colorean al azar.
+   * @param {number} [options.maxIterations] - Número máximo de iteraciones.
+   * @param {number} [options.tenureBase] - Parte fija de la tenencia tabú.
+   * @param {number} [options.tenureFactor] - Factor de la tenencia proporcional a los vértices en conflicto.
+   */
+  constructor(graph, options = {}) {
+    super(graph, options);
+
+    /** @type {number} Número máximo de iteraciones. */
+    this.maxIterations = options.maxIterations ?? ALGORITHM.TABU_MAX_ITERATIONS;
+
+    /** @type {number} Parte fija de la tenencia tabú. */
+    this.tenureBase = options.tenureBase ?? ALGORITHM.TABU_TENURE_BASE;
+
+    /** @type {number} Factor de tenencia según vértices en conflicto. */
+    this.tenureFactor = options.tenureFactor ?? ALGORITHM.TABU_TENURE_FACTOR;
+
+    /** @type {number} Movimientos tabú que impidieron elegir el mejor movimiento. */
+    this.tabuHits = 0;
+
+    /** @type {number} Movimientos tabú aceptados por el criterio de aspiración. */
+    this.aspirations = 0;
+
+    const n = this.nodes.length;
+    const k = this.numberOfColors;
+    const { inicio, vecinos } = this.adyacencia;
+
+    /** @type {Int32Array} Índice de color asignado a cada nodo. */
+    this.coloresActuales = Int32Array.from(this._construirColoracionInicial(options.initialColors));
+
+    /** @type {Int32Array} Vecinos de cada nodo con cada color (matriz de conflictos n × k, fila v en v * k). */
+    this.gamma = new Int32Array(n * k);
+
+    /** @type {Int32Array} Iteración hasta la que cada movimiento (nodo, color) es tabú (matriz n × k). */
+    this.tabu = new Int32Array(n * k);
+
+    /** @type {number} Conflictos de la coloración actual. */
+    this.currentConflicts = 0;
+
+    for (let v = 0; v < n; v++) {
+      for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+        const u = vecinos[p];
+        this.gamma[v * k + this.coloresActuales[u]]++;
+        if (u > v && this.coloresActuales[u] === this.coloresActuales[v]) this.currentConflicts++;
+      }
+    }
+
+    /** @type {number} Vértices con al menos un vecino de su mismo color (para la tenencia). */
+    this.verticesEnConflicto = 0;
+    for (let v = 0; v < n; v++) {
+      if (this._enConflicto(v)) this.verticesEnConflicto++;
+    }
+
+    /** @type {number} Conflictos de la coloración de partida. */
+    this.initialConflicts = this.currentConflicts;
+
+    const evalInicial = this.evaluarColoracion(this._obtenerMapaColores());
+    this.actualizarMejorSolucion(this._obtenerMapaColores(), evalInicial.conflicts, evalInicial.conflictEdges);
+  }
+
+  /**
+   * Convierte la coloración inicial en índices de color, completando al azar
+   * los nodos sin color o con un color fuera de la paleta actual.
+   * @param {Object} [coloresIniciales] - Mapa nodeId -> color.
+   * @returns {Array<number>} Índice de color por nodo.
+   * @private
+   */
+  _construirColoracionInicial(coloresIniciales) {
+    const aleatoria = coloracionAleatoria(this.nodes, this.availableColors, this.random);
+
+    return this.nodes.map(nodo => {
+      const indice = this.availableColors.indexOf(coloresIniciales?.[nodo.id]);
+      return indice >= 0 ? indice : this.availableColors.indexOf(aleatoria[nodo.id]);
+    });
+  }
+
+  /**
+   * Traduce la coloración interna a un mapa nodeId -> color.
+   * @returns {Object} Mapa de colores.
+   * @private
+   */
+  _obtenerMapaColores() {
+    const colores = {};
+    this.nodes.forEach((nodo, i) => {
+      colores[nodo.id] = this.availableColors[this.coloresActuales[i]];
+    });
+    return colores;
+  }
+
+  /**
+   * Indica si un vértice tiene algún vecino de su mismo color.
+   * @param {number} v - Índice del nodo.
+   * @returns {boolean} True si el vértice está en conflicto.
+   * @private
+   */
+  _enConflicto(v) {
+    return this.gamma[v * this.numberOfColors + this.coloresActuales[v]] > 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  obtenerMaximoIntentos() {
+    return this.maxIterations;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  calculateProgress() {
+    return this.finished ? 1 : this.attempts / this.maxIterations;
+  }
+
+  /**
+   * Estadísticas propias de Tabucol para el overlay.
+   * @returns {Object} Iteraciones, movimientos tabú y mejor número de conflictos.
+   * @override
+   */
+  obtenerEstadisticasExtra() {
+    return {
+      passes: this.attempts,
+      tabuHits: this.tabuHits,
+      aspirations: this.aspirations,
+      bestConflicts: this.bestEvaluation.conflicts,
+      initialConflicts: this.initialConflicts
+    };
+  }
+
+  /**
+   * Busca el mejor movimiento permitido entre los vértices en conflicto.
+   * Los empates se resuelven al azar.
+   * @returns {{movimiento: Object|null, bloqueadoPorTabu: boolean, aspiracion: boolean}}
+   * Movimiento elegido y si la lista tabú alteró la decisión.
+   * @private
+   */
+  _buscarMejorMovimiento() {
+    let mejorDelta = Infinity;
+    let candidatos = [];
+    let mejorDeltaSinRestriccion = Infinity;
+    const iteracion = this.attempts;
+    const k = this.numberOfColors;
+
+    for (let v = 0; v < this.nodes.length; v++) {
+      const colorActual = this.coloresActuales[v];
+      const conflictosActuales = this.gamma[v * k + colorActual];
+      if (conflictosActuales === 0) continue;
+
+      for (let c = 0; c < k; c++) {
+        if (c === colorActual) continue;
+
+        const delta = this.gamma[v * k + c] - conflictosActuales;
+        if (delta < mejorDeltaSinRestriccion) mejorDeltaSinRestriccion = delta;
+
+        const esTabu = this.tabu[v * k + c] > iteracion;
+        const aspira = this.currentConflicts + delta < this.bestEvaluation.conflicts;
+        if (esTabu && !aspira) continue;
+
+        if (delta < mejorDelta) {
+          mejorDelta = delta;
+          candidatos = [{ v, c, delta, esTabu }];
+        } else if (delta === mejorDelta) {
+          candidatos.push({ v, c, delta, esTabu });
+        }
+      }
+    }
+
+    const movimiento = candidatos.length > 0
+      ? candidatos[Math.floor(this.random() * candidatos.length)]
+      : null;
+
+    return {
+      movimiento,
+      bloqueadoPorTabu: mejorDeltaSinRestriccion < mejorDelta,
+      aspiracion: Boolean(movimiento?.esTabu)
+    };
+  }
+
+  /**
+   * Aplica un movimiento y actualiza la matriz de conflictos, los vértices en conflicto
+   * (solo cambian v y sus vecinos) y la lista tabú.
+   * @param {Object} movimiento - Movimiento con v (índice de nodo), c (nuevo color) y delta.
+   * @private
+   */
+  _aplicarMovimiento({ v, c, delta }) {
+    const k = this.numberOfColors;
+    const { inicio, vecinos } = this.adyacencia;
+    const colorAnterior = this.coloresActuales[v];
+
+    this.verticesEnConflicto -= this._enConflicto(v) ? 1 : 0;
+    this.coloresActuales[v] = c;
+    this.verticesEnConflicto += this._enConflicto(v) ? 1 : 0;
+    this.currentConflicts += delta;
+
+    for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+      const u = vecinos[p];
+      this.verticesEnConflicto -= this._enConflicto(u) ? 1 : 0;
+      this.gamma[u * k + colorAnterior]--;
+      this.gamma[u * k + c]++;
+      this.verticesEnConflicto += this._enConflicto(u) ? 1 : 0;
+    }
+
+    const tenencia = Math.floor(this.tenureFactor * this.verticesEnConflicto) +
+      Math.floor(this.random() * (this.tenureBase + 1));
+    this.tabu[v * k + colorAnterior] = this.attempts + tenencia;
+  }
+
+  /**
+   * Ejecuta una iteración de Tabucol (un movimiento).
+   * @returns {Object} Resultado del paso con flag done, colors, edges y estadísticas.
+   * @override
+   */
+  step() {
+    if (!this.finished && this.currentConflicts > 0 && this.attempts < this.maxIterations) {
+      const { movimiento, bloqueadoPorTabu, aspiracion } = this._buscarMejorMovimiento();
+
+      if (bloqueadoPorTabu) this.tabuHits++;
+      if (aspiracion) this.aspirations++;
+      if (movimiento) this._aplicarMovimiento(movimiento);
+
+      this.updateStatistics(this.currentConflicts, this.currentConflicts === 0);
+      this.guardarIntentoEnHistorial(this.currentConflicts, this.currentConflicts === 0);
+
+      if (this.currentConflicts < this.bestEvaluation.conflicts) {
+        const colores = this._obtenerMapaColores();
+        const evalResult = this.evaluarColoracion(colores);
+        this.actualizarMejorSolucion(colores, evalResult.conflicts, evalResult.conflictEdges);
+      }
+    }
+
+    if (this.currentConflicts === 0 || this.attempts >= this.maxIterations) {
+      this.finished = true;
+    }
+
+    const colors = this.finished ? this.bestColors : this._obtenerMapaColores();
+    const evalResult = this.finished ? this.bestEvaluation : this.evaluarColoracion(colors);
+
+    const stats = calcularEstadisticasAlgoritmo(
+      this.attempts,
+      this.successCount,
+      this.totalConflicts,
+      evalResult.conflicts,
+      this.obtenerMaximoIntentos()
+    );
+
+    return {
+      done: this.finished,
+      colors: { ...colors },
+      conflictEdges: evalResult.conflictEdges,
+      stats: { ...stats, progress: this.calculateProgress() },
+      extraStats: this.obtenerEstadisticasExtra(),
+      currentAttempt: {
+        conflicts: this.currentConflicts,
+        success: this.currentConflicts === 0
+      }
+    };
+  }
+}
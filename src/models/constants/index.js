@@ -2,7 +2,7 @@
 
 // RESTRICCIONES DEL GRAFO
 export const GRAPH_CONSTRAINTS = {
-    MAX_NODES: 150,
+    MAX_NODES: 2000,
     MIN_RANDOM_NODES: 60,
     MIN_COLORS: 3,
     MAX_COLORS: 10,
@@ -13,9 +13,11 @@ export const GRAPH_CONSTRAINTS = {
 export const LAYOUT_ITERATIONS = {
     SMALL_GRAPH_THRESHOLD: 80,
     MEDIUM_GRAPH_THRESHOLD: 120,
+    LARGE_GRAPH_THRESHOLD: 500,
     SMALL_GRAPH: 250,
     MEDIUM_GRAPH: 300,
-    LARGE_GRAPH: 350
+    LARGE_GRAPH: 350,
+    HUGE_GRAPH: 150 // Con el enfriamiento de 0.95, después de 150 iteraciones los nodos casi no se mueven
 };
 
 // FORCE DIRECTED LAYOUT CONSTANTS
@@ -24,13 +26,77 @@ export const FORCE_DIRECTED = {
     COOLING_RATE: 0.95,
     TEMPERATURE_FACTOR: 0.1,
     POSITION_MIN: 0.02,
-    POSITION_MAX: 0.98
+    POSITION_MAX: 0.98,
+    BARNES_HUT_THRESHOLD: 300, // Desde este número de nodos la repulsión se aproxima con un quadtree
+    BARNES_HUT_THETA: 0.8, // Lado de celda / distancia por debajo del cual una celda cuenta como un solo cuerpo
+    BARNES_HUT_MAX_DEPTH: 24 // Profundidad máxima del quadtree (nodos superpuestos comparten hoja)
 };
 
 // ALGORITHM CONFIGURATION 
 export const ALGORITHM = {
     BATCH_SIZE: 50,
-    LOCAL_SEARCH_DELAY: 150
+    LOCAL_SEARCH_DELAY: 150,
+    TABU_SEARCH_DELAY: 30,
+    RLF_STEP_DELAY: 400, // RLF paso a paso: un vértice por paso, lento para seguir los conjuntos U y W
+    TABU_MAX_ITERATIONS: 10000,
+    TABU_TENURE_BASE: 10,
+    TABU_TENURE_FACTOR: 0.6,
+    SA_INITIAL_TEMPERATURE: 10,
+    SA_COOLING_RATE: 0.95,
+    SA_MOVES_PER_TEMPERATURE: 100,
+    SA_MIN_TEMPERATURE: 0.01,
+    GREEDY_DEFAULT_ORDERING: 'largest-first',
+    HEA_POPULATION_SIZE: 10,
+    HEA_MAX_GENERATIONS: 200,
+    HEA_TABU_ITERATIONS: 1000,
+    ACO_ANTS: 10,
+    ACO_EVAPORATION: 0.1,
+    ACO_HEURISTIC_WEIGHT: 4,
+    ACO_MAX_CYCLES: 300,
+    ACO_MIN_PHEROMONE: 0.01, // Piso de la feromona para que ningún color quede descartado
+    EXACT_NODES_PER_STEP: 2000,
+    WORKER_SLICE_MS: 50,
+    MAX_CLIQUE_CALL_LIMIT: 1000000
+};
+
+// EJECUCIÓN PARALELA (pool de workers para Monte Carlo y Las Vegas)
+export const PARALLEL = {
+    MAX_WORKERS: 8,
+    MIN_SAMPLES_PER_WORKER: 1000,
+    PROGRESS_INTERVAL_MS: 50
+};
+
+// COMPARACIÓN DE ALGORITMOS
+export const COMPARISON = {
+    MAX_CURVE_POINTS: 500
+};
+
+// EXPERIMENTOS POR LOTES (ensayos repetidos con intervalos de confianza)
+export const EXPERIMENT = {
+    MIN_TRIALS: 2,
+    MAX_TRIALS: 200,
+    DEFAULT_TRIALS: 30,
+    MAX_TOTAL_TRIALS: 5000
+};
+
+// GENERADORES DE GRAFOS ALEATORIOS
+export const RANDOM_GRAPH = {
+    DEFAULT_MODEL: 'tree',
+    MAX_REGULAR_RETRIES: 100, // Reintentos del emparejamiento de grafos regulares
+    MAX_PAIRING_FAILURES: 100, // Fallos seguidos antes de verificar si el emparejamiento quedó sin salida
+    MIN_PLANTED_BALANCE: 0.1 // Tamaño mínimo de la clase menor respecto de la mayor (modelo plantado)
+};
+
+// HISTORIAL DE DESHACER / REHACER
+export const HISTORY = {
+    MAX_STEPS: 200
+};
+
+// PERSISTENCIA LOCAL (IndexedDB)
+export const PERSISTENCE = {
+    DB_NAME: 'coloracion-grafos',
+    DB_VERSION: 1,
+    AUTOSAVE_DELAY: 1000
 };
 
 export const COLOR_PALETTE = {
@@ -0,0 +1,118 @@
+/**
+ * Cotas del número cromático y certificados de infactibilidad.
+ * La cota inferior (clique) prueba que k colores no alcanzan; las superiores
+ * (degeneración, Brooks) solo acotan χ(G) y nunca certifican infactibilidad.
+ * @module chromaticBounds
+ */
+
+import { construirMapaAdyacencia } from './graphAnalysis.js';
+import { aristasDeClique, buscarCliqueMaxima } from './cliqueAnalysis.js';
+
+/** Presupuesto de llamadas de Bron–Kerbosch para la verificación rápida. */
+const LIMITE_LLAMADAS_CLIQUE = 20000;
+
+/**
+ * Calcula la degeneración del grafo (máximo grado mínimo en la eliminación).
+ * Toda coloración greedy en orden inverso de eliminación usa a lo sumo degeneración + 1 colores.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @returns {number} Degeneración del grafo.
+ */
+export function calcularDegeneracion(nodos, aristas) {
+    const adyacencia = construirMapaAdyacencia(nodos, aristas);
+    const grado = new Map(nodos.map(n => [n.id, adyacencia.get(n.id).size]));
+    const restantes = new Set(grado.keys());
+    let degeneracion = 0;
+
+    while (restantes.size > 0) {
+        let minimo = null;
+        for (const id of restantes) {
+            if (minimo === null || grado.get(id) < grado.get(minimo)) minimo = id;
+        }
+        degeneracion = Math.max(degeneracion, grado.get(minimo));
+        restantes.delete(minimo);
+        for (const u of adyacencia.get(minimo)) {
+            if (restantes.has(u)) grado.set(u, grado.get(u) - 1);
+        }
+    }
+
+    return degeneracion;
+}
+
+/**
+ * Cota de Brooks: cada componente conexa se colorea con Δ colores salvo
+ * que sea completa (Δ + 1) o un ciclo impar (3).
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @returns {number} Cota superior de χ(G).
+ */
+export function cotaBrooks(nodos, aristas) {
+    const adyacencia = construirMapaAdyacencia(nodos, aristas);
+    const visitados = new Set();
+    let cota = nodos.length > 0 ? 1 : 0;
+
+    for (const inicio of nodos) {
+        if (visitados.has(inicio.id)) continue;
+
+        const componente = [inicio.id];
+        visitados.add(inicio.id);
+        for (let i = 0; i < componente.length; i++) {
+            for (const u of adyacencia.get(componente[i])) {
+                if (!visitados.has(u)) {
+                    visitados.add(u);
+                    componente.push(u);
+                }
+            }
+        }
+
+        const gradoMaximo = Math.max(...componente.map(id => adyacencia.get(id).size));
+        const esCompleta = componente.every(id => adyacencia.get(id).size === componente.length - 1);
+        const esCicloImpar = gradoMaximo === 2 && componente.length % 2 === 1 &&
+            componente.every(id => adyacencia.get(id).size === 2);
+
+        let cotaComponente = gradoMaximo;
+        if (esCompleta) cotaComponente = componente.length;
+        else if (esCicloImpar) cotaComponente = 3;
+        else if (gradoMaximo < 2) cotaComponente = gradoMaximo + 1;
+
+        cota = Math.max(cota, cotaComponente);
+    }
+
+    return cota;
+}
+
+/**
+ * Verificación rápida de si k colores pueden alcanzar para colorear el grafo.
+ * Solo el clique certifica infactibilidad: si hay uno de k + 1 nodos se devuelve
+ * como certificado. Las cotas de degeneración y Brooks son superiores y se
+ * reportan como upperBound, pero no prueban que k colores no alcancen.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @param {number} k - Número de colores.
+ * @returns {{infeasible: boolean, certificate: Object|null, lowerBound: number, upperBound: number}}
+ * Resultado con el certificado ({type, nodeIds, edges}) y las cotas conocidas de χ(G).
+ */
+export function verificarFactibilidad(nodos, aristas, k) {
+    const upperBound = Math.min(calcularDegeneracion(nodos, aristas) + 1, cotaBrooks(nodos, aristas));
+    const { clique } = buscarCliqueMaxima(nodos, aristas, {
+        objetivo: k + 1,
+        limiteLlamadas: LIMITE_LLAMADAS_CLIQUE
+    });
+    let certificate = null;
+
+    if (clique.length > k) {
+        const nodosCertificado = clique.slice(0, k + 1);
+        certificate = {
+            type: 'clique',
+            nodeIds: nodosCertificado,
+            edges: aristasDeClique(nodosCertificado)
+        };
+    }
+
+    return {
+        infeasible: certificate !== null,
+        certificate,
+        lowerBound: clique.length,
+        upperBound
+    };
+}
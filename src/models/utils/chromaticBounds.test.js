@@ -0,0 +1,88 @@
+import { calcularDegeneracion, cotaBrooks, verificarFactibilidad } from './chromaticBounds.js';
+import { construirGrafoConocido } from './namedGraphs.js';
+
+/**
+ * Nodos y aristas de un grafo del catálogo, con el formato de los modelos (ids desde 1).
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} [parametros={}] - Parámetros del grafo.
+ * @returns {{nodos: Array<{id: number}>, aristas: Array<{sourceId: number, targetId: number}>}} Grafo.
+ */
+function grafoConocido(id, parametros = {}) {
+    const { numeroDeNodos, aristas } = construirGrafoConocido(id, parametros);
+    return {
+        nodos: Array.from({ length: numeroDeNodos }, (_, i) => ({ id: i + 1 })),
+        aristas: aristas.map(([sourceId, targetId]) => ({ sourceId, targetId }))
+    };
+}
+
+/**
+ * Aplica una cota a un grafo del catálogo.
+ * @param {Function} cota - calcularDegeneracion o cotaBrooks.
+ * @param {string} id - Clave del catálogo.
+ * @param {Object} [parametros={}] - Parámetros del grafo.
+ * @returns {number} Valor de la cota.
+ */
+function aplicar(cota, id, parametros = {}) {
+    const { nodos, aristas } = grafoConocido(id, parametros);
+    return cota(nodos, aristas);
+}
+
+describe('verificarFactibilidad', () => {
+    test('certifica con un clique de k + 1 nodos que k colores no alcanzan', () => {
+        const { nodos, aristas } = grafoConocido('complete', { n: 5 });
+        const verificacion = verificarFactibilidad(nodos, aristas, 3);
+
+        expect(verificacion.infeasible).toBe(true);
+        expect(verificacion.lowerBound).toBeGreaterThanOrEqual(4);
+        expect(verificacion.certificate.type).toBe('clique');
+        expect(verificacion.certificate.nodeIds).toHaveLength(4);
+        expect(verificacion.certificate.edges).toHaveLength(6);
+
+        // El certificado es realmente un clique del grafo
+        const claves = new Set(aristas.map(({ sourceId, targetId }) => `${Math.min(sourceId, targetId)}-${Math.max(sourceId, targetId)}`));
+        verificacion.certificate.edges.forEach(({ sourceId, targetId }) => {
+            expect(claves.has(`${Math.min(sourceId, targetId)}-${Math.max(sourceId, targetId)}`)).toBe(true);
+        });
+    });
+
+    test('no certifica nada cuando k alcanza el tamaño del clique', () => {
+        const { nodos, aristas } = grafoConocido('complete', { n: 5 });
+        const verificacion = verificarFactibilidad(nodos, aristas, 5);
+
+        expect(verificacion).toEqual({ infeasible: false, certificate: null, lowerBound: 5, upperBound: 5 });
+    });
+
+    test('un ciclo impar con 2 colores no se declara infactible: solo el clique certifica', () => {
+        const { nodos, aristas } = grafoConocido('cycle', { n: 7 });
+        const verificacion = verificarFactibilidad(nodos, aristas, 2);
+
+        expect(verificacion.infeasible).toBe(false);
+        expect(verificacion.certificate).toBeNull();
+        expect(verificacion.lowerBound).toBe(2);
+        expect(verificacion.upperBound).toBe(3);
+    });
+
+    test('reporta las cotas de Petersen sin certificado', () => {
+        const { nodos, aristas } = grafoConocido('petersen');
+        const verificacion = verificarFactibilidad(nodos, aristas, 2);
+
+        expect(verificacion.infeasible).toBe(false);
+        expect(verificacion.lowerBound).toBe(2);
+        expect(verificacion.upperBound).toBe(3);
+    });
+});
+
+describe('cotas superiores', () => {
+    test('degeneración de un árbol, un ciclo y un completo', () => {
+        expect(aplicar(calcularDegeneracion, 'complete-bipartite', { m: 1, n: 6 })).toBe(1);
+        expect(aplicar(calcularDegeneracion, 'cycle', { n: 6 })).toBe(2);
+        expect(aplicar(calcularDegeneracion, 'complete', { n: 6 })).toBe(5);
+    });
+
+    test('Brooks: Δ salvo completos (Δ + 1) y ciclos impares (3)', () => {
+        expect(aplicar(cotaBrooks, 'complete', { n: 6 })).toBe(6);
+        expect(aplicar(cotaBrooks, 'cycle', { n: 7 })).toBe(3);
+        expect(aplicar(cotaBrooks, 'cycle', { n: 8 })).toBe(2);
+        expect(aplicar(cotaBrooks, 'petersen')).toBe(3);
+    });
+});
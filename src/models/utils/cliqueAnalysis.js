@@ -0,0 +1,134 @@
+/**
+ * Funciones de utilidad para búsqueda de cliques.
+ * Un clique de tamaño ω obliga a usar al menos ω colores, por lo que
+ * sirve como cota inferior del número cromático.
+ * @module cliqueAnalysis
+ */
+
+import { construirMapaAdyacencia } from './graphAnalysis.js';
+
+/**
+ * Construye las aristas entre todos los pares de nodos de un clique.
+ * @param {Array<number>} clique - IDs de los nodos del clique.
+ * @returns {Array<{sourceId: number, targetId: number}>} Aristas del clique.
+ */
+export function aristasDeClique(clique) {
+    const aristas = [];
+    for (let i = 0; i < clique.length; i++) {
+        for (let j = i + 1; j < clique.length; j++) {
+            aristas.push({ sourceId: clique[i], targetId: clique[j] });
+        }
+    }
+    return aristas;
+}
+
+/**
+ * Busca un clique grande con una heurística greedy.
+ * Desde cada vértice agrega, en orden de grado descendente, los vecinos
+ * adyacentes a todos los vértices ya elegidos y conserva el mayor clique encontrado.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @returns {Array<number>} IDs de los nodos del clique encontrado.
+ */
+export function buscarCliqueGreedy(nodos, aristas) {
+    const adyacencia = construirMapaAdyacencia(nodos, aristas);
+    const grado = (id) => adyacencia.get(id).size;
+    let mejorClique = [];
+
+    for (const nodo of nodos) {
+        if (grado(nodo.id) < mejorClique.length) continue;
+
+        const clique = [nodo.id];
+        const candidatos = Array.from(adyacencia.get(nodo.id)).sort((a, b) => grado(b) - grado(a));
+
+        for (const candidato of candidatos) {
+            if (clique.every(id => adyacencia.get(candidato).has(id))) {
+                clique.push(candidato);
+            }
+        }
+
+        if (clique.length > mejorClique.length) {
+            mejorClique = clique;
+        }
+    }
+
+    return mejorClique;
+}
+
+/**
+ * Busca un clique máximo con Bron–Kerbosch y pivoteo (Tomita).
+ * La búsqueda puede cortarse antes al alcanzar un tamaño objetivo o al agotar
+ * el presupuesto de llamadas; en ese caso el clique devuelto es válido pero
+ * no necesariamente máximo.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @param {Object} [opciones={}] - Opciones de búsqueda.
+ * @param {number} [opciones.objetivo=Infinity] - Detener al encontrar un clique de este tamaño.
+ * @param {number} [opciones.limiteLlamadas=Infinity] - Máximo de llamadas recursivas.
+ * @returns {{clique: Array<number>, completo: boolean, llamadas: number}} Clique encontrado,
+ * si la búsqueda terminó (el clique es máximo) y llamadas realizadas.
+ */
+export function buscarCliqueMaxima(nodos, aristas, opciones = {}) {
+    const objetivo = opciones.objetivo ?? Infinity;
+    const limiteLlamadas = opciones.limiteLlamadas ?? Infinity;
+    const adyacencia = construirMapaAdyacencia(nodos, aristas);
+
+    // Partir de la heurística greedy para podar desde el inicio
+    let mejorClique = buscarCliqueGreedy(nodos, aristas);
+    let llamadas = 0;
+    let cortado = false;
+
+    const expandir = (R, P, X) => {
+        if (mejorClique.length >= objetivo || cortado) return;
+        if (++llamadas > limiteLlamadas) {
+            cortado = true;
+            return;
+        }
+
+        if (P.size === 0 && X.size === 0) {
+            if (R.length > mejorClique.length) mejorClique = [...R];
+            return;
+        }
+
+        // Poda: ni tomando todos los candidatos se supera el mejor clique
+        if (R.length + P.size <= mejorClique.length) return;
+
+        // Pivote: vértice de P ∪ X con más vecinos en P
+        let pivote = null;
+        let maxVecinos = -1;
+        for (const u of [...P, ...X]) {
+            let vecinosEnP = 0;
+            for (const w of adyacencia.get(u)) {
+                if (P.has(w)) vecinosEnP++;
+            }
+            if (vecinosEnP > maxVecinos) {
+                maxVecinos = vecinosEnP;
+                pivote = u;
+            }
+        }
+
+        const vecinosPivote = adyacencia.get(pivote);
+        for (const v of [...P]) {
+            if (vecinosPivote.has(v)) continue;
+
+            const vecinosV = adyacencia.get(v);
+            const nuevoP = new Set([...P].filter(w => vecinosV.has(w)));
+            const nuevoX = new Set([...X].filter(w => vecinosV.has(w)));
+            expandir([...R, v], nuevoP, nuevoX);
+
+            P.delete(v);
+            X.add(v);
+            if (mejorClique.length >= objetivo || cortado) return;
+        }
+    };
+
+    if (mejorClique.length < objetivo) {
+        expandir([], new Set(nodos.map(n => n.id)), new Set());
+    }
+
+    return {
+        clique: mejorClique,
+        completo: !cortado && mejorClique.length < objetivo,
+        llamadas
+    };
+}
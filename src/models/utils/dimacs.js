@@ -0,0 +1,139 @@
+/**
+ * Lectura y escritura de grafos en formato DIMACS (.col).
+ * El formato usa una línea `p edge n m` con el número de vértices y aristas,
+ * una línea `e u v` por arista (vértices numerados desde 1) y líneas `c` de comentario.
+ * @module dimacs
+ */
+
+/**
+ * Interpreta un token como entero no negativo.
+ * @param {string} token - Texto a convertir.
+ * @returns {number|null} Entero no negativo o null si el token no lo es.
+ */
+function enteroNoNegativo(token) {
+    return /^\d+$/.test(token ?? '') ? Number(token) : null;
+}
+
+/**
+ * Interpreta un token como entero positivo.
+ * @param {string} token - Texto a convertir.
+ * @returns {number|null} Entero positivo o null si el token no lo es.
+ */
+function enteroPositivo(token) {
+    const valor = enteroNoNegativo(token);
+    return valor > 0 ? valor : null;
+}
+
+/**
+ * Parsea el contenido de un archivo DIMACS.
+ * Las aristas repetidas (incluidas las que aparecen en ambos sentidos) se cuentan una sola vez;
+ * los lazos se descartan con una advertencia.
+ * @param {string} texto - Contenido del archivo.
+ * @param {Object} [opciones={}] - Opciones de lectura.
+ * @param {number} [opciones.maxNodos=Infinity] - Máximo de vértices permitidos.
+ * @returns {{numeroDeNodos: number, aristas: Array<[number, number]>, comentarios: Array<string>, advertencias: Array<string>}}
+ * Vértices, aristas (índices desde 1), comentarios del archivo y advertencias no fatales.
+ * @throws {Error} Si el archivo está mal formado o excede maxNodos; el mensaje indica la línea.
+ */
+export function parsearDimacs(texto, opciones = {}) {
+    const maxNodos = opciones.maxNodos ?? Infinity;
+    const lineas = String(texto ?? '').split(/\r?\n/);
+
+    let numeroDeNodos = null;
+    let aristasDeclaradas = 0;
+    const comentarios = [];
+    const advertencias = [];
+    const aristas = [];
+    const vistas = new Set();
+
+    lineas.forEach((lineaOriginal, indice) => {
+        const numeroLinea = indice + 1;
+        const linea = lineaOriginal.trim();
+        if (linea === '') return;
+
+        const tokens = linea.split(/\s+/);
+        const tipo = tokens[0];
+
+        if (tipo === 'c') {
+            comentarios.push(linea.slice(1).trim());
+            return;
+        }
+
+        if (tipo === 'p') {
+            if (numeroDeNodos !== null) {
+                throw new Error(`Línea ${numeroLinea}: la línea "p" aparece más de una vez.`);
+            }
+            const n = enteroNoNegativo(tokens[2]);
+            const m = enteroNoNegativo(tokens[3]);
+            if (tokens.length !== 4 || !['edge', 'col'].includes(tokens[1]) || n === null || m === null) {
+                throw new Error(`Línea ${numeroLinea}: se esperaba "p edge <vértices> <aristas>" y se encontró "${linea}".`);
+            }
+            if (n === 0) {
+                throw new Error(`Línea ${numeroLinea}: el grafo no tiene vértices.`);
+            }
+            if (n > maxNodos) {
+                throw new Error(`La instancia tiene ${n} vértices y el máximo permitido es ${maxNodos}.`);
+            }
+            numeroDeNodos = n;
+            aristasDeclaradas = m;
+            return;
+        }
+
+        if (tipo === 'e') {
+            if (numeroDeNodos === null) {
+                throw new Error(`Línea ${numeroLinea}: arista antes de la línea "p edge".`);
+            }
+            const u = enteroPositivo(tokens[1]);
+            const v = enteroPositivo(tokens[2]);
+            if (tokens.length !== 3 || u === null || v === null) {
+                throw new Error(`Línea ${numeroLinea}: se esperaba "e <u> <v>" y se encontró "${linea}".`);
+            }
+            if (u > numeroDeNodos || v > numeroDeNodos) {
+                throw new Error(`Línea ${numeroLinea}: el vértice ${Math.max(u, v)} no está entre 1 y ${numeroDeNodos}.`);
+            }
+            if (u === v) {
+                advertencias.push(`Línea ${numeroLinea}: lazo en el vértice ${u} ignorado.`);
+                return;
+            }
+            const clave = u < v ? `${u}-${v}` : `${v}-${u}`;
+            if (vistas.has(clave)) return;
+            vistas.add(clave);
+            aristas.push([u, v]);
+            return;
+        }
+
+        throw new Error(`Línea ${numeroLinea}: tipo de línea desconocido "${tipo}".`);
+    });
+
+    if (numeroDeNodos === null) {
+        throw new Error('El archivo no contiene la línea "p edge <vértices> <aristas>".');
+    }
+
+    if (aristas.length !== aristasDeclaradas) {
+        advertencias.push(
+            `La línea "p" declara ${aristasDeclaradas} aristas y se leyeron ${aristas.length} distintas.`
+        );
+    }
+
+    return { numeroDeNodos, aristas, comentarios, advertencias };
+}
+
+/**
+ * Serializa un grafo a formato DIMACS.
+ * Los vértices se numeran desde 1 en el orden del array de nodos.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @param {Array<string>} [comentarios=[]] - Comentarios escritos al inicio del archivo.
+ * @returns {string} Contenido del archivo .col.
+ */
+export function serializarDimacs(nodos, aristas, comentarios = []) {
+    const indices = new Map(nodos.map((nodo, i) => [nodo.id, i + 1]));
+    const lineas = comentarios.map(comentario => `c ${comentario}`);
+
+    lineas.push(`p edge ${nodos.length} ${aristas.length}`);
+    for (const arista of aristas) {
+        lineas.push(`e ${indices.get(arista.sourceId)} ${indices.get(arista.targetId)}`);
+    }
+
+    return `${lineas.join('\n')}\n`;
+}
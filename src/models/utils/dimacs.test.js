@@ -0,0 +1,67 @@
+import { parsearDimacs, serializarDimacs } from './dimacs.js';
+
+describe('parsearDimacs', () => {
+    test('lee vértices, aristas y comentarios', () => {
+        const instancia = parsearDimacs('c triángulo\np edge 3 3\ne 1 2\ne 2 3\ne 1 3\n');
+
+        expect(instancia.numeroDeNodos).toBe(3);
+        expect(instancia.aristas).toEqual([[1, 2], [2, 3], [1, 3]]);
+        expect(instancia.comentarios).toEqual(['triángulo']);
+        expect(instancia.advertencias).toEqual([]);
+    });
+
+    test('cuenta una sola vez las aristas repetidas, también en sentido inverso', () => {
+        const instancia = parsearDimacs('p edge 3 4\ne 1 2\ne 2 1\ne 1 2\ne 2 3\n');
+
+        expect(instancia.aristas).toEqual([[1, 2], [2, 3]]);
+        expect(instancia.advertencias).toEqual([
+            'La línea "p" declara 4 aristas y se leyeron 2 distintas.'
+        ]);
+    });
+
+    test('descarta los lazos con una advertencia', () => {
+        const instancia = parsearDimacs('p edge 2 2\ne 1 1\ne 1 2\n');
+
+        expect(instancia.aristas).toEqual([[1, 2]]);
+        expect(instancia.advertencias[0]).toBe('Línea 2: lazo en el vértice 1 ignorado.');
+    });
+
+    test('acepta "p col" y finales de línea de Windows', () => {
+        const instancia = parsearDimacs('p col 2 1\r\ne 1 2\r\n');
+
+        expect(instancia.numeroDeNodos).toBe(2);
+        expect(instancia.aristas).toEqual([[1, 2]]);
+    });
+
+    test.each([
+        ['sin línea "p"', 'c vacío\n', 'El archivo no contiene la línea "p edge <vértices> <aristas>".'],
+        ['línea "p" repetida', 'p edge 2 0\np edge 2 0\n', 'Línea 2: la línea "p" aparece más de una vez.'],
+        ['línea "p" mal formada', 'p edge dos 1\n', 'Línea 1: se esperaba "p edge <vértices> <aristas>"'],
+        ['grafo sin vértices', 'c vacío\np edge 0 0\n', 'Línea 2: el grafo no tiene vértices.'],
+        ['arista antes de la línea "p"', 'e 1 2\np edge 2 1\n', 'Línea 1: arista antes de la línea "p edge".'],
+        ['arista mal formada', 'p edge 2 1\ne 1\n', 'Línea 2: se esperaba "e <u> <v>"'],
+        ['vértice fuera de rango', 'p edge 2 1\ne 1 3\n', 'Línea 2: el vértice 3 no está entre 1 y 2.'],
+        ['tipo de línea desconocido', 'p edge 2 1\nx 1 2\n', 'Línea 2: tipo de línea desconocido "x".']
+    ])('rechaza el archivo: %s', (_, texto, mensaje) => {
+        expect(() => parsearDimacs(texto)).toThrow(mensaje);
+    });
+
+    test('rechaza instancias con más vértices que maxNodos', () => {
+        expect(() => parsearDimacs('p edge 5 0\n', { maxNodos: 4 }))
+            .toThrow('La instancia tiene 5 vértices y el máximo permitido es 4.');
+    });
+});
+
+describe('serializarDimacs', () => {
+    test('numera los vértices desde 1 en el orden de los nodos y se vuelve a leer igual', () => {
+        const nodos = [{ id: 7 }, { id: 3 }, { id: 9 }];
+        const aristas = [{ sourceId: 7, targetId: 3 }, { sourceId: 9, targetId: 3 }];
+
+        const instancia = parsearDimacs(serializarDimacs(nodos, aristas, ['prueba']));
+
+        expect(instancia.numeroDeNodos).toBe(3);
+        expect(instancia.aristas).toEqual([[1, 2], [3, 2]]);
+        expect(instancia.comentarios).toContain('prueba');
+        expect(instancia.advertencias).toEqual([]);
+    });
+});
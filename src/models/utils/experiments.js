@@ -0,0 +1,274 @@
+/**
+ * Experimentos por lotes: expansión de la grilla de configuraciones en ensayos,
+ * resumen estadístico de los resultados y exportación a CSV.
+ *
+ * Cada ensayo genera su grafo con `Graph.crearGrafoAleatorio` (con la configuración del generador
+ * de su grupo) y una semilla derivada de la semilla base y el número de ensayo, así que todas las
+ * configuraciones con el mismo generador y número de nodos se miden sobre los mismos grafos (y cada
+ * grafo se puede reproducir en el canvas).
+ * @module experiments
+ */
+
+import { GRAPH_CONSTRAINTS, EXPERIMENT, RANDOM_GRAPH } from '../constants/index.js';
+import { derivarSemilla, resolverSemilla } from './random.js';
+import { resumirMuestra } from './statistics.js';
+import { PARAMETROS_GENERADOR, describirGenerador, validarConfiguracionGenerador } from './graphGenerators.js';
+
+/** Métricas resumidas por configuración. */
+export const METRICAS_EXPERIMENTO = ['timeMs', 'attempts', 'conflicts'];
+
+/**
+ * Verifica que una lista tenga al menos un entero dentro del rango.
+ * @param {Array<number>} valores - Valores a verificar.
+ * @param {number} minimo - Mínimo permitido.
+ * @param {number} maximo - Máximo permitido.
+ * @param {string} nombre - Qué se cuenta (p. ej. 'nodos'), para el mensaje de error.
+ * @throws {Error} Si la lista está vacía o tiene valores fuera de rango.
+ */
+function verificarEnteros(valores, minimo, maximo, nombre) {
+    if (!Array.isArray(valores) || valores.length === 0) {
+        throw new Error(`Indica al menos un número de ${nombre}.`);
+    }
+    const invalido = valores.find(valor => !Number.isInteger(valor) || valor < minimo || valor > maximo);
+    if (invalido !== undefined) {
+        throw new Error(`El número de ${nombre} debe estar entre ${minimo} y ${maximo} (se recibió ${invalido}).`);
+    }
+}
+
+/**
+ * Expande el barrido de parámetros del generador en la lista de configuraciones: el producto
+ * cartesiano de los valores de cada parámetro, sobre la configuración base. Los valores repetidos
+ * se cuentan una sola vez.
+ * @param {Object} [generador={}] - Configuración base del generador (ver Graph.crearGrafoAleatorio).
+ * @param {Object<string, Array<number>>} [barrido={}] - Valores de cada parámetro a barrer (p. ej.
+ * { probability: [0.05, 0.1] }); solo se admiten los parámetros del modelo (ver PARAMETROS_GENERADOR).
+ * @returns {Array<Object>} Configuraciones del generador, en orden lexicográfico de los parámetros.
+ * @throws {Error} Si algún parámetro no pertenece al modelo o no tiene valores.
+ */
+export function expandirBarridoGenerador(generador = {}, barrido = {}) {
+    const modelo = generador.model ?? RANDOM_GRAPH.DEFAULT_MODEL;
+    let configuraciones = [generador];
+
+    for (const [parametro, valores] of Object.entries(barrido)) {
+        if (!PARAMETROS_GENERADOR[modelo]?.includes(parametro)) {
+            throw new Error(`El modelo "${modelo}" no tiene el parámetro "${parametro}".`);
+        }
+        if (!Array.isArray(valores) || valores.length === 0) {
+            throw new Error(`Indica al menos un valor de ${parametro}.`);
+        }
+        const unicos = [...new Set(valores)];
+        configuraciones = configuraciones.flatMap(configuracion =>
+            unicos.map(valor => ({ ...configuracion, [parametro]: valor })));
+    }
+
+    return configuraciones;
+}
+
+/**
+ * Valida una grilla de experimento.
+ * @param {Object} grilla - Grilla de configuraciones (ver expandirGrillaExperimento), con
+ * `generators` ya expandido.
+ * @throws {Error} Si algún parámetro es inválido (incluida alguna configuración del generador para
+ * alguno de los números de nodos) o el total de ensayos excede EXPERIMENT.MAX_TOTAL_TRIALS.
+ */
+export function validarGrillaExperimento(grilla) {
+    verificarEnteros(grilla.nodeCounts, GRAPH_CONSTRAINTS.MIN_RANDOM_NODES, GRAPH_CONSTRAINTS.MAX_NODES, 'nodos');
+    grilla.generators.forEach(generador => {
+        grilla.nodeCounts.forEach(numNodes => validarConfiguracionGenerador(numNodes, generador));
+    });
+    verificarEnteros(grilla.colorCounts, GRAPH_CONSTRAINTS.MIN_COLORS, GRAPH_CONSTRAINTS.MAX_COLORS, 'colores');
+    verificarEnteros([grilla.trials], EXPERIMENT.MIN_TRIALS, EXPERIMENT.MAX_TRIALS, 'ensayos');
+
+    if (!Array.isArray(grilla.algorithms) || grilla.algorithms.length === 0) {
+        throw new Error('Elige al menos un algoritmo.');
+    }
+
+    const total = grilla.generators.length * grilla.nodeCounts.length * grilla.colorCounts.length *
+        grilla.algorithms.length * grilla.trials;
+    if (total > EXPERIMENT.MAX_TOTAL_TRIALS) {
+        throw new Error(`La grilla tiene ${total} ensayos; el máximo es ${EXPERIMENT.MAX_TOTAL_TRIALS}.`);
+    }
+}
+
+/**
+ * Expande la grilla en grupos (una configuración cada uno) y en la lista de ensayos: el producto
+ * de las configuraciones del generador, los números de nodos, los de colores y los algoritmos.
+ * Los ensayos se ordenan por número de ensayo, de modo que todos los grupos avanzan
+ * a la par y un experimento cancelado deja resúmenes parciales de todos.
+ * Los valores repetidos de nodos o colores se cuentan una sola vez.
+ * @param {Object} grilla - Grilla de configuraciones.
+ * @param {Array<number>} grilla.nodeCounts - Números de nodos del generador aleatorio.
+ * @param {Array<number>} grilla.colorCounts - Números de colores (k).
+ * @param {Array<{value: string, label: string, usesIterations: boolean}>} grilla.algorithms - Algoritmos a ejecutar;
+ * `usesIterations` indica que el algoritmo se limita con `iterations`.
+ * @param {number} grilla.iterations - Máximo de intentos (Monte Carlo y Las Vegas).
+ * @param {number} grilla.trials - Ensayos por configuración.
+ * @param {number|string} [grilla.seed] - Semilla base; vacía para generar una.
+ * @param {Object} [grilla.generator={}] - Modelo y parámetros del generador de grafos (ver Graph.crearGrafoAleatorio).
+ * @param {Object<string, Array<number>>} [grilla.generatorSweep={}] - Valores de los parámetros del generador a
+ * barrer (ver expandirBarridoGenerador).
+ * @returns {{seed: number, generator: Object, generators: Array<Object>, grupos: Array<Object>, ensayos: Array<Object>}}
+ * Semilla base usada, generador base, configuraciones del generador, grupos sin resultados (cada uno con su
+ * `generator` y su `generatorLabel`) y ensayos ({ id, groupIndex, trial, numNodes, graphSeed, seed }).
+ * @throws {Error} Si la grilla es inválida.
+ */
+export function expandirGrillaExperimento(grilla) {
+    const nodeCounts = [...new Set(grilla.nodeCounts)];
+    const colorCounts = [...new Set(grilla.colorCounts)];
+    const generator = grilla.generator ?? {};
+    const generators = expandirBarridoGenerador(generator, grilla.generatorSweep);
+    const normalizada = { ...grilla, nodeCounts, colorCounts, generator, generators };
+    validarGrillaExperimento(normalizada);
+
+    const semillaBase = resolverSemilla(grilla.seed);
+    const grupos = [];
+
+    generators.forEach((configuracion, generatorIndex) => {
+        for (const numNodes of nodeCounts) {
+            for (const numColors of colorCounts) {
+                for (const algoritmo of grilla.algorithms) {
+                    grupos.push({
+                        key: `${generatorIndex}-${numNodes}-${numColors}-${algoritmo.value}`,
+                        algorithm: algoritmo.value,
+                        label: algoritmo.label,
+                        generator: configuracion,
+                        generatorLabel: describirGenerador(configuracion),
+                        numNodes,
+                        numColors,
+                        iterations: algoritmo.usesIterations ? grilla.iterations : null,
+                        results: [],
+                        summary: null
+                    });
+                }
+            }
+        }
+    });
+
+    const ensayos = [];
+    for (let trial = 0; trial < grilla.trials; trial++) {
+        // Misma semilla de grafo para todas las configuraciones con el mismo ensayo;
+        // índices pares para los grafos e impares para los algoritmos, así ninguna semilla se repite
+        const graphSeed = derivarSemilla(semillaBase, 2 * trial);
+        const seed = derivarSemilla(semillaBase, 2 * trial + 1);
+        grupos.forEach((grupo, groupIndex) => {
+            ensayos.push({ id: ensayos.length, groupIndex, trial, numNodes: grupo.numNodes, graphSeed, seed });
+        });
+    }
+
+    return { seed: semillaBase, generator, generators, grupos, ensayos };
+}
+
+/**
+ * Resume los resultados de los ensayos de una configuración.
+ * @param {Array<{timeMs: number, attempts: number, conflicts: number, success: boolean}>} resultados - Resultados de los ensayos.
+ * @returns {{timeMs: Object, attempts: Object, conflicts: Object, successRate: number}} Resumen por métrica
+ * (ver resumirMuestra) y proporción de ensayos sin conflictos.
+ */
+export function resumirResultadosExperimento(resultados) {
+    const resumen = {};
+    for (const metrica of METRICAS_EXPERIMENTO) {
+        resumen[metrica] = resumirMuestra(resultados.map(resultado => resultado[metrica]));
+    }
+    resumen.successRate = resultados.length > 0
+        ? resultados.filter(resultado => resultado.success).length / resultados.length
+        : NaN;
+    return resumen;
+}
+
+/**
+ * Escapa un campo CSV si contiene separadores, comillas o saltos de línea.
+ * @param {string|number} valor - Valor del campo.
+ * @returns {string} Campo listo para escribir.
+ */
+function campoCsv(valor) {
+    if (typeof valor === 'number') {
+        return Number.isFinite(valor) ? String(valor) : '';
+    }
+    const texto = String(valor ?? '');
+    return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Une filas de campos en un documento CSV.
+ * @param {Array<Array<string|number>>} filas - Filas, la primera con los encabezados.
+ * @returns {string} Contenido CSV.
+ */
+function unirCsv(filas) {
+    return `${filas.map(fila => fila.map(campoCsv).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Parámetros del generador que cambian entre los grupos (los barridos), para exportarlos en columnas.
+ * @param {Array<Object>} grupos - Grupos del experimento.
+ * @returns {Array<string>} Nombres de los parámetros barridos.
+ */
+function parametrosBarridos(grupos) {
+    const parametros = new Set(grupos.flatMap(grupo => Object.keys(grupo.generator ?? {})));
+    return [...parametros].filter(parametro =>
+        new Set(grupos.map(grupo => grupo.generator?.[parametro])).size > 1);
+}
+
+/**
+ * Serializa el resumen de cada configuración (una fila por grupo) en CSV, con una columna por
+ * cada parámetro del generador barrido.
+ * @param {Array<Object>} grupos - Grupos del experimento con su resumen.
+ * @param {Object} [generador={}] - Generador de grafos del experimento, para los grupos sin el suyo.
+ * @returns {string} Contenido CSV.
+ */
+export function serializarResumenCsv(grupos, generador = {}) {
+    const barridos = parametrosBarridos(grupos);
+    const encabezados = ['generador', ...barridos, 'algoritmo', 'nodos', 'colores', 'intentos_max', 'ensayos', 'tasa_exito'];
+    for (const metrica of METRICAS_EXPERIMENTO) {
+        for (const estadistico of ['mean', 'median', 'stddev', 'ci95_low', 'ci95_high']) {
+            encabezados.push(`${metrica}_${estadistico}`);
+        }
+    }
+
+    const filas = grupos.map(grupo => {
+        const configuracion = grupo.generator ?? generador;
+        const resumen = grupo.summary ?? resumirResultadosExperimento(grupo.results);
+        const fila = [
+            describirGenerador(configuracion), ...barridos.map(parametro => configuracion[parametro]),
+            grupo.label, grupo.numNodes, grupo.numColors, grupo.iterations, grupo.results.length, resumen.successRate
+        ];
+        for (const metrica of METRICAS_EXPERIMENTO) {
+            const { mean, median, stddev, ciLow, ciHigh } = resumen[metrica];
+            fila.push(mean, median, stddev, ciLow, ciHigh);
+        }
+        return fila;
+    });
+
+    return unirCsv([encabezados, ...filas]);
+}
+
+/**
+ * Serializa los resultados individuales de todos los ensayos en CSV (una fila por ensayo),
+ * con la configuración del generador y las semillas necesarias para reproducir cada uno.
+ * @param {Array<Object>} grupos - Grupos del experimento con sus resultados.
+ * @param {Object} [generador={}] - Generador de grafos del experimento, para los grupos sin el suyo.
+ * @returns {string} Contenido CSV.
+ */
+export function serializarEnsayosCsv(grupos, generador = {}) {
+    const barridos = parametrosBarridos(grupos);
+    const encabezados = [
+        'generador', ...barridos, 'algoritmo', 'nodos', 'colores', 'intentos_max', 'ensayo', 'semilla_grafo', 'semilla',
+        'aristas', 'timeMs', 'attempts', 'conflicts', 'exito'
+    ];
+
+    const filas = [];
+    for (const grupo of grupos) {
+        const configuracion = grupo.generator ?? generador;
+        const descripcion = describirGenerador(configuracion);
+        const ordenados = [...grupo.results].sort((a, b) => a.trial - b.trial);
+        for (const resultado of ordenados) {
+            filas.push([
+                descripcion, ...barridos.map(parametro => configuracion[parametro]),
+                grupo.label, grupo.numNodes, grupo.numColors, grupo.iterations, resultado.trial,
+                resultado.graphSeed, resultado.seed, resultado.edges,
+                resultado.timeMs, resultado.attempts, resultado.conflicts, resultado.success ? 1 : 0
+            ]);
+        }
+    }
+
+    return unirCsv([encabezados, ...filas]);
+}
@@ -13,16 +13,6 @@ function crearMapaNodos(nodos) {
     return new Map(nodos.map(n => [n.id, n]));
 }
 
-/**
- * Verifica si existe una arista entre los nodos.
- * @param {Edge} arista - Arista a evaluar.
- * @param {number} idNodo - Identificador del nodo.
- * @returns {boolean} True si la arista conecta con el nodo y False si no.
- */
-function esVecino(arista, idNodo) {
-    return arista.sourceId === idNodo || arista.targetId === idNodo;
-}
-
 /**
  * Verifica si una arista está en conflicto.
  * @param {Edge} arista - Arista a evaluar.
@@ -36,7 +26,8 @@ function esConflicto(arista, nodoMap) {
 }
 
 /**
- * Obtiene todos los nodos vecinos de un nodo.
+ * Obtiene todos los nodos vecinos de un nodo a partir de los arrays sueltos.
+ * Recorre todas las aristas; con un Graph es mejor obtenerNodosVecinos.
  * @param {number} idNodo - Identificador del nodo.
  * @param {Array<Edge>} aristas - Array de aristas del grafo.
  * @param {Array<Node>} nodos - Array de nodos del grafo.
@@ -56,6 +47,89 @@ export function obtenerVecinosNodo(idNodo, aristas, nodos) {
         .filter(Boolean);
 }
 
+/**
+ * Obtiene los nodos vecinos de un nodo con la adyacencia del grafo, sin recorrer las aristas.
+ * @param {Graph} grafo - Grafo con Graph#obtenerVecinos y Graph#obtenerNodo.
+ * @param {number} idNodo - Identificador del nodo.
+ * @returns {Array<Node>} Array de nodos vecinos.
+ */
+export function obtenerNodosVecinos(grafo, idNodo) {
+    return Array.from(grafo.obtenerVecinos(idNodo), id => grafo.obtenerNodo(id)).filter(Boolean);
+}
+
+/**
+ * Construye el mapa de adyacencia del grafo para consultas repetidas de vecinos.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @returns {Map<number, Set<number>>} Mapa de id de nodo a ids de sus vecinos.
+ */
+export function construirMapaAdyacencia(nodos, aristas) {
+    const adyacencia = new Map(nodos.map(n => [n.id, new Set()]));
+
+    for (const arista of aristas) {
+        if (!adyacencia.has(arista.sourceId) || !adyacencia.has(arista.targetId)) continue;
+        adyacencia.get(arista.sourceId).add(arista.targetId);
+        adyacencia.get(arista.targetId).add(arista.sourceId);
+    }
+
+    return adyacencia;
+}
+
+/**
+ * Construye la adyacencia por índices enteros en formato de filas comprimidas (CSR) para los
+ * bucles internos de los algoritmos: el índice de un nodo es su posición en `nodos` y sus vecinos
+ * son `vecinos[inicio[i]]` … `vecinos[inicio[i + 1] - 1]`, en el orden de las aristas.
+ * Las aristas repetidas o con extremos inexistentes se ignoran.
+ * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @returns {{ids: Int32Array, indicePorId: Map<number, number>, inicio: Int32Array, vecinos: Int32Array}}
+ * ID de cada índice, índice de cada ID, comienzo de la fila de cada nodo y vecinos de todas las filas.
+ */
+export function construirAdyacenciaIndexada(nodos, aristas) {
+    const n = nodos.length;
+    const ids = Int32Array.from(nodos, nodo => nodo.id);
+    const indicePorId = new Map(nodos.map((nodo, i) => [nodo.id, i]));
+
+    const extremos = [];
+    const grados = new Int32Array(n);
+    for (const arista of aristas) {
+        const u = indicePorId.get(arista.sourceId);
+        const v = indicePorId.get(arista.targetId);
+        if (u === undefined || v === undefined || u === v) continue;
+        extremos.push(u, v);
+        grados[u]++;
+        grados[v]++;
+    }
+
+    const inicio = new Int32Array(n + 1);
+    for (let i = 0; i < n; i++) inicio[i + 1] = inicio[i] + grados[i];
+
+    const vecinos = new Int32Array(inicio[n]);
+    const siguiente = inicio.slice(0, n);
+    for (let e = 0; e < extremos.length; e += 2) {
+        const u = extremos[e];
+        const v = extremos[e + 1];
+        vecinos[siguiente[u]++] = v;
+        vecinos[siguiente[v]++] = u;
+    }
+
+    // Compactar las filas quitando los vecinos repetidos (aristas duplicadas)
+    const marca = new Int32Array(n).fill(-1);
+    let escritura = 0;
+    for (let i = 0; i < n; i++) {
+        const desde = inicio[i];
+        inicio[i] = escritura;
+        for (let p = desde; p < siguiente[i]; p++) {
+            if (marca[vecinos[p]] === i) continue;
+            marca[vecinos[p]] = i;
+            vecinos[escritura++] = vecinos[p];
+        }
+    }
+    inicio[n] = escritura;
+
+    return { ids, indicePorId, inicio, vecinos: vecinos.subarray(0, escritura) };
+}
+
 /**
  * Obtiene los colores de todos los nodos vecinos.
  * @param {number} idNodo - Identificador del nodo.
@@ -68,6 +142,17 @@ export function obtenerColoresVecinos(idNodo, aristas, nodos) {
     return new Set(vecinos.filter(nodo => nodo.color).map(nodo => nodo.color));
 }
 
+/**
+ * Obtiene los colores de los nodos vecinos con la adyacencia del grafo.
+ * @param {Graph} grafo - Grafo con Graph#obtenerVecinos y Graph#obtenerNodo.
+ * @param {number} idNodo - Identificador del nodo.
+ * @returns {Set<string>} Colores de los nodos vecinos.
+ */
+export function obtenerColoresNodosVecinos(grafo, idNodo) {
+    const vecinos = obtenerNodosVecinos(grafo, idNodo);
+    return new Set(vecinos.filter(nodo => nodo.color).map(nodo => nodo.color));
+}
+
 
 
 /**
@@ -96,6 +181,7 @@ export function obtenerAristasConflicto(nodos, aristas) {
 
 /**
  * Cuenta los conflictos que un nodo tendría si se le asigna un color específico.
+ * Recorre todas las aristas; si ya se tienen los vecinos es mejor contarConflictosVecinosConColor.
  * @param {number} idNodo - Identificador del nodo.
  * @param {string} color - Color a evaluar.
  * @param {Array<Edge>} aristas - Array de aristas del grafo.
@@ -103,11 +189,25 @@ export function obtenerAristasConflicto(nodos, aristas) {
  * @returns {number} Número de conflictos con el color especificado.
  */
 export function contarConflictosConColor(idNodo, color, aristas, colores) {
-    const idsVecinos = aristas
-        .filter(arista => esVecino(arista, idNodo))
-        .map(arista => arista.sourceId === idNodo ? arista.targetId : arista.sourceId);
-
-    return idsVecinos.filter(idVecino => colores[idVecino] === color).length;
+    const idsVecinos = new Set();
+    for (const arista of aristas) {
+        if (arista.sourceId === idNodo) idsVecinos.add(arista.targetId);
+        else if (arista.targetId === idNodo) idsVecinos.add(arista.sourceId);
+    }
+    return contarConflictosVecinosConColor(color, idsVecinos, colores);
 }
 
-
+/**
+ * Cuenta cuántos de los vecinos dados tienen un color específico.
+ * @param {string} color - Color a evaluar.
+ * @param {Iterable<number>} idsVecinos - IDs de los vecinos del nodo (p. ej. Graph#obtenerVecinos).
+ * @param {Object} colores - Objeto que mapea id de nodo a color {nodeId: color}.
+ * @returns {number} Número de conflictos con el color especificado.
+ */
+export function contarConflictosVecinosConColor(color, idsVecinos, colores) {
+    let conflictos = 0;
+    for (const idVecino of idsVecinos) {
+        if (colores[idVecino] === color) conflictos++;
+    }
+    return conflictos;
+}
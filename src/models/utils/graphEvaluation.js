@@ -33,12 +33,13 @@ export function evaluarColoracion(aristas, mapaColores) {
  * Genera una coloración aleatoria para todos los nodos.
  * @param {Array<Node>} nodos - Array de nodos del grafo a colorear.
  * @param {Array<string>} coloresDisponibles - Array de nombres de colores disponibles.
+ * @param {Function} [aleatorio=Math.random] - Generador de números en [0, 1).
  * @returns {Object} Mapa de colores.
  */
-export function coloracionAleatoria(nodos, coloresDisponibles) {
+export function coloracionAleatoria(nodos, coloresDisponibles, aleatorio = Math.random) {
     const colores = {};
     for (const nodo of nodos) {
-        const color = coloresDisponibles[Math.floor(Math.random() * coloresDisponibles.length)];
+        const color = coloresDisponibles[Math.floor(aleatorio() * coloresDisponibles.length)];
         colores[nodo.id] = color;
     }
     return colores;
@@ -0,0 +1,584 @@
+/**
+ * Generadores de grafos aleatorios: Erdős–Rényi G(n, p) y G(n, m), Barabási–Albert
+ * (conexión preferencial), Watts–Strogatz (mundo pequeño), grafos regulares aleatorios y
+ * grafos k-coloreables con una solución oculta (coloración plantada).
+ *
+ * Los generadores trabajan con vértices 0..n-1 y devuelven las aristas sin repetidos;
+ * `generarGrafoAleatorio` las entrega numeradas desde 1, listas para `Graph.crearDesdeAristas`.
+ * Todos usan el generador `aleatorio` recibido, así que con semilla reproducen el mismo grafo.
+ * @module graphGenerators
+ */
+
+import { GRAPH_CONSTRAINTS, RANDOM_GRAPH } from '../constants/index.js';
+
+/**
+ * Modelos disponibles. `conexoPorConstruccion` indica que el modelo nunca genera
+ * grafos desconectados; 'tree' es el árbol de expansión con aristas extra de
+ * `Graph.crearGrafoConectadoAleatorio`.
+ */
+export const MODELOS_GRAFO_ALEATORIO = {
+    'tree': { nombre: 'Árbol con aristas extra', conexoPorConstruccion: true },
+    'gnp': { nombre: 'Erdős–Rényi G(n, p)', conexoPorConstruccion: false },
+    'gnm': { nombre: 'Erdős–Rényi G(n, m)', conexoPorConstruccion: false },
+    'barabasi-albert': { nombre: 'Barabási–Albert', conexoPorConstruccion: true },
+    'watts-strogatz': { nombre: 'Watts–Strogatz', conexoPorConstruccion: false },
+    'regular': { nombre: 'Regular aleatorio', conexoPorConstruccion: false },
+    'planted': { nombre: 'k-coloreable con solución oculta', conexoPorConstruccion: false }
+};
+
+/**
+ * Parámetros numéricos de cada modelo, los que se pueden barrer en los experimentos.
+ */
+export const PARAMETROS_GENERADOR = {
+    'tree': [],
+    'gnp': ['probability'],
+    'gnm': ['edges'],
+    'barabasi-albert': ['attachments'],
+    'watts-strogatz': ['neighbors', 'rewiring'],
+    'regular': ['degree'],
+    'planted': ['classes', 'probability', 'balance']
+};
+
+/**
+ * Entero aleatorio uniforme en [0, maximo).
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @param {number} maximo - Cota superior exclusiva.
+ * @returns {number} Entero aleatorio.
+ */
+function enteroAleatorio(aleatorio, maximo) {
+    return Math.floor(aleatorio() * maximo);
+}
+
+/**
+ * Verifica que un parámetro sea un entero dentro del rango.
+ * @param {number} valor - Valor a verificar.
+ * @param {number} minimo - Mínimo permitido.
+ * @param {number} maximo - Máximo permitido.
+ * @param {string} nombre - Nombre del parámetro para el mensaje de error.
+ * @throws {Error} Si el valor no es un entero dentro del rango.
+ */
+function verificarEntero(valor, minimo, maximo, nombre) {
+    if (!Number.isInteger(valor) || valor < minimo || valor > maximo) {
+        throw new Error(`${nombre} debe ser un entero entre ${minimo} y ${maximo} (se recibió ${valor}).`);
+    }
+}
+
+/**
+ * Verifica que un parámetro sea un número dentro del rango.
+ * @param {number} valor - Valor a verificar.
+ * @param {number} minimo - Mínimo permitido.
+ * @param {number} maximo - Máximo permitido.
+ * @param {string} nombre - Nombre del parámetro para el mensaje de error.
+ * @throws {Error} Si el valor no es un número dentro del rango.
+ */
+function verificarNumero(valor, minimo, maximo, nombre) {
+    if (!Number.isFinite(valor) || valor < minimo || valor > maximo) {
+        throw new Error(`${nombre} debe estar entre ${minimo} y ${maximo} (se recibió ${valor}).`);
+    }
+}
+
+/**
+ * Grafo de Erdős–Rényi G(n, p): cada par de vértices es arista con probabilidad p.
+ * @param {number} n - Número de vértices.
+ * @param {number} probabilidad - Probabilidad de cada arista.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ */
+export function generarErdosRenyiP(n, probabilidad, aleatorio) {
+    const aristas = [];
+    for (let u = 0; u < n; u++) {
+        for (let v = u + 1; v < n; v++) {
+            if (aleatorio() < probabilidad) aristas.push([u, v]);
+        }
+    }
+    return aristas;
+}
+
+/**
+ * Grafo de Erdős–Rényi G(n, m): m aristas elegidas uniformemente entre todos los pares
+ * (Fisher–Yates parcial sobre la lista de pares).
+ * @param {number} n - Número de vértices.
+ * @param {number} m - Número de aristas, como máximo n(n-1)/2.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ */
+export function generarErdosRenyiM(n, m, aleatorio) {
+    const pares = [];
+    for (let u = 0; u < n; u++) {
+        for (let v = u + 1; v < n; v++) pares.push([u, v]);
+    }
+    for (let i = 0; i < m; i++) {
+        const j = i + enteroAleatorio(aleatorio, pares.length - i);
+        [pares[i], pares[j]] = [pares[j], pares[i]];
+    }
+    return pares.slice(0, m);
+}
+
+/**
+ * Grafo de Barabási–Albert: parte de un completo de m + 1 vértices y cada vértice nuevo
+ * se une a m vértices distintos elegidos con probabilidad proporcional a su grado.
+ * @param {number} n - Número de vértices.
+ * @param {number} m - Aristas por vértice nuevo (menor que n).
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ */
+export function generarBarabasiAlbert(n, m, aleatorio) {
+    const aristas = [];
+    // Cada vértice aparece una vez por cada extremo de arista: elegir uno uniforme es elegir según el grado
+    const extremos = [];
+
+    for (let u = 0; u <= m; u++) {
+        for (let v = u + 1; v <= m; v++) {
+            aristas.push([u, v]);
+            extremos.push(u, v);
+        }
+    }
+
+    for (let nuevo = m + 1; nuevo < n; nuevo++) {
+        const destinos = new Set();
+        while (destinos.size < m) {
+            destinos.add(extremos[enteroAleatorio(aleatorio, extremos.length)]);
+        }
+        for (const destino of destinos) {
+            aristas.push([destino, nuevo]);
+            extremos.push(destino, nuevo);
+        }
+    }
+
+    return aristas;
+}
+
+/**
+ * Grafo de Watts–Strogatz: anillo donde cada vértice se une a sus k vecinos más cercanos
+ * (k/2 por lado); luego cada arista se recablea con probabilidad beta a un extremo
+ * uniforme, evitando lazos y aristas repetidas.
+ * @param {number} n - Número de vértices.
+ * @param {number} k - Vecinos en el anillo (par, menor que n).
+ * @param {number} beta - Probabilidad de recableado, en [0, 1].
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ */
+export function generarWattsStrogatz(n, k, beta, aleatorio) {
+    const adyacencia = Array.from({ length: n }, () => new Set());
+    const conectar = (u, v) => {
+        adyacencia[u].add(v);
+        adyacencia[v].add(u);
+    };
+
+    for (let u = 0; u < n; u++) {
+        for (let salto = 1; salto <= k / 2; salto++) {
+            conectar(u, (u + salto) % n);
+        }
+    }
+
+    for (let salto = 1; salto <= k / 2; salto++) {
+        for (let u = 0; u < n; u++) {
+            const v = (u + salto) % n;
+            // La arista pudo haberse recableado antes, o u ya está unido a todos
+            if (!adyacencia[u].has(v) || aleatorio() >= beta || adyacencia[u].size >= n - 1) continue;
+
+            let w;
+            do {
+                w = enteroAleatorio(aleatorio, n);
+            } while (w === u || adyacencia[u].has(w));
+
+            adyacencia[u].delete(v);
+            adyacencia[v].delete(u);
+            conectar(u, w);
+        }
+    }
+
+    const aristas = [];
+    adyacencia.forEach((vecinos, u) => {
+        vecinos.forEach(v => {
+            if (u < v) aristas.push([u, v]);
+        });
+    });
+    return aristas;
+}
+
+/**
+ * Indica si entre los puntos libres queda algún par que se pueda unir.
+ * @param {Array<number>} puntos - Vértice de cada punto libre.
+ * @param {Array<Set<number>>} adyacencia - Vecinos de cada vértice.
+ * @returns {boolean} True si existe un par de vértices distintos y no adyacentes.
+ */
+function quedaParValido(puntos, adyacencia) {
+    const vertices = [...new Set(puntos)];
+    for (let i = 0; i < vertices.length; i++) {
+        for (let j = i + 1; j < vertices.length; j++) {
+            if (!adyacencia[vertices[i]].has(vertices[j])) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Intenta emparejar los d puntos de cada vértice de a dos al azar, descartando
+ * los pares que formarían lazos o aristas repetidas (Steger–Wormald).
+ * @param {number} n - Número de vértices.
+ * @param {number} d - Grado.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>|null} Aristas, o null si el emparejamiento quedó sin salida.
+ */
+function intentarEmparejamientoRegular(n, d, aleatorio) {
+    const puntos = [];
+    for (let u = 0; u < n; u++) {
+        for (let i = 0; i < d; i++) puntos.push(u);
+    }
+    const adyacencia = Array.from({ length: n }, () => new Set());
+    const aristas = [];
+    let fallos = 0;
+
+    while (puntos.length > 0) {
+        const i = enteroAleatorio(aleatorio, puntos.length);
+        const j = enteroAleatorio(aleatorio, puntos.length);
+        const u = puntos[i];
+        const v = puntos[j];
+
+        if (u === v || adyacencia[u].has(v)) {
+            if (++fallos >= RANDOM_GRAPH.MAX_PAIRING_FAILURES) {
+                if (!quedaParValido(puntos, adyacencia)) return null;
+                fallos = 0;
+            }
+            continue;
+        }
+
+        fallos = 0;
+        adyacencia[u].add(v);
+        adyacencia[v].add(u);
+        aristas.push([u, v]);
+
+        // Quitar los dos puntos (primero el de índice mayor para no mover el otro)
+        for (const indice of [Math.max(i, j), Math.min(i, j)]) {
+            puntos[indice] = puntos[puntos.length - 1];
+            puntos.pop();
+        }
+    }
+
+    return aristas;
+}
+
+/**
+ * Grafo regular aleatorio: todos los vértices tienen grado d.
+ * @param {number} n - Número de vértices.
+ * @param {number} d - Grado (menor que n, con n·d par).
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ * @throws {Error} Si no se logra un emparejamiento en RANDOM_GRAPH.MAX_REGULAR_RETRIES intentos.
+ */
+export function generarRegularAleatorio(n, d, aleatorio) {
+    for (let intento = 0; intento < RANDOM_GRAPH.MAX_REGULAR_RETRIES; intento++) {
+        const aristas = intentarEmparejamientoRegular(n, d, aleatorio);
+        if (aristas) return aristas;
+    }
+    throw new Error(`No se pudo generar un grafo ${d}-regular de ${n} vértices; prueba con otro grado.`);
+}
+
+/**
+ * Ciclo hamiltoniano aleatorio: el único grafo 2-regular conexo.
+ * @param {number} n - Número de vértices.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ */
+function generarCicloAleatorio(n, aleatorio) {
+    const orden = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+        const j = enteroAleatorio(aleatorio, i + 1);
+        [orden[i], orden[j]] = [orden[j], orden[i]];
+    }
+    return orden.map((u, i) => [u, orden[(i + 1) % n]]);
+}
+
+/**
+ * Tamaños de las clases de una partición plantada. Decrecen linealmente desde la clase
+ * mayor hasta `balance` veces su tamaño (1 = clases iguales); cada clase tiene al menos
+ * un vértice y el redondeo reparte el resto por mayor parte fraccionaria.
+ * @param {number} n - Número de vértices.
+ * @param {number} k - Número de clases (como máximo n).
+ * @param {number} balance - Tamaño de la clase menor respecto de la mayor, en (0, 1].
+ * @returns {Array<number>} Tamaño de cada clase, de mayor a menor; suman n.
+ */
+export function tamanosClasesPlantadas(n, k, balance) {
+    const pesos = Array.from({ length: k }, (_, c) => (k === 1 ? 1 : 1 - (1 - balance) * c / (k - 1)));
+    const sumaPesos = pesos.reduce((suma, peso) => suma + peso, 0);
+    const restantes = n - k;
+    const exactos = pesos.map(peso => restantes * peso / sumaPesos);
+    const tamanos = exactos.map(exacto => 1 + Math.floor(exacto));
+
+    let faltan = n - tamanos.reduce((suma, tamano) => suma + tamano, 0);
+    const porFraccion = exactos
+        .map((exacto, c) => ({ c, fraccion: exacto - Math.floor(exacto) }))
+        .sort((a, b) => b.fraccion - a.fraccion || a.c - b.c);
+    for (let i = 0; faltan > 0; i++, faltan--) {
+        tamanos[porFraccion[i].c]++;
+    }
+    return tamanos;
+}
+
+/**
+ * Grafo k-coloreable con solución plantada: reparte los vértices al azar en k clases
+ * ocultas (ver tamanosClasesPlantadas) y une cada par de vértices de clases distintas
+ * con probabilidad p. Como no hay aristas dentro de una clase, asignar a cada vértice
+ * el color de su clase es una coloración válida con k colores.
+ * @param {number} n - Número de vértices.
+ * @param {number} k - Número de clases (como máximo n).
+ * @param {number} probabilidad - Probabilidad de cada arista entre clases distintas.
+ * @param {number} balance - Tamaño de la clase menor respecto de la mayor, en (0, 1].
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {{aristas: Array<[number, number]>, clases: Array<number>}} Aristas (vértices desde 0)
+ * y clase (0..k-1) de cada vértice.
+ */
+export function generarGrafoPlantado(n, k, probabilidad, balance, aleatorio) {
+    const orden = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+        const j = enteroAleatorio(aleatorio, i + 1);
+        [orden[i], orden[j]] = [orden[j], orden[i]];
+    }
+
+    const clases = new Array(n);
+    let posicion = 0;
+    tamanosClasesPlantadas(n, k, balance).forEach((tamano, clase) => {
+        for (let i = 0; i < tamano; i++) clases[orden[posicion++]] = clase;
+    });
+
+    const aristas = [];
+    for (let u = 0; u < n; u++) {
+        for (let v = u + 1; v < n; v++) {
+            if (clases[u] !== clases[v] && aleatorio() < probabilidad) aristas.push([u, v]);
+        }
+    }
+    return { aristas, clases };
+}
+
+/**
+ * Calcula las componentes conexas de un grafo dado por sus aristas.
+ * @param {number} n - Número de vértices.
+ * @param {Array<[number, number]>} aristas - Aristas (vértices desde 0).
+ * @returns {Array<Array<number>>} Vértices de cada componente.
+ */
+export function componentesConexas(n, aristas) {
+    const padre = Array.from({ length: n }, (_, i) => i);
+    const raiz = (u) => {
+        while (padre[u] !== u) {
+            padre[u] = padre[padre[u]];
+            u = padre[u];
+        }
+        return u;
+    };
+    for (const [u, v] of aristas) {
+        padre[raiz(u)] = raiz(v);
+    }
+
+    const componentes = new Map();
+    for (let u = 0; u < n; u++) {
+        const r = raiz(u);
+        if (!componentes.has(r)) componentes.set(r, []);
+        componentes.get(r).push(u);
+    }
+    return [...componentes.values()];
+}
+
+/**
+ * Une las componentes conexas agregando una arista entre cada componente y un vértice
+ * al azar de las anteriores (c - 1 aristas para c componentes).
+ * Con `clases`, solo une vértices de clases distintas, así la coloración plantada sigue
+ * siendo válida; una componente que todavía no puede unirse se posterga.
+ * @param {number} n - Número de vértices.
+ * @param {Array<[number, number]>} aristas - Aristas (vértices desde 0).
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @param {Array<number>|null} [clases=null] - Clase de cada vértice (con al menos dos clases no vacías).
+ * @returns {Array<[number, number]>} Aristas originales más las agregadas.
+ */
+export function conectarComponentes(n, aristas, aleatorio, clases = null) {
+    const [primera, ...pendientes] = componentesConexas(n, aristas);
+    const resultado = [...aristas];
+    const alcanzados = [...primera];
+    // Alcanzados por clase: un vértice puede unirse si hay alcanzados de otra clase
+    const porClase = new Map();
+    const contar = (u) => {
+        if (clases) porClase.set(clases[u], (porClase.get(clases[u]) ?? 0) + 1);
+    };
+    primera.forEach(contar);
+
+    let postergadas = 0;
+    while (pendientes.length > 0) {
+        const componente = pendientes.shift();
+        const candidatos = clases
+            ? componente.filter(u => alcanzados.length > (porClase.get(clases[u]) ?? 0))
+            : componente;
+        if (candidatos.length === 0) {
+            // Solo pasa si componente y alcanzados son de una sola clase, la misma; otra componente la destrabará
+            if (++postergadas > pendientes.length) {
+                throw new Error('No se pueden unir las componentes sin romper la coloración plantada.');
+            }
+            pendientes.push(componente);
+            continue;
+        }
+
+        postergadas = 0;
+        const u = candidatos[enteroAleatorio(aleatorio, candidatos.length)];
+        const destinos = clases ? alcanzados.filter(v => clases[v] !== clases[u]) : alcanzados;
+        const v = destinos[enteroAleatorio(aleatorio, destinos.length)];
+        resultado.push([v, u]);
+        alcanzados.push(...componente);
+        componente.forEach(contar);
+    }
+
+    return resultado;
+}
+
+/**
+ * Valida la configuración de un generador para un número de vértices.
+ * @param {number} n - Número de vértices.
+ * @param {Object} configuracion - Configuración (ver generarGrafoAleatorio).
+ * @throws {Error} Si el modelo es desconocido o algún parámetro es inválido.
+ */
+export function validarConfiguracionGenerador(n, configuracion) {
+    const modelo = configuracion.model ?? RANDOM_GRAPH.DEFAULT_MODEL;
+    const maxAristas = n * (n - 1) / 2;
+
+    switch (modelo) {
+        case 'tree':
+            return;
+        case 'gnp':
+            verificarNumero(configuracion.probability, 0, 1, 'La probabilidad de arista');
+            return;
+        case 'gnm':
+            verificarEntero(configuracion.edges, 0, maxAristas, 'El número de aristas');
+            return;
+        case 'barabasi-albert':
+            verificarEntero(configuracion.attachments, 1, n - 1, 'Las aristas por vértice nuevo');
+            return;
+        case 'watts-strogatz':
+            verificarEntero(configuracion.neighbors, 2, n - 1, 'El número de vecinos');
+            if (configuracion.neighbors % 2 !== 0) {
+                throw new Error(`El número de vecinos debe ser par (se recibió ${configuracion.neighbors}).`);
+            }
+            verificarNumero(configuracion.rewiring, 0, 1, 'La probabilidad de recableado');
+            return;
+        case 'regular':
+            verificarEntero(configuracion.degree, 1, n - 1, 'El grado');
+            if ((n * configuracion.degree) % 2 !== 0) {
+                throw new Error(
+                    `No existe un grafo ${configuracion.degree}-regular de ${n} vértices: nodos × grado debe ser par.`
+                );
+            }
+            if (configuracion.connected && configuracion.degree === 1 && n > 2) {
+                throw new Error('Un grafo 1-regular de más de 2 vértices no puede ser conexo.');
+            }
+            return;
+        case 'planted':
+            verificarEntero(
+                configuracion.classes,
+                GRAPH_CONSTRAINTS.MIN_COLORS,
+                Math.min(GRAPH_CONSTRAINTS.MAX_COLORS, n),
+                'El número de clases'
+            );
+            verificarNumero(configuracion.probability, 0, 1, 'La probabilidad de arista');
+            verificarNumero(configuracion.balance, RANDOM_GRAPH.MIN_PLANTED_BALANCE, 1, 'El balance de las clases');
+            return;
+        default:
+            throw new Error(`Modelo de grafo aleatorio desconocido: "${modelo}".`);
+    }
+}
+
+/**
+ * Genera las aristas de un grafo aleatorio según el modelo.
+ * Con `connected`, las componentes se unen con aristas extra (en el modelo plantado, solo
+ * entre clases distintas); los grafos regulares se vuelven a generar hasta que salen
+ * conexos, para conservar el grado.
+ * @param {number} n - Número de vértices.
+ * @param {Object} configuracion - Modelo y parámetros.
+ * @param {string} configuracion.model - Clave de MODELOS_GRAFO_ALEATORIO (salvo 'tree').
+ * @param {number} [configuracion.probability] - G(n, p) y plantado: probabilidad de cada arista.
+ * @param {number} [configuracion.edges] - G(n, m): número de aristas.
+ * @param {number} [configuracion.attachments] - Barabási–Albert: aristas por vértice nuevo.
+ * @param {number} [configuracion.neighbors] - Watts–Strogatz: vecinos en el anillo (par).
+ * @param {number} [configuracion.rewiring] - Watts–Strogatz: probabilidad de recableado.
+ * @param {number} [configuracion.degree] - Regular: grado de todos los vértices.
+ * @param {number} [configuracion.classes] - Plantado: número de clases ocultas (k).
+ * @param {number} [configuracion.balance] - Plantado: tamaño de la clase menor respecto de la mayor.
+ * @param {boolean} [configuracion.connected=false] - Si se garantiza un grafo conexo.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {{aristas: Array<[number, number]>, clasesPlantadas: Array<number>|null}} Aristas con
+ * vértices numerados desde 1 y, en el modelo plantado, la clase de cada vértice (índice 0 = vértice 1).
+ * @throws {Error} Si la configuración es inválida.
+ */
+export function generarGrafoAleatorio(n, configuracion, aleatorio) {
+    validarConfiguracionGenerador(n, configuracion);
+
+    let aristas;
+    let clasesPlantadas = null;
+    switch (configuracion.model) {
+        case 'gnp':
+            aristas = generarErdosRenyiP(n, configuracion.probability, aleatorio);
+            break;
+        case 'gnm':
+            aristas = generarErdosRenyiM(n, configuracion.edges, aleatorio);
+            break;
+        case 'barabasi-albert':
+            aristas = generarBarabasiAlbert(n, configuracion.attachments, aleatorio);
+            break;
+        case 'watts-strogatz':
+            aristas = generarWattsStrogatz(n, configuracion.neighbors, configuracion.rewiring, aleatorio);
+            break;
+        case 'regular':
+            aristas = generarRegularConexo(n, configuracion, aleatorio);
+            break;
+        case 'planted':
+            ({ aristas, clases: clasesPlantadas } = generarGrafoPlantado(
+                n, configuracion.classes, configuracion.probability, configuracion.balance, aleatorio
+            ));
+            break;
+        default:
+            throw new Error(`El modelo "${configuracion.model}" no genera una lista de aristas.`);
+    }
+
+    if (configuracion.connected && !MODELOS_GRAFO_ALEATORIO[configuracion.model].conexoPorConstruccion) {
+        aristas = conectarComponentes(n, aristas, aleatorio, clasesPlantadas);
+    }
+
+    return { aristas: aristas.map(([u, v]) => [u + 1, v + 1]), clasesPlantadas };
+}
+
+/**
+ * Genera un grafo regular; si se pide conexo, lo vuelve a generar hasta lograrlo.
+ * @param {number} n - Número de vértices.
+ * @param {Object} configuracion - Configuración con degree y connected.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Array<[number, number]>} Aristas (vértices desde 0).
+ * @throws {Error} Si no sale conexo en RANDOM_GRAPH.MAX_REGULAR_RETRIES intentos.
+ */
+function generarRegularConexo(n, configuracion, aleatorio) {
+    const { degree, connected } = configuracion;
+    if (!connected) return generarRegularAleatorio(n, degree, aleatorio);
+    if (degree === 2) return generarCicloAleatorio(n, aleatorio);
+
+    for (let intento = 0; intento < RANDOM_GRAPH.MAX_REGULAR_RETRIES; intento++) {
+        const aristas = generarRegularAleatorio(n, degree, aleatorio);
+        if (componentesConexas(n, aristas).length === 1) return aristas;
+    }
+    throw new Error(`No se pudo generar un grafo ${degree}-regular conexo de ${n} vértices.`);
+}
+
+/**
+ * Describe la configuración de un generador en una línea, p. ej. "G(n, p = 0.05), conexo".
+ * @param {Object} configuracion - Configuración (ver generarGrafoAleatorio).
+ * @returns {string} Descripción legible.
+ */
+export function describirGenerador(configuracion = {}) {
+    const modelo = configuracion.model ?? RANDOM_GRAPH.DEFAULT_MODEL;
+    const descripciones = {
+        'tree': () => MODELOS_GRAFO_ALEATORIO.tree.nombre,
+        'gnp': () => `G(n, p = ${configuracion.probability})`,
+        'gnm': () => `G(n, m = ${configuracion.edges})`,
+        'barabasi-albert': () => `Barabási–Albert (m = ${configuracion.attachments})`,
+        'watts-strogatz': () => `Watts–Strogatz (k = ${configuracion.neighbors}, β = ${configuracion.rewiring})`,
+        'regular': () => `${configuracion.degree}-regular`,
+        'planted': () => `${configuracion.classes}-coloreable plantado (p = ${configuracion.probability}, balance = ${configuracion.balance})`
+    };
+    const descripcion = descripciones[modelo]?.() ?? modelo;
+    const conexo = configuracion.connected && !MODELOS_GRAFO_ALEATORIO[modelo]?.conexoPorConstruccion;
+    return conexo ? `${descripcion}, conexo` : descripcion;
+}
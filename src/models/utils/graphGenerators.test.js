@@ -0,0 +1,104 @@
+import {
+    componentesConexas,
+    conectarComponentes,
+    generarGrafoAleatorio,
+    generarGrafoPlantado,
+    tamanosClasesPlantadas
+} from './graphGenerators.js';
+import { crearGeneradorAleatorio } from './random.js';
+
+/**
+ * Aristas cuyos extremos están en la misma clase plantada.
+ * @param {Array<[number, number]>} aristas - Aristas (vértices desde 0).
+ * @param {Array<number>} clases - Clase de cada vértice.
+ * @returns {Array<[number, number]>} Aristas que rompen la coloración plantada.
+ */
+function aristasMonocromaticas(aristas, clases) {
+    return aristas.filter(([u, v]) => clases[u] === clases[v]);
+}
+
+const SEMILLAS = Array.from({ length: 20 }, (_, i) => i + 1);
+
+describe('tamanosClasesPlantadas', () => {
+    test.each([
+        [10, 3, 1],
+        [60, 5, 0.2],
+        [7, 7, 0.5],
+        [100, 4, 0.01]
+    ])('reparte %i vértices en %i clases no vacías (balance %f)', (n, k, balance) => {
+        const tamanos = tamanosClasesPlantadas(n, k, balance);
+
+        expect(tamanos).toHaveLength(k);
+        expect(tamanos.reduce((suma, tamano) => suma + tamano, 0)).toBe(n);
+        tamanos.forEach(tamano => expect(tamano).toBeGreaterThanOrEqual(1));
+        tamanos.slice(1).forEach((tamano, c) => expect(tamano).toBeLessThanOrEqual(tamanos[c]));
+    });
+
+    test('con balance 1 las clases difieren a lo sumo en un vértice', () => {
+        const tamanos = tamanosClasesPlantadas(11, 3, 1);
+        expect(Math.max(...tamanos) - Math.min(...tamanos)).toBeLessThanOrEqual(1);
+    });
+});
+
+describe('generarGrafoPlantado', () => {
+    test.each(SEMILLAS)('no genera aristas dentro de una clase (semilla %i)', (semilla) => {
+        const { aristas, clases } = generarGrafoPlantado(60, 4, 0.3, 0.5, crearGeneradorAleatorio(semilla));
+
+        expect(clases).toHaveLength(60);
+        clases.forEach(clase => expect(clase >= 0 && clase < 4).toBe(true));
+        expect(new Set(clases).size).toBe(4);
+        expect(aristasMonocromaticas(aristas, clases)).toEqual([]);
+    });
+
+    test('con la misma semilla genera el mismo grafo', () => {
+        const primero = generarGrafoPlantado(40, 3, 0.2, 1, crearGeneradorAleatorio(9));
+        const segundo = generarGrafoPlantado(40, 3, 0.2, 1, crearGeneradorAleatorio(9));
+        expect(segundo).toEqual(primero);
+    });
+});
+
+describe('conectarComponentes', () => {
+    test.each(SEMILLAS)('conecta un grafo plantado disperso sin romper su coloración (semilla %i)', (semilla) => {
+        const aleatorio = crearGeneradorAleatorio(semilla);
+        const { aristas, clases } = generarGrafoPlantado(60, 5, 0.01, 0.3, aleatorio);
+        const componentes = componentesConexas(60, aristas).length;
+
+        const conectadas = conectarComponentes(60, aristas, aleatorio, clases);
+
+        expect(componentesConexas(60, conectadas)).toHaveLength(1);
+        expect(conectadas.slice(0, aristas.length)).toEqual(aristas);
+        expect(conectadas).toHaveLength(aristas.length + componentes - 1);
+        expect(aristasMonocromaticas(conectadas, clases)).toEqual([]);
+    });
+
+    test('posterga una componente que todavía no puede unirse', () => {
+        // La primera componente y la segunda son de la clase 0; la tercera la destraba
+        const clases = [0, 0, 1];
+        const conectadas = conectarComponentes(3, [], crearGeneradorAleatorio(1), clases);
+
+        expect(componentesConexas(3, conectadas)).toHaveLength(1);
+        expect(aristasMonocromaticas(conectadas, clases)).toEqual([]);
+    });
+
+    test('falla si no se puede unir sin romper la coloración plantada', () => {
+        expect(() => conectarComponentes(2, [], crearGeneradorAleatorio(1), [0, 0]))
+            .toThrow('No se pueden unir las componentes sin romper la coloración plantada.');
+    });
+
+    test('sin clases une cualquier par de vértices', () => {
+        const conectadas = conectarComponentes(5, [[0, 1]], crearGeneradorAleatorio(3));
+        expect(componentesConexas(5, conectadas)).toHaveLength(1);
+        expect(conectadas).toHaveLength(4);
+    });
+});
+
+describe('generarGrafoAleatorio con el modelo plantado', () => {
+    test.each(SEMILLAS)('entrega un grafo conexo coloreable con las clases ocultas (semilla %i)', (semilla) => {
+        const configuracion = { model: 'planted', classes: 4, probability: 0.02, balance: 0.5, connected: true };
+        const { aristas, clasesPlantadas } = generarGrafoAleatorio(80, configuracion, crearGeneradorAleatorio(semilla));
+        const desdeCero = aristas.map(([u, v]) => [u - 1, v - 1]);
+
+        expect(componentesConexas(80, desdeCero)).toHaveLength(1);
+        expect(aristasMonocromaticas(desdeCero, clasesPlantadas)).toEqual([]);
+    });
+});
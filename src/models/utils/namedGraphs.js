@@ -0,0 +1,376 @@
+/**
+ * Catálogo de grafos clásicos con número cromático conocido: Petersen, completos, ciclos,
+ * ruedas, bipartitos completos, Mycielski, reinas, grillas, toros, hipercubos y Sudoku.
+ *
+ * Cada constructor devuelve las aristas (vértices desde 1), la posición de cada vértice en
+ * el cuadrado unitario (o null para usar el layout de fuerzas) y χ(G). Los grafos de
+ * Mycielski y de reinas son las instancias `myciel` y `queen` del benchmark DIMACS.
+ * @module namedGraphs
+ */
+
+/**
+ * Número cromático de los grafos de reinas n × n (OEIS A088202).
+ */
+const CROMATICO_REINAS = { 4: 5, 5: 5, 6: 7, 7: 7, 8: 9, 9: 10, 10: 11, 11: 11, 12: 12 };
+
+/**
+ * Posiciones en círculo, empezando arriba.
+ * @param {number} cantidad - Número de puntos.
+ * @param {number} [radio=0.5] - Radio, con centro en (0.5, 0.5).
+ * @returns {Array<{x: number, y: number}>} Posiciones.
+ */
+function posicionesEnCirculo(cantidad, radio = 0.5) {
+    return Array.from({ length: cantidad }, (_, i) => {
+        const angulo = -Math.PI / 2 + (2 * Math.PI * i) / cantidad;
+        return { x: 0.5 + radio * Math.cos(angulo), y: 0.5 + radio * Math.sin(angulo) };
+    });
+}
+
+/**
+ * Posiciones en grilla, fila por fila.
+ * @param {number} filas - Filas.
+ * @param {number} columnas - Columnas.
+ * @returns {Array<{x: number, y: number}>} Posiciones.
+ */
+function posicionesEnGrilla(filas, columnas) {
+    const posiciones = [];
+    for (let f = 0; f < filas; f++) {
+        for (let c = 0; c < columnas; c++) {
+            posiciones.push({
+                x: columnas > 1 ? c / (columnas - 1) : 0.5,
+                y: filas > 1 ? f / (filas - 1) : 0.5
+            });
+        }
+    }
+    return posiciones;
+}
+
+/**
+ * Grafo de Petersen: pentágono exterior, pentagrama interior y cinco radios.
+ * @returns {Object} Instancia (ver construirGrafoConocido).
+ */
+function construirPetersen() {
+    const aristas = [];
+    for (let i = 0; i < 5; i++) {
+        aristas.push([i + 1, ((i + 1) % 5) + 1]);
+        aristas.push([i + 1, i + 6]);
+        aristas.push([i + 6, ((i + 2) % 5) + 6]);
+    }
+    return {
+        numeroDeNodos: 10,
+        aristas,
+        posiciones: [...posicionesEnCirculo(5), ...posicionesEnCirculo(5, 0.25)],
+        numeroCromatico: 3
+    };
+}
+
+/**
+ * Grafo completo K_n.
+ * @param {{n: number}} parametros - Número de vértices.
+ * @returns {Object} Instancia.
+ */
+function construirCompleto({ n }) {
+    const aristas = [];
+    for (let u = 1; u <= n; u++) {
+        for (let v = u + 1; v <= n; v++) aristas.push([u, v]);
+    }
+    return { numeroDeNodos: n, aristas, posiciones: posicionesEnCirculo(n), numeroCromatico: n };
+}
+
+/**
+ * Ciclo C_n: χ = 2 si n es par y 3 si es impar.
+ * @param {{n: number}} parametros - Número de vértices.
+ * @returns {Object} Instancia.
+ */
+function construirCiclo({ n }) {
+    const aristas = Array.from({ length: n }, (_, i) => [i + 1, ((i + 1) % n) + 1]);
+    return { numeroDeNodos: n, aristas, posiciones: posicionesEnCirculo(n), numeroCromatico: n % 2 === 0 ? 2 : 3 };
+}
+
+/**
+ * Rueda: un centro (vértice 1) unido a todos los vértices de un ciclo de n vértices.
+ * χ = 3 si el ciclo es par y 4 si es impar.
+ * @param {{n: number}} parametros - Vértices del ciclo exterior.
+ * @returns {Object} Instancia.
+ */
+function construirRueda({ n }) {
+    const aristas = [];
+    for (let i = 0; i < n; i++) {
+        aristas.push([1, i + 2]);
+        aristas.push([i + 2, ((i + 1) % n) + 2]);
+    }
+    return {
+        numeroDeNodos: n + 1,
+        aristas,
+        posiciones: [{ x: 0.5, y: 0.5 }, ...posicionesEnCirculo(n)],
+        numeroCromatico: n % 2 === 0 ? 3 : 4
+    };
+}
+
+/**
+ * Bipartito completo K_{m,n}: dos columnas con todas las aristas entre ellas.
+ * @param {{m: number, n: number}} parametros - Tamaño de cada lado.
+ * @returns {Object} Instancia.
+ */
+function construirBipartitoCompleto({ m, n }) {
+    const aristas = [];
+    for (let u = 1; u <= m; u++) {
+        for (let v = m + 1; v <= m + n; v++) aristas.push([u, v]);
+    }
+    const columna = (cantidad, x) => Array.from({ length: cantidad }, (_, i) => ({
+        x,
+        y: cantidad > 1 ? i / (cantidad - 1) : 0.5
+    }));
+    return {
+        numeroDeNodos: m + n,
+        aristas,
+        posiciones: [...columna(m, 0.2), ...columna(n, 0.8)],
+        numeroCromatico: 2
+    };
+}
+
+/**
+ * Grafo de Mycielski M_k: parte de K_2 y aplica k - 2 veces la construcción de Mycielski
+ * (una sombra por vértice, unida a sus vecinos, y un vértice unido a todas las sombras).
+ * No tiene triángulos y χ(M_k) = k; M_4 (Grötzsch) es `myciel3` en DIMACS.
+ * @param {{k: number}} parametros - Número cromático buscado.
+ * @returns {Object} Instancia.
+ */
+function construirMycielski({ k }) {
+    let numeroDeNodos = 2;
+    let aristas = [[1, 2]];
+
+    for (let paso = 2; paso < k; paso++) {
+        // La sombra de u es u + numeroDeNodos
+        const vertice = 2 * numeroDeNodos + 1;
+        const nuevas = [...aristas];
+        for (const [u, v] of aristas) {
+            nuevas.push([u, v + numeroDeNodos], [v, u + numeroDeNodos]);
+        }
+        for (let u = 1; u <= numeroDeNodos; u++) {
+            nuevas.push([u + numeroDeNodos, vertice]);
+        }
+        aristas = nuevas;
+        numeroDeNodos = vertice;
+    }
+
+    return { numeroDeNodos, aristas, posiciones: null, numeroCromatico: k };
+}
+
+/**
+ * Grafo de reinas n × n: casillas unidas si una reina en una ataca a la otra
+ * (misma fila, columna o diagonal). Es `queen{n}_{n}` en DIMACS.
+ * @param {{n: number}} parametros - Lado del tablero.
+ * @returns {Object} Instancia.
+ */
+function construirReinas({ n }) {
+    const aristas = [];
+    const id = (f, c) => f * n + c + 1;
+    for (let f1 = 0; f1 < n; f1++) {
+        for (let c1 = 0; c1 < n; c1++) {
+            for (let f2 = f1; f2 < n; f2++) {
+                for (let c2 = 0; c2 < n; c2++) {
+                    if (f2 === f1 && c2 <= c1) continue;
+                    if (f1 === f2 || c1 === c2 || Math.abs(f1 - f2) === Math.abs(c1 - c2)) {
+                        aristas.push([id(f1, c1), id(f2, c2)]);
+                    }
+                }
+            }
+        }
+    }
+    return {
+        numeroDeNodos: n * n,
+        aristas,
+        posiciones: posicionesEnGrilla(n, n),
+        numeroCromatico: CROMATICO_REINAS[n]
+    };
+}
+
+/**
+ * Grilla filas × columnas (bipartita).
+ * @param {{rows: number, columns: number}} parametros - Dimensiones.
+ * @returns {Object} Instancia.
+ */
+function construirGrilla({ rows, columns }) {
+    const aristas = [];
+    const id = (f, c) => f * columns + c + 1;
+    for (let f = 0; f < rows; f++) {
+        for (let c = 0; c < columns; c++) {
+            if (c + 1 < columns) aristas.push([id(f, c), id(f, c + 1)]);
+            if (f + 1 < rows) aristas.push([id(f, c), id(f + 1, c)]);
+        }
+    }
+    return {
+        numeroDeNodos: rows * columns,
+        aristas,
+        posiciones: posicionesEnGrilla(rows, columns),
+        numeroCromatico: 2
+    };
+}
+
+/**
+ * Toro filas × columnas: grilla con las filas y columnas cerradas en ciclos.
+ * Se dibuja como anillos concéntricos (un anillo por fila). χ = 2 si ambas
+ * dimensiones son pares y 3 si alguna es impar.
+ * @param {{rows: number, columns: number}} parametros - Dimensiones (al menos 3).
+ * @returns {Object} Instancia.
+ */
+function construirToro({ rows, columns }) {
+    const aristas = [];
+    const id = (f, c) => f * columns + c + 1;
+    const posiciones = [];
+    for (let f = 0; f < rows; f++) {
+        const radio = 0.15 + (0.35 * f) / (rows - 1);
+        posiciones.push(...posicionesEnCirculo(columns, radio));
+        for (let c = 0; c < columns; c++) {
+            aristas.push([id(f, c), id(f, (c + 1) % columns)]);
+            aristas.push([id(f, c), id((f + 1) % rows, c)]);
+        }
+    }
+    return {
+        numeroDeNodos: rows * columns,
+        aristas,
+        posiciones,
+        numeroCromatico: rows % 2 === 0 && columns % 2 === 0 ? 2 : 3
+    };
+}
+
+/**
+ * Hipercubo Q_d: vértices con las cadenas de d bits, unidos si difieren en un bit (bipartito).
+ * @param {{d: number}} parametros - Dimensión.
+ * @returns {Object} Instancia.
+ */
+function construirHipercubo({ d }) {
+    const numeroDeNodos = 2 ** d;
+    const aristas = [];
+    for (let u = 0; u < numeroDeNodos; u++) {
+        for (let bit = 0; bit < d; bit++) {
+            const v = u ^ (1 << bit);
+            if (u < v) aristas.push([u + 1, v + 1]);
+        }
+    }
+    return { numeroDeNodos, aristas, posiciones: null, numeroCromatico: 2 };
+}
+
+/**
+ * Grafo de Sudoku de orden s: casillas de un tablero s² × s² unidas si comparten fila,
+ * columna o bloque s × s. Un Sudoku resuelto es una coloración con s² colores.
+ * @param {{order: number}} parametros - Orden (lado de los bloques).
+ * @returns {Object} Instancia.
+ */
+function construirSudoku({ order }) {
+    const lado = order * order;
+    const id = (f, c) => f * lado + c + 1;
+    const bloque = (f, c) => Math.floor(f / order) * order + Math.floor(c / order);
+    const aristas = [];
+    for (let a = 0; a < lado * lado; a++) {
+        for (let b = a + 1; b < lado * lado; b++) {
+            const [f1, c1, f2, c2] = [Math.floor(a / lado), a % lado, Math.floor(b / lado), b % lado];
+            if (f1 === f2 || c1 === c2 || bloque(f1, c1) === bloque(f2, c2)) {
+                aristas.push([id(f1, c1), id(f2, c2)]);
+            }
+        }
+    }
+    return {
+        numeroDeNodos: lado * lado,
+        aristas,
+        posiciones: posicionesEnGrilla(lado, lado),
+        numeroCromatico: lado
+    };
+}
+
+/**
+ * Grafos del catálogo: nombre, rango [mínimo, máximo] de cada parámetro entero
+ * (acotados para no superar el máximo de nodos) y constructor.
+ */
+export const CATALOGO_GRAFOS = {
+    'petersen': { nombre: 'Petersen', parametros: {}, construir: construirPetersen },
+    'complete': { nombre: 'Completo K_n', parametros: { n: [2, 20] }, construir: construirCompleto },
+    'cycle': { nombre: 'Ciclo C_n', parametros: { n: [3, 150] }, construir: construirCiclo },
+    'wheel': { nombre: 'Rueda W_n', parametros: { n: [3, 149] }, construir: construirRueda },
+    'complete-bipartite': {
+        nombre: 'Bipartito completo K_{m,n}',
+        parametros: { m: [1, 75], n: [1, 75] },
+        construir: construirBipartitoCompleto
+    },
+    'mycielski': { nombre: 'Mycielski M_k', parametros: { k: [2, 7] }, construir: construirMycielski },
+    'queen': { nombre: 'Reinas n × n', parametros: { n: [4, 12] }, construir: construirReinas },
+    'grid': { nombre: 'Grilla', parametros: { rows: [2, 12], columns: [2, 12] }, construir: construirGrilla },
+    'torus': { nombre: 'Toro', parametros: { rows: [3, 12], columns: [3, 12] }, construir: construirToro },
+    'hypercube': { nombre: 'Hipercubo Q_d', parametros: { d: [1, 7] }, construir: construirHipercubo },
+    'sudoku': { nombre: 'Sudoku', parametros: { order: [2, 3] }, construir: construirSudoku }
+};
+
+/**
+ * Construye un grafo del catálogo.
+ * @param {string} id - Clave de CATALOGO_GRAFOS.
+ * @param {Object} [parametros={}] - Parámetros enteros del grafo (p. ej. { n: 7 }).
+ * @returns {{nombre: string, parametros: Object, numeroDeNodos: number, aristas: Array<[number, number]>,
+ * posiciones: Array<{x: number, y: number}>|null, numeroCromatico: number}} Instancia con vértices desde 1,
+ * posiciones en [0, 1] (null para el layout de fuerzas) y χ(G).
+ * @throws {Error} Si el grafo no existe o algún parámetro falta o está fuera de rango.
+ */
+export function construirGrafoConocido(id, parametros = {}) {
+    const entrada = CATALOGO_GRAFOS[id];
+    if (!entrada) {
+        throw new Error(`Grafo desconocido en el catálogo: "${id}".`);
+    }
+
+    const usados = {};
+    for (const [clave, [minimo, maximo]] of Object.entries(entrada.parametros)) {
+        const valor = parametros[clave];
+        if (!Number.isInteger(valor) || valor < minimo || valor > maximo) {
+            throw new Error(
+                `${entrada.nombre}: el parámetro ${clave} debe ser un entero entre ${minimo} y ${maximo} (se recibió ${valor}).`
+            );
+        }
+        usados[clave] = valor;
+    }
+
+    return { nombre: entrada.nombre, parametros: usados, ...entrada.construir(usados) };
+}
+
+/**
+ * Mezcla un entero de 32 bits (finalizador de MurmurHash3).
+ * @param {number} valor - Entero a mezclar.
+ * @returns {number} Entero sin signo de 32 bits.
+ */
+function mezclar(valor) {
+    let h = valor >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Firma de la estructura del grafo (ids de nodos y aristas, sin importar el orden ni las
+ * posiciones), para saber si un grafo del catálogo se editó después de cargarlo.
+ * @param {Array<Node>} nodos - Nodos del grafo.
+ * @param {Array<Edge>} aristas - Aristas del grafo.
+ * @returns {string} Firma; dos grafos con la misma estructura tienen la misma firma.
+ */
+export function firmaEstructura(nodos, aristas) {
+    let sumaNodos = 0;
+    for (const nodo of nodos) {
+        sumaNodos = (sumaNodos + mezclar(nodo.id)) >>> 0;
+    }
+    let sumaAristas = 0;
+    for (const arista of aristas) {
+        const menor = Math.min(arista.sourceId, arista.targetId);
+        const mayor = Math.max(arista.sourceId, arista.targetId);
+        sumaAristas = (sumaAristas + mezclar(Math.imul(menor, 0x9E3779B1) ^ mezclar(mayor))) >>> 0;
+    }
+    return `${nodos.length}:${aristas.length}:${sumaNodos.toString(16)}:${sumaAristas.toString(16)}`;
+}
+
+/**
+ * Datos del grafo del catálogo cargado, si el grafo no se editó desde entonces.
+ * @param {Graph} grafo - Grafo actual.
+ * @returns {{id: string, name: string, params: Object, chromaticNumber: number, signature: string}|null}
+ * Datos del grafo conocido, o null si no hay uno o su estructura cambió.
+ */
+export function grafoConocidoVigente(grafo) {
+    const conocido = grafo.grafoConocido;
+    if (!conocido) return null;
+    return firmaEstructura(grafo.nodos, grafo.aristas) === conocido.signature ? conocido : null;
+}
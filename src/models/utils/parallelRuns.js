@@ -0,0 +1,41 @@
+/**
+ * Reparto de una ejecución probabilística entre varios workers.
+ * Lo usan el pool de Web Workers y la línea de comandos, de modo que un worker de una
+ * ejecución paralela se pueda repetir por separado, secuencialmente, con el mismo resultado.
+ * @module parallelRuns
+ */
+
+import { derivarSemilla } from './random.js';
+
+/**
+ * Número de workers entre los que se reparte una ejecución.
+ * En modo 'muestras' (Monte Carlo) cada worker hace al menos `minimoPorWorker` muestras;
+ * en modo 'carrera' (Las Vegas) compiten todos los workers disponibles.
+ * @param {'muestras'|'carrera'} modo - Cómo se reparte la ejecución.
+ * @param {number} iteraciones - Muestras totales (solo modo 'muestras').
+ * @param {number} maxWorkers - Workers disponibles.
+ * @param {number} minimoPorWorker - Muestras mínimas por worker (solo modo 'muestras').
+ * @returns {number} Cantidad de workers, al menos 1.
+ */
+export function cantidadWorkersParalelos(modo, iteraciones, maxWorkers, minimoPorWorker) {
+    if (modo !== 'muestras') return Math.max(1, maxWorkers);
+    return Math.max(1, Math.min(maxWorkers, Math.floor(iteraciones / minimoPorWorker)));
+}
+
+/**
+ * Opciones del algoritmo para uno de los workers de una ejecución paralela: la semilla
+ * derivada del índice y, en modo 'muestras', su parte de las iteraciones (el worker i hace
+ * las muestras i, i + n, i + 2n, ...).
+ * @param {Object} opciones - Opciones de la ejecución completa, con seed e iterations.
+ * @param {'muestras'|'carrera'} modo - Cómo se reparte la ejecución.
+ * @param {number} indice - Índice del worker, entre 0 y cantidad - 1.
+ * @param {number} cantidad - Workers de la ejecución.
+ * @returns {Object} Opciones del worker.
+ */
+export function opcionesWorkerParalelo(opciones, modo, indice, cantidad) {
+    const opcionesWorker = { ...opciones, seed: derivarSemilla(opciones.seed, indice) };
+    if (modo === 'muestras') {
+        opcionesWorker.iterations = Math.ceil(((opciones.iterations ?? 1000) - indice) / cantidad);
+    }
+    return opcionesWorker;
+}
@@ -0,0 +1,44 @@
+import { cantidadWorkersParalelos, opcionesWorkerParalelo } from './parallelRuns.js';
+import { derivarSemilla } from './random.js';
+
+describe('cantidadWorkersParalelos', () => {
+    test('una carrera usa todos los workers disponibles', () => {
+        expect(cantidadWorkersParalelos('carrera', 10, 6, 1000)).toBe(6);
+        expect(cantidadWorkersParalelos('carrera', 10, 0, 1000)).toBe(1);
+    });
+
+    test.each([
+        [500, 8, 1],
+        [1000, 8, 1],
+        [2999, 8, 2],
+        [5000, 4, 4],
+        [100000, 8, 8]
+    ])('reparte %i muestras entre a lo sumo %i workers: %i', (iteraciones, maxWorkers, esperado) => {
+        expect(cantidadWorkersParalelos('muestras', iteraciones, maxWorkers, 1000)).toBe(esperado);
+    });
+});
+
+describe('opcionesWorkerParalelo', () => {
+    test('el worker 0 conserva la semilla base y los demás usan la derivada', () => {
+        const opciones = { seed: 4242, iterations: 50, k: 3 };
+
+        expect(opcionesWorkerParalelo(opciones, 'carrera', 0, 4)).toEqual(opciones);
+        expect(opcionesWorkerParalelo(opciones, 'carrera', 3, 4)).toEqual({ ...opciones, seed: derivarSemilla(4242, 3) });
+        expect(opciones.seed).toBe(4242);
+    });
+
+    test('en modo muestras reparte las iteraciones de forma intercalada sin perder ninguna', () => {
+        const partes = [0, 1, 2].map((indice) => opcionesWorkerParalelo({ seed: 1, iterations: 3002 }, 'muestras', indice, 3));
+
+        expect(partes.map((opciones) => opciones.iterations)).toEqual([1001, 1001, 1000]);
+        expect(partes.map((opciones) => opciones.seed)).toEqual([1, derivarSemilla(1, 1), derivarSemilla(1, 2)]);
+    });
+
+    test('sin iteraciones reparte las 1000 por defecto', () => {
+        const total = [0, 1, 2]
+            .map((indice) => opcionesWorkerParalelo({ seed: 1 }, 'muestras', indice, 3).iterations)
+            .reduce((suma, iteraciones) => suma + iteraciones, 0);
+
+        expect(total).toBe(1000);
+    });
+});
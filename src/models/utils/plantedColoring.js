@@ -0,0 +1,98 @@
+/**
+ * Utilidades de la coloración plantada (solución oculta de los grafos generados con el
+ * modelo 'planted'): colores de la solución y comparación con la coloración actual.
+ * @module plantedColoring
+ */
+
+import { generarPaletaColores } from './colorPalette.js';
+
+/**
+ * Traduce la coloración plantada a un mapa de colores de la paleta (clase c → color c).
+ * @param {{k: number, classes: Object<number, number>}} plantada - Coloración plantada del grafo.
+ * @returns {Object} Mapa de ID de nodo a nombre de color.
+ */
+export function coloresPlantados(plantada) {
+    const paleta = generarPaletaColores(plantada.k);
+    const colores = {};
+    Object.entries(plantada.classes).forEach(([id, clase]) => {
+        colores[id] = paleta[clase];
+    });
+    return colores;
+}
+
+/**
+ * Máximo de nodos que coinciden al asignar a cada color una clase distinta
+ * (emparejamiento de peso máximo por programación dinámica sobre subconjuntos de clases).
+ * @param {Array<Array<number>>} coincidencias - coincidencias[i][c]: nodos con el color i y la clase c.
+ * @param {number} k - Número de clases.
+ * @returns {number} Nodos que coinciden con la mejor correspondencia.
+ */
+function mejorCorrespondencia(coincidencias, k) {
+    // mejor[mascara]: máximo usando los colores vistos y exactamente las clases de la máscara
+    let mejor = new Array(1 << k).fill(-Infinity);
+    mejor[0] = 0;
+
+    for (const fila of coincidencias) {
+        const siguiente = [...mejor];
+        for (let mascara = 0; mascara < mejor.length; mascara++) {
+            if (mejor[mascara] === -Infinity) continue;
+            for (let clase = 0; clase < k; clase++) {
+                if (mascara & (1 << clase)) continue;
+                const conClase = mascara | (1 << clase);
+                siguiente[conClase] = Math.max(siguiente[conClase], mejor[mascara] + fila[clase]);
+            }
+        }
+        mejor = siguiente;
+    }
+
+    return Math.max(...mejor);
+}
+
+/**
+ * Compara la coloración actual del grafo con la coloración plantada.
+ * Los colores son intercambiables, así que la coincidencia se mide con la mejor
+ * correspondencia entre colores y clases: una coincidencia de 1 significa que el
+ * algoritmo encontró exactamente la partición oculta.
+ * @param {Array<Node>} nodos - Nodos del grafo.
+ * @param {Array<Edge>} aristas - Aristas del grafo.
+ * @param {{k: number, classes: Object<number, number>}} plantada - Coloración plantada del grafo.
+ * @returns {{k: number, plantedValid: boolean, internalEdges: number, unclassifiedNodes: number,
+ * coloredNodes: number, colorsUsed: number, matchedNodes: number, agreement: number, recoveredPartition: boolean}}
+ * Resumen: `plantedValid` indica si la solución oculta sigue siendo válida tras las ediciones
+ * (sin aristas dentro de una clase ni nodos nuevos sin clase); `agreement` es la proporción de
+ * nodos coloreados que coinciden con su clase (NaN si no hay ninguno).
+ */
+export function compararConColoracionPlantada(nodos, aristas, plantada) {
+    const { k, classes } = plantada;
+    const claseDe = (id) => classes[id];
+
+    const unclassifiedNodes = nodos.filter(nodo => claseDe(nodo.id) === undefined).length;
+    const internalEdges = aristas.filter(arista => {
+        const origen = claseDe(arista.sourceId);
+        return origen !== undefined && origen === claseDe(arista.targetId);
+    }).length;
+
+    const colores = [...new Set(nodos.map(nodo => nodo.color).filter(Boolean))];
+    const coincidencias = colores.map(() => new Array(k).fill(0));
+    let coloredNodes = 0;
+    nodos.forEach(nodo => {
+        const clase = claseDe(nodo.id);
+        if (!nodo.color || clase === undefined) return;
+        coincidencias[colores.indexOf(nodo.color)][clase]++;
+        coloredNodes++;
+    });
+
+    const matchedNodes = coloredNodes > 0 ? mejorCorrespondencia(coincidencias, k) : 0;
+
+    return {
+        k,
+        plantedValid: internalEdges === 0 && unclassifiedNodes === 0,
+        internalEdges,
+        unclassifiedNodes,
+        coloredNodes,
+        colorsUsed: colores.length,
+        matchedNodes,
+        agreement: coloredNodes > 0 ? matchedNodes / coloredNodes : NaN,
+        recoveredPartition: coloredNodes === nodos.length && nodos.length > 0 && matchedNodes === coloredNodes
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Operadores del algoritmo evolutivo híbrido sobre coloraciones representadas como
+ * índice de color por vértice (Int32Array de largo n con valores 0..k-1).
+ * @module populationOperators
+ */
+
+/**
+ * Cruce GPX (Greedy Partition Crossover, Galinier y Hao): el hijo hereda clases de color
+ * completas de sus padres, alternándolos. En el paso l toma del padre de turno la clase más
+ * grande (contando solo los vértices que el hijo aún no tiene), le asigna el color l y así esos
+ * vértices dejan de contar en ambos padres. Tras k pasos, los vértices sin asignar reciben un
+ * color al azar.
+ * @param {Int32Array} padreA - Coloración del primer padre (aporta las clases pares).
+ * @param {Int32Array} padreB - Coloración del segundo padre (aporta las clases impares).
+ * @param {number} k - Número de colores.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Int32Array} Coloración del hijo.
+ */
+export function cruceGpx(padreA, padreB, k, aleatorio) {
+    const n = padreA.length;
+    const hijo = new Int32Array(n).fill(-1);
+    const tamano = new Int32Array(k);
+
+    for (let l = 0; l < k; l++) {
+        const padre = l % 2 === 0 ? padreA : padreB;
+        tamano.fill(0);
+        for (let v = 0; v < n; v++) {
+            if (hijo[v] === -1) tamano[padre[v]]++;
+        }
+
+        let mayor = 0;
+        for (let c = 1; c < k; c++) {
+            if (tamano[c] > tamano[mayor]) mayor = c;
+        }
+        if (tamano[mayor] === 0) break;
+
+        for (let v = 0; v < n; v++) {
+            if (hijo[v] === -1 && padre[v] === mayor) hijo[v] = l;
+        }
+    }
+
+    for (let v = 0; v < n; v++) {
+        if (hijo[v] === -1) hijo[v] = Math.floor(aleatorio() * k);
+    }
+    return hijo;
+}
+
+/**
+ * Cantidad de bits en 1 de un entero no negativo.
+ * @param {number} valor - Entero.
+ * @returns {number} Bits en 1.
+ */
+function contarBits(valor) {
+    let bits = 0;
+    for (let resto = valor; resto > 0; resto &= resto - 1) bits++;
+    return bits;
+}
+
+/**
+ * Distancia entre las particiones en clases de color de dos coloraciones: el mínimo de vértices
+ * que hay que recolorear en una para obtener la partición de la otra, con cualquier renombre de
+ * colores. Es n menos el emparejamiento de clases con más vértices en común (asignación de peso
+ * máximo sobre la matriz de coincidencias k × k), resuelto exacto por programación dinámica sobre
+ * subconjuntos de clases en O(n + 2^k · k).
+ * @param {Int32Array} a - Primera coloración.
+ * @param {Int32Array} b - Segunda coloración.
+ * @param {number} k - Número de colores.
+ * @returns {number} Distancia entre 0 y n.
+ */
+export function distanciaParticiones(a, b, k) {
+    const coincidencias = new Int32Array(k * k);
+    for (let v = 0; v < a.length; v++) coincidencias[a[v] * k + b[v]]++;
+
+    // mejor[mascara]: máximo de coincidencias emparejando las primeras |mascara| clases de a con las clases de b en mascara
+    const total = 1 << k;
+    const mejor = new Int32Array(total);
+    for (let mascara = 0; mascara < total - 1; mascara++) {
+        const i = contarBits(mascara);
+        for (let j = 0; j < k; j++) {
+            if (mascara & (1 << j)) continue;
+            const valor = mejor[mascara] + coincidencias[i * k + j];
+            if (valor > mejor[mascara | (1 << j)]) mejor[mascara | (1 << j)] = valor;
+        }
+    }
+
+    return a.length - mejor[total - 1];
+}
+
+/**
+ * Diversidad de una población: distancia media entre las particiones de cada par de
+ * individuos, dividida por n (0 = todos iguales salvo renombre de colores).
+ * @param {Array<Int32Array>} poblacion - Coloraciones de la población.
+ * @param {number} k - Número de colores.
+ * @returns {number} Diversidad entre 0 y 1.
+ */
+export function diversidadPoblacion(poblacion, k) {
+    const n = poblacion[0]?.length ?? 0;
+    if (poblacion.length < 2 || n === 0) return 0;
+
+    let suma = 0;
+    let pares = 0;
+    for (let i = 0; i < poblacion.length; i++) {
+        for (let j = i + 1; j < poblacion.length; j++) {
+            suma += distanciaParticiones(poblacion[i], poblacion[j], k);
+            pares++;
+        }
+    }
+    return suma / pares / n;
+}
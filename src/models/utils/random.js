@@ -0,0 +1,64 @@
+/**
+ * Generadores de números pseudoaleatorios con semilla.
+ * Todas las fuentes de azar del modelo (generación de grafos, layout y algoritmos)
+ * reciben una función `aleatorio()` con la misma firma que `Math.random`, de modo
+ * que una misma semilla reproduce exactamente la misma ejecución.
+ * @module random
+ */
+
+/** Valor máximo de una semilla (entero sin signo de 32 bits). */
+export const SEMILLA_MAXIMA = 0xFFFFFFFF;
+
+/**
+ * Genera una semilla nueva a partir de Math.random.
+ * @returns {number} Entero sin signo de 32 bits.
+ */
+export function generarSemilla() {
+    return Math.floor(Math.random() * SEMILLA_MAXIMA) >>> 0;
+}
+
+/**
+ * Crea un generador mulberry32 a partir de una semilla.
+ * @param {number} semilla - Entero usado como estado inicial.
+ * @returns {Function} Función sin argumentos que devuelve un número en [0, 1).
+ */
+export function crearGeneradorAleatorio(semilla) {
+    let estado = semilla >>> 0;
+    return function aleatorio() {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Normaliza la semilla ingresada por el usuario.
+ * @param {number|string|null|undefined} valor - Semilla ingresada (vacía para generar una nueva).
+ * @returns {number} Semilla válida; si el valor no es un entero no negativo se genera una nueva.
+ */
+export function resolverSemilla(valor) {
+    if (valor === null || valor === undefined || valor === '') {
+        return generarSemilla();
+    }
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 0 || numero > SEMILLA_MAXIMA) {
+        return generarSemilla();
+    }
+    return numero;
+}
+
+/**
+ * Deriva semillas independientes a partir de una semilla base (p. ej. una por worker en
+ * ejecuciones paralelas). El índice 0 conserva la semilla base, de modo que una ejecución
+ * con un solo worker reproduce la secuencial.
+ * @param {number} semilla - Semilla base.
+ * @param {number} indice - Índice de la semilla derivada.
+ * @returns {number} Entero sin signo de 32 bits.
+ */
+export function derivarSemilla(semilla, indice) {
+    if (indice === 0) return semilla >>> 0;
+    const aleatorio = crearGeneradorAleatorio((semilla ^ Math.imul(indice, 0x9E3779B9)) >>> 0);
+    return Math.floor(aleatorio() * SEMILLA_MAXIMA) >>> 0;
+}
@@ -4,18 +4,17 @@
  * @module recolorAnalysis
  */
 
-import { obtenerVecinosNodo, obtenerColoresVecinos } from './graphAnalysis.js';
+import { obtenerNodosVecinos, obtenerColoresNodosVecinos } from './graphAnalysis.js';
 
 /**
  * Calcula el impacto de recolorear un nodo con un nuevo color.
  * @param {number} idNodo - Identificador del nodo a recolorear.
  * @param {string} nuevoColor - Nuevo color a asignar.
- * @param {Array<Node>} nodos - Array de nodos del grafo.
- * @param {Array<Edge>} aristas - Array de aristas del grafo.
+ * @param {Graph} grafo - Grafo con su adyacencia indexada.
  * @returns {Object} Análisis de impacto con información de vecinos y conflictos.
  */
-export function calcularImpactoRecoloracion(idNodo, nuevoColor, nodos, aristas) {
-    const vecinos = obtenerVecinosNodo(idNodo, aristas, nodos);
+export function calcularImpactoRecoloracion(idNodo, nuevoColor, grafo) {
+    const vecinos = obtenerNodosVecinos(grafo, idNodo);
 
     const vecinosConflictivos = vecinos.filter(nodo => nodo.color === nuevoColor);
 
@@ -30,12 +29,11 @@ export function calcularImpactoRecoloracion(idNodo, nuevoColor, nodos, aristas)
  * Calcula la probabilidad de recolorear exitosamente vecinos en conflicto.
  * @param {Array<Node>} vecinosConflictivos - Array de vecinos con conflictos de color.
  * @param {Array<string>} coloresDisponibles - Array de colores disponibles.
- * @param {Array<Edge>} aristas - Array de aristas del grafo.
- * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Graph} grafo - Grafo con su adyacencia indexada.
  * @param {number} numeroColores - Número total de colores disponibles.
  * @returns {Object} Cálculo de probabilidad de éxito y conteo recoloreable.
  */
-export function calcularProbabilidadExito(vecinosConflictivos, coloresDisponibles, aristas, nodos, numeroColores) {
+export function calcularProbabilidadExito(vecinosConflictivos, coloresDisponibles, grafo, numeroColores) {
     if (vecinosConflictivos.length === 0) {
         return { probabilidad: 1.0, conteoRecoloreables: 0 };
     }
@@ -43,7 +41,7 @@ export function calcularProbabilidadExito(vecinosConflictivos, coloresDisponible
     let cantidadRecoloreables = 0;
 
     for (const vecino of vecinosConflictivos) {
-        const coloresVecino = obtenerColoresVecinos(vecino.id, aristas, nodos);
+        const coloresVecino = obtenerColoresNodosVecinos(grafo, vecino.id);
         const coloresAlternativos = coloresDisponibles.filter(color => !coloresVecino.has(color));
 
         if (coloresAlternativos.length > 0) {
@@ -65,19 +63,18 @@ export function calcularProbabilidadExito(vecinosConflictivos, coloresDisponible
  * Genera sugerencias de color para vecinos en conflicto.
  * @param {Array<Node>} vecinosConflictivos - Array de vecinos con conflictos de color.
  * @param {Array<string>} coloresDisponibles - Array de colores disponibles.
- * @param {Array<Edge>} aristas - Array de aristas del grafo.
- * @param {Array<Node>} nodos - Array de nodos del grafo.
+ * @param {Graph} grafo - Grafo con su adyacencia indexada.
  * @returns {Array<Object>} Array de objetos de sugerencia con ID de nodo, color actual y alternativas.
  */
-export function generarSugerenciasRecoloracion(vecinosConflictivos, coloresDisponibles, aristas, nodos) {
+export function generarSugerenciasRecoloracion(vecinosConflictivos, coloresDisponibles, grafo) {
     const sugerencias = [];
 
     for (const vecino of vecinosConflictivos) {
-        const coloresVecino = obtenerColoresVecinos(vecino.id, aristas, nodos);
+        const coloresVecino = obtenerColoresNodosVecinos(grafo, vecino.id);
         const coloresSugeridos = coloresDisponibles.filter(color => !coloresVecino.has(color));
 
         if (coloresSugeridos.length > 0) {
-            const vecinosDelVecino = obtenerVecinosNodo(vecino.id, aristas, nodos);
+            const vecinosDelVecino = obtenerNodosVecinos(grafo, vecino.id);
             const cantidadConflictos = vecinosDelVecino.filter(nodo => nodo.color === vecino.color).length;
 
             sugerencias.push({
@@ -0,0 +1,245 @@
+/**
+ * Formato de documento JSON para guardar y abrir sesiones completas
+ * (grafo con posiciones, coloración, estadísticas, historial de intentos, la solución oculta
+ * de los grafos plantados y los datos de los grafos del catálogo).
+ * Cada documento lleva `schemaVersion`; al leerlo se aplican en orden las
+ * migraciones hasta la versión actual, de modo que los archivos antiguos sigan abriéndose.
+ * @module session
+ */
+
+import { COLOR_PALETTE, GRAPH_CONSTRAINTS } from '../constants/index.js';
+
+/** Identificador del formato, para rechazar JSON que no sean sesiones. */
+export const SESSION_FORMAT = 'coloracion-grafos/sesion';
+
+/** Versión actual del esquema del documento. */
+export const SESSION_SCHEMA_VERSION = 3;
+
+/** Máximo de intentos del historial guardados; si hay más se guarda una muestra uniforme. */
+export const SESSION_MAX_HISTORY = 20000;
+
+/**
+ * Migraciones entre versiones del esquema: MIGRACIONES[v] convierte un documento
+ * de la versión v a la versión v + 1. Al cambiar el formato se incrementa
+ * SESSION_SCHEMA_VERSION y se agrega aquí la migración correspondiente.
+ */
+const MIGRACIONES = {
+    // v2: coloración plantada de los grafos k-coloreables con solución oculta
+    1: (documento) => ({ ...documento, schemaVersion: 2, plantedColoring: null }),
+    // v3: grafo del catálogo de grafos clásicos y su número cromático
+    2: (documento) => ({ ...documento, schemaVersion: 3, namedGraph: null })
+};
+
+/**
+ * Reduce el historial a una muestra uniforme que conserva el primer y el último intento.
+ * @param {Array<Object>} historial - Historial de intentos.
+ * @param {number} maximo - Cantidad máxima de intentos.
+ * @returns {Array<Object>} Historial muestreado.
+ */
+function muestrearHistorial(historial, maximo) {
+    if (historial.length <= maximo) return historial;
+    const paso = (historial.length - 1) / (maximo - 1);
+    return Array.from({ length: maximo }, (_, i) => historial[Math.round(i * paso)]);
+}
+
+/**
+ * Crea el documento de sesión a partir del estado actual.
+ * @param {Object} estado - Estado a guardar.
+ * @param {Array<Node>} estado.nodos - Nodos del grafo (id, x, y, color).
+ * @param {Array<Edge>} estado.aristas - Aristas del grafo.
+ * @param {number} estado.numColors - Número de colores seleccionado.
+ * @param {Object|null} estado.coloringStats - Estadísticas de la última coloración.
+ * @param {Array<Object>} estado.attemptsHistory - Historial de intentos (gráfico de conflictos).
+ * @param {number|null} [estado.graphSeed] - Semilla del grafo aleatorio, si corresponde.
+ * @param {{k: number, classes: Object<number, number>}|null} [estado.plantedColoring] - Solución oculta
+ * del grafo plantado; solo se guardan las clases de los nodos que siguen en el grafo.
+ * @param {Object|null} [estado.namedGraph] - Grafo del catálogo (id, nombre, parámetros, χ y firma).
+ * @returns {Object} Documento serializable con JSON.stringify.
+ */
+export function crearDocumentoSesion({
+    nodos, aristas, numColors, coloringStats, attemptsHistory, graphSeed = null, plantedColoring = null, namedGraph = null
+}) {
+    let plantada = null;
+    if (plantedColoring) {
+        const classes = {};
+        nodos.forEach(nodo => {
+            if (nodo.id in plantedColoring.classes) classes[nodo.id] = plantedColoring.classes[nodo.id];
+        });
+        plantada = { k: plantedColoring.k, classes };
+    }
+
+    return {
+        format: SESSION_FORMAT,
+        schemaVersion: SESSION_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        graph: {
+            nodes: nodos.map(nodo => ({ id: nodo.id, x: nodo.x, y: nodo.y, color: nodo.color ?? null })),
+            edges: aristas.map(arista => ({ sourceId: arista.sourceId, targetId: arista.targetId }))
+        },
+        coloring: {
+            numColors,
+            coloringStats: coloringStats ?? null,
+            attemptsHistory: muestrearHistorial(attemptsHistory ?? [], SESSION_MAX_HISTORY)
+        },
+        graphSeed,
+        plantedColoring: plantada,
+        namedGraph
+    };
+}
+
+/**
+ * Valida el grafo de un documento de sesión ya migrado.
+ * @param {Object} grafo - Sección graph del documento.
+ * @param {number} maxNodos - Máximo de nodos permitidos.
+ * @throws {Error} Si algún nodo o arista es inválido.
+ */
+function validarGrafo(grafo, maxNodos) {
+    if (!grafo || !Array.isArray(grafo.nodes) || !Array.isArray(grafo.edges)) {
+        throw new Error('La sesión no contiene la lista de nodos y aristas.');
+    }
+    if (grafo.nodes.length > maxNodos) {
+        throw new Error(`La sesión tiene ${grafo.nodes.length} nodos y el máximo permitido es ${maxNodos}.`);
+    }
+
+    const ids = new Set();
+    grafo.nodes.forEach((nodo, i) => {
+        const coordenadaValida = (valor) => typeof valor === 'number' && valor >= 0 && valor <= 1;
+        if (!Number.isInteger(nodo?.id) || !coordenadaValida(nodo.x) || !coordenadaValida(nodo.y)) {
+            throw new Error(`Nodo ${i + 1}: se esperaba un id entero y coordenadas x, y entre 0 y 1.`);
+        }
+        if (ids.has(nodo.id)) {
+            throw new Error(`Nodo ${i + 1}: el id ${nodo.id} está repetido.`);
+        }
+        if (nodo.color !== null && nodo.color !== undefined && !COLOR_PALETTE.NAMES.includes(nodo.color)) {
+            throw new Error(`Nodo ${nodo.id}: el color "${nodo.color}" no pertenece a la paleta.`);
+        }
+        ids.add(nodo.id);
+    });
+
+    grafo.edges.forEach((arista, i) => {
+        if (!ids.has(arista?.sourceId) || !ids.has(arista?.targetId) || arista.sourceId === arista.targetId) {
+            throw new Error(`Arista ${i + 1}: debe unir dos nodos distintos existentes.`);
+        }
+    });
+}
+
+/**
+ * Valida la coloración plantada de un documento de sesión ya migrado.
+ * @param {Object|null} plantada - Sección plantedColoring del documento.
+ * @param {Array<Object>} nodos - Nodos del documento, ya validados.
+ * @throws {Error} Si el número de clases es inválido o alguna clase no corresponde a un nodo.
+ */
+function validarColoracionPlantada(plantada, nodos) {
+    if (plantada === null || plantada === undefined) return;
+
+    const { k, classes } = plantada;
+    if (!Number.isInteger(k) || k < GRAPH_CONSTRAINTS.MIN_COLORS || k > GRAPH_CONSTRAINTS.MAX_COLORS) {
+        throw new Error(
+            `La solución oculta debe tener entre ${GRAPH_CONSTRAINTS.MIN_COLORS} y ${GRAPH_CONSTRAINTS.MAX_COLORS} clases.`
+        );
+    }
+    if (!classes || typeof classes !== 'object' || Array.isArray(classes)) {
+        throw new Error('La solución oculta no contiene la clase de cada nodo.');
+    }
+
+    const ids = new Set(nodos.map(nodo => String(nodo.id)));
+    Object.entries(classes).forEach(([id, clase]) => {
+        if (!ids.has(id)) {
+            throw new Error(`Solución oculta: el nodo ${id} no existe.`);
+        }
+        if (!Number.isInteger(clase) || clase < 0 || clase >= k) {
+            throw new Error(`Solución oculta: el nodo ${id} debe tener una clase entre 0 y ${k - 1}.`);
+        }
+    });
+}
+
+/**
+ * Valida los datos del grafo del catálogo de un documento de sesión ya migrado.
+ * @param {Object|null} conocido - Sección namedGraph del documento.
+ * @throws {Error} Si faltan el nombre, el número cromático o la firma.
+ */
+function validarGrafoConocido(conocido) {
+    if (conocido === null || conocido === undefined) return;
+    if (
+        typeof conocido.id !== 'string' ||
+        typeof conocido.name !== 'string' ||
+        typeof conocido.signature !== 'string' ||
+        !Number.isInteger(conocido.chromaticNumber) ||
+        conocido.chromaticNumber < 1
+    ) {
+        throw new Error('Los datos del grafo del catálogo están incompletos.');
+    }
+}
+
+/**
+ * Valida las estadísticas y el historial de intentos de un documento de sesión ya migrado.
+ * @param {Object} coloracion - Sección coloring del documento.
+ * @throws {Error} Si las estadísticas no son un objeto o algún intento del historial es inválido.
+ */
+function validarResultados(coloracion) {
+    const { coloringStats, attemptsHistory } = coloracion;
+    if (coloringStats !== null && coloringStats !== undefined &&
+        (typeof coloringStats !== 'object' || Array.isArray(coloringStats))) {
+        throw new Error('Las estadísticas de la coloración deben ser un objeto o null.');
+    }
+    if (attemptsHistory === null || attemptsHistory === undefined) return;
+    if (!Array.isArray(attemptsHistory)) {
+        throw new Error('El historial de intentos debe ser una lista.');
+    }
+    attemptsHistory.forEach((intento, i) => {
+        if (
+            !intento || typeof intento !== 'object' || Array.isArray(intento) ||
+            !Number.isInteger(intento.attemptNumber) || !Number.isFinite(intento.conflicts)
+        ) {
+            throw new Error(`Intento ${i + 1}: se esperaba un objeto con attemptNumber entero y conflicts numérico.`);
+        }
+    });
+}
+
+/**
+ * Lee un documento de sesión: lo migra a la versión actual y valida su contenido.
+ * @param {Object} documento - Objeto obtenido con JSON.parse.
+ * @param {Object} [opciones={}] - Opciones de lectura.
+ * @param {number} [opciones.maxNodos=GRAPH_CONSTRAINTS.MAX_NODES] - Máximo de nodos permitidos.
+ * @returns {Object} Documento en la versión actual del esquema.
+ * @throws {Error} Si el documento no es una sesión, es de una versión más nueva o es inválido.
+ */
+export function leerDocumentoSesion(documento, opciones = {}) {
+    const maxNodos = opciones.maxNodos ?? GRAPH_CONSTRAINTS.MAX_NODES;
+
+    if (!documento || documento.format !== SESSION_FORMAT || !Number.isInteger(documento.schemaVersion)) {
+        throw new Error('El archivo no es una sesión guardada por esta aplicación.');
+    }
+    if (documento.schemaVersion > SESSION_SCHEMA_VERSION) {
+        throw new Error(
+            `La sesión usa la versión ${documento.schemaVersion} del formato y esta aplicación solo conoce hasta la ${SESSION_SCHEMA_VERSION}.`
+        );
+    }
+
+    let actual = documento;
+    while (actual.schemaVersion < SESSION_SCHEMA_VERSION) {
+        const migrar = MIGRACIONES[actual.schemaVersion];
+        if (!migrar) {
+            throw new Error(`No hay migración desde la versión ${actual.schemaVersion} del formato.`);
+        }
+        actual = migrar(actual);
+    }
+
+    validarGrafo(actual.graph, maxNodos);
+    validarColoracionPlantada(actual.plantedColoring, actual.graph.nodes);
+    validarGrafoConocido(actual.namedGraph);
+
+    const numColors = actual.coloring?.numColors;
+    if (
+        !Number.isInteger(numColors) ||
+        numColors < GRAPH_CONSTRAINTS.MIN_COLORS ||
+        numColors > GRAPH_CONSTRAINTS.MAX_COLORS
+    ) {
+        throw new Error(
+            `El número de colores debe estar entre ${GRAPH_CONSTRAINTS.MIN_COLORS} y ${GRAPH_CONSTRAINTS.MAX_COLORS}.`
+        );
+    }
+    validarResultados(actual.coloring);
+
+    return actual;
+}
@@ -0,0 +1,138 @@
+import {
+    crearDocumentoSesion,
+    leerDocumentoSesion,
+    SESSION_FORMAT,
+    SESSION_MAX_HISTORY,
+    SESSION_SCHEMA_VERSION
+} from './session.js';
+
+/**
+ * Documento de sesión mínimo en la versión 1 del esquema.
+ * @returns {Object} Documento v1.
+ */
+function documentoV1() {
+    return {
+        format: SESSION_FORMAT,
+        schemaVersion: 1,
+        savedAt: '2024-01-01T00:00:00.000Z',
+        graph: {
+            nodes: [
+                { id: 1, x: 0.2, y: 0.3, color: null },
+                { id: 2, x: 0.8, y: 0.5, color: null }
+            ],
+            edges: [{ sourceId: 1, targetId: 2 }]
+        },
+        coloring: { numColors: 3, coloringStats: null, attemptsHistory: [] },
+        graphSeed: 42
+    };
+}
+
+describe('crearDocumentoSesion', () => {
+    test('guarda una muestra uniforme del historial que conserva el primer y el último intento', () => {
+        const historial = Array.from({ length: SESSION_MAX_HISTORY * 2 + 1 }, (_, i) => ({ attemptNumber: i + 1 }));
+        const documento = crearDocumentoSesion({
+            nodos: [], aristas: [], numColors: 3, coloringStats: null, attemptsHistory: historial
+        });
+        const guardado = documento.coloring.attemptsHistory;
+
+        expect(guardado).toHaveLength(SESSION_MAX_HISTORY);
+        expect(guardado[0]).toBe(historial[0]);
+        expect(guardado[guardado.length - 1]).toBe(historial[historial.length - 1]);
+    });
+});
+
+describe('leerDocumentoSesion', () => {
+    test('migra un documento v1 a la versión actual conservando sus datos', () => {
+        const original = documentoV1();
+        const sesion = leerDocumentoSesion(original);
+
+        expect(SESSION_SCHEMA_VERSION).toBe(3);
+        expect(sesion).toEqual({ ...original, schemaVersion: 3, plantedColoring: null, namedGraph: null });
+        expect(original.schemaVersion).toBe(1);
+    });
+
+    test('migra un documento v2 conservando su solución oculta', () => {
+        const plantedColoring = { k: 3, classes: { 1: 0, 2: 2 } };
+        const sesion = leerDocumentoSesion({ ...documentoV1(), schemaVersion: 2, plantedColoring });
+
+        expect(sesion.schemaVersion).toBe(3);
+        expect(sesion.plantedColoring).toEqual(plantedColoring);
+        expect(sesion.namedGraph).toBeNull();
+    });
+
+    test('valida la solución oculta', () => {
+        const documento = { ...documentoV1(), schemaVersion: 2, plantedColoring: { k: 3, classes: { 1: 0, 7: 1 } } };
+        expect(() => leerDocumentoSesion(documento)).toThrow('Solución oculta: el nodo 7 no existe.');
+    });
+
+    test('valida el grafo del catálogo', () => {
+        const documento = { ...documentoV1(), schemaVersion: 3, plantedColoring: null, namedGraph: { id: 'petersen' } };
+        expect(() => leerDocumentoSesion(documento)).toThrow('Los datos del grafo del catálogo están incompletos.');
+    });
+
+    test('lee sin cambios un documento creado por crearDocumentoSesion', () => {
+        const documento = crearDocumentoSesion({
+            nodos: [{ id: 1, x: 0.1, y: 0.1, color: null }, { id: 2, x: 0.9, y: 0.9 }],
+            aristas: [{ sourceId: 1, targetId: 2 }],
+            numColors: 4,
+            coloringStats: { algorithm: 'Las Vegas', seed: 7 },
+            attemptsHistory: [{ attemptNumber: 1, conflicts: 0, success: true }]
+        });
+
+        expect(leerDocumentoSesion(JSON.parse(JSON.stringify(documento)))).toEqual(documento);
+    });
+
+    test('rechaza documentos que no son sesiones', () => {
+        expect(() => leerDocumentoSesion(null))
+            .toThrow('El archivo no es una sesión guardada por esta aplicación.');
+        expect(() => leerDocumentoSesion({ ...documentoV1(), format: 'otro' }))
+            .toThrow('El archivo no es una sesión guardada por esta aplicación.');
+        expect(() => leerDocumentoSesion({ ...documentoV1(), schemaVersion: '1' }))
+            .toThrow('El archivo no es una sesión guardada por esta aplicación.');
+    });
+
+    test('rechaza documentos de una versión más nueva', () => {
+        expect(() => leerDocumentoSesion({ ...documentoV1(), schemaVersion: SESSION_SCHEMA_VERSION + 1 }))
+            .toThrow(`La sesión usa la versión ${SESSION_SCHEMA_VERSION + 1} del formato`);
+    });
+
+    test('rechaza una versión sin migración', () => {
+        expect(() => leerDocumentoSesion({ ...documentoV1(), schemaVersion: 0 }))
+            .toThrow('No hay migración desde la versión 0 del formato.');
+    });
+
+    test.each([
+        ['una arista hacia un nodo inexistente', (d) => d.graph.edges.push({ sourceId: 1, targetId: 5 }),
+            'Arista 2: debe unir dos nodos distintos existentes.'],
+        ['un lazo', (d) => d.graph.edges.push({ sourceId: 2, targetId: 2 }),
+            'Arista 2: debe unir dos nodos distintos existentes.'],
+        ['coordenadas fuera de [0, 1]', (d) => { d.graph.nodes[1].x = 1.5; },
+            'Nodo 2: se esperaba un id entero y coordenadas x, y entre 0 y 1.'],
+        ['un id repetido', (d) => { d.graph.nodes[1].id = 1; }, 'Nodo 2: el id 1 está repetido.'],
+        ['un color fuera de la paleta', (d) => { d.graph.nodes[0].color = 'turquesa'; },
+            'Nodo 1: el color "turquesa" no pertenece a la paleta.'],
+        ['demasiados colores', (d) => { d.coloring.numColors = 99; }, 'El número de colores debe estar entre'],
+        ['sin nodos ni aristas', (d) => { delete d.graph; }, 'La sesión no contiene la lista de nodos y aristas.'],
+        ['estadísticas que no son un objeto', (d) => { d.coloring.coloringStats = 'ok'; },
+            'Las estadísticas de la coloración deben ser un objeto o null.'],
+        ['estadísticas en una lista', (d) => { d.coloring.coloringStats = []; },
+            'Las estadísticas de la coloración deben ser un objeto o null.'],
+        ['un historial que no es una lista', (d) => { d.coloring.attemptsHistory = 5; },
+            'El historial de intentos debe ser una lista.'],
+        ['un intento que no es un objeto', (d) => { d.coloring.attemptsHistory = [{ attemptNumber: 1, conflicts: 0 }, 1]; },
+            'Intento 2: se esperaba un objeto con attemptNumber entero y conflicts numérico.'],
+        ['un intento sin conflictos', (d) => {
+            d.coloring.attemptsHistory = [{ attemptNumber: 1, conflicts: 0 }, { attemptNumber: 2 }];
+        },
+            'Intento 2: se esperaba un objeto con attemptNumber entero y conflicts numérico.']
+    ])('rechaza una sesión con %s', (_, modificar, mensaje) => {
+        const documento = documentoV1();
+        modificar(documento);
+        expect(() => leerDocumentoSesion(documento)).toThrow(mensaje);
+    });
+
+    test('rechaza sesiones con más nodos que maxNodos', () => {
+        expect(() => leerDocumentoSesion(documentoV1(), { maxNodos: 1 }))
+            .toThrow('La sesión tiene 2 nodos y el máximo permitido es 1.');
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Estadística descriptiva para los experimentos por lotes: media, mediana,
+ * desviación estándar e intervalos de confianza del 95 % con la distribución t de Student.
+ * @module statistics
+ */
+
+/**
+ * Valores críticos t de dos colas al 95 % para 1 a 30 grados de libertad.
+ */
+const VALORES_T_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+/**
+ * Valores críticos para más grados de libertad; se usa el del menor umbral alcanzado
+ * (conservador), y 1.96 (normal) desde 120.
+ */
+const VALORES_T_95_GRANDES = [
+    { gradosLibertad: 120, valor: 1.980 },
+    { gradosLibertad: 60, valor: 2.000 },
+    { gradosLibertad: 40, valor: 2.021 },
+    { gradosLibertad: 30, valor: 2.042 }
+];
+
+/**
+ * Valor crítico t de dos colas al 95 % de confianza.
+ * @param {number} gradosLibertad - Grados de libertad (n - 1).
+ * @returns {number} Valor crítico, o NaN si no hay grados de libertad.
+ */
+export function valorCriticoT95(gradosLibertad) {
+    if (!(gradosLibertad >= 1)) return NaN;
+    if (gradosLibertad <= VALORES_T_95.length) {
+        return VALORES_T_95[Math.floor(gradosLibertad) - 1];
+    }
+    if (gradosLibertad > 120) return 1.96;
+    return VALORES_T_95_GRANDES.find(fila => gradosLibertad >= fila.gradosLibertad).valor;
+}
+
+/**
+ * Resume una muestra de valores.
+ * Con un solo valor la desviación estándar y el intervalo quedan en NaN.
+ * @param {Array<number>} valores - Muestra.
+ * @returns {{n: number, mean: number, median: number, stddev: number, ciLow: number, ciHigh: number, min: number, max: number}}
+ * Media, mediana, desviación estándar muestral, intervalo de confianza del 95 % de la media, mínimo y máximo.
+ */
+export function resumirMuestra(valores) {
+    const n = valores.length;
+    if (n === 0) {
+        return { n: 0, mean: NaN, median: NaN, stddev: NaN, ciLow: NaN, ciHigh: NaN, min: NaN, max: NaN };
+    }
+
+    const ordenados = [...valores].sort((a, b) => a - b);
+    const mean = ordenados.reduce((suma, valor) => suma + valor, 0) / n;
+    const mitad = Math.floor(n / 2);
+    const median = n % 2 === 1 ? ordenados[mitad] : (ordenados[mitad - 1] + ordenados[mitad]) / 2;
+
+    const sumaCuadrados = ordenados.reduce((suma, valor) => suma + (valor - mean) ** 2, 0);
+    const stddev = n > 1 ? Math.sqrt(sumaCuadrados / (n - 1)) : NaN;
+    const margen = valorCriticoT95(n - 1) * stddev / Math.sqrt(n);
+
+    return {
+        n,
+        mean,
+        median,
+        stddev,
+        ciLow: mean - margen,
+        ciHigh: mean + margen,
+        min: ordenados[0],
+        max: ordenados[n - 1]
+    };
+}
@@ -0,0 +1,80 @@
+import { resumirMuestra, valorCriticoT95 } from './statistics.js';
+
+describe('valorCriticoT95', () => {
+    test.each([
+        [1, 12.706],
+        [2, 4.303],
+        [10, 2.228],
+        [29, 2.045],
+        [30, 2.042]
+    ])('usa la tabla exacta con %i grados de libertad', (gradosLibertad, valor) => {
+        expect(valorCriticoT95(gradosLibertad)).toBe(valor);
+    });
+
+    test.each([
+        [35, 2.042],
+        [40, 2.021],
+        [59, 2.021],
+        [60, 2.000],
+        [119, 2.000],
+        [120, 1.980]
+    ])('con %i grados de libertad usa el umbral menor alcanzado (conservador)', (gradosLibertad, valor) => {
+        expect(valorCriticoT95(gradosLibertad)).toBe(valor);
+    });
+
+    test('usa la normal (1.96) desde 121 grados de libertad', () => {
+        expect(valorCriticoT95(121)).toBe(1.96);
+        expect(valorCriticoT95(10000)).toBe(1.96);
+    });
+
+    test('es NaN sin grados de libertad', () => {
+        expect(valorCriticoT95(0)).toBeNaN();
+        expect(valorCriticoT95(NaN)).toBeNaN();
+    });
+});
+
+describe('resumirMuestra', () => {
+    test('calcula media, mediana, desviación muestral e intervalo t del 95 %', () => {
+        const resumen = resumirMuestra([9, 2, 4, 4, 5, 4, 7, 5]);
+        const stddev = Math.sqrt(32 / 7);
+        const margen = 2.365 * stddev / Math.sqrt(8);
+
+        expect(resumen.n).toBe(8);
+        expect(resumen.mean).toBe(5);
+        expect(resumen.median).toBe(4.5);
+        expect(resumen.stddev).toBeCloseTo(stddev, 12);
+        expect(resumen.ciLow).toBeCloseTo(5 - margen, 12);
+        expect(resumen.ciHigh).toBeCloseTo(5 + margen, 12);
+        expect(resumen.min).toBe(2);
+        expect(resumen.max).toBe(9);
+    });
+
+    test('la mediana de una muestra impar es el valor central', () => {
+        expect(resumirMuestra([3, 1, 2]).median).toBe(2);
+    });
+
+    test('una muestra constante tiene un intervalo de ancho cero', () => {
+        const resumen = resumirMuestra([4, 4, 4]);
+
+        expect(resumen.stddev).toBe(0);
+        expect(resumen.ciLow).toBe(4);
+        expect(resumen.ciHigh).toBe(4);
+    });
+
+    test('con un solo valor la desviación y el intervalo quedan en NaN', () => {
+        const resumen = resumirMuestra([7]);
+
+        expect(resumen.mean).toBe(7);
+        expect(resumen.median).toBe(7);
+        expect(resumen.stddev).toBeNaN();
+        expect(resumen.ciLow).toBeNaN();
+        expect(resumen.ciHigh).toBeNaN();
+    });
+
+    test('una muestra vacía devuelve NaN en todo salvo n', () => {
+        const { n, ...resto } = resumirMuestra([]);
+
+        expect(n).toBe(0);
+        Object.values(resto).forEach(valor => expect(valor).toBeNaN());
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Órdenes estáticos de vértices para el coloreo greedy secuencial.
+ * Trabajan sobre la adyacencia indexada del grafo (ver construirAdyacenciaIndexada)
+ * y devuelven los índices de vértice en el orden en que se colorean.
+ * @module vertexOrderings
+ */
+
+/**
+ * Grado de cada vértice de la adyacencia indexada.
+ * @param {{inicio: Int32Array}} adyacencia - Adyacencia indexada del grafo.
+ * @returns {Int32Array} Grado por índice de vértice.
+ */
+function grados(adyacencia) {
+    const { inicio } = adyacencia;
+    return Int32Array.from({ length: inicio.length - 1 }, (_, v) => inicio[v + 1] - inicio[v]);
+}
+
+/**
+ * Orden natural: por ID de nodo, es decir, en el orden en que se crearon los nodos.
+ * @param {{ids: Int32Array}} adyacencia - Adyacencia indexada del grafo.
+ * @returns {Int32Array} Índices de vértice en orden.
+ */
+export function ordenNatural(adyacencia) {
+    const { ids } = adyacencia;
+    return Int32Array.from(ids.keys()).sort((a, b) => ids[a] - ids[b]);
+}
+
+/**
+ * Orden de mayor grado primero (Welsh–Powell); los empates se resuelven por menor ID.
+ * @param {{ids: Int32Array, inicio: Int32Array}} adyacencia - Adyacencia indexada del grafo.
+ * @returns {Int32Array} Índices de vértice en orden.
+ */
+export function ordenMayorGradoPrimero(adyacencia) {
+    const { ids } = adyacencia;
+    const grado = grados(adyacencia);
+    return Int32Array.from(ids.keys()).sort((a, b) => grado[b] - grado[a] || ids[a] - ids[b]);
+}
+
+/**
+ * Orden de menor grado al final (orden de degeneración, Matula–Beck): se quita
+ * repetidamente el vértice de menor grado en el subgrafo restante y se colorea en el
+ * orden inverso. Así cada vértice tiene, al colorearse, a lo sumo d vecinos ya coloreados
+ * (d = degeneración del grafo) y el greedy usa como máximo d + 1 colores.
+ * Usa cubetas por grado, O(n + m).
+ * @param {{ids: Int32Array, inicio: Int32Array, vecinos: Int32Array}} adyacencia - Adyacencia indexada del grafo.
+ * @returns {Int32Array} Índices de vértice en orden.
+ */
+export function ordenMenorUltimo(adyacencia) {
+    const { ids, inicio, vecinos } = adyacencia;
+    const n = ids.length;
+    const grado = grados(adyacencia);
+    const gradoMaximo = grado.reduce((maximo, valor) => Math.max(maximo, valor), 0);
+
+    // Cubetas por grado actual como listas doblemente enlazadas
+    const cabeza = new Int32Array(gradoMaximo + 1).fill(-1);
+    const siguiente = new Int32Array(n).fill(-1);
+    const anterior = new Int32Array(n).fill(-1);
+    const quitado = new Uint8Array(n);
+
+    const insertar = (v) => {
+        anterior[v] = -1;
+        siguiente[v] = cabeza[grado[v]];
+        if (cabeza[grado[v]] !== -1) anterior[cabeza[grado[v]]] = v;
+        cabeza[grado[v]] = v;
+    };
+    const sacar = (v) => {
+        if (anterior[v] !== -1) siguiente[anterior[v]] = siguiente[v];
+        else cabeza[grado[v]] = siguiente[v];
+        if (siguiente[v] !== -1) anterior[siguiente[v]] = anterior[v];
+    };
+
+    // Insertar de atrás hacia adelante deja primero el menor índice de cada cubeta
+    for (let v = n - 1; v >= 0; v--) insertar(v);
+
+    const orden = new Int32Array(n);
+    let minimo = 0;
+    for (let posicion = n - 1; posicion >= 0; posicion--) {
+        while (cabeza[minimo] === -1) minimo++;
+        const v = cabeza[minimo];
+        sacar(v);
+        quitado[v] = 1;
+        orden[posicion] = v;
+
+        for (let p = inicio[v]; p < inicio[v + 1]; p++) {
+            const u = vecinos[p];
+            if (quitado[u]) continue;
+            sacar(u);
+            grado[u]--;
+            insertar(u);
+        }
+        // Quitar v baja el grado de sus vecinos en uno como máximo
+        minimo = Math.max(0, minimo - 1);
+    }
+
+    return orden;
+}
+
+/**
+ * Orden aleatorio uniforme (Fisher–Yates).
+ * @param {{ids: Int32Array}} adyacencia - Adyacencia indexada del grafo.
+ * @param {Function} aleatorio - Generador en [0, 1).
+ * @returns {Int32Array} Índices de vértice en orden.
+ */
+export function ordenAleatorio(adyacencia, aleatorio) {
+    const orden = Int32Array.from(adyacencia.ids.keys());
+    for (let i = orden.length - 1; i > 0; i--) {
+        const j = Math.floor(aleatorio() * (i + 1));
+        [orden[i], orden[j]] = [orden[j], orden[i]];
+    }
+    return orden;
+}
+
+/**
+ * Órdenes estáticos por clave (la clave es la que usan las opciones del algoritmo greedy).
+ * Cada función recibe la adyacencia indexada y el generador aleatorio.
+ */
+export const ORDENES_ESTATICOS = {
+    'natural': ordenNatural,
+    'largest-first': ordenMayorGradoPrimero,
+    'smallest-last': ordenMenorUltimo,
+    'random': ordenAleatorio
+};
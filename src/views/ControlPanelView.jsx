@@ -1,24 +1,60 @@
-import React, { useState } from "react";
-import { GRAPH_CONSTRAINTS, ITERATION_LIMITS } from "./constants/index.js";
+import React, { useEffect, useRef, useState } from "react";
+import {
+  GRAPH_CONSTRAINTS,
+  ITERATION_LIMITS,
+  ALGORITHM_OPTIONS,
+  ANNEALING_LIMITS,
+  HEA_LIMITS,
+  ACO_LIMITS,
+  GREEDY_ORDERINGS,
+  DEFAULT_RANDOM_GRAPH
+} from "./constants/index.js";
 import { OPACITY, TRANSITIONS } from "./constants/theme.js";
-import { validarOpcionesColoracion, validarSinNodosAislados } from "./utils/validations.js";
-import { formatearNumero } from "./utils/formatters.js";
+import { validarOpcionesColoracion, validarSinNodosAislados, validarSemilla } from "./utils/validations.js";
+import { formatearNumero, formatearPorcentaje } from "./utils/formatters.js";
+import { descargarArchivo, leerArchivoComoTexto } from "./utils/fileHelpers.js";
 import Button from "./components/Button.jsx";
 import RangeSlider from "./components/RangeSlider.jsx";
-import ToggleGroup from "./components/ToggleGroup.jsx";
+import SelectField from "./components/SelectField.jsx";
+import TextField from "./components/TextField.jsx";
 import ToggleSwitch from "./components/ToggleSwitch.jsx";
 import ProgressBar from "./components/ProgressBar.jsx";
 import PanelSection from "./components/PanelSection.jsx";
 import Modal from "./components/Modal.jsx";
+import GraphLibrary from "./components/GraphLibrary.jsx";
+import RandomGraphFields from "./components/RandomGraphFields.jsx";
+import NamedGraphFields from "./components/NamedGraphFields.jsx";
 
 /**
  * Construye opciones de coloración basadas en el tipo de algoritmo
  */
-function construirOpcionesColoracion(usarMonteCarlo, cantidadColores, iteraciones) {
+function construirOpcionesColoracion(algoritmo, cantidadColores, iteraciones, recocido, ordenGreedy, evolutivo, hormigas) {
+  const usarMonteCarlo = algoritmo === "montecarlo-dynamic";
+  const usarRecocido = algoritmo === "annealing-dynamic";
+  const usarEvolutivo = algoritmo === "hea";
+  const usarHormigas = algoritmo === "aco";
   return {
     numColors: cantidadColores,
-    algorithm: usarMonteCarlo ? "montecarlo-dynamic" : "lasvegas-dynamic",
-    iterations: usarMonteCarlo ? Number(iteraciones) : undefined
+    algorithm: algoritmo,
+    iterations: usarMonteCarlo ? Number(iteraciones) : undefined,
+    ...(algoritmo === "greedy" && { ordering: ordenGreedy }),
+    ...(usarRecocido && {
+      initialTemperature: Number(recocido.temperaturaInicial),
+      coolingRate: Number(recocido.factorEnfriamiento),
+      movesPerTemperature: Number(recocido.movimientosPorTemperatura)
+    }),
+    ...(usarEvolutivo && {
+      populationSize: Number(evolutivo.tamanoPoblacion),
+      maxGenerations: Number(evolutivo.generaciones),
+      tabuIterations: Number(evolutivo.iteracionesTabu)
+    }),
+    ...(usarHormigas && {
+      ants: Number(hormigas.cantidadHormigas),
+      evaporation: Number(hormigas.evaporacion),
+      heuristicWeight: Number(hormigas.pesoHeuristica),
+      maxCycles: Number(hormigas.ciclos),
+      showPheromones: hormigas.mapaFeromonas
+    })
   };
 }
 
@@ -45,13 +81,39 @@ function obtenerConfiguracionBotonPrincipal(esDinamico, estaEjecutando, tieneCam
  * @param {number} props.currentNodes - Número actual de nodos en el grafo
  * @param {Array} props.nodes - Array de objetos nodo en el grafo
  * @param {Array} props.edges - Array de objetos arista en el grafo
- * @param {Function} props.onGenerateRandomGraph - Callback para generar grafo aleatorio
+ * @param {Function} props.onGenerateRandomGraph - Callback para generar grafo aleatorio; recibe nodos, semilla y generador, y lanza Error si el generador es inválido
+ * @param {Function} props.onLoadNamedGraph - Callback para cargar un grafo del catálogo; recibe id, parámetros y semilla, y lanza Error si son inválidos
+ * @param {Object|null} props.namedGraph - Grafo del catálogo cargado (nombre y número cromático), o null si no hay uno o se editó
  * @param {Function} props.onReset - Callback to reset the graph
  * @param {Function} props.onClearColors - Callback to clear colors
  * @param {Function} props.onReorganize - Callback to reorganize nodes
  * @param {Function} props.onColorGraph - Callback to start coloring
+ * @param {Function} props.onPauseColoring - Callback para pausar la ejecución en curso
+ * @param {Function} props.onResumeColoring - Callback para reanudar la ejecución en pausa
+ * @param {Function} props.onStepColoring - Callback para ejecutar un solo paso en pausa
  * @param {Object} props.coloringStats - Statistics from coloring algorithm
  * @param {Function} props.onLocalSearch - Callback for local search
+ * @param {Function} props.onTabuSearch - Callback para optimizar con Tabucol
+ * @param {Function} props.onExactSolver - Callback para calcular el número cromático exacto
+ * @param {Function} props.onFindMaxClique - Callback para buscar un clique máximo
+ * @param {Function} props.onOpenComparison - Callback para abrir el espacio de comparación de algoritmos
+ * @param {boolean} props.comparisonRunning - Si hay una comparación en curso
+ * @param {Function} props.onOpenExperiments - Callback para abrir el espacio de experimentos por lotes
+ * @param {boolean} props.experimentRunning - Si hay un experimento en curso
+ * @param {Object|null} props.maxClique - Resultado de la búsqueda de clique máximo
+ * @param {Object|null} props.plantedComparison - Comparación de la coloración actual con la solución oculta (grafos plantados), o null
+ * @param {Function} props.onRevealPlantedColoring - Callback para colorear el grafo con su solución oculta
+ * @param {number|null} props.graphSeed - Semilla con la que se generó el grafo actual
+ * @param {Function} props.onImportDimacs - Callback para importar un archivo DIMACS; recibe el texto y lanza Error si es inválido
+ * @param {Function} props.onExportDimacs - Callback que devuelve el grafo actual en formato DIMACS
+ * @param {Function} props.onImportSession - Callback para abrir una sesión JSON; recibe el texto y lanza Error si es inválida
+ * @param {Function} props.onExportSession - Callback que devuelve la sesión actual como JSON
+ * @param {number} props.numColors - Número de colores del estado (p. ej. al abrir una sesión)
+ * @param {Object} props.library - Biblioteca de grafos guardados: { available, graphs }
+ * @param {Function} props.onSaveToLibrary - Callback para guardar el grafo actual con un nombre
+ * @param {Function} props.onOpenFromLibrary - Callback para abrir un grafo guardado
+ * @param {Function} props.onRenameInLibrary - Callback para renombrar un grafo guardado
+ * @param {Function} props.onDeleteFromLibrary - Callback para eliminar un grafo guardado
  * @param {boolean} props.hasManualChanges - If user made manual changes
  * @param {boolean} props.hasColoredGraph - If graph has been colored
  * @param {number} props.conflictsCount - Number of conflicts in current coloring
@@ -62,40 +124,177 @@ export default function ControlPanelView({
   nodes,
   edges,
   onGenerateRandomGraph,
+  onLoadNamedGraph,
+  namedGraph,
   onReset,
   onClearColors,
   onReorganize,
   onColorGraph,
+  onPauseColoring,
+  onResumeColoring,
+  onStepColoring,
   coloringStats,
   onLocalSearch,
+  onTabuSearch,
+  onExactSolver,
+  onFindMaxClique,
+  onOpenComparison,
+  comparisonRunning,
+  onOpenExperiments,
+  experimentRunning,
+  maxClique,
+  plantedComparison,
+  onRevealPlantedColoring,
+  graphSeed,
+  onImportDimacs,
+  onExportDimacs,
+  onImportSession,
+  onExportSession,
+  numColors,
+  library,
+  onSaveToLibrary,
+  onOpenFromLibrary,
+  onRenameInLibrary,
+  onDeleteFromLibrary,
   hasManualChanges,
   hasColoredGraph,
   conflictsCount,
 }) {
   const [nodosAleatorios, setNodosAleatorios] = useState(GRAPH_CONSTRAINTS.MIN_RANDOM_NODES);
+  const [generador, setGenerador] = useState(DEFAULT_RANDOM_GRAPH);
+  const [grafoClasico, setGrafoClasico] = useState({ id: 'petersen', params: {} });
 
   // Opciones de coloración
-  const [usarMonteCarlo, setUsarMonteCarlo] = useState(false); // false = Las Vegas, true = Monte Carlo
+  const [algoritmo, setAlgoritmo] = useState(ALGORITHM_OPTIONS[0].value);
   const [iteraciones, setIteraciones] = useState(ITERATION_LIMITS.MIN_ITERATIONS);
   const [numeroColores, setNumeroColores] = useState(GRAPH_CONSTRAINTS.MIN_COLORS);
+  const [temperaturaInicial, setTemperaturaInicial] = useState(ANNEALING_LIMITS.DEFAULT_TEMPERATURE);
+  const [factorEnfriamiento, setFactorEnfriamiento] = useState(ANNEALING_LIMITS.DEFAULT_COOLING_RATE);
+  const [movimientosPorTemperatura, setMovimientosPorTemperatura] = useState(ANNEALING_LIMITS.DEFAULT_MOVES);
+  const [ordenGreedy, setOrdenGreedy] = useState(GREEDY_ORDERINGS[0].value);
+  const [tamanoPoblacion, setTamanoPoblacion] = useState(HEA_LIMITS.DEFAULT_POPULATION);
+  const [generaciones, setGeneraciones] = useState(HEA_LIMITS.DEFAULT_GENERATIONS);
+  const [iteracionesTabu, setIteracionesTabu] = useState(HEA_LIMITS.DEFAULT_TABU_ITERATIONS);
+  const [cantidadHormigas, setCantidadHormigas] = useState(ACO_LIMITS.DEFAULT_ANTS);
+  const [evaporacion, setEvaporacion] = useState(ACO_LIMITS.DEFAULT_EVAPORATION);
+  const [pesoHeuristica, setPesoHeuristica] = useState(ACO_LIMITS.DEFAULT_HEURISTIC_WEIGHT);
+  const [ciclos, setCiclos] = useState(ACO_LIMITS.DEFAULT_CYCLES);
+  const [mapaFeromonas, setMapaFeromonas] = useState(true); // Halo de feromona por nodo en el canvas
   const [incrementoAutomaticoColores, setIncrementoAutomaticoColores] = useState(true); // Incremento automático de colores
+  const [tabuPasoAPaso, setTabuPasoAPaso] = useState(true); // true = loop dinámico, false = Web Worker
+  const [rlfPasoAPaso, setRlfPasoAPaso] = useState(true); // true = un vértice por paso con U y W en el canvas
+  const [semilla, setSemilla] = useState(''); // Vacía = semilla aleatoria en cada ejecución
+  const inputDimacsRef = useRef(null);
+  const inputSesionRef = useRef(null);
+
+  // Sincronizar el slider cuando el número de colores cambia fuera del panel
+  useEffect(() => {
+    if (numColors) {
+      setNumeroColores(numColors);
+    }
+  }, [numColors]);
 
   // Modal state para advertencias
   const [estadoModal, setEstadoModal] = useState({ isOpen: false, message: '' });
 
+  // Algoritmo seleccionado
+  const usarMonteCarlo = algoritmo === 'montecarlo-dynamic';
+  const usarRecocido = algoritmo === 'annealing-dynamic';
+  const usarGreedy = algoritmo === 'greedy';
+  const usarRlf = algoritmo === 'rlf';
+  const usarEvolutivo = algoritmo === 'hea';
+  const usarHormigas = algoritmo === 'aco';
+  const permiteIncrementoColores = algoritmo !== 'lasvegas-dynamic' && algoritmo !== 'lasvegas-smart';
+  const opcionAlgoritmo = ALGORITHM_OPTIONS.find(opcion => opcion.value === algoritmo);
+  const opcionOrdenGreedy = GREEDY_ORDERINGS.find(opcion => opcion.value === ordenGreedy);
+
+  // Semilla ingresada como número, o undefined para que el modelo genere una
+  const semillaIngresada = semilla.trim() === '' ? undefined : Number(semilla.trim());
+
+  const validarSemillaIngresada = () => {
+    const validacion = validarSemilla(semilla);
+    if (!validacion.valid) {
+      setEstadoModal({ isOpen: true, message: validacion.error });
+    }
+    return validacion.valid;
+  };
+
   const handleGenerateClick = () => {
+    if (!validarSemillaIngresada()) return;
     let cantidadNodos = Number(nodosAleatorios);
     if (Number.isNaN(cantidadNodos)) return;
     if (cantidadNodos < 1) cantidadNodos = 1;
     if (cantidadNodos > maxNodes) cantidadNodos = maxNodes;
-    onGenerateRandomGraph?.(cantidadNodos);
+    try {
+      onGenerateRandomGraph?.(cantidadNodos, semillaIngresada, generador);
+    } catch (error) {
+      setEstadoModal({ isOpen: true, message: error.message });
+    }
+  };
+
+  const handleLoadNamedGraphClick = () => {
+    if (!validarSemillaIngresada()) return;
+    try {
+      onLoadNamedGraph?.(grafoClasico.id, grafoClasico.params, semillaIngresada);
+    } catch (error) {
+      setEstadoModal({ isOpen: true, message: error.message });
+    }
+  };
+
+  // Lee el archivo elegido y lo pasa a la función de importación; los errores se muestran en el modal
+  const importarArchivo = async (event, importar) => {
+    const archivo = event.target.files?.[0];
+    // Permitir volver a elegir el mismo archivo
+    event.target.value = '';
+    if (!archivo) return;
+
+    try {
+      const texto = await leerArchivoComoTexto(archivo);
+      const resumen = importar?.(texto);
+      if (resumen?.warnings?.length > 0) {
+        setEstadoModal({
+          isOpen: true,
+          title: 'Importado con advertencias',
+          variant: 'info',
+          message: `Se importaron ${resumen.nodes} nodos y ${resumen.edges} aristas de "${archivo.name}".\n${resumen.warnings.join('\n')}`
+        });
+      }
+    } catch (error) {
+      setEstadoModal({
+        isOpen: true,
+        title: 'No se pudo importar',
+        variant: 'error',
+        message: `"${archivo.name}": ${error.message}`
+      });
+    }
+  };
+
+  const handleDimacsFileChange = (event) => importarArchivo(event, onImportDimacs);
+
+  const handleSessionFileChange = (event) => importarArchivo(event, onImportSession);
+
+  const handleExportSessionClick = () => {
+    const contenido = onExportSession?.();
+    if (contenido) {
+      descargarArchivo('sesion-coloracion.json', contenido, 'application/json');
+    }
+  };
+
+  const handleExportDimacsClick = () => {
+    const contenido = onExportDimacs?.();
+    if (contenido) {
+      descargarArchivo('grafo.col', contenido);
+    }
   };
 
   const handleResetClick = () => {
     onReset?.();
   };
 
-  const handleColorClick = () => {
+  // Inicia la coloración; `extra` permite fijar la semilla y repetir un solo worker de una ejecución paralela
+  const iniciarColoracion = (extra = {}) => {
+    if (!validarSemillaIngresada()) return;
+
     // Validar nodos aislados
     const validacionNodosAislados = validarSinNodosAislados(nodes, edges);
     if (!validacionNodosAislados.valid) {
@@ -104,7 +303,21 @@ export default function ControlPanelView({
     }
 
     const cantidadColores = Number(numeroColores);
-    const opciones = construirOpcionesColoracion(usarMonteCarlo, cantidadColores, iteraciones);
+    const opciones = construirOpcionesColoracion(algoritmo, cantidadColores, iteraciones, {
+      temperaturaInicial,
+      factorEnfriamiento,
+      movimientosPorTemperatura
+    }, ordenGreedy, {
+      tamanoPoblacion,
+      generaciones,
+      iteracionesTabu
+    }, {
+      cantidadHormigas,
+      evaporacion,
+      pesoHeuristica,
+      ciclos,
+      mapaFeromonas
+    });
 
     // Validar opciones de coloración
     const validacion = validarOpcionesColoracion(opciones);
@@ -115,11 +328,22 @@ export default function ControlPanelView({
 
     // Iniciar coloración con opciones validadas
     onColorGraph?.({
-      algorithm: opciones.algorithm,
-      speed: "fast",
-      numColors: cantidadColores,
+      ...opciones,
+      speed: usarRlf && rlfPasoAPaso ? "slow" : "fast",
+      seed: semillaIngresada,
       autoIncrementColors: incrementoAutomaticoColores, // Pasar opción de incremento automático
-      ...(usarMonteCarlo && { iterations: opciones.iterations })
+      ...extra
+    });
+  };
+
+  const handleColorClick = () => iniciarColoracion();
+
+  // Repite secuencialmente el worker que produjo la coloración de la última ejecución paralela
+  const handleReplayWorkerClick = () => {
+    setSemilla(String(coloringStats.seed));
+    iniciarColoracion({
+      seed: coloringStats.seed,
+      replayWorker: { index: coloringStats.workerIndex, count: coloringStats.workerCount }
     });
   };
 
@@ -135,11 +359,23 @@ export default function ControlPanelView({
     onLocalSearch?.();
   };
 
+  const handleTabuSearchClick = () => {
+    if (!validarSemillaIngresada()) return;
+    onTabuSearch?.({ speed: tabuPasoAPaso ? 'slow' : 'fast', seed: semillaIngresada });
+  };
+
+  const handleReorganizeClick = () => {
+    if (!validarSemillaIngresada()) return;
+    onReorganize?.(semillaIngresada);
+  };
+
   // Estado de algoritmo dinámico
   const esDinamico = coloringStats && coloringStats.dynamic;
   const esBusquedaLocal = coloringStats?.algorithm === 'Búsqueda Local';
   const progreso = esDinamico ? coloringStats.progress || 0 : 0;
   const estaEjecutando = esDinamico && coloringStats.isRunning;
+  const estaEnPausa = estaEjecutando && Boolean(coloringStats.isPaused);
+  const buscandoClique = Boolean(maxClique?.running);
 
   // Configuración del botón principal
   const configuracionBoton = obtenerConfiguracionBotonPrincipal(esDinamico, estaEjecutando, hasManualChanges, hasColoredGraph);
@@ -161,6 +397,44 @@ export default function ControlPanelView({
         </div>
       </div>
 
+      {/* Semilla del generador aleatorio */}
+      <PanelSection title="Semilla">
+        <TextField
+          label="Semilla"
+          value={semilla}
+          onChange={setSemilla}
+          placeholder="Aleatoria"
+          inputMode="numeric"
+          disabled={esDinamico && estaEjecutando}
+          hint="Con la misma semilla se repiten exactamente el grafo aleatorio, el layout y cada algoritmo. Vacía = aleatoria."
+        />
+        {graphSeed !== null && graphSeed !== undefined && (
+          <Button
+            variant="secondary"
+            onClick={() => setSemilla(String(graphSeed))}
+            disabled={esDinamico && estaEjecutando}
+          >
+            Usar semilla del grafo ({graphSeed})
+          </Button>
+        )}
+        {coloringStats?.seed !== undefined && !estaEjecutando && (
+          <Button
+            variant="secondary"
+            onClick={() => setSemilla(String(coloringStats.seed))}
+          >
+            Usar semilla de la ejecución ({coloringStats.seed})
+          </Button>
+        )}
+        {coloringStats?.workerCount !== undefined && !estaEjecutando && opcionAlgoritmo?.label === coloringStats.algorithm && (
+          <Button
+            variant="secondary"
+            onClick={handleReplayWorkerClick}
+          >
+            Repetir solo el worker {coloringStats.workerIndex + 1} de {coloringStats.workerCount}
+          </Button>
+        )}
+      </PanelSection>
+
       {/* Grafo aleatorio */}
       <PanelSection title="Grafo aleatorio" titleVariant="green">
         <RangeSlider
@@ -173,6 +447,13 @@ export default function ControlPanelView({
           disabled={esDinamico && estaEjecutando}
         />
 
+        <RandomGraphFields
+          value={generador}
+          onChange={setGenerador}
+          numNodes={Number(nodosAleatorios)}
+          disabled={esDinamico && estaEjecutando}
+        />
+
         <Button
           variant="success"
           onClick={handleGenerateClick}
@@ -182,6 +463,31 @@ export default function ControlPanelView({
         </Button>
       </PanelSection>
 
+      {/* Catálogo de grafos clásicos */}
+      <PanelSection title="Grafos clásicos" titleVariant="green">
+        <NamedGraphFields
+          value={grafoClasico}
+          onChange={setGrafoClasico}
+          disabled={esDinamico && estaEjecutando}
+        />
+
+        <Button
+          variant="success"
+          onClick={handleLoadNamedGraphClick}
+          disabled={esDinamico && estaEjecutando}
+        >
+          Cargar grafo
+        </Button>
+
+        {namedGraph && (
+          <p className="control-panel__field-hint">
+            Grafo actual: {namedGraph.name}, con χ(G) = <strong>{namedGraph.chromaticNumber}</strong>
+            {namedGraph.chromaticNumber > GRAPH_CONSTRAINTS.MAX_COLORS &&
+              ` (más que los ${GRAPH_CONSTRAINTS.MAX_COLORS} colores de la paleta)`}.
+          </p>
+        )}
+      </PanelSection>
+
       {/* Coloración de grafos */}
       <PanelSection title="Coloración">
         {/* Número de colores */}
@@ -196,21 +502,176 @@ export default function ControlPanelView({
         />
 
         {/* Tipo de algoritmo */}
-        <div className="control-panel__field">
-          <label className="control-panel__field-label">Algoritmo</label>
-          <ToggleGroup
-            options={[
-              { value: false, label: 'Las Vegas' },
-              { value: true, label: 'Monte Carlo' }
-            ]}
-            value={usarMonteCarlo}
-            onChange={setUsarMonteCarlo}
-            disabled={esDinamico && estaEjecutando}
-          />
-          <p className="control-panel__field-hint">
-            {usarMonteCarlo ? 'Iteraciones limitadas' : 'Busca solución válida'}
-          </p>
-        </div>
+        <SelectField
+          label="Algoritmo"
+          options={ALGORITHM_OPTIONS}
+          value={algoritmo}
+          onChange={setAlgoritmo}
+          disabled={esDinamico && estaEjecutando}
+          hint={opcionAlgoritmo?.hint}
+        />
+
+        {/* Orden de los vértices solo para el greedy secuencial */}
+        {usarGreedy && (
+          <>
+            <SelectField
+              label="Orden de los vértices"
+              options={GREEDY_ORDERINGS}
+              value={ordenGreedy}
+              onChange={setOrdenGreedy}
+              disabled={esDinamico && estaEjecutando}
+              hint={opcionOrdenGreedy?.hint}
+            />
+            <p className="control-panel__field-hint">
+              El canvas numera los vértices en el orden en que se colorearon.
+            </p>
+          </>
+        )}
+
+        {/* RLF puede ejecutarse paso a paso mostrando la clase en construcción */}
+        {usarRlf && (
+          <div className="control-panel__field">
+            <ToggleSwitch
+              checked={rlfPasoAPaso}
+              onChange={setRlfPasoAPaso}
+              disabled={esDinamico && estaEjecutando}
+              label="Paso a paso"
+            />
+            <p className="control-panel__field-hint">
+              {rlfPasoAPaso
+                ? 'Cada paso agrega un vértice a la clase. Anillo verde: candidatos; rojo punteado: excluidos por tener un vecino en la clase.'
+                : 'Colorea todo el grafo de una vez en el Web Worker.'}
+            </p>
+          </div>
+        )}
+
+        {/* Programa de enfriamiento solo para Recocido Simulado */}
+        {usarRecocido && (
+          <>
+            <RangeSlider
+              label="Temperatura inicial"
+              value={temperaturaInicial}
+              min={ANNEALING_LIMITS.MIN_TEMPERATURE}
+              max={ANNEALING_LIMITS.MAX_TEMPERATURE}
+              step={1}
+              onChange={setTemperaturaInicial}
+              disabled={esDinamico && estaEjecutando}
+            />
+            <RangeSlider
+              label="Factor de enfriamiento"
+              value={factorEnfriamiento}
+              min={ANNEALING_LIMITS.MIN_COOLING_RATE}
+              max={ANNEALING_LIMITS.MAX_COOLING_RATE}
+              step={ANNEALING_LIMITS.STEP_COOLING_RATE}
+              onChange={setFactorEnfriamiento}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={(valor) => valor.toFixed(3)}
+            />
+            <RangeSlider
+              label="Movimientos por temperatura"
+              value={movimientosPorTemperatura}
+              min={ANNEALING_LIMITS.MIN_MOVES}
+              max={ANNEALING_LIMITS.MAX_MOVES}
+              step={ANNEALING_LIMITS.STEP_MOVES}
+              onChange={setMovimientosPorTemperatura}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={formatearNumero}
+            />
+          </>
+        )}
+
+        {/* Población y búsqueda tabú solo para el Evolutivo híbrido */}
+        {usarEvolutivo && (
+          <>
+            <RangeSlider
+              label="Tamaño de la población"
+              value={tamanoPoblacion}
+              min={HEA_LIMITS.MIN_POPULATION}
+              max={HEA_LIMITS.MAX_POPULATION}
+              step={1}
+              onChange={setTamanoPoblacion}
+              disabled={esDinamico && estaEjecutando}
+            />
+            <RangeSlider
+              label="Generaciones"
+              value={generaciones}
+              min={HEA_LIMITS.MIN_GENERATIONS}
+              max={HEA_LIMITS.MAX_GENERATIONS}
+              step={HEA_LIMITS.STEP_GENERATIONS}
+              onChange={setGeneraciones}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={formatearNumero}
+            />
+            <RangeSlider
+              label="Iteraciones tabú por hijo"
+              value={iteracionesTabu}
+              min={HEA_LIMITS.MIN_TABU_ITERATIONS}
+              max={HEA_LIMITS.MAX_TABU_ITERATIONS}
+              step={HEA_LIMITS.STEP_TABU_ITERATIONS}
+              onChange={setIteracionesTabu}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={formatearNumero}
+            />
+          </>
+        )}
+
+        {/* Colonia y feromona solo para la Colonia de hormigas */}
+        {usarHormigas && (
+          <>
+            <RangeSlider
+              label="Hormigas por ciclo"
+              value={cantidadHormigas}
+              min={ACO_LIMITS.MIN_ANTS}
+              max={ACO_LIMITS.MAX_ANTS}
+              step={1}
+              onChange={setCantidadHormigas}
+              disabled={esDinamico && estaEjecutando}
+            />
+            <RangeSlider
+              label="Tasa de evaporación"
+              value={evaporacion}
+              min={ACO_LIMITS.MIN_EVAPORATION}
+              max={ACO_LIMITS.MAX_EVAPORATION}
+              step={ACO_LIMITS.STEP_EVAPORATION}
+              onChange={setEvaporacion}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={(valor) => valor.toFixed(2)}
+            />
+            <RangeSlider
+              label="Peso de la heurística (β)"
+              value={pesoHeuristica}
+              min={ACO_LIMITS.MIN_HEURISTIC_WEIGHT}
+              max={ACO_LIMITS.MAX_HEURISTIC_WEIGHT}
+              step={ACO_LIMITS.STEP_HEURISTIC_WEIGHT}
+              onChange={setPesoHeuristica}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={(valor) => valor.toFixed(1)}
+            />
+            <RangeSlider
+              label="Ciclos"
+              value={ciclos}
+              min={ACO_LIMITS.MIN_CYCLES}
+              max={ACO_LIMITS.MAX_CYCLES}
+              step={ACO_LIMITS.STEP_CYCLES}
+              onChange={setCiclos}
+              disabled={esDinamico && estaEjecutando}
+              formatValue={formatearNumero}
+            />
+            <div className="control-panel__field">
+              <ToggleSwitch
+                checked={mapaFeromonas}
+                onChange={setMapaFeromonas}
+                disabled={esDinamico && estaEjecutando}
+                label="Mapa de feromonas"
+              />
+              <p className="control-panel__field-hint">
+                {mapaFeromonas
+                  ? 'Cada nodo muestra un halo del color con más feromona; cuanto más intenso, más coinciden las hormigas en ese color.'
+                  : 'Sin halos: el canvas muestra solo la mejor coloración.'}
+              </p>
+            </div>
+          </>
+        )}
 
         {/* Iteraciones solo para Monte Carlo */}
         <RangeSlider
@@ -230,19 +691,19 @@ export default function ControlPanelView({
           }}
         />
 
-        {/* Opción de incremento automático de colores - Solo para Monte Carlo */}
+        {/* Opción de incremento automático de colores - Para algoritmos que pueden terminar con conflictos */}
         <div
           className="control-panel__field"
           style={{
-            opacity: usarMonteCarlo ? OPACITY.FULL : OPACITY.DISABLED,
-            pointerEvents: usarMonteCarlo ? 'auto' : 'none',
+            opacity: permiteIncrementoColores ? OPACITY.FULL : OPACITY.DISABLED,
+            pointerEvents: permiteIncrementoColores ? 'auto' : 'none',
             transition: TRANSITIONS.FAST
           }}
         >
           <ToggleSwitch
             checked={incrementoAutomaticoColores}
             onChange={setIncrementoAutomaticoColores}
-            disabled={!usarMonteCarlo || (esDinamico && estaEjecutando)}
+            disabled={!permiteIncrementoColores || (esDinamico && estaEjecutando)}
             label="Extensión automática de colores"
           />
         </div>
@@ -259,17 +720,221 @@ export default function ControlPanelView({
           {configuracionBoton.label}
         </Button>
 
-        {/* Progress bar - Only for probabilistic algorithms (Las Vegas, Monte Carlo), NOT for local search */}
+        {/* Pausar / reanudar / paso a paso de la ejecución en curso */}
+        {estaEjecutando && (
+          <div className="control-panel__run-controls">
+            <Button
+              variant="secondary"
+              onClick={estaEnPausa ? onResumeColoring : onPauseColoring}
+            >
+              {estaEnPausa ? 'Reanudar' : 'Pausar'}
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={() => onStepColoring?.()}
+              disabled={!estaEnPausa}
+            >
+              Paso
+            </Button>
+          </div>
+        )}
+        {estaEnPausa && (
+          <p className="control-panel__field-hint">
+            En pausa: el canvas muestra la coloración actual. Paso avanza una sola iteración.
+          </p>
+        )}
+
+        {/* Progress bar - For all algorithms except greedy local search */}
         {deberMostrarBarraProgreso && <ProgressBar progress={progreso} />}
       </PanelSection>
 
+      {/* Optimización de la coloración actual */}
+      <PanelSection title="Optimización">
+        <div className="control-panel__field">
+          <ToggleSwitch
+            checked={tabuPasoAPaso}
+            onChange={setTabuPasoAPaso}
+            disabled={esDinamico && estaEjecutando}
+            label="Paso a paso"
+          />
+          <p className="control-panel__field-hint">
+            Búsqueda tabú desde la coloración actual
+          </p>
+        </div>
+
+        <Button
+          variant="warning"
+          onClick={handleTabuSearchClick}
+          disabled={!hasColoredGraph || conflictsCount === 0 || (esDinamico && estaEjecutando)}
+        >
+          Optimizar con Tabucol
+        </Button>
+      </PanelSection>
+
+      {/* Número cromático exacto */}
+      <PanelSection title="Número cromático">
+        <p className="control-panel__field-hint">
+          Branch-and-bound con orden DSATUR y cota inferior por clique. Puede tardar en grafos densos; se cancela con Detener.
+        </p>
+        <Button
+          variant="secondary"
+          onClick={() => onExactSolver?.()}
+          disabled={currentNodes === 0 || (esDinamico && estaEjecutando)}
+        >
+          Calcular χ(G) exacto
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={() => onFindMaxClique?.()}
+          disabled={currentNodes === 0 || buscandoClique || (esDinamico && estaEjecutando)}
+        >
+          {buscandoClique ? 'Buscando clique…' : 'Buscar clique máximo'}
+        </Button>
+        {maxClique && !buscandoClique && (
+          <p className="control-panel__field-hint">
+            ω(G) {maxClique.complete ? '=' : '≥'} {maxClique.size}: se necesitan al menos{' '}
+            <strong>{maxClique.size} colores</strong>
+            {maxClique.size > numeroColores && ` (con ${numeroColores} no alcanza)`}.
+            {!maxClique.complete && ' Búsqueda cortada por límite; el clique puede no ser máximo.'}
+          </p>
+        )}
+      </PanelSection>
+
+      {/* Solución oculta de los grafos k-coloreables plantados */}
+      {plantedComparison && (
+        <PanelSection title="Solución oculta">
+          <p className="control-panel__field-hint">
+            El grafo se generó con una partición oculta en {plantedComparison.k} clases sin aristas internas:
+            se puede colorear con {plantedComparison.k} colores.
+          </p>
+          {!plantedComparison.plantedValid && (
+            <p className="control-panel__field-hint">
+              Las ediciones invalidaron la solución oculta
+              {plantedComparison.internalEdges > 0 && ` (${plantedComparison.internalEdges} aristas dentro de una clase)`}
+              {plantedComparison.unclassifiedNodes > 0 && ` (${plantedComparison.unclassifiedNodes} nodos nuevos sin clase)`}.
+            </p>
+          )}
+          {hasColoredGraph && plantedComparison.coloredNodes > 0 && !estaEjecutando && (
+            <p className="control-panel__field-hint">
+              Coincidencia con la solución oculta: <strong>{formatearPorcentaje(plantedComparison.agreement)}</strong>{' '}
+              ({plantedComparison.matchedNodes} de {plantedComparison.coloredNodes} nodos, con {plantedComparison.colorsUsed} colores).
+              {plantedComparison.recoveredPartition
+                ? ' La coloración es exactamente la partición oculta.'
+                : conflictsCount === 0 && ' La coloración es válida pero distinta de la oculta.'}
+            </p>
+          )}
+          <Button
+            variant="secondary"
+            onClick={() => onRevealPlantedColoring?.()}
+            disabled={esDinamico && estaEjecutando}
+          >
+            Mostrar solución oculta
+          </Button>
+        </PanelSection>
+      )}
+
+      {/* Comparación de algoritmos */}
+      <PanelSection title="Comparación">
+        <p className="control-panel__field-hint">
+          Ejecuta varios algoritmos sobre una copia del grafo y compara tiempo, intentos, conflictos y curvas.
+        </p>
+        <Button
+          variant="secondary"
+          onClick={() => onOpenComparison?.()}
+          disabled={currentNodes === 0 || (esDinamico && estaEjecutando)}
+        >
+          {comparisonRunning ? 'Ver comparación en curso' : 'Comparar algoritmos'}
+        </Button>
+      </PanelSection>
+
+      {/* Experimentos por lotes */}
+      <PanelSection title="Experimentos">
+        <p className="control-panel__field-hint">
+          Repite cada algoritmo sobre muchos grafos aleatorios y resume los resultados con intervalos de confianza.
+        </p>
+        <Button variant="secondary" onClick={() => onOpenExperiments?.()}>
+          {experimentRunning ? 'Ver experimento en curso' : 'Experimentos por lotes'}
+        </Button>
+      </PanelSection>
+
+      {/* Importar / Exportar DIMACS */}
+      <PanelSection title="Importar / Exportar">
+        <p className="control-panel__field-hint">
+          Formato DIMACS (.col): "p edge n m", una línea "e u v" por arista y comentarios "c". Máximo {maxNodes} nodos.
+        </p>
+        <input
+          ref={inputDimacsRef}
+          type="file"
+          accept=".col,.txt"
+          onChange={handleDimacsFileChange}
+          style={{ display: 'none' }}
+        />
+        <Button
+          variant="secondary"
+          onClick={() => inputDimacsRef.current?.click()}
+          disabled={esDinamico && estaEjecutando}
+        >
+          Importar .col
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={handleExportDimacsClick}
+          disabled={currentNodes === 0}
+        >
+          Exportar .col
+        </Button>
+        <p className="control-panel__field-hint">
+          Sesión (.json): grafo con posiciones, coloración, número de colores, estadísticas e historial de intentos.
+        </p>
+        <input
+          ref={inputSesionRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleSessionFileChange}
+          style={{ display: 'none' }}
+        />
+        <Button
+          variant="secondary"
+          onClick={() => inputSesionRef.current?.click()}
+          disabled={esDinamico && estaEjecutando}
+        >
+          Abrir sesión
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={handleExportSessionClick}
+          disabled={currentNodes === 0 || (esDinamico && estaEjecutando)}
+        >
+          Guardar sesión
+        </Button>
+      </PanelSection>
+
+      {/* Biblioteca de grafos guardados en el navegador */}
+      {library?.available && (
+        <PanelSection title="Biblioteca">
+          <p className="control-panel__field-hint">
+            Grafos guardados en este navegador con su coloración, para reutilizarlos entre clases.
+          </p>
+          <GraphLibrary
+            graphs={library.graphs}
+            onSave={onSaveToLibrary}
+            onOpen={onOpenFromLibrary}
+            onRename={onRenameInLibrary}
+            onDelete={onDeleteFromLibrary}
+            onError={(title, message) => setEstadoModal({ isOpen: true, title, variant: 'error', message })}
+            canSave={currentNodes > 0}
+            disabled={esDinamico && estaEjecutando}
+          />
+        </PanelSection>
+      )}
+
       {/* Reorganizar Layout */}
       <PanelSection
         title="Reorganizar"
       >
         <Button
           variant="secondary"
-          onClick={() => onReorganize?.()}
+          onClick={handleReorganizeClick}
           disabled={currentNodes === 0 || (esDinamico && estaEjecutando)}
         >
           Reorganizar layout
@@ -291,8 +956,8 @@ export default function ControlPanelView({
       <Modal
         isOpen={estadoModal.isOpen}
         onClose={() => setEstadoModal({ isOpen: false, message: '' })}
-        title="Advertencia"
-        variant="warning"
+        title={estadoModal.title || 'Advertencia'}
+        variant={estadoModal.variant || 'warning'}
         confirmText="Entendido"
       >
         {estadoModal.message}
@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from "react";
 import { COLOR_PALETTE, GRAPH_CONSTRAINTS } from "./constants/index.js";
-import { calcularViewBox, construirConjuntoConflictos, renderizarArista, renderizarNodo } from "./utils/svgHelpers.js";
+import { calcularViewBox, construirConjuntoConflictos, renderizarArista, renderizarNodo, renderizarInsigniaOrden, renderizarHaloFeromona } from "./utils/svgHelpers.js";
 import { useGraphInteraction } from "./hooks/useGraphInteraction.js";
 import { useZoomPan } from "./hooks/useZoomPan.js";
 import { useContextMenu } from "./hooks/useContextMenu.js";
@@ -8,6 +8,7 @@ import { useDragAndDrop } from "./hooks/useDragAndDrop.js";
 import { useKeyboardShortcuts } from "./hooks/useKeyboardShortcuts.js";
 import StatsColumn from "./components/StatsColumn.jsx";
 import ChartWithPagination from "./components/ChartWithPagination.jsx";
+import DiversityChart from "./components/DiversityChart.jsx";
 import Button from "./components/Button.jsx";
 import MetricsRow from "./components/MetricsRow.jsx";
 import MetricsSection from "./components/MetricsSection.jsx";
@@ -28,6 +29,9 @@ const MAPA_COLORES = COLOR_PALETTE.HEX_MAP;
  * @param {Function} props.onDeleteNode - Callback para eliminar un nodo
  * @param {Function} props.onManualRecolor - Callback para recolorear manualmente un nodo
  * @param {Function} props.onCreateNodeAt - Callback para crear nodo en posición
+ * @param {Function} props.onMoveNodeEnd - Callback al soltar un nodo arrastrado
+ * @param {Function} props.onUndo - Callback para deshacer la última edición
+ * @param {Function} props.onRedo - Callback para rehacer la última edición deshecha
  * @param {Array} props.attemptsHistory - Historial de intentos de coloración
  * @param {Object} props.recolorResult - Resultado de la operación de recoloración
  * @param {Function} props.setRecolorResult - Setter para el resultado de recoloración
@@ -42,6 +46,9 @@ export default function GraphCanvasView({
   onDeleteNode,
   onManualRecolor,
   onCreateNodeAt,
+  onMoveNodeEnd,
+  onUndo,
+  onRedo,
   attemptsHistory,
   recolorResult,
   setRecolorResult,
@@ -57,23 +64,30 @@ export default function GraphCanvasView({
 
   // Hooks personalizados para manejo de interacción
   const zoomPan = useZoomPan();
-  const interaccion = useGraphInteraction(svgRef, onConnectNodes, onMoveNode);
+  const interaccion = useGraphInteraction(svgRef, onConnectNodes, onMoveNode, onMoveNodeEnd);
   const contextMenuHook = useContextMenu(onManualRecolor);
   const dragDrop = useDragAndDrop(svgRef, onCreateNodeAt);
 
   // Estado de ejecución del algoritmo
   const estaEjecutando = graph.coloringStats?.dynamic && graph.coloringStats?.isRunning;
 
-  // Atajos de teclado para eliminación
+  // Atajos de teclado para eliminación y deshacer / rehacer
   useKeyboardShortcuts({
     selectedNodeId: interaccion.selectedNodeId,
     selectedEdge: interaccion.selectedEdge,
     onDeleteNode,
     onDeleteEdge,
     onClearSelection: interaccion.clearSelection,
+    onUndo,
+    onRedo,
     isEnabled: !estaEjecutando && !contextMenuHook.contextMenu
   });
 
+  // Estado de deshacer / rehacer
+  const historial = graph.editHistory;
+  const puedeDeshacer = Boolean(historial?.canUndo) && !estaEjecutando;
+  const puedeRehacer = Boolean(historial?.canRedo) && !estaEjecutando;
+
   // Auto-mostrar overlay cuando se inicia algoritmo de coloración
   useEffect(() => {
     if (graph.coloringStats && graph.coloringStats.dynamic) {
@@ -81,8 +95,20 @@ export default function GraphCanvasView({
     }
   }, [graph.coloringStats]);
 
-  // Construir set de aristas en conflicto y calcular viewBox
+  // Construir sets de aristas en conflicto y del subgrafo resaltado, y calcular viewBox
   const conjuntoConflictos = construirConjuntoConflictos(graph.conflictEdges);
+  const conjuntoResaltado = construirConjuntoConflictos(graph.highlight?.edges);
+  // Anillo de cada nodo resaltado; RLF además marca sus candidatos y excluidos
+  const anilloPorNodo = new Map([
+    ...(graph.highlight?.candidateIds || []).map(id => [id, 'candidate']),
+    ...(graph.highlight?.excludedIds || []).map(id => [id, 'excluded']),
+    ...(graph.highlight?.nodeIds || []).map(id => [id, 'highlight'])
+  ]);
+  const nodosPorId = new Map(graph.nodos.map(nodo => [nodo.id, nodo]));
+  // Orden en que el greedy secuencial coloreó los nodos (se numeran en el canvas)
+  const ordenColoreo = graph.coloringStats?.vertexOrder ?? [];
+  // Color con más feromona de cada nodo en la colonia de hormigas (halo detrás del nodo)
+  const mapaFeromonas = graph.coloringStats?.pheromones ?? [];
   const { viewBoxX, viewBoxY, viewBoxWidth, viewBoxHeight } = calcularViewBox(
     graph,
     zoomPan.zoomLevel,
@@ -155,6 +181,24 @@ export default function GraphCanvasView({
         </div>
         <div className="graph-canvas__toolbar-divider" />
 
+        <Button
+          variant="icon"
+          onClick={onUndo}
+          disabled={!puedeDeshacer}
+          title={puedeDeshacer ? `Deshacer: ${historial.undoLabel} (Ctrl+Z)` : 'Nada que deshacer'}
+        >
+          ↶
+        </Button>
+        <Button
+          variant="icon"
+          onClick={onRedo}
+          disabled={!puedeRehacer}
+          title={puedeRehacer ? `Rehacer: ${historial.redoLabel} (Ctrl+Shift+Z)` : 'Nada que rehacer'}
+        >
+          ↷
+        </Button>
+        <div className="graph-canvas__toolbar-divider" />
+
         {graph.coloringStats && (
           <>
             <Button
@@ -176,13 +220,32 @@ export default function GraphCanvasView({
 
       {/* Stats Overlay - Muestra estadísticas de ejecución del algoritmo */}
       {mostrarStats && graph.coloringStats && (() => {
-        const esMonteCarlo = graph.coloringStats.algorithm &&
-          graph.coloringStats.algorithm.toLowerCase().includes('monte');
-        const tituloStats = graph.coloringStats.isRunning
+        const nombreAlgoritmo = graph.coloringStats.algorithm?.toLowerCase() || '';
+        const esMonteCarlo = nombreAlgoritmo.includes('monte');
+        const esRecocido = nombreAlgoritmo.includes('recocido');
+        const esEvolutivo = nombreAlgoritmo.includes('evolutivo');
+        const esHormigas = nombreAlgoritmo.includes('hormigas');
+        const mostrarGrafico = esMonteCarlo || esRecocido || esEvolutivo || esHormigas;
+        // Grafos del catálogo: comparar los colores usados con el número cromático conocido
+        const optimoConocido = graph.namedGraph && {
+          chromaticNumber: graph.namedGraph.chromaticNumber,
+          colorsUsed: new Set(graph.nodos.map(nodo => nodo.color).filter(Boolean)).size
+        };
+        const alcanzoOptimo = optimoConocido && !graph.coloringStats.isRunning &&
+          graph.coloringStats.conflicts === 0 && optimoConocido.colorsUsed === optimoConocido.chromaticNumber;
+        const tituloStats = graph.coloringStats.isPaused
+          ? '⏸ En pausa'
+          : graph.coloringStats.isRunning
           ? '⏳ Ejecutando...'
-          : graph.coloringStats.conflicts === 0
-            ? '✓ Éxito'
-            : '⚠ Resultados';
+          : typeof graph.coloringStats.chromaticNumber === 'number'
+            ? graph.coloringStats.exceedsPalette
+              ? `⚠ χ(G) = ${graph.coloringStats.chromaticNumber}, testigo incompleto`
+              : `✓ χ(G) = ${graph.coloringStats.chromaticNumber}`
+            : alcanzoOptimo
+              ? '✓ Óptimo'
+              : graph.coloringStats.conflicts === 0
+                ? '✓ Éxito'
+                : '⚠ Resultados';
 
         return (
           <div ref={statsOverlayRef} className="graph-canvas__stats-overlay">
@@ -191,19 +254,26 @@ export default function GraphCanvasView({
               <Button variant="icon" className="graph-canvas__stats-close" onClick={() => setMostrarStats(false)}>✕</Button>
             </div>
             <div className="graph-canvas__stats-content" style={{
-              display: esMonteCarlo ? 'flex' : 'block',
+              display: mostrarGrafico ? 'flex' : 'block',
               gap: SPACING.XL
             }}>
               {/* Columna de estadísticas */}
               <div style={{
-                flex: esMonteCarlo ? '0 0 auto' : '1',
-                minWidth: esMonteCarlo ? DIMENSIONS.STATS_COLUMN_MIN_WIDTH : 'auto'
+                flex: mostrarGrafico ? '0 0 auto' : '1',
+                minWidth: mostrarGrafico ? DIMENSIONS.STATS_COLUMN_MIN_WIDTH : 'auto'
               }}>
-                <StatsColumn coloringStats={graph.coloringStats} />
+                <StatsColumn coloringStats={graph.coloringStats} knownOptimum={optimoConocido} />
               </div>
 
-              {/* Gráfico en tiempo real para Monte Carlo - Segunda columna */}
-              {esMonteCarlo && <ChartWithPagination attemptsHistory={attemptsHistory} />}
+              {/* Gráfico en tiempo real para Monte Carlo, Recocido Simulado, Evolutivo híbrido y Colonia de hormigas - Segunda columna */}
+              {mostrarGrafico && (
+                <ChartWithPagination
+                  attemptsHistory={attemptsHistory}
+                  showTemperature={esRecocido}
+                  showPopulationMean={esEvolutivo || esHormigas}
+                />
+              )}
+              {esEvolutivo && <DiversityChart attemptsHistory={attemptsHistory} />}
             </div>
           </div>
         );
@@ -222,12 +292,20 @@ export default function GraphCanvasView({
           onMouseUp={() => interaccion.handleSvgMouseUp(zoomPan)}
           onMouseLeave={() => interaccion.handleSvgMouseLeave(zoomPan)}
         >
-          {graph.aristas.map((arista, index) => renderizarArista(arista, index, graph, conjuntoConflictos, interaccion.selectedEdge, zoomPan.zoomLevel, handleEdgeClick))}
+          {mapaFeromonas.map(({ nodeId, color, intensity }) => {
+            const nodo = nodosPorId.get(nodeId);
+            return nodo ? renderizarHaloFeromona(nodo, color, intensity) : null;
+          })}
+          {graph.aristas.map((arista, index) => renderizarArista(arista, index, nodosPorId, conjuntoConflictos, interaccion.selectedEdge, zoomPan.zoomLevel, handleEdgeClick, conjuntoResaltado))}
           {graph.nodos.map((nodo) => renderizarNodo(nodo, interaccion.selectedNodeId, zoomPan.zoomLevel, graph, {
             onNodeClick: handleNodeClick,
             onNodeContextMenu: handleNodeContextMenu,
             onNodeMouseDown: interaccion.handleNodeMouseDown
-          }))}
+          }, anilloPorNodo.get(nodo.id)))}
+          {ordenColoreo.map((nodeId, indice) => {
+            const nodo = nodosPorId.get(nodeId);
+            return nodo ? renderizarInsigniaOrden(nodo, indice + 1, zoomPan.zoomLevel) : null;
+          })}
         </svg>
       </div>
 
@@ -1,10 +1,15 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 import ControlPanelView from "./ControlPanelView";
 import GraphCanvasView from "./GraphCanvasView";
 import ColorIncrementModal from "./components/ColorIncrementModal.jsx";
+import InfeasibleColoringModal from "./components/InfeasibleColoringModal.jsx";
+import Modal from "./components/Modal.jsx";
+import ComparisonWorkspace from "./components/ComparisonWorkspace.jsx";
+import ExperimentWorkspace from "./components/ExperimentWorkspace.jsx";
 import { useGraphContext } from "../controllers/GraphContext.jsx";
-import { GRAPH_CONSTRAINTS } from "./constants/index.js";
+import { GRAPH_CONSTRAINTS, ALGORITHM_OPTIONS } from "./constants/index.js";
 import { ANIMATION } from "./constants/theme.js";
+import { formatearFechaHora } from "./utils/formatters.js";
 
 /**
  * Componente de layout principal que coordina el panel de control y la vista del canvas del grafo.
@@ -12,7 +17,7 @@ import { ANIMATION } from "./constants/theme.js";
  */
 export default function MainLayout() {
   // Acceder al estado del grafo y acciones desde el Context
-  const { graphState, actions } = useGraphContext();
+  const { graphState, actions, persistence } = useGraphContext();
 
   // Estado local de UI
   const [recolorResult, setRecolorResult] = useState(null);
@@ -28,11 +33,43 @@ export default function MainLayout() {
     originalOptions: null
   });
 
+  // Estado para el modal de certificado cuando k colores no alcanzan
+  const [modalInfactible, setModalInfactible] = useState({
+    isOpen: false,
+    algorithm: '',
+    numColors: 0,
+    certificate: null,
+    lowerBound: 0,
+    upperBound: 0,
+    originalOptions: null
+  });
+
+  // Error al restaurar la sesión autoguardada
+  const [errorRestauracion, setErrorRestauracion] = useState(null);
+
+  // Espacio de comparación de algoritmos
+  const [comparacionAbierta, setComparacionAbierta] = useState(false);
+  const [experimentosAbiertos, setExperimentosAbiertos] = useState(false);
+
+  // Comparación con la solución oculta de los grafos plantados (se recalcula con cada cambio del grafo)
+  const { comparePlantedColoring } = actions;
+  const comparacionPlantada = useMemo(
+    () => (graphState.plantedColoring ? comparePlantedColoring() : null),
+    [graphState, comparePlantedColoring]
+  );
+
   //Event handlers
-  const handleGenerateRandomGraph = (nodeCount) => {
+  const handleGenerateRandomGraph = (nodeCount, seed, generator) => {
+    actions.generateRandomGraph(nodeCount, seed, generator);
     setRecolorResult(null);
     setPinnedRecolorResult(false);
-    actions.generateRandomGraph(nodeCount);
+  };
+
+  const handleLoadNamedGraph = (id, params, seed) => {
+    const resumen = actions.loadNamedGraph(id, params, seed);
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    return resumen;
   };
 
   const handleReset = () => {
@@ -47,19 +84,54 @@ export default function MainLayout() {
     actions.clearColors();
   };
 
-  const handleReorganize = () => {
+  const handleRevealPlantedColoring = () => {
     setRecolorResult(null);
     setPinnedRecolorResult(false);
-    actions.reorganizeLayout();
+    actions.revealPlantedColoring();
+  };
+
+  const handleImportDimacs = (texto) => {
+    const resumen = actions.importDimacs(texto);
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    return resumen;
+  };
+
+  const handleImportSession = (texto) => {
+    const resumen = actions.importSession(texto);
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    return resumen;
+  };
+
+  const handleOpenFromLibrary = async (id) => {
+    const resumen = await actions.openFromLibrary(id);
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    return resumen;
+  };
+
+  const handleRestoreAutosave = () => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    try {
+      actions.restoreAutosave();
+    } catch (error) {
+      setErrorRestauracion(error.message);
+    }
+  };
+
+  const handleReorganize = (seed) => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    actions.reorganizeLayout(seed);
   };
 
   const handleColorGraph = (opciones) => {
     setRecolorResult(null);
     setPinnedRecolorResult(false);
-    if (
-      opciones.algorithm === "lasvegas-dynamic" ||
-      opciones.algorithm === "montecarlo-dynamic"
-    ) {
+    const opcionAlgoritmo = ALGORITHM_OPTIONS.find(opcion => opcion.value === opciones.algorithm);
+    if (opcionAlgoritmo) {
       // Agregar callback para manejar cuando no se encuentra solución
       const opcionesConCallback = {
         ...opciones,
@@ -71,11 +143,22 @@ export default function MainLayout() {
               currentColors: opciones.numColors,
               maxColors: GRAPH_CONSTRAINTS.MAX_COLORS,
               attempts: stats.attempts,
-              algorithm: opciones.algorithm === "montecarlo-dynamic" ? "Monte Carlo" : "Las Vegas",
+              algorithm: opcionAlgoritmo.label,
               originalOptions: opciones
             });
           }
-          : null
+          : null,
+        onInfeasible: (verificacion) => {
+          setModalInfactible({
+            isOpen: true,
+            algorithm: verificacion.algorithm,
+            numColors: verificacion.numColors,
+            certificate: verificacion.certificate,
+            lowerBound: verificacion.lowerBound,
+            upperBound: verificacion.upperBound,
+            originalOptions: opciones
+          });
+        }
       };
       actions.startDynamicColoring(opcionesConCallback);
     }
@@ -101,6 +184,31 @@ export default function MainLayout() {
     setModalIncrementoColores({ ...modalIncrementoColores, isOpen: false });
   };
 
+  const handleRetryWithLowerBound = () => {
+    const { originalOptions, lowerBound } = modalInfactible;
+    setModalInfactible({ ...modalInfactible, isOpen: false });
+
+    setTimeout(() => {
+      handleColorGraph({ ...originalOptions, numColors: lowerBound });
+    }, parseInt(ANIMATION.DELAY_SHORT));
+  };
+
+  const handleCloseInfeasible = () => {
+    setModalInfactible({ ...modalInfactible, isOpen: false });
+  };
+
+  const handleUndo = () => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    actions.undo();
+  };
+
+  const handleRedo = () => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    actions.redo();
+  };
+
   const handleManualRecolor = (idNodo, nuevoColor) => {
     return actions.manualRecolor(idNodo, nuevoColor);
   };
@@ -115,6 +223,31 @@ export default function MainLayout() {
     });
   };
 
+  const handleExactSolver = () => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    actions.startExactSolver();
+  };
+
+  const handleComputeChromaticNumber = () => {
+    setModalIncrementoColores({ ...modalIncrementoColores, isOpen: false });
+    setTimeout(() => {
+      handleExactSolver();
+    }, parseInt(ANIMATION.DELAY_SHORT));
+  };
+
+  const handleFindMaxClique = () => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    actions.findMaxClique();
+  };
+
+  const handleTabuSearch = (opciones) => {
+    setRecolorResult(null);
+    setPinnedRecolorResult(false);
+    actions.startTabuSearch(opciones);
+  };
+
   return (
     <div className="app-root">
       <main className="graph-layout">
@@ -125,12 +258,38 @@ export default function MainLayout() {
             nodes={graphState.nodos}
             edges={graphState.aristas}
             onGenerateRandomGraph={handleGenerateRandomGraph}
+            onLoadNamedGraph={handleLoadNamedGraph}
+            namedGraph={graphState.namedGraph}
             onReset={handleReset}
             onClearColors={handleClearColors}
             onReorganize={handleReorganize}
             onColorGraph={handleColorGraph}
+            onPauseColoring={actions.pauseColoring}
+            onResumeColoring={actions.resumeColoring}
+            onStepColoring={actions.stepColoring}
             coloringStats={graphState.coloringStats}
             onLocalSearch={handleLocalSearch}
+            onTabuSearch={handleTabuSearch}
+            onExactSolver={handleExactSolver}
+            onFindMaxClique={handleFindMaxClique}
+            onOpenComparison={() => setComparacionAbierta(true)}
+            comparisonRunning={Boolean(graphState.comparison?.running)}
+            onOpenExperiments={() => setExperimentosAbiertos(true)}
+            experimentRunning={Boolean(graphState.experiment?.running)}
+            maxClique={graphState.maxClique}
+            plantedComparison={comparacionPlantada}
+            onRevealPlantedColoring={handleRevealPlantedColoring}
+            graphSeed={graphState.graphSeed}
+            onImportDimacs={handleImportDimacs}
+            onExportDimacs={actions.exportDimacs}
+            onImportSession={handleImportSession}
+            onExportSession={actions.exportSession}
+            numColors={graphState.numColors}
+            library={{ available: persistence.available, graphs: persistence.library }}
+            onSaveToLibrary={actions.saveToLibrary}
+            onOpenFromLibrary={handleOpenFromLibrary}
+            onRenameInLibrary={actions.renameInLibrary}
+            onDeleteFromLibrary={actions.deleteFromLibrary}
             hasManualChanges={graphState.hasManualChanges}
             hasColoredGraph={graphState.hasColoredGraph}
             conflictsCount={graphState.conflictEdges.length}
@@ -146,6 +305,9 @@ export default function MainLayout() {
             onDeleteNode={actions.deleteNode}
             onManualRecolor={handleManualRecolor}
             onCreateNodeAt={actions.createNode}
+            onMoveNodeEnd={actions.endNodeMove}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
             attemptsHistory={graphState.attemptsHistory}
             recolorResult={recolorResult}
             setRecolorResult={setRecolorResult}
@@ -164,7 +326,70 @@ export default function MainLayout() {
         algorithm={modalIncrementoColores.algorithm}
         onRetryWithMoreColors={handleRetryWithMoreColors}
         onCancel={handleCancelIncrement}
+        onComputeChromaticNumber={handleComputeChromaticNumber}
+      />
+
+      {/* Modal de certificado de infactibilidad */}
+      <InfeasibleColoringModal
+        isOpen={modalInfactible.isOpen}
+        algorithm={modalInfactible.algorithm}
+        numColors={modalInfactible.numColors}
+        certificate={modalInfactible.certificate}
+        lowerBound={modalInfactible.lowerBound}
+        upperBound={modalInfactible.upperBound}
+        maxColors={GRAPH_CONSTRAINTS.MAX_COLORS}
+        onRetryWithLowerBound={handleRetryWithLowerBound}
+        onClose={handleCloseInfeasible}
+      />
+
+      {/* Comparación de algoritmos sobre una copia congelada del grafo */}
+      <ComparisonWorkspace
+        isOpen={comparacionAbierta}
+        comparison={graphState.comparison}
+        nodes={graphState.nodos}
+        edges={graphState.aristas}
+        numColors={graphState.numColors}
+        onStart={actions.startComparison}
+        onCancel={actions.cancelComparison}
+        onClear={actions.clearComparison}
+        onClose={() => setComparacionAbierta(false)}
       />
+
+      {/* Experimentos por lotes sobre grafos aleatorios generados en los workers */}
+      <ExperimentWorkspace
+        isOpen={experimentosAbiertos}
+        experiment={graphState.experiment}
+        onStart={actions.startExperiment}
+        onCancel={actions.cancelExperiment}
+        onClear={actions.clearExperiment}
+        onExportCsv={actions.exportExperimentCsv}
+        onClose={() => setExperimentosAbiertos(false)}
+      />
+
+      {/* Ofrecer restaurar la sesión autoguardada al cargar */}
+      <Modal
+        isOpen={persistence.restorePending !== null}
+        onClose={actions.discardAutosave}
+        title="Sesión anterior"
+        variant="info"
+        confirmText="Restaurar"
+        cancelText="Descartar"
+        onConfirm={handleRestoreAutosave}
+      >
+        {persistence.restorePending &&
+          `Hay una sesión guardada automáticamente el ${formatearFechaHora(persistence.restorePending.savedAt)} ` +
+          `con ${persistence.restorePending.nodes} nodos y ${persistence.restorePending.edges} aristas. ¿Restaurarla?`}
+      </Modal>
+
+      <Modal
+        isOpen={errorRestauracion !== null}
+        onClose={() => setErrorRestauracion(null)}
+        title="No se pudo restaurar"
+        variant="error"
+        confirmText="Entendido"
+      >
+        {errorRestauracion}
+      </Modal>
     </div>
   );
 }
@@ -12,8 +12,10 @@ const ITEMS_PER_PAGE = 100;
  * @component
  * @param {Object} props
  * @param {Array<{attemptNumber: number, conflicts: number}>} props.attemptsHistory - Historial completo de intentos con conflictos
+ * @param {boolean} [props.showTemperature=false] - Si graficar también la temperatura (Recocido Simulado)
+ * @param {boolean} [props.showPopulationMean=false] - Si graficar también la media de la población (Evolutivo híbrido y Colonia de hormigas)
  */
-function ChartWithPagination({ attemptsHistory = [] }) {
+function ChartWithPagination({ attemptsHistory = [], showTemperature = false, showPopulationMean = false }) {
     const [paginaActual, setPaginaActual] = useState(1);
 
     const totalPaginas = Math.ceil(attemptsHistory.length / ITEMS_PER_PAGE);
@@ -57,7 +59,7 @@ function ChartWithPagination({ attemptsHistory = [] }) {
                 justifyContent: 'center',
             }}>
                 {datosActuales && datosActuales.length > 0 ? (
-                    <ConflictsLineChart data={datosActuales} maxPoints={100} />
+                    <ConflictsLineChart data={datosActuales} maxPoints={100} showTemperature={showTemperature} showPopulationMean={showPopulationMean} />
                 ) : (
                     <div style={{
                         color: THEME_COLORS.TEXT_DISABLED,
@@ -14,6 +14,7 @@ import "./ColorIncrementModal.css";
  * @param {string} props.algorithm - Nombre del algoritmo ejecutado
  * @param {Function} props.onRetryWithMoreColors - Callback para reintentar con más colores
  * @param {Function} props.onCancel - Callback para cancelar
+ * @param {Function} [props.onComputeChromaticNumber] - Callback para calcular χ(G) con el solver exacto
  */
 export default function ColorIncrementModal({
   isOpen,
@@ -23,6 +24,7 @@ export default function ColorIncrementModal({
   algorithm,
   onRetryWithMoreColors,
   onCancel,
+  onComputeChromaticNumber,
 }) {
   if (!isOpen) return null;
 
@@ -79,6 +81,15 @@ export default function ColorIncrementModal({
               >
                 Entendido
               </Button>
+              {onComputeChromaticNumber && (
+                <Button
+                  variant="secondary"
+                  onClick={onComputeChromaticNumber}
+                  style={{ minWidth: '150px' }}
+                >
+                  Calcular χ(G)
+                </Button>
+              )}
             </div>
           </>
         ) : (
@@ -102,6 +113,15 @@ export default function ColorIncrementModal({
               >
                 Sí, reintentar
               </Button>
+              {onComputeChromaticNumber && (
+                <Button
+                  variant="secondary"
+                  onClick={onComputeChromaticNumber}
+                  style={{ minWidth: '120px' }}
+                >
+                  Calcular χ(G)
+                </Button>
+              )}
             </div>
           </>
         )}
@@ -0,0 +1,248 @@
+import React, { useState } from "react";
+import Button from "./Button.jsx";
+import CloseButton from "./CloseButton.jsx";
+import Modal from "./Modal.jsx";
+import RangeSlider from "./RangeSlider.jsx";
+import TextField from "./TextField.jsx";
+import ToggleSwitch from "./ToggleSwitch.jsx";
+import { ComparisonConflictsChart } from "./ConflictsLineChart.jsx";
+import {
+    COMPARISON_ALGORITHMS,
+    COMPARISON_SERIES_COLORS,
+    GRAPH_CONSTRAINTS,
+    ITERATION_LIMITS
+} from "../constants/index.js";
+import { validarSemilla, validarSinNodosAislados } from "../utils/validations.js";
+import { formatearNumero, formatearTiempo, formatearPorcentaje } from "../utils/formatters.js";
+
+// Texto de cada estado de ejecución
+const ETIQUETAS_ESTADO = {
+    pending: 'En espera',
+    running: 'Ejecutando',
+    done: 'Terminado',
+    infeasible: 'Infactible',
+    error: 'Error',
+    cancelled: 'Cancelado'
+};
+
+/**
+ * Componente ComparisonWorkspace para comparar varios algoritmos sobre el mismo grafo.
+ * Las ejecuciones usan una copia congelada del grafo, así que no cambian la coloración
+ * del canvas; los resultados se muestran en una tabla y con las curvas de conflictos superpuestas.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si el espacio de comparación está visible
+ * @param {Object|null} props.comparison - Comparación actual ({ running, graph, runs }) o null
+ * @param {Array<Node>} props.nodes - Nodos del grafo actual
+ * @param {Array<Edge>} props.edges - Aristas del grafo actual
+ * @param {number} props.numColors - Número de colores inicial
+ * @param {Function} props.onStart - Inicia la comparación; recibe las configuraciones
+ * @param {Function} props.onCancel - Cancela la comparación en curso
+ * @param {Function} props.onClear - Descarta los resultados
+ * @param {Function} props.onClose - Cierra el espacio de comparación
+ */
+export default function ComparisonWorkspace({
+    isOpen,
+    comparison,
+    nodes = [],
+    edges = [],
+    numColors = GRAPH_CONSTRAINTS.MIN_COLORS,
+    onStart,
+    onCancel,
+    onClear,
+    onClose,
+}) {
+    const [seleccionados, setSeleccionados] = useState(
+        () => COMPARISON_ALGORITHMS.filter(opcion => opcion.defaultSelected).map(opcion => opcion.value)
+    );
+    const [numeroColores, setNumeroColores] = useState(numColors || GRAPH_CONSTRAINTS.MIN_COLORS);
+    const [iteraciones, setIteraciones] = useState(ITERATION_LIMITS.MIN_ITERATIONS);
+    const [semilla, setSemilla] = useState(''); // Vacía = una semilla aleatoria por ejecución
+    const [error, setError] = useState(null);
+
+    if (!isOpen) return null;
+
+    const ejecutando = Boolean(comparison?.running);
+    const runs = comparison?.runs ?? [];
+
+    const alternarAlgoritmo = (valor, activo) => {
+        setSeleccionados(actuales => activo
+            ? COMPARISON_ALGORITHMS.map(opcion => opcion.value).filter(v => v === valor || actuales.includes(v))
+            : actuales.filter(v => v !== valor));
+    };
+
+    const handleStartClick = () => {
+        const validacionSemilla = validarSemilla(semilla);
+        if (!validacionSemilla.valid) {
+            setError(validacionSemilla.error);
+            return;
+        }
+
+        const validacionNodosAislados = validarSinNodosAislados(nodes, edges);
+        if (!validacionNodosAislados.valid) {
+            setError(validacionNodosAislados.error);
+            return;
+        }
+
+        const seed = semilla.trim() === '' ? undefined : Number(semilla.trim());
+        onStart?.(seleccionados.map(algorithm => ({
+            algorithm,
+            numColors: Number(numeroColores),
+            iterations: iteraciones,
+            seed
+        })));
+    };
+
+    const series = runs.map((run, indice) => ({
+        id: run.id,
+        label: `${run.label} (k=${run.numColors})`,
+        color: COMPARISON_SERIES_COLORS[indice % COMPARISON_SERIES_COLORS.length],
+        data: run.curve
+    }));
+
+    return (
+        <div className="workspace" role="dialog" aria-modal="true">
+            <div className="workspace__panel">
+                <header className="workspace__header">
+                    <h2 className="workspace__title">Comparación de algoritmos</h2>
+                    <CloseButton onClick={onClose} />
+                </header>
+
+                <div className="workspace__body">
+                    {/* Configuración */}
+                    <section className="workspace__config">
+                        <p className="control-panel__field-hint">
+                            Cada algoritmo se ejecuta sobre una copia del grafo tomada al iniciar; la coloración del canvas no cambia.
+                        </p>
+                        <div className="workspace__options">
+                            {COMPARISON_ALGORITHMS.map(opcion => (
+                                <ToggleSwitch
+                                    key={opcion.value}
+                                    label={opcion.label}
+                                    checked={seleccionados.includes(opcion.value)}
+                                    onChange={(activo) => alternarAlgoritmo(opcion.value, activo)}
+                                    disabled={ejecutando}
+                                />
+                            ))}
+                        </div>
+                        <RangeSlider
+                            label="Número de colores"
+                            value={numeroColores}
+                            min={GRAPH_CONSTRAINTS.MIN_COLORS}
+                            max={GRAPH_CONSTRAINTS.MAX_COLORS}
+                            step={1}
+                            onChange={setNumeroColores}
+                            disabled={ejecutando}
+                        />
+                        <RangeSlider
+                            label="Intentos máximos (Monte Carlo y Las Vegas)"
+                            value={iteraciones}
+                            min={ITERATION_LIMITS.MIN_ITERATIONS}
+                            max={ITERATION_LIMITS.MAX_ITERATIONS}
+                            step={ITERATION_LIMITS.STEP_ITERATIONS}
+                            onChange={setIteraciones}
+                            disabled={ejecutando || !seleccionados.some(valor => valor === 'montecarlo-dynamic' || valor.startsWith('lasvegas'))}
+                            formatValue={formatearNumero}
+                        />
+                        <TextField
+                            label="Semilla"
+                            value={semilla}
+                            onChange={setSemilla}
+                            placeholder="Aleatoria"
+                            inputMode="numeric"
+                            disabled={ejecutando}
+                            hint="La misma semilla para todos los algoritmos; vacía para una distinta en cada uno."
+                        />
+                        <div className="workspace__actions">
+                            <Button
+                                variant="primary"
+                                onClick={handleStartClick}
+                                disabled={ejecutando || seleccionados.length === 0 || nodes.length === 0}
+                            >
+                                Ejecutar comparación
+                            </Button>
+                            <Button variant="secondary" onClick={onCancel} disabled={!ejecutando}>
+                                Cancelar
+                            </Button>
+                            <Button variant="danger" onClick={onClear} disabled={!comparison}>
+                                Limpiar
+                            </Button>
+                        </div>
+                    </section>
+
+                    {/* Resultados */}
+                    <section className="workspace__results">
+                        {runs.length === 0 ? (
+                            <p className="control-panel__field-hint">
+                                Elige los algoritmos y ejecuta la comparación para ver los resultados.
+                            </p>
+                        ) : (
+                            <>
+                                <p className="control-panel__field-hint">
+                                    Grafo congelado: {comparison.graph.nodes} nodos · {comparison.graph.edges} aristas
+                                </p>
+                                <table className="workspace__table">
+                                    <thead>
+                                        <tr>
+                                            <th>Algoritmo</th>
+                                            <th>Estado</th>
+                                            <th>Tiempo</th>
+                                            <th>Intentos</th>
+                                            <th>Mejores conflictos</th>
+                                            <th>Tasa de éxito</th>
+                                            <th>Semilla</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {runs.map((run, indice) => {
+                                            // Mientras corre se muestran las estadísticas parciales
+                                            const valores = run.stats ?? run.live;
+                                            return (
+                                                <tr key={run.id}>
+                                                    <td>
+                                                        <span
+                                                            className="workspace__swatch"
+                                                            style={{ background: series[indice].color }}
+                                                        />
+                                                        {run.label} (k={run.numColors})
+                                                    </td>
+                                                    <td title={run.error ?? undefined}>
+                                                        {ETIQUETAS_ESTADO[run.status]}
+                                                        {run.status === 'running' && run.progress > 0 &&
+                                                            ` (${formatearPorcentaje(run.progress, 0)})`}
+                                                    </td>
+                                                    <td>{valores ? formatearTiempo(valores.timeMs) : '—'}</td>
+                                                    <td>{valores ? formatearNumero(valores.attempts) : '—'}</td>
+                                                    <td>{valores ? formatearNumero(valores.conflicts) : '—'}</td>
+                                                    <td>
+                                                        {typeof run.stats?.successRate === 'number'
+                                                            ? formatearPorcentaje(run.stats.successRate, 2)
+                                                            : '—'}
+                                                    </td>
+                                                    <td>{run.seed}</td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                                <div className="workspace__chart">
+                                    <ComparisonConflictsChart series={series} />
+                                </div>
+                            </>
+                        )}
+                    </section>
+                </div>
+            </div>
+
+            <Modal
+                isOpen={error !== null}
+                onClose={() => setError(null)}
+                title="Advertencia"
+                confirmText="Entendido"
+            >
+                {error}
+            </Modal>
+        </div>
+    );
+}
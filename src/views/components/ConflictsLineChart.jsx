@@ -1,10 +1,13 @@
 import React, { useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, Legend } from 'recharts';
 import { THEME_COLORS, FONT_SIZE, BORDER_RADIUS, SPACING, DIMENSIONS, STROKE_WIDTH, CHART_MARGIN } from '../constants/theme.js';
 
 const defaultMargin = { top: CHART_MARGIN.TOP, right: CHART_MARGIN.RIGHT, left: CHART_MARGIN.LEFT, bottom: CHART_MARGIN.BOTTOM };
 
 
+// Series opcionales del historial que se promedian al reducir el muestreo
+const SERIES_OPCIONALES = ['temperature', 'populationMean', 'diversity'];
+
 function reducirMuestreoDatos(datos, puntosMaximos = 500) {
     if (!datos || datos.length <= puntosMaximos) return datos;
 
@@ -14,11 +17,19 @@ function reducirMuestreoDatos(datos, puntosMaximos = 500) {
     for (let i = 0; i < datos.length; i += tamañoVentana) {
         const ventana = datos.slice(i, Math.min(i + tamañoVentana, datos.length));
         const conflictos = ventana.map(d => d.conflicts);
-
-        reducido.push({
+        const punto = {
             attemptNumber: ventana[Math.floor(ventana.length / 2)].attemptNumber,
             conflicts: Math.round(conflictos.reduce((a, b) => a + b, 0) / conflictos.length),
+        };
+
+        SERIES_OPCIONALES.forEach((serie) => {
+            const valores = ventana.map(d => d[serie]).filter(valor => typeof valor === 'number');
+            if (valores.length > 0) {
+                punto[serie] = valores.reduce((a, b) => a + b, 0) / valores.length;
+            }
         });
+
+        reducido.push(punto);
     }
 
     return reducido;
@@ -47,12 +58,16 @@ const tooltipItemStyle = {
  * 
  * @component
  * @param {Object} props
- * @param {Array<{attemptNumber: number, conflicts: number}>} props.data - Datos de conflictos por intento
+ * @param {Array<{attemptNumber: number, conflicts: number, temperature?: number, populationMean?: number}>} props.data - Datos de conflictos por intento
  * @param {number} [props.maxPoints=500] - Máximo de puntos a mostrar (downsampling)
+ * @param {boolean} [props.showTemperature=false] - Si graficar la temperatura en un segundo eje Y
+ * @param {boolean} [props.showPopulationMean=false] - Si graficar la media de conflictos de la población (Evolutivo híbrido; en la Colonia de hormigas, las hormigas del ciclo)
  */
 function ConflictsLineChart({
     data,
     maxPoints = 500,
+    showTemperature = false,
+    showPopulationMean = false,
 }) {
     // Aplicar downsampling para mejor rendimiento
     const datosProcesados = useMemo(() => reducirMuestreoDatos(data, maxPoints), [data, maxPoints]);
@@ -77,6 +92,7 @@ function ConflictsLineChart({
                     }}
                 />
                 <YAxis
+                    yAxisId="conflicts"
                     stroke={THEME_COLORS.BORDER_PRIMARY}
                     tick={{ fill: THEME_COLORS.TEXT_DISABLED, fontSize: parseInt(FONT_SIZE.XS) }}
                     label={{
@@ -91,9 +107,14 @@ function ConflictsLineChart({
                     contentStyle={tooltipContentStyle}
                     labelStyle={tooltipLabelStyle}
                     itemStyle={tooltipItemStyle}
-                    formatter={(value) => [value, 'Conflictos']}
+                    formatter={(value, name) => name === 'temperature'
+                        ? [value.toFixed(3), 'Temperatura']
+                        : name === 'populationMean'
+                            ? [value.toFixed(1), 'Media de la población']
+                            : [value, showPopulationMean ? 'Mejor individuo' : 'Conflictos']}
                 />
                 <Line
+                    yAxisId="conflicts"
                     type="monotone"
                     dataKey="conflicts"
                     stroke={THEME_COLORS.DANGER_PRIMARY}
@@ -101,10 +122,192 @@ function ConflictsLineChart({
                     dot={false}
                     isAnimationActive={false}
                 />
+                {showPopulationMean && (
+                    <Line
+                        yAxisId="conflicts"
+                        type="monotone"
+                        dataKey="populationMean"
+                        stroke={THEME_COLORS.ACCENT_WARNING}
+                        strokeWidth={STROKE_WIDTH.THIN}
+                        strokeDasharray="4 3"
+                        dot={false}
+                        isAnimationActive={false}
+                    />
+                )}
+                {showTemperature && (
+                    <YAxis
+                        yAxisId="temperature"
+                        orientation="right"
+                        stroke={THEME_COLORS.BORDER_PRIMARY}
+                        tick={{ fill: THEME_COLORS.TEXT_DISABLED, fontSize: parseInt(FONT_SIZE.XS) }}
+                        tickFormatter={(value) => value.toFixed(1)}
+                        label={{
+                            value: 'Temperatura',
+                            angle: 90,
+                            position: 'insideRight',
+                            fill: THEME_COLORS.TEXT_SUBTLE,
+                            fontSize: parseInt(FONT_SIZE.XS),
+                        }}
+                    />
+                )}
+                {showTemperature && (
+                    <Line
+                        yAxisId="temperature"
+                        type="monotone"
+                        dataKey="temperature"
+                        stroke={THEME_COLORS.ACCENT_WARNING}
+                        strokeWidth={STROKE_WIDTH.THIN}
+                        dot={false}
+                        isAnimationActive={false}
+                    />
+                )}
+            </LineChart>
+        </ResponsiveContainer>
+    );
+}
+
+/**
+ * Variante de ConflictsLineChart que superpone las curvas de conflictos de varias ejecuciones
+ * (modo comparación). Cada serie tiene sus propios puntos, así que el eje X es numérico.
+ * 
+ * @component
+ * @param {Object} props
+ * @param {Array<{id: number, label: string, color: string, data: Array<{attemptNumber: number, conflicts: number}>}>} props.series - Curvas a superponer
+ * @param {number} [props.maxPoints=500] - Máximo de puntos por curva (downsampling)
+ */
+function ComparisonConflictsChart({
+    series,
+    maxPoints = 500,
+}) {
+    const seriesProcesadas = useMemo(
+        () => (series || [])
+            .filter(serie => serie.data && serie.data.length > 0)
+            .map(serie => ({ ...serie, data: reducirMuestreoDatos(serie.data, maxPoints) })),
+        [series, maxPoints]
+    );
+
+    if (seriesProcesadas.length === 0) {
+        return null;
+    }
+
+    return (
+        <ResponsiveContainer width="100%" height="100%" minWidth={parseInt(DIMENSIONS.CHART_MIN_WIDTH)} minHeight={parseInt(DIMENSIONS.CHART_MIN_HEIGHT)}>
+            <LineChart margin={defaultMargin}>
+                <XAxis
+                    dataKey="attemptNumber"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    allowDuplicatedCategory={false}
+                    stroke={THEME_COLORS.BORDER_PRIMARY}
+                    tick={{ fill: THEME_COLORS.TEXT_DISABLED, fontSize: parseInt(FONT_SIZE.XS) }}
+                    label={{
+                        value: 'Intentos',
+                        position: 'insideBottom',
+                        offset: CHART_MARGIN.LABEL_OFFSET,
+                        fill: THEME_COLORS.TEXT_SUBTLE,
+                        fontSize: parseInt(FONT_SIZE.XS),
+                    }}
+                />
+                <YAxis
+                    stroke={THEME_COLORS.BORDER_PRIMARY}
+                    tick={{ fill: THEME_COLORS.TEXT_DISABLED, fontSize: parseInt(FONT_SIZE.XS) }}
+                    label={{
+                        value: 'Conflictos',
+                        angle: -90,
+                        position: 'insideLeft',
+                        fill: THEME_COLORS.TEXT_SUBTLE,
+                        fontSize: parseInt(FONT_SIZE.XS),
+                    }}
+                />
+                <Tooltip
+                    contentStyle={tooltipContentStyle}
+                    labelStyle={tooltipLabelStyle}
+                    itemStyle={tooltipItemStyle}
+                    formatter={(value, name) => [value.toFixed(1), name]}
+                />
+                <Legend wrapperStyle={{ fontSize: FONT_SIZE.XS, color: THEME_COLORS.TEXT_SUBTLE }} />
+                {seriesProcesadas.map(serie => (
+                    <Line
+                        key={serie.id}
+                        data={serie.data}
+                        name={serie.label}
+                        type="monotone"
+                        dataKey="conflicts"
+                        stroke={serie.color}
+                        strokeWidth={STROKE_WIDTH.NORMAL}
+                        dot={false}
+                        isAnimationActive={false}
+                    />
+                ))}
+            </LineChart>
+        </ResponsiveContainer>
+    );
+}
+
+/**
+ * Gráfico de la diversidad de la población por generación (Evolutivo híbrido):
+ * distancia media entre las particiones de los individuos, en porcentaje de los vértices.
+ * 
+ * @component
+ * @param {Object} props
+ * @param {Array<{attemptNumber: number, diversity: number}>} props.data - Diversidad por generación
+ * @param {number} [props.maxPoints=500] - Máximo de puntos a mostrar (downsampling)
+ */
+function DiversityLineChart({
+    data,
+    maxPoints = 500,
+}) {
+    const datosProcesados = useMemo(() => reducirMuestreoDatos(data, maxPoints), [data, maxPoints]);
+
+    if (!datosProcesados || datosProcesados.length === 0) {
+        return null;
+    }
+
+    return (
+        <ResponsiveContainer width="100%" height="100%" minWidth={parseInt(DIMENSIONS.CHART_MIN_WIDTH)} minHeight={parseInt(DIMENSIONS.CHART_MIN_HEIGHT)}>
+            <LineChart data={datosProcesados} margin={defaultMargin}>
+                <XAxis
+                    dataKey="attemptNumber"
+                    stroke={THEME_COLORS.BORDER_PRIMARY}
+                    tick={{ fill: THEME_COLORS.TEXT_DISABLED, fontSize: parseInt(FONT_SIZE.XS) }}
+                    label={{
+                        value: 'Generación',
+                        position: 'insideBottom',
+                        offset: CHART_MARGIN.LABEL_OFFSET,
+                        fill: THEME_COLORS.TEXT_SUBTLE,
+                        fontSize: parseInt(FONT_SIZE.XS),
+                    }}
+                />
+                <YAxis
+                    domain={[0, 1]}
+                    stroke={THEME_COLORS.BORDER_PRIMARY}
+                    tick={{ fill: THEME_COLORS.TEXT_DISABLED, fontSize: parseInt(FONT_SIZE.XS) }}
+                    tickFormatter={(value) => `${Math.round(value * 100)}%`}
+                />
+                <Tooltip
+                    contentStyle={tooltipContentStyle}
+                    labelStyle={tooltipLabelStyle}
+                    itemStyle={tooltipItemStyle}
+                    formatter={(value) => [`${(value * 100).toFixed(1)}%`, 'Diversidad']}
+                />
+                <Line
+                    type="monotone"
+                    dataKey="diversity"
+                    stroke={THEME_COLORS.ACCENT_PRIMARY}
+                    strokeWidth={STROKE_WIDTH.NORMAL}
+                    dot={false}
+                    isAnimationActive={false}
+                />
             </LineChart>
         </ResponsiveContainer>
     );
 }
 
+const ComparisonConflictsChartMemo = React.memo(ComparisonConflictsChart);
+export { ComparisonConflictsChartMemo as ComparisonConflictsChart };
+
+const DiversityLineChartMemo = React.memo(DiversityLineChart);
+export { DiversityLineChartMemo as DiversityLineChart };
+
 // Memorizar para evitar re-renders innecesarios cuando los datos no cambian
 export default React.memo(ConflictsLineChart);
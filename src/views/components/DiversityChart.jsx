@@ -0,0 +1,74 @@
+import React from "react";
+import { DiversityLineChart } from "./ConflictsLineChart.jsx";
+import { THEME_COLORS, SPACING, FONT_SIZE, FONT_WEIGHT, DIMENSIONS, LETTER_SPACING } from '../constants/theme.js';
+
+/**
+ * Componente de gráfico de la diversidad de la población del Evolutivo híbrido, para mostrar
+ * junto a ChartWithPagination. Una población sin diversidad ya no produce hijos nuevos con el cruce.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{attemptNumber: number, diversity: number}>} props.attemptsHistory - Historial de generaciones con su diversidad
+ */
+function DiversityChart({ attemptsHistory = [] }) {
+    const generaciones = attemptsHistory.filter(intento => typeof intento.diversity === 'number');
+    const ultima = generaciones[generaciones.length - 1];
+
+    return (
+        <div style={{
+            flex: '1',
+            display: 'flex',
+            flexDirection: 'column',
+            minWidth: DIMENSIONS.CHART_WIDTH_SM,
+            width: DIMENSIONS.CHART_WIDTH_SM,
+            minHeight: DIMENSIONS.CHART_HEIGHT_MD,
+        }}>
+            <div style={{
+                fontSize: FONT_SIZE.SM,
+                fontWeight: FONT_WEIGHT.SEMIBOLD,
+                color: THEME_COLORS.ACCENT_PRIMARY,
+                marginBottom: SPACING.SM,
+                textTransform: 'uppercase',
+                letterSpacing: LETTER_SPACING.NORMAL,
+            }}>
+                Diversidad de la población
+            </div>
+
+            <div style={{
+                height: DIMENSIONS.CHART_HEIGHT_SM,
+                width: '100%',
+                marginBottom: SPACING.SM,
+                position: 'relative',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+            }}>
+                {generaciones.length > 0 ? (
+                    <DiversityLineChart data={generaciones} />
+                ) : (
+                    <div style={{
+                        color: THEME_COLORS.TEXT_DISABLED,
+                        fontSize: FONT_SIZE.SM,
+                        fontStyle: 'italic',
+                    }}>
+                        Esperando datos...
+                    </div>
+                )}
+            </div>
+
+            <div style={{
+                fontSize: FONT_SIZE.XXS,
+                color: THEME_COLORS.TEXT_DISABLED,
+                marginTop: SPACING.XS,
+                textAlign: 'center',
+                fontStyle: 'italic',
+            }}>
+                {ultima
+                    ? `Distancia media entre individuos: ${(ultima.diversity * 100).toFixed(1)}% de los vértices`
+                    : 'Distancia media entre individuos'}
+            </div>
+        </div>
+    );
+}
+
+export default DiversityChart;
@@ -0,0 +1,342 @@
+import React, { useState } from "react";
+import Button from "./Button.jsx";
+import CloseButton from "./CloseButton.jsx";
+import Modal from "./Modal.jsx";
+import ProgressBar from "./ProgressBar.jsx";
+import RandomGraphFields from "./RandomGraphFields.jsx";
+import RangeSlider from "./RangeSlider.jsx";
+import TextField from "./TextField.jsx";
+import ToggleSwitch from "./ToggleSwitch.jsx";
+import {
+    DEFAULT_RANDOM_GRAPH,
+    EXPERIMENT_ALGORITHMS,
+    EXPERIMENT_LIMITS,
+    GRAPH_CONSTRAINTS,
+    ITERATION_LIMITS,
+    RANDOM_GRAPH_SWEEP_PARAMS
+} from "../constants/index.js";
+import { validarListaEnteros, validarListaNumeros, validarSemilla } from "../utils/validations.js";
+import { formatearNumero, formatearTiempo, formatearPorcentaje } from "../utils/formatters.js";
+import { descargarArchivo } from "../utils/fileHelpers.js";
+
+// Métricas mostradas por configuración, con su formato
+const METRICAS = [
+    { key: 'timeMs', label: 'Tiempo', formatear: (valor) => formatearTiempo(valor) },
+    { key: 'attempts', label: 'Intentos', formatear: (valor) => formatearNumero(Math.round(valor)) },
+    { key: 'conflicts', label: 'Conflictos', formatear: (valor) => valor.toFixed(2) }
+];
+
+/**
+ * Formatea un estadístico, mostrando una raya si no está definido (p. ej. σ con un solo ensayo).
+ * @param {Function} formatear - Formato de la métrica.
+ * @param {number} valor - Valor a formatear.
+ * @returns {string} Valor formateado.
+ */
+function formatearEstadistico(formatear, valor) {
+    return Number.isFinite(valor) ? formatear(valor) : '—';
+}
+
+/**
+ * Componente ExperimentWorkspace para ejecutar experimentos por lotes.
+ * Toma una grilla (modelo de grafo aleatorio con listas opcionales de valores de sus parámetros,
+ * números de nodos, valores de k, algoritmos, intentos máximos, ensayos y semilla), la ejecuta en
+ * los workers y muestra por configuración
+ * la media, la mediana, la desviación estándar y el intervalo de confianza del 95 % de
+ * tiempo, intentos y conflictos. Los resultados se exportan como CSV.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si el espacio de experimentos está visible
+ * @param {Object|null} props.experiment - Experimento actual ({ running, seed, generatorLabel, total, completed, timeMs, error, groups }) o null
+ * @param {Function} props.onStart - Inicia el experimento; recibe la grilla y lanza Error si es inválida
+ * @param {Function} props.onCancel - Cancela el experimento en curso
+ * @param {Function} props.onClear - Descarta los resultados
+ * @param {Function} props.onExportCsv - Devuelve los resultados como CSV; recibe 'summary' o 'trials'
+ * @param {Function} props.onClose - Cierra el espacio de experimentos
+ */
+export default function ExperimentWorkspace({
+    isOpen,
+    experiment,
+    onStart,
+    onCancel,
+    onClear,
+    onExportCsv,
+    onClose,
+}) {
+    const [seleccionados, setSeleccionados] = useState(
+        () => EXPERIMENT_ALGORITHMS.filter(opcion => opcion.defaultSelected).map(opcion => opcion.value)
+    );
+    const [generador, setGenerador] = useState(DEFAULT_RANDOM_GRAPH);
+    const [barrido, setBarrido] = useState({});
+    const [nodos, setNodos] = useState(String(GRAPH_CONSTRAINTS.MIN_RANDOM_NODES));
+    const [colores, setColores] = useState(String(GRAPH_CONSTRAINTS.MIN_COLORS));
+    const [iteraciones, setIteraciones] = useState(ITERATION_LIMITS.MIN_ITERATIONS);
+    const [ensayos, setEnsayos] = useState(EXPERIMENT_LIMITS.DEFAULT_TRIALS);
+    const [semilla, setSemilla] = useState('');
+    const [error, setError] = useState(null);
+
+    if (!isOpen) return null;
+
+    const ejecutando = Boolean(experiment?.running);
+    const grupos = experiment?.groups ?? [];
+    const parametrosBarrido = RANDOM_GRAPH_SWEEP_PARAMS[generador.model] ?? [];
+    const hayBarrido = grupos.some(grupo => grupo.generatorLabel !== grupos[0].generatorLabel);
+
+    const alternarAlgoritmo = (valor, activo) => {
+        setSeleccionados(actuales => activo
+            ? EXPERIMENT_ALGORITHMS.map(opcion => opcion.value).filter(v => v === valor || actuales.includes(v))
+            : actuales.filter(v => v !== valor));
+    };
+
+    const handleStartClick = () => {
+        const validacionNodos = validarListaEnteros(
+            nodos, GRAPH_CONSTRAINTS.MIN_RANDOM_NODES, GRAPH_CONSTRAINTS.MAX_NODES, 'nodos'
+        );
+        const validacionColores = validarListaEnteros(
+            colores, GRAPH_CONSTRAINTS.MIN_COLORS, GRAPH_CONSTRAINTS.MAX_COLORS, 'colores'
+        );
+        const validacionSemilla = validarSemilla(semilla);
+        // Los parámetros sin valores en el barrido usan el valor del control deslizante
+        const validacionesBarrido = parametrosBarrido
+            .filter(parametro => (barrido[parametro.key] ?? '').trim() !== '')
+            .map(parametro => ({
+                key: parametro.key,
+                ...(parametro.integer ? validarListaEnteros : validarListaNumeros)(
+                    barrido[parametro.key], parametro.min, parametro.max, parametro.label
+                )
+            }));
+        const errores = [validacionNodos, validacionColores, validacionSemilla, ...validacionesBarrido]
+            .filter(validacion => !validacion.valid)
+            .map(validacion => validacion.error);
+        if (errores.length > 0) {
+            setError(errores.join('\n'));
+            return;
+        }
+
+        try {
+            onStart?.({
+                nodeCounts: validacionNodos.values,
+                colorCounts: validacionColores.values,
+                algorithms: seleccionados,
+                iterations: iteraciones,
+                trials: ensayos,
+                seed: semilla.trim() === '' ? undefined : Number(semilla.trim()),
+                generator: generador,
+                generatorSweep: Object.fromEntries(validacionesBarrido.map(validacion => [validacion.key, validacion.values]))
+            });
+        } catch (errorInicio) {
+            setError(errorInicio.message);
+        }
+    };
+
+    const handleExportClick = (tipo) => {
+        const contenido = onExportCsv?.(tipo);
+        if (contenido) {
+            const nombre = tipo === 'trials' ? 'experimento-ensayos.csv' : 'experimento-resumen.csv';
+            descargarArchivo(nombre, contenido, 'text/csv');
+        }
+    };
+
+    return (
+        <div className="workspace" role="dialog" aria-modal="true">
+            <div className="workspace__panel">
+                <header className="workspace__header">
+                    <h2 className="workspace__title">Experimentos por lotes</h2>
+                    <CloseButton onClick={onClose} />
+                </header>
+
+                <div className="workspace__body">
+                    {/* Grilla del experimento */}
+                    <section className="workspace__config">
+                        <p className="control-panel__field-hint">
+                            Cada ensayo genera un grafo aleatorio con el modelo elegido y su propia semilla; todas las configuraciones
+                            con los mismos parámetros del generador y número de nodos usan los mismos grafos.
+                        </p>
+                        <RandomGraphFields value={generador} onChange={setGenerador} disabled={ejecutando} />
+                        {parametrosBarrido.map(parametro => (
+                            <TextField
+                                key={parametro.key}
+                                label={`Barrido de ${parametro.label}`}
+                                value={barrido[parametro.key] ?? ''}
+                                onChange={(valor) => setBarrido(actual => ({ ...actual, [parametro.key]: valor }))}
+                                placeholder={parametro.placeholder}
+                                disabled={ejecutando}
+                                hint={`Opcional: valores separados por comas, entre ${parametro.min} y ${parametro.max}; reemplazan al del control.`}
+                            />
+                        ))}
+                        <TextField
+                            label="Nodos"
+                            value={nodos}
+                            onChange={setNodos}
+                            placeholder="p. ej. 60, 100, 150"
+                            disabled={ejecutando}
+                            hint={`Separados por comas, entre ${GRAPH_CONSTRAINTS.MIN_RANDOM_NODES} y ${GRAPH_CONSTRAINTS.MAX_NODES}.`}
+                        />
+                        <TextField
+                            label="Colores (k)"
+                            value={colores}
+                            onChange={setColores}
+                            placeholder="p. ej. 3, 4"
+                            disabled={ejecutando}
+                            hint={`Separados por comas, entre ${GRAPH_CONSTRAINTS.MIN_COLORS} y ${GRAPH_CONSTRAINTS.MAX_COLORS}.`}
+                        />
+                        <div className="workspace__options">
+                            {EXPERIMENT_ALGORITHMS.map(opcion => (
+                                <ToggleSwitch
+                                    key={opcion.value}
+                                    label={opcion.label}
+                                    checked={seleccionados.includes(opcion.value)}
+                                    onChange={(activo) => alternarAlgoritmo(opcion.value, activo)}
+                                    disabled={ejecutando}
+                                />
+                            ))}
+                        </div>
+                        <RangeSlider
+                            label="Intentos máximos (Monte Carlo y Las Vegas)"
+                            value={iteraciones}
+                            min={ITERATION_LIMITS.MIN_ITERATIONS}
+                            max={ITERATION_LIMITS.MAX_ITERATIONS}
+                            step={ITERATION_LIMITS.STEP_ITERATIONS}
+                            onChange={setIteraciones}
+                            disabled={ejecutando}
+                            formatValue={formatearNumero}
+                        />
+                        <RangeSlider
+                            label="Ensayos por configuración"
+                            value={ensayos}
+                            min={EXPERIMENT_LIMITS.MIN_TRIALS}
+                            max={EXPERIMENT_LIMITS.MAX_TRIALS}
+                            step={1}
+                            onChange={setEnsayos}
+                            disabled={ejecutando}
+                        />
+                        <TextField
+                            label="Semilla base"
+                            value={semilla}
+                            onChange={setSemilla}
+                            placeholder="Aleatoria"
+                            inputMode="numeric"
+                            disabled={ejecutando}
+                            hint="Con la misma semilla base se repiten exactamente los mismos grafos y ejecuciones."
+                        />
+                        <div className="workspace__actions">
+                            <Button
+                                variant="primary"
+                                onClick={handleStartClick}
+                                disabled={ejecutando || seleccionados.length === 0}
+                            >
+                                Ejecutar experimento
+                            </Button>
+                            <Button variant="secondary" onClick={onCancel} disabled={!ejecutando}>
+                                Cancelar
+                            </Button>
+                            <Button
+                                variant="secondary"
+                                onClick={() => handleExportClick('summary')}
+                                disabled={!experiment || experiment.completed === 0}
+                            >
+                                Exportar resumen (.csv)
+                            </Button>
+                            <Button
+                                variant="secondary"
+                                onClick={() => handleExportClick('trials')}
+                                disabled={!experiment || experiment.completed === 0}
+                            >
+                                Exportar ensayos (.csv)
+                            </Button>
+                            <Button variant="danger" onClick={onClear} disabled={!experiment}>
+                                Limpiar
+                            </Button>
+                        </div>
+                    </section>
+
+                    {/* Resultados */}
+                    <section className="workspace__results">
+                        {!experiment ? (
+                            <p className="control-panel__field-hint">
+                                Configura la grilla y ejecuta el experimento para ver los resultados.
+                            </p>
+                        ) : (
+                            <>
+                                <p className="control-panel__field-hint">
+                                    {formatearNumero(experiment.completed)} / {formatearNumero(experiment.total)} ensayos
+                                    · {formatearTiempo(experiment.timeMs)} · {experiment.generatorLabel}
+                                    · semilla base {experiment.seed}
+                                    {!ejecutando && experiment.completed < experiment.total && ' · interrumpido'}
+                                </p>
+                                {ejecutando && (
+                                    <ProgressBar progress={experiment.completed / experiment.total} showLabel={false} />
+                                )}
+                                {experiment.error && (
+                                    <p className="control-panel__field-hint workspace__error">
+                                        Error: {experiment.error}
+                                    </p>
+                                )}
+                                <table className="workspace__table">
+                                    <thead>
+                                        <tr>
+                                            <th>Configuración</th>
+                                            <th>Ensayos</th>
+                                            <th>Éxito</th>
+                                            {METRICAS.map(metrica => (
+                                                <th key={metrica.key}>{metrica.label}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {grupos.map(grupo => (
+                                            <tr key={grupo.key}>
+                                                <td>
+                                                    {grupo.label}
+                                                    {hayBarrido && (
+                                                        <span className="workspace__cell-detail">
+                                                            {grupo.generatorLabel}
+                                                        </span>
+                                                    )}
+                                                    <span className="workspace__cell-detail">
+                                                        n={grupo.numNodes} · k={grupo.numColors}
+                                                        {grupo.iterations !== null && ` · máx. ${formatearNumero(grupo.iterations)}`}
+                                                    </span>
+                                                </td>
+                                                <td>{grupo.results.length}</td>
+                                                <td>
+                                                    {grupo.summary ? formatearPorcentaje(grupo.summary.successRate) : '—'}
+                                                </td>
+                                                {METRICAS.map(({ key, formatear }) => {
+                                                    const resumen = grupo.summary?.[key];
+                                                    if (!resumen) return <td key={key}>—</td>;
+                                                    return (
+                                                        <td key={key}>
+                                                            <strong>{formatearEstadistico(formatear, resumen.mean)}</strong>
+                                                            <span className="workspace__cell-detail">
+                                                                IC 95%: [{formatearEstadistico(formatear, resumen.ciLow)},{' '}
+                                                                {formatearEstadistico(formatear, resumen.ciHigh)}]
+                                                            </span>
+                                                            <span className="workspace__cell-detail">
+                                                                mediana {formatearEstadistico(formatear, resumen.median)}
+                                                                {' · '}σ {formatearEstadistico(formatear, resumen.stddev)}
+                                                            </span>
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                    </section>
+                </div>
+            </div>
+
+            <Modal
+                isOpen={error !== null}
+                onClose={() => setError(null)}
+                title="Advertencia"
+                confirmText="Entendido"
+            >
+                {error}
+            </Modal>
+        </div>
+    );
+}
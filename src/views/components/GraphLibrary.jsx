@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import Button from "./Button.jsx";
+import TextField from "./TextField.jsx";
+import Modal from "./Modal.jsx";
+import { validarNombreGrafo } from "../utils/validations.js";
+import { formatearFechaHora } from "../utils/formatters.js";
+
+/**
+ * Componente GraphLibrary con la lista de grafos guardados en el navegador.
+ * Permite guardar el grafo actual con un nombre y abrir, renombrar o eliminar los guardados.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{id: number, name: string, savedAt: number, nodes: number, edges: number}>} props.graphs - Grafos guardados
+ * @param {Function} props.onSave - Guarda el grafo actual; recibe el nombre y devuelve una promesa
+ * @param {Function} props.onOpen - Abre un grafo; recibe el id y devuelve una promesa
+ * @param {Function} props.onRename - Renombra un grafo; recibe el id y el nombre y devuelve una promesa
+ * @param {Function} props.onDelete - Elimina un grafo; recibe el id y devuelve una promesa
+ * @param {Function} props.onError - Muestra un error; recibe el título y el mensaje
+ * @param {boolean} props.canSave - Si hay un grafo para guardar
+ * @param {boolean} props.disabled - Si las acciones están deshabilitadas (p. ej. durante una ejecución)
+ */
+export default function GraphLibrary({
+    graphs = [],
+    onSave,
+    onOpen,
+    onRename,
+    onDelete,
+    onError,
+    canSave = true,
+    disabled = false,
+}) {
+    const [nombreNuevo, setNombreNuevo] = useState('');
+    const [edicion, setEdicion] = useState({ id: null, name: '' });
+    const [grafoAEliminar, setGrafoAEliminar] = useState(null);
+
+    // Ejecuta una acción asíncrona y reporta su error con el título dado
+    const ejecutar = async (titulo, accion) => {
+        try {
+            await accion();
+            return true;
+        } catch (error) {
+            onError?.(titulo, error.message);
+            return false;
+        }
+    };
+
+    const validarNombre = (nombre) => {
+        const validacion = validarNombreGrafo(nombre);
+        if (!validacion.valid) {
+            onError?.('Nombre inválido', validacion.error);
+        }
+        return validacion.valid;
+    };
+
+    const handleSaveClick = async () => {
+        if (!validarNombre(nombreNuevo)) return;
+        if (await ejecutar('No se pudo guardar', () => onSave?.(nombreNuevo.trim()))) {
+            setNombreNuevo('');
+        }
+    };
+
+    const handleRenameConfirm = async () => {
+        if (!validarNombre(edicion.name)) return;
+        if (await ejecutar('No se pudo renombrar', () => onRename?.(edicion.id, edicion.name.trim()))) {
+            setEdicion({ id: null, name: '' });
+        }
+    };
+
+    const handleDeleteConfirm = () => {
+        const { id } = grafoAEliminar;
+        setGrafoAEliminar(null);
+        ejecutar('No se pudo eliminar', () => onDelete?.(id));
+    };
+
+    return (
+        <>
+            <TextField
+                label="Nombre"
+                value={nombreNuevo}
+                onChange={setNombreNuevo}
+                placeholder="p. ej. Petersen (clase 3)"
+                disabled={disabled || !canSave}
+            />
+            <Button
+                variant="secondary"
+                onClick={handleSaveClick}
+                disabled={disabled || !canSave}
+            >
+                Guardar en la biblioteca
+            </Button>
+
+            {graphs.length === 0 ? (
+                <p className="control-panel__field-hint">Todavía no hay grafos guardados.</p>
+            ) : (
+                <ul className="control-panel__library">
+                    {graphs.map((grafo) => (
+                        <li key={grafo.id} className="control-panel__library-item">
+                            {edicion.id === grafo.id ? (
+                                <TextField
+                                    value={edicion.name}
+                                    onChange={(name) => setEdicion({ id: grafo.id, name })}
+                                />
+                            ) : (
+                                <span className="control-panel__library-name">{grafo.name}</span>
+                            )}
+                            <span className="control-panel__library-meta">
+                                {grafo.nodes} nodos · {grafo.edges} aristas · {formatearFechaHora(grafo.savedAt)}
+                            </span>
+                            <div className="control-panel__library-actions">
+                                {edicion.id === grafo.id ? (
+                                    <>
+                                        <Button variant="primary" onClick={handleRenameConfirm}>
+                                            Aceptar
+                                        </Button>
+                                        <Button variant="secondary" onClick={() => setEdicion({ id: null, name: '' })}>
+                                            Cancelar
+                                        </Button>
+                                    </>
+                                ) : (
+                                    <>
+                                        <Button
+                                            variant="secondary"
+                                            onClick={() => ejecutar('No se pudo abrir', () => onOpen?.(grafo.id))}
+                                            disabled={disabled}
+                                        >
+                                            Abrir
+                                        </Button>
+                                        <Button
+                                            variant="secondary"
+                                            onClick={() => setEdicion({ id: grafo.id, name: grafo.name })}
+                                        >
+                                            Renombrar
+                                        </Button>
+                                        <Button variant="danger" onClick={() => setGrafoAEliminar(grafo)}>
+                                            Eliminar
+                                        </Button>
+                                    </>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Confirmación antes de eliminar */}
+            <Modal
+                isOpen={grafoAEliminar !== null}
+                onClose={() => setGrafoAEliminar(null)}
+                title="Eliminar grafo"
+                variant="error"
+                confirmText="Eliminar"
+                cancelText="Cancelar"
+                onConfirm={handleDeleteConfirm}
+            >
+                {grafoAEliminar && `¿Eliminar "${grafoAEliminar.name}" de la biblioteca? Esta acción no se puede deshacer.`}
+            </Modal>
+        </>
+    );
+}
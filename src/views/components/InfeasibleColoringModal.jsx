@@ -0,0 +1,101 @@
+import React from "react";
+import Button from "./Button.jsx";
+import "./ColorIncrementModal.css";
+
+/**
+ * Descripción de cada tipo de certificado de infactibilidad.
+ */
+const DESCRIPCION_CERTIFICADO = {
+  clique: (cantidad) => `forman un clique de ${cantidad} nodos: todos son adyacentes entre sí y necesitan colores distintos`
+};
+
+/**
+ * Modal que explica por qué k colores no alcanzan, mostrando el certificado
+ * (un clique de k + 1 nodos) que queda resaltado en el grafo.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Si el modal está visible
+ * @param {string} props.algorithm - Nombre del algoritmo que se quería ejecutar
+ * @param {number} props.numColors - Número de colores pedido
+ * @param {Object|null} props.certificate - Certificado con type y nodeIds
+ * @param {number} props.lowerBound - Cota inferior de χ(G)
+ * @param {number} props.upperBound - Cota superior de χ(G) (degeneración / Brooks)
+ * @param {number} props.maxColors - Número máximo de colores permitido
+ * @param {Function} props.onRetryWithLowerBound - Callback para reintentar con lowerBound colores
+ * @param {Function} props.onClose - Callback para cerrar
+ */
+export default function InfeasibleColoringModal({
+  isOpen,
+  algorithm,
+  numColors,
+  certificate,
+  lowerBound,
+  upperBound,
+  maxColors,
+  onRetryWithLowerBound,
+  onClose,
+}) {
+  if (!isOpen || !certificate) return null;
+
+  const describir = DESCRIPCION_CERTIFICADO[certificate.type] || DESCRIPCION_CERTIFICADO.clique;
+  const puedeReintentar = lowerBound <= maxColors;
+
+  const handleBackdropClick = (event) => {
+    if (event.target === event.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="color-increment-modal-backdrop" onClick={handleBackdropClick}>
+      <div className="color-increment-modal" role="dialog" aria-modal="true">
+        <h2 className="modal-title">
+          {numColors} colores no alcanzan
+        </h2>
+
+        <p className="modal-message">
+          No se inició <strong>{algorithm}</strong>: los nodos{' '}
+          <strong>{certificate.nodeIds.join(', ')}</strong> {describir(certificate.nodeIds.length)}.
+          El certificado queda resaltado en el grafo.
+        </p>
+
+        <div className="modal-details">
+          <div className="detail-item">
+            <strong>Cota inferior:</strong>{' '}
+            <span className="detail-value">χ(G) ≥ {lowerBound}</span>
+          </div>
+          <div className="detail-item">
+            <strong>Cota superior (degeneración / Brooks):</strong>{' '}
+            <span className="detail-value">χ(G) ≤ {upperBound}</span>
+          </div>
+        </div>
+
+        {!puedeReintentar && (
+          <p className="modal-message error-message">
+            Se necesitan más de <strong>{maxColors} colores</strong>, el máximo disponible.
+          </p>
+        )}
+
+        <div className="modal-buttons">
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            style={{ minWidth: '120px' }}
+          >
+            Entendido
+          </Button>
+          {puedeReintentar && (
+            <Button
+              variant="primary"
+              onClick={onRetryWithLowerBound}
+              style={{ minWidth: '120px' }}
+            >
+              Reintentar con {lowerBound} colores
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -115,6 +115,7 @@ export default function Modal({
     fontSize: FONT_SIZE.BASE,
     color: THEME_COLORS.TEXT_SECONDARY,
     lineHeight: '1.6',
+    whiteSpace: 'pre-line',
     marginBottom: SPACING.XXL,
   };
 
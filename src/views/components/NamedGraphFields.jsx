@@ -0,0 +1,57 @@
+import React from "react";
+import RangeSlider from "./RangeSlider.jsx";
+import SelectField from "./SelectField.jsx";
+import { NAMED_GRAPHS } from "../constants/index.js";
+
+/**
+ * Valores iniciales de los parámetros de un grafo del catálogo.
+ * @param {string} id - Clave del grafo en NAMED_GRAPHS.
+ * @returns {Object} Mapa de parámetro a valor inicial.
+ */
+function parametrosIniciales(id) {
+    const grafo = NAMED_GRAPHS.find(opcion => opcion.value === id);
+    return Object.fromEntries((grafo?.params ?? []).map(parametro => [parametro.key, parametro.default]));
+}
+
+/**
+ * Componente NamedGraphFields con el grafo del catálogo de grafos clásicos y sus parámetros
+ *
+ * @component
+ * @param {Object} props
+ * @param {{id: string, params: Object}} props.value - Grafo elegido y sus parámetros
+ * @param {Function} props.onChange - Recibe el grafo y los parámetros actualizados
+ * @param {boolean} [props.disabled=false] - Si los campos están deshabilitados
+ */
+export default function NamedGraphFields({ value, onChange, disabled = false }) {
+    const grafo = NAMED_GRAPHS.find(opcion => opcion.value === value.id);
+
+    // Al cambiar de grafo, sus parámetros vuelven a los valores iniciales
+    const elegirGrafo = (id) => onChange?.({ id, params: parametrosIniciales(id) });
+    const actualizar = (clave) => (nuevoValor) => onChange?.({ ...value, params: { ...value.params, [clave]: nuevoValor } });
+
+    return (
+        <>
+            <SelectField
+                label="Grafo"
+                options={NAMED_GRAPHS}
+                value={value.id}
+                onChange={elegirGrafo}
+                disabled={disabled}
+                hint={grafo?.hint}
+            />
+
+            {grafo?.params.map(parametro => (
+                <RangeSlider
+                    key={parametro.key}
+                    label={parametro.label}
+                    value={value.params[parametro.key]}
+                    min={parametro.min}
+                    max={parametro.max}
+                    step={1}
+                    onChange={actualizar(parametro.key)}
+                    disabled={disabled}
+                />
+            ))}
+        </>
+    );
+}
@@ -0,0 +1,180 @@
+import React from "react";
+import RangeSlider from "./RangeSlider.jsx";
+import SelectField from "./SelectField.jsx";
+import ToggleSwitch from "./ToggleSwitch.jsx";
+import { RANDOM_GRAPH_MODELS, RANDOM_GRAPH_LIMITS } from "../constants/index.js";
+
+/**
+ * Calcula el grado medio esperado de un grafo generado con la configuración dada.
+ * @param {Object} generador - Configuración del generador.
+ * @param {number} numNodes - Número de nodos.
+ * @returns {number|null} Grado medio esperado, o null para el árbol con aristas extra.
+ */
+function gradoMedioEsperado(generador, numNodes) {
+    switch (generador.model) {
+        case 'gnp':
+            return generador.probability * (numNodes - 1);
+        case 'gnm':
+            return (2 * generador.edges) / numNodes;
+        case 'barabasi-albert':
+            return 2 * generador.attachments;
+        case 'watts-strogatz':
+            return generador.neighbors;
+        case 'regular':
+            return generador.degree;
+        case 'planted': {
+            // Clases de tamaño decreciente lineal hasta `balance` veces la mayor (sin redondeo)
+            const k = generador.classes;
+            const pesos = Array.from({ length: k }, (_, c) => 1 - (1 - generador.balance) * c / (k - 1));
+            const suma = pesos.reduce((total, peso) => total + peso, 0);
+            const mismaClase = pesos.reduce((total, peso) => total + (peso / suma) ** 2, 0);
+            return generador.probability * numNodes * (1 - mismaClase);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Componente RandomGraphFields con el modelo del generador de grafos aleatorios y sus parámetros
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.value - Configuración actual ({ model, probability, edges, attachments, neighbors, rewiring, degree, classes, balance, connected })
+ * @param {Function} props.onChange - Recibe la configuración actualizada
+ * @param {number} [props.numNodes] - Nodos del grafo a generar, para mostrar el grado medio esperado
+ * @param {boolean} [props.disabled=false] - Si los campos están deshabilitados
+ */
+export default function RandomGraphFields({ value, onChange, numNodes, disabled = false }) {
+    const modelo = RANDOM_GRAPH_MODELS.find(opcion => opcion.value === value.model);
+    const actualizar = (campo) => (nuevoValor) => onChange?.({ ...value, [campo]: nuevoValor });
+    const gradoMedio = numNodes ? gradoMedioEsperado(value, numNodes) : null;
+
+    return (
+        <>
+            <SelectField
+                label="Modelo"
+                options={RANDOM_GRAPH_MODELS}
+                value={value.model}
+                onChange={actualizar('model')}
+                disabled={disabled}
+                hint={modelo?.hint}
+            />
+
+            {value.model === 'planted' && (
+                <RangeSlider
+                    label="Clases ocultas (k)"
+                    value={value.classes}
+                    min={RANDOM_GRAPH_LIMITS.MIN_CLASSES}
+                    max={RANDOM_GRAPH_LIMITS.MAX_CLASSES}
+                    step={1}
+                    onChange={actualizar('classes')}
+                    disabled={disabled}
+                />
+            )}
+
+            {(value.model === 'gnp' || value.model === 'planted') && (
+                <RangeSlider
+                    label={value.model === 'planted' ? 'Probabilidad entre clases (p)' : 'Probabilidad de arista (p)'}
+                    value={value.probability}
+                    min={RANDOM_GRAPH_LIMITS.MIN_PROBABILITY}
+                    max={RANDOM_GRAPH_LIMITS.MAX_PROBABILITY}
+                    step={RANDOM_GRAPH_LIMITS.STEP_PROBABILITY}
+                    onChange={actualizar('probability')}
+                    disabled={disabled}
+                    formatValue={(p) => p.toFixed(2)}
+                />
+            )}
+
+            {value.model === 'planted' && (
+                <RangeSlider
+                    label="Balance (clase menor / mayor)"
+                    value={value.balance}
+                    min={RANDOM_GRAPH_LIMITS.MIN_BALANCE}
+                    max={RANDOM_GRAPH_LIMITS.MAX_BALANCE}
+                    step={RANDOM_GRAPH_LIMITS.STEP_BALANCE}
+                    onChange={actualizar('balance')}
+                    disabled={disabled}
+                    formatValue={(balance) => balance.toFixed(2)}
+                />
+            )}
+
+            {value.model === 'gnm' && (
+                <RangeSlider
+                    label="Aristas (m)"
+                    value={value.edges}
+                    min={RANDOM_GRAPH_LIMITS.MIN_EDGES}
+                    max={RANDOM_GRAPH_LIMITS.MAX_EDGES}
+                    step={RANDOM_GRAPH_LIMITS.STEP_EDGES}
+                    onChange={actualizar('edges')}
+                    disabled={disabled}
+                />
+            )}
+
+            {value.model === 'barabasi-albert' && (
+                <RangeSlider
+                    label="Aristas por nodo nuevo (m)"
+                    value={value.attachments}
+                    min={RANDOM_GRAPH_LIMITS.MIN_ATTACHMENTS}
+                    max={RANDOM_GRAPH_LIMITS.MAX_ATTACHMENTS}
+                    step={1}
+                    onChange={actualizar('attachments')}
+                    disabled={disabled}
+                />
+            )}
+
+            {value.model === 'watts-strogatz' && (
+                <>
+                    <RangeSlider
+                        label="Vecinos en el anillo (k)"
+                        value={value.neighbors}
+                        min={RANDOM_GRAPH_LIMITS.MIN_NEIGHBORS}
+                        max={RANDOM_GRAPH_LIMITS.MAX_NEIGHBORS}
+                        step={2}
+                        onChange={actualizar('neighbors')}
+                        disabled={disabled}
+                    />
+                    <RangeSlider
+                        label="Probabilidad de recableado (β)"
+                        value={value.rewiring}
+                        min={RANDOM_GRAPH_LIMITS.MIN_REWIRING}
+                        max={RANDOM_GRAPH_LIMITS.MAX_REWIRING}
+                        step={RANDOM_GRAPH_LIMITS.STEP_REWIRING}
+                        onChange={actualizar('rewiring')}
+                        disabled={disabled}
+                        formatValue={(beta) => beta.toFixed(2)}
+                    />
+                </>
+            )}
+
+            {value.model === 'regular' && (
+                <RangeSlider
+                    label="Grado (d)"
+                    value={value.degree}
+                    min={RANDOM_GRAPH_LIMITS.MIN_DEGREE}
+                    max={RANDOM_GRAPH_LIMITS.MAX_DEGREE}
+                    step={1}
+                    onChange={actualizar('degree')}
+                    disabled={disabled}
+                />
+            )}
+
+            {!modelo?.alwaysConnected && (
+                <ToggleSwitch
+                    label="Garantizar grafo conexo"
+                    checked={value.connected}
+                    onChange={actualizar('connected')}
+                    disabled={disabled}
+                />
+            )}
+
+            {gradoMedio !== null && (
+                <p className="control-panel__field-hint">
+                    Grado medio esperado ≈ {gradoMedio.toFixed(1)}
+                    {!modelo?.alwaysConnected && value.connected && value.model !== 'regular' &&
+                        ' (más las aristas que unen componentes)'}
+                </p>
+            )}
+        </>
+    );
+}
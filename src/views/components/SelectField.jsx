@@ -0,0 +1,62 @@
+import React from "react";
+import { THEME_COLORS, SPACING, BORDER_RADIUS, FONT_SIZE, FONT_WEIGHT, TRANSITIONS, OPACITY } from '../constants/theme.js';
+
+/**
+ * Componente SelectField para elegir una opción de una lista desplegable
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.label - Etiqueta del campo
+ * @param {Array<{value: string, label: string}>} props.options - Opciones disponibles
+ * @param {string} props.value - Valor seleccionado actualmente
+ * @param {Function} props.onChange - Manejador de cambio, recibe el nuevo valor
+ * @param {boolean} props.disabled - Si está deshabilitado
+ * @param {string} props.hint - Texto de ayuda bajo el selector
+ * @param {string} props.className - Clases CSS adicionales
+ */
+export default function SelectField({
+    label,
+    options,
+    value,
+    onChange,
+    disabled = false,
+    hint,
+    className = '',
+}) {
+    const estiloSelect = {
+        width: '100%',
+        padding: `${SPACING.MD} ${SPACING.XL}`,
+        background: `${THEME_COLORS.BG_PRIMARY}99`,
+        color: THEME_COLORS.TEXT_SECONDARY,
+        border: `1px solid ${THEME_COLORS.BORDER_SECONDARY}`,
+        borderRadius: BORDER_RADIUS.LG,
+        fontSize: FONT_SIZE.LG,
+        fontWeight: FONT_WEIGHT.MEDIUM,
+        cursor: disabled ? 'not-allowed' : 'pointer',
+        opacity: disabled ? OPACITY.DISABLED : OPACITY.FULL,
+        transition: TRANSITIONS.FAST,
+    };
+
+    return (
+        <div className={`control-panel__field ${className}`}>
+            {label && <label className="control-panel__field-label">{label}</label>}
+            <select
+                style={estiloSelect}
+                value={value}
+                onChange={(e) => onChange?.(e.target.value)}
+                disabled={disabled}
+            >
+                {options.map((option) => (
+                    <option
+                        key={option.value}
+                        value={option.value}
+                        style={{ background: THEME_COLORS.BG_SECONDARY }}
+                    >
+                        {option.label}
+                    </option>
+                ))}
+            </select>
+            {hint && <p className="control-panel__field-hint">{hint}</p>}
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import React from "react";
 import StatItem from "./StatItem.jsx";
 import { formatearTiempo } from "../utils/formatters.js";
+import { GREEDY_ORDERINGS } from "../constants/index.js";
 
 /**
  * Componente StatsColumn para mostrar columna de estadísticas de coloración
@@ -10,15 +11,64 @@ import { formatearTiempo } from "../utils/formatters.js";
  * @param {Object} props.coloringStats - Objeto con las estadísticas de coloración
  * @param {string} props.coloringStats.algorithm - Nombre del algoritmo usado
  * @param {number} [props.coloringStats.iterations] - Número de iteraciones
- * @param {number} props.coloringStats.attempts - Intentos o muestras
+ * @param {number} props.coloringStats.attempts - Intentos, muestras o vértices coloreados
  * @param {number} props.coloringStats.conflicts - Número de conflictos
  * @param {number} [props.coloringStats.successRate] - Tasa de éxito
  * @param {number} [props.coloringStats.meanConflicts] - Conflictos promedio
  * @param {number} [props.coloringStats.timeMs] - Tiempo de ejecución en milisegundos
+ * @param {number} [props.coloringStats.tabuHits] - Movimientos bloqueados por la lista tabú (Tabucol)
+ * @param {number} [props.coloringStats.bestConflicts] - Mejor número de conflictos encontrado (Tabucol, Recocido Simulado)
+ * @param {number} [props.coloringStats.temperature] - Temperatura actual (Recocido Simulado)
+ * @param {number} [props.coloringStats.acceptedWorse] - Empeoramientos aceptados (Recocido Simulado)
+ * @param {number} [props.coloringStats.lowerBound] - Cota inferior de χ(G) (solver exacto)
+ * @param {number} [props.coloringStats.upperBound] - Cota superior de χ(G) (solver exacto)
+ * @param {number} [props.coloringStats.nodesExplored] - Nodos del árbol de búsqueda explorados (solver exacto)
+ * @param {Array<number>} [props.coloringStats.clique] - IDs del clique usado como cota inferior (solver exacto)
+ * @param {number} [props.coloringStats.chromaticNumber] - Número cromático probado (solver exacto)
+ * @param {boolean} [props.coloringStats.exceedsPalette] - Si χ(G) supera los colores de la paleta (solver exacto)
+ * @param {number} [props.coloringStats.uncoloredNodes] - Nodos que el testigo deja sin color por falta de colores (solver exacto)
+ * @param {boolean} [props.coloringStats.checkingFeasibility] - Si todavía se verifica que k colores alcancen (Las Vegas)
+ * @param {number} [props.coloringStats.parallelWorkers] - Workers en paralelo (Monte Carlo, Las Vegas)
+ * @param {number} [props.coloringStats.workerIndex] - Índice, desde 0, del worker que produjo la coloración (Monte Carlo, Las Vegas)
+ * @param {number} [props.coloringStats.derivedSeed] - Semilla derivada de ese worker (Monte Carlo, Las Vegas)
+ * @param {number} [props.coloringStats.workerCount] - Workers de la ejecución paralela (Monte Carlo, Las Vegas)
+ * @param {boolean} [props.coloringStats.replayedWorker] - Si se repitió solo ese worker, secuencialmente
+ * @param {string} [props.coloringStats.ordering] - Orden de los vértices (Greedy secuencial)
+ * @param {number} [props.coloringStats.greedyColors] - Colores usados por el greedy (Greedy secuencial)
+ * @param {number} [props.coloringStats.currentClass] - Clase de color en construcción (RLF)
+ * @param {number} [props.coloringStats.classSize] - Vértices de la clase en construcción (RLF)
+ * @param {number} [props.coloringStats.candidates] - Candidatos que aún pueden entrar en la clase, U (RLF)
+ * @param {number} [props.coloringStats.excluded] - Excluidos por tener un vecino en la clase, W (RLF)
+ * @param {number} [props.coloringStats.deadEnds] - Intentos que terminaron en un callejón sin salida (Las Vegas con propagación)
+ * @param {number} [props.coloringStats.deadEndDepthTotal] - Suma de los vértices coloreados antes de cada callejón sin salida (Las Vegas con propagación)
+ * @param {number} [props.coloringStats.maxDeadEndDepth] - Mayor profundidad alcanzada antes de un callejón sin salida (Las Vegas con propagación)
+ * @param {number} [props.coloringStats.vertexCount] - Vértices del grafo, para expresar la profundidad (Las Vegas con propagación)
+ * @param {number} [props.coloringStats.populationSize] - Individuos de la población (Evolutivo híbrido)
+ * @param {number} [props.coloringStats.populationMean] - Conflictos medios de la población (Evolutivo híbrido) o de las hormigas del ciclo (Colonia de hormigas)
+ * @param {number} [props.coloringStats.diversity] - Distancia media entre individuos, entre 0 y 1 (Evolutivo híbrido)
+ * @param {number} [props.coloringStats.ants] - Hormigas por ciclo (Colonia de hormigas)
+ * @param {Array<{nodeId: number, color: string, intensity: number}>} [props.coloringStats.pheromones] - Color con más feromona de cada nodo (Colonia de hormigas)
+ * @param {Object|null} [props.knownOptimum] - Grafos del catálogo: { chromaticNumber, colorsUsed } para indicar si se alcanzó el óptimo
  */
-export default function StatsColumn({ coloringStats }) {
+export default function StatsColumn({ coloringStats, knownOptimum = null }) {
     const isMonteCarlo = coloringStats.algorithm?.toLowerCase().includes('monte');
     const isLasVegas = coloringStats.algorithm?.toLowerCase().includes('vegas');
+    const isDsatur = coloringStats.algorithm?.toLowerCase().includes('dsatur');
+    const isTabucol = coloringStats.algorithm?.toLowerCase().includes('tabu');
+    const isRecocido = coloringStats.algorithm?.toLowerCase().includes('recocido');
+    const isExacto = coloringStats.algorithm?.toLowerCase().includes('exacto');
+    const isGreedy = coloringStats.algorithm?.toLowerCase().includes('greedy');
+    const isRlf = coloringStats.algorithm?.toLowerCase().includes('rlf');
+    const isEvolutivo = coloringStats.algorithm?.toLowerCase().includes('evolutivo');
+    const isHormigas = coloringStats.algorithm?.toLowerCase().includes('hormigas');
+    const isPropagacion = isLasVegas && coloringStats.algorithm?.toLowerCase().includes('propagación');
+    const ordenGreedy = isGreedy && GREEDY_ORDERINGS.find(opcion => opcion.value === coloringStats.ordering);
+    const etiquetaIntentos = isDsatur || isGreedy || isRlf ? 'Vértices coloreados'
+        : isTabucol ? 'Pasadas'
+            : isEvolutivo ? 'Generaciones'
+                : isHormigas ? 'Ciclos'
+                    : isRecocido ? 'Movimientos'
+                        : isLasVegas ? 'Intentos' : 'Muestras';
 
     return (
         <div>
@@ -27,6 +77,20 @@ export default function StatsColumn({ coloringStats }) {
                 value={coloringStats.algorithm}
             />
 
+            {coloringStats.checkingFeasibility && (
+                <StatItem
+                    label="Estado"
+                    value="Verificando que los colores alcancen…"
+                />
+            )}
+
+            {ordenGreedy && (
+                <StatItem
+                    label="Orden"
+                    value={ordenGreedy.label}
+                />
+            )}
+
             {isMonteCarlo && coloringStats.iterations && (
                 <StatItem
                     label="Iteraciones"
@@ -34,18 +98,188 @@ export default function StatsColumn({ coloringStats }) {
                 />
             )}
 
-            <StatItem
-                label={isLasVegas ? 'Intentos' : 'Muestras'}
-                value={coloringStats.attempts || 0}
-            />
+            {isExacto ? (
+                <StatItem
+                    label="Nodos explorados"
+                    value={(coloringStats.nodesExplored || 0).toLocaleString()}
+                />
+            ) : (
+                <StatItem
+                    label={etiquetaIntentos}
+                    value={coloringStats.attempts || 0}
+                />
+            )}
+
+            {isExacto && typeof coloringStats.chromaticNumber === "number" && (
+                <StatItem
+                    label="Número cromático"
+                    value={`χ(G) = ${coloringStats.chromaticNumber}`}
+                    highlight={true}
+                    valueClass="graph-canvas__stat-value--success"
+                />
+            )}
+
+            {isExacto && typeof coloringStats.chromaticNumber !== "number" && typeof coloringStats.lowerBound === "number" && (
+                <StatItem
+                    label="Cotas de χ(G)"
+                    value={`${coloringStats.lowerBound} ≤ χ ≤ ${coloringStats.upperBound}`}
+                />
+            )}
+
+            {isExacto && Array.isArray(coloringStats.clique) && (
+                <StatItem
+                    label={`Clique (ω ≥ ${coloringStats.clique.length})`}
+                    value={coloringStats.clique.join(', ')}
+                />
+            )}
+
+            {isExacto && coloringStats.exceedsPalette && (
+                <StatItem
+                    label="Testigo incompleto"
+                    value={`${coloringStats.uncoloredNodes} ${coloringStats.uncoloredNodes === 1 ? 'nodo' : 'nodos'} sin color: usa más colores que la paleta`}
+                    highlight={true}
+                    valueClass="graph-canvas__stat-value--error"
+                />
+            )}
 
             <StatItem
                 label="Conflictos"
                 value={coloringStats.conflicts || 0}
                 highlight={true}
-                valueClass={coloringStats.conflicts === 0 ? 'graph-canvas__stat-value--success' : 'graph-canvas__stat-value--error'}
+                valueClass={coloringStats.conflicts === 0 && !coloringStats.exceedsPalette ? 'graph-canvas__stat-value--success' : 'graph-canvas__stat-value--error'}
             />
 
+            {knownOptimum && (
+                <StatItem
+                    label="Óptimo conocido"
+                    value={
+                        coloringStats.isRunning || coloringStats.conflicts > 0
+                            ? `χ(G) = ${knownOptimum.chromaticNumber}`
+                            : knownOptimum.colorsUsed === knownOptimum.chromaticNumber
+                                ? `Alcanzado: ${knownOptimum.colorsUsed} colores = χ(G)`
+                                : `Usa ${knownOptimum.colorsUsed} colores; χ(G) = ${knownOptimum.chromaticNumber}`
+                    }
+                    highlight={!coloringStats.isRunning && coloringStats.conflicts === 0}
+                    valueClass={
+                        !coloringStats.isRunning && coloringStats.conflicts === 0
+                            ? knownOptimum.colorsUsed === knownOptimum.chromaticNumber
+                                ? 'graph-canvas__stat-value--success'
+                                : 'graph-canvas__stat-value--error'
+                            : undefined
+                    }
+                />
+            )}
+
+            {typeof coloringStats.greedyColors === "number" && isGreedy && (
+                <StatItem
+                    label="Colores usados"
+                    value={coloringStats.greedyColors}
+                />
+            )}
+
+            {typeof coloringStats.currentClass === "number" && isRlf && coloringStats.isRunning && (
+                <>
+                    <StatItem
+                        label="Clase en construcción"
+                        value={`${coloringStats.currentClass} (${coloringStats.classSize} vértices)`}
+                    />
+                    <StatItem
+                        label="Candidatos (U)"
+                        value={coloringStats.candidates}
+                    />
+                    <StatItem
+                        label="Excluidos (W)"
+                        value={coloringStats.excluded}
+                    />
+                </>
+            )}
+
+            {typeof coloringStats.deadEnds === "number" && isPropagacion && (
+                <>
+                    <StatItem
+                        label="Callejones sin salida"
+                        value={coloringStats.deadEnds}
+                    />
+                    {coloringStats.deadEnds > 0 && (
+                        <>
+                            <StatItem
+                                label="Profundidad media"
+                                value={`${(coloringStats.deadEndDepthTotal / coloringStats.deadEnds).toFixed(1)} de ${coloringStats.vertexCount} vértices`}
+                            />
+                            <StatItem
+                                label="Profundidad máxima"
+                                value={`${coloringStats.maxDeadEndDepth} de ${coloringStats.vertexCount} vértices`}
+                            />
+                        </>
+                    )}
+                </>
+            )}
+
+            {typeof coloringStats.populationSize === "number" && isEvolutivo && (
+                <>
+                    <StatItem
+                        label="Población"
+                        value={`${coloringStats.populationSize} individuos`}
+                    />
+                    <StatItem
+                        label="Media de la población"
+                        value={coloringStats.populationMean.toFixed(1)}
+                    />
+                    <StatItem
+                        label="Diversidad"
+                        value={`${(coloringStats.diversity * 100).toFixed(1)}%`}
+                    />
+                </>
+            )}
+
+            {typeof coloringStats.ants === "number" && isHormigas && (
+                <>
+                    <StatItem
+                        label="Hormigas por ciclo"
+                        value={coloringStats.ants}
+                    />
+                    <StatItem
+                        label="Media de la colonia"
+                        value={coloringStats.populationMean.toFixed(1)}
+                    />
+                </>
+            )}
+
+            {typeof coloringStats.bestConflicts === "number" && (isTabucol || isRecocido || isEvolutivo || isHormigas) && (
+                <StatItem
+                    label="Mejor conflictos"
+                    value={coloringStats.bestConflicts}
+                />
+            )}
+
+            {typeof coloringStats.tabuHits === "number" && isTabucol && (
+                <StatItem
+                    label="Bloqueos tabú"
+                    value={coloringStats.tabuHits}
+                />
+            )}
+
+            {typeof coloringStats.aspirations === "number" && isTabucol && (
+                <StatItem
+                    label="Aspiraciones"
+                    value={coloringStats.aspirations}
+                />
+            )}
+
+            {typeof coloringStats.temperature === "number" && isRecocido && (
+                <StatItem
+                    label="Temperatura"
+                    value={coloringStats.temperature.toFixed(3)}
+                />
+            )}
+
+            {typeof coloringStats.acceptedWorse === "number" && isRecocido && (
+                <StatItem
+                    label="Empeoramientos aceptados"
+                    value={coloringStats.acceptedWorse}
+                />
+            )}
+
             {typeof coloringStats.successRate === "number" && isMonteCarlo && (
                 <StatItem
                     label="Tasa de éxito"
@@ -66,6 +300,27 @@ export default function StatsColumn({ coloringStats }) {
                     value={formatearTiempo(coloringStats.timeMs)}
                 />
             )}
+
+            {coloringStats.seed !== undefined && (
+                <StatItem
+                    label="Semilla"
+                    value={coloringStats.seed}
+                />
+            )}
+
+            {coloringStats.parallelWorkers > 1 && (
+                <StatItem
+                    label="Workers en paralelo"
+                    value={coloringStats.parallelWorkers}
+                />
+            )}
+
+            {coloringStats.workerCount !== undefined && (
+                <StatItem
+                    label={coloringStats.replayedWorker ? "Worker repetido" : "Worker de la coloración"}
+                    value={`${coloringStats.workerIndex + 1} de ${coloringStats.workerCount} · semilla ${coloringStats.derivedSeed}`}
+                />
+            )}
         </div>
     );
 }
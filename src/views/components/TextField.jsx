@@ -0,0 +1,58 @@
+import React from "react";
+import { THEME_COLORS, SPACING, BORDER_RADIUS, FONT_SIZE, FONT_WEIGHT, TRANSITIONS, OPACITY } from '../constants/theme.js';
+
+/**
+ * Componente TextField para ingresar un valor de texto corto
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.label - Etiqueta del campo
+ * @param {string} props.value - Valor actual
+ * @param {Function} props.onChange - Manejador de cambio, recibe el nuevo valor
+ * @param {string} props.placeholder - Texto mostrado cuando el campo está vacío
+ * @param {string} props.inputMode - Teclado sugerido en dispositivos móviles (p. ej. 'numeric')
+ * @param {boolean} props.disabled - Si está deshabilitado
+ * @param {string} props.hint - Texto de ayuda bajo el campo
+ * @param {string} props.className - Clases CSS adicionales
+ */
+export default function TextField({
+    label,
+    value,
+    onChange,
+    placeholder,
+    inputMode,
+    disabled = false,
+    hint,
+    className = '',
+}) {
+    const estiloInput = {
+        width: '100%',
+        boxSizing: 'border-box',
+        padding: `${SPACING.MD} ${SPACING.XL}`,
+        background: `${THEME_COLORS.BG_PRIMARY}99`,
+        color: THEME_COLORS.TEXT_SECONDARY,
+        border: `1px solid ${THEME_COLORS.BORDER_SECONDARY}`,
+        borderRadius: BORDER_RADIUS.LG,
+        fontSize: FONT_SIZE.LG,
+        fontWeight: FONT_WEIGHT.MEDIUM,
+        cursor: disabled ? 'not-allowed' : 'text',
+        opacity: disabled ? OPACITY.DISABLED : OPACITY.FULL,
+        transition: TRANSITIONS.FAST,
+    };
+
+    return (
+        <div className={`control-panel__field ${className}`}>
+            {label && <label className="control-panel__field-label">{label}</label>}
+            <input
+                type="text"
+                style={estiloInput}
+                value={value}
+                placeholder={placeholder}
+                inputMode={inputMode}
+                onChange={(e) => onChange?.(e.target.value)}
+                disabled={disabled}
+            />
+            {hint && <p className="control-panel__field-hint">{hint}</p>}
+        </div>
+    );
+}
@@ -3,12 +3,143 @@
 
 // ===== UI CONSTRAINTS (shared with Model for validation) =====
 export const GRAPH_CONSTRAINTS = {
-    MAX_NODES: 150,
+    MAX_NODES: 2000,
     MIN_RANDOM_NODES: 60,
     MIN_COLORS: 3,
     MAX_COLORS: 10
 };
 
+// ===== RANDOM GRAPH GENERATORS =====
+// Modelos del generador de grafos aleatorios (alwaysConnected: nunca generan grafos desconectados)
+export const RANDOM_GRAPH_MODELS = [
+    { value: 'tree', label: 'Árbol con aristas extra', hint: 'Árbol de expansión más n/4 aristas al azar (muy disperso)', alwaysConnected: true },
+    { value: 'gnp', label: 'Erdős–Rényi G(n, p)', hint: 'Cada par de nodos es arista con probabilidad p' },
+    { value: 'gnm', label: 'Erdős–Rényi G(n, m)', hint: 'm aristas elegidas al azar entre todos los pares' },
+    { value: 'barabasi-albert', label: 'Barabási–Albert', hint: 'Conexión preferencial: cada nodo nuevo se une a m nodos según su grado', alwaysConnected: true },
+    { value: 'watts-strogatz', label: 'Watts–Strogatz', hint: 'Anillo con k vecinos por nodo y recableado con probabilidad β' },
+    { value: 'regular', label: 'Regular aleatorio', hint: 'Todos los nodos tienen grado d (nodos × d debe ser par)' },
+    { value: 'planted', label: 'k-coloreable (solución oculta)', hint: 'Reparte los nodos en k clases ocultas y solo une nodos de clases distintas con probabilidad p' }
+];
+
+// Rangos de los parámetros; los máximos son válidos para cualquier número de nodos permitido
+export const RANDOM_GRAPH_LIMITS = {
+    MIN_PROBABILITY: 0.01,
+    MAX_PROBABILITY: 0.5,
+    STEP_PROBABILITY: 0.01,
+    MIN_EDGES: 60,
+    MAX_EDGES: 1500,
+    STEP_EDGES: 10,
+    MIN_ATTACHMENTS: 1,
+    MAX_ATTACHMENTS: 10,
+    MIN_NEIGHBORS: 2,
+    MAX_NEIGHBORS: 20,
+    MIN_REWIRING: 0,
+    MAX_REWIRING: 1,
+    STEP_REWIRING: 0.05,
+    MIN_DEGREE: 2,
+    MAX_DEGREE: 20,
+    MIN_CLASSES: 3,
+    MAX_CLASSES: 10,
+    MIN_BALANCE: 0.1,
+    MAX_BALANCE: 1,
+    STEP_BALANCE: 0.05
+};
+
+// Configuración inicial del generador
+export const DEFAULT_RANDOM_GRAPH = {
+    model: 'tree',
+    probability: 0.05,
+    edges: 300,
+    attachments: 2,
+    neighbors: 4,
+    rewiring: 0.1,
+    degree: 4,
+    classes: 4,
+    balance: 1,
+    connected: true
+};
+
+// Parámetros del generador que se pueden barrer en los experimentos, con su rango (el de RANDOM_GRAPH_LIMITS)
+export const RANDOM_GRAPH_SWEEP_PARAMS = {
+    'tree': [],
+    'gnp': [
+        { key: 'probability', label: 'p', min: RANDOM_GRAPH_LIMITS.MIN_PROBABILITY, max: RANDOM_GRAPH_LIMITS.MAX_PROBABILITY, placeholder: 'p. ej. 0.05, 0.1, 0.2' }
+    ],
+    'gnm': [
+        { key: 'edges', label: 'm', min: RANDOM_GRAPH_LIMITS.MIN_EDGES, max: RANDOM_GRAPH_LIMITS.MAX_EDGES, integer: true, placeholder: 'p. ej. 200, 400' }
+    ],
+    'barabasi-albert': [
+        { key: 'attachments', label: 'm', min: RANDOM_GRAPH_LIMITS.MIN_ATTACHMENTS, max: RANDOM_GRAPH_LIMITS.MAX_ATTACHMENTS, integer: true, placeholder: 'p. ej. 2, 3, 4' }
+    ],
+    'watts-strogatz': [
+        { key: 'neighbors', label: 'k', min: RANDOM_GRAPH_LIMITS.MIN_NEIGHBORS, max: RANDOM_GRAPH_LIMITS.MAX_NEIGHBORS, integer: true, placeholder: 'p. ej. 4, 6' },
+        { key: 'rewiring', label: 'β', min: RANDOM_GRAPH_LIMITS.MIN_REWIRING, max: RANDOM_GRAPH_LIMITS.MAX_REWIRING, placeholder: 'p. ej. 0, 0.1, 0.5' }
+    ],
+    'regular': [
+        { key: 'degree', label: 'd', min: RANDOM_GRAPH_LIMITS.MIN_DEGREE, max: RANDOM_GRAPH_LIMITS.MAX_DEGREE, integer: true, placeholder: 'p. ej. 3, 4, 6' }
+    ],
+    'planted': [
+        { key: 'classes', label: 'k ocultas', min: RANDOM_GRAPH_LIMITS.MIN_CLASSES, max: RANDOM_GRAPH_LIMITS.MAX_CLASSES, integer: true, placeholder: 'p. ej. 3, 4' },
+        { key: 'probability', label: 'p', min: RANDOM_GRAPH_LIMITS.MIN_PROBABILITY, max: RANDOM_GRAPH_LIMITS.MAX_PROBABILITY, placeholder: 'p. ej. 0.1, 0.2' },
+        { key: 'balance', label: 'balance', min: RANDOM_GRAPH_LIMITS.MIN_BALANCE, max: RANDOM_GRAPH_LIMITS.MAX_BALANCE, placeholder: 'p. ej. 0.5, 1' }
+    ]
+};
+
+// ===== NAMED GRAPHS =====
+// Catálogo de grafos clásicos; params: parámetros enteros con su rango (el mismo que valida el modelo) y valor inicial
+export const NAMED_GRAPHS = [
+    { value: 'petersen', label: 'Petersen', hint: '10 vértices, 3-regular y sin triángulos', params: [] },
+    {
+        value: 'complete', label: 'Completo K_n', hint: 'Todos los pares de vértices unidos',
+        params: [{ key: 'n', label: 'Vértices (n)', min: 2, max: 20, default: 6 }]
+    },
+    {
+        value: 'cycle', label: 'Ciclo C_n', hint: 'Los impares necesitan 3 colores',
+        params: [{ key: 'n', label: 'Vértices (n)', min: 3, max: 150, default: 7 }]
+    },
+    {
+        value: 'wheel', label: 'Rueda W_n', hint: 'Un centro unido a todo un ciclo de n vértices',
+        params: [{ key: 'n', label: 'Vértices del ciclo (n)', min: 3, max: 149, default: 7 }]
+    },
+    {
+        value: 'complete-bipartite', label: 'Bipartito completo K_{m,n}', hint: 'Dos lados con todas las aristas entre ellos',
+        params: [
+            { key: 'm', label: 'Lado izquierdo (m)', min: 1, max: 75, default: 3 },
+            { key: 'n', label: 'Lado derecho (n)', min: 1, max: 75, default: 4 }
+        ]
+    },
+    {
+        value: 'mycielski', label: 'Mycielski M_k', hint: 'Sin triángulos y con χ = k (DIMACS myciel{k-1})',
+        params: [{ key: 'k', label: 'Número cromático (k)', min: 2, max: 7, default: 4 }]
+    },
+    {
+        value: 'queen', label: 'Reinas n × n', hint: 'Casillas unidas si una reina ataca a la otra (DIMACS queen{n}_{n})',
+        params: [{ key: 'n', label: 'Lado del tablero (n)', min: 4, max: 12, default: 5 }]
+    },
+    {
+        value: 'grid', label: 'Grilla', hint: 'Cada casilla unida a sus vecinas ortogonales',
+        params: [
+            { key: 'rows', label: 'Filas', min: 2, max: 12, default: 6 },
+            { key: 'columns', label: 'Columnas', min: 2, max: 12, default: 6 }
+        ]
+    },
+    {
+        value: 'torus', label: 'Toro', hint: 'Grilla con filas y columnas cerradas en ciclos',
+        params: [
+            { key: 'rows', label: 'Filas', min: 3, max: 12, default: 5 },
+            { key: 'columns', label: 'Columnas', min: 3, max: 12, default: 8 }
+        ]
+    },
+    {
+        value: 'hypercube', label: 'Hipercubo Q_d', hint: 'Cadenas de d bits unidas si difieren en un bit',
+        params: [{ key: 'd', label: 'Dimensión (d)', min: 1, max: 7, default: 4 }]
+    },
+    {
+        value: 'sudoku', label: 'Sudoku', hint: 'Casillas unidas si comparten fila, columna o bloque',
+        params: [{ key: 'order', label: 'Orden (lado del bloque)', min: 2, max: 3, default: 3 }]
+    }
+];
+
 // ===== ITERATION LIMITS =====
 export const ITERATION_LIMITS = {
     MIN_ITERATIONS: 10000,
@@ -16,6 +147,119 @@ export const ITERATION_LIMITS = {
     STEP_ITERATIONS: 10000
 };
 
+// ===== COLORING ALGORITHMS =====
+export const ALGORITHM_OPTIONS = [
+    { value: 'lasvegas-dynamic', label: 'Las Vegas', hint: 'Busca solución válida' },
+    { value: 'lasvegas-smart', label: 'Las Vegas con propagación', hint: 'Sortea solo colores libres de los vecinos ya coloreados y reinicia en un callejón sin salida' },
+    { value: 'montecarlo-dynamic', label: 'Monte Carlo', hint: 'Iteraciones limitadas' },
+    { value: 'dsatur-dynamic', label: 'DSATUR', hint: 'Heurística determinista por saturación' },
+    { value: 'greedy', label: 'Greedy secuencial', hint: 'Menor color libre siguiendo un orden de vértices' },
+    { value: 'rlf', label: 'RLF (Recursive Largest First)', hint: 'Arma cada clase de color como un conjunto independiente maximal' },
+    { value: 'annealing-dynamic', label: 'Recocido Simulado', hint: 'Acepta empeoramientos según la temperatura' },
+    { value: 'hea', label: 'Evolutivo híbrido (HEA)', hint: 'Población de coloraciones con cruce GPX y búsqueda tabú; para instancias difíciles' },
+    { value: 'aco', label: 'Colonia de hormigas (ACO)', hint: 'Las hormigas eligen colores según la feromona que dejan las mejores coloraciones' }
+];
+
+// Órdenes de vértices del greedy secuencial (claves del modelo, ver utils/vertexOrderings)
+export const GREEDY_ORDERINGS = [
+    { value: 'largest-first', label: 'Mayor grado primero (Welsh–Powell)', hint: 'Ordena por grado decreciente' },
+    { value: 'smallest-last', label: 'Menor grado al final (degeneración)', hint: 'Quita el vértice de menor grado y colorea en orden inverso; usa a lo sumo degeneración + 1 colores' },
+    { value: 'incidence-degree', label: 'Grado de incidencia', hint: 'Dinámico: sigue el vértice con más vecinos ya coloreados' },
+    { value: 'natural', label: 'Natural (por ID)', hint: 'En el orden en que se crearon los nodos' },
+    { value: 'random', label: 'Aleatorio', hint: 'Orden al azar; se repite con la misma semilla' }
+];
+
+// Algoritmos disponibles en el modo comparación ('local-search' corre en el hilo principal)
+export const COMPARISON_ALGORITHMS = [
+    { value: 'lasvegas-dynamic', label: 'Las Vegas', defaultSelected: true },
+    { value: 'lasvegas-smart', label: 'Las Vegas con propagación', defaultSelected: false },
+    { value: 'montecarlo-dynamic', label: 'Monte Carlo', defaultSelected: true },
+    { value: 'local-search', label: 'Búsqueda Local', defaultSelected: true },
+    { value: 'dsatur-dynamic', label: 'DSATUR', defaultSelected: false },
+    { value: 'annealing-dynamic', label: 'Recocido Simulado', defaultSelected: false },
+    { value: 'tabucol', label: 'Tabucol', defaultSelected: false }
+];
+
+// Colores de las curvas superpuestas, en el orden de las ejecuciones
+export const COMPARISON_SERIES_COLORS = ["#38bdf8", "#ef4444", "#22c55e", "#facc15", "#a855f7", "#fb923c", "#ec4899"];
+
+// Algoritmos disponibles en los experimentos por lotes (se ejecutan en los workers)
+export const EXPERIMENT_ALGORITHMS = [
+    { value: 'lasvegas-dynamic', label: 'Las Vegas', defaultSelected: true },
+    { value: 'lasvegas-smart', label: 'Las Vegas con propagación', defaultSelected: false },
+    { value: 'montecarlo-dynamic', label: 'Monte Carlo', defaultSelected: true },
+    { value: 'dsatur-dynamic', label: 'DSATUR', defaultSelected: false },
+    { value: 'annealing-dynamic', label: 'Recocido Simulado', defaultSelected: false },
+    { value: 'tabucol', label: 'Tabucol', defaultSelected: false }
+];
+
+// Ensayos por configuración en los experimentos por lotes
+export const EXPERIMENT_LIMITS = {
+    MIN_TRIALS: 2,
+    MAX_TRIALS: 200,
+    DEFAULT_TRIALS: 30
+};
+
+// ===== HYBRID EVOLUTIONARY LIMITS =====
+export const HEA_LIMITS = {
+    MIN_POPULATION: 4,
+    MAX_POPULATION: 30,
+    DEFAULT_POPULATION: 10,
+    MIN_GENERATIONS: 10,
+    MAX_GENERATIONS: 2000,
+    STEP_GENERATIONS: 10,
+    DEFAULT_GENERATIONS: 200,
+    MIN_TABU_ITERATIONS: 100,
+    MAX_TABU_ITERATIONS: 10000,
+    STEP_TABU_ITERATIONS: 100,
+    DEFAULT_TABU_ITERATIONS: 1000
+};
+
+// ===== ANT COLONY LIMITS =====
+export const ACO_LIMITS = {
+    MIN_ANTS: 1,
+    MAX_ANTS: 50,
+    DEFAULT_ANTS: 10,
+    MIN_EVAPORATION: 0.01,
+    MAX_EVAPORATION: 0.9,
+    STEP_EVAPORATION: 0.01,
+    DEFAULT_EVAPORATION: 0.1,
+    MIN_HEURISTIC_WEIGHT: 0,
+    MAX_HEURISTIC_WEIGHT: 10,
+    STEP_HEURISTIC_WEIGHT: 0.5,
+    DEFAULT_HEURISTIC_WEIGHT: 4,
+    MIN_CYCLES: 10,
+    MAX_CYCLES: 2000,
+    STEP_CYCLES: 10,
+    DEFAULT_CYCLES: 300
+};
+
+// ===== SIMULATED ANNEALING LIMITS =====
+export const ANNEALING_LIMITS = {
+    MIN_TEMPERATURE: 1,
+    MAX_TEMPERATURE: 100,
+    DEFAULT_TEMPERATURE: 10,
+    MIN_COOLING_RATE: 0.8,
+    MAX_COOLING_RATE: 0.999,
+    STEP_COOLING_RATE: 0.001,
+    DEFAULT_COOLING_RATE: 0.95,
+    MIN_MOVES: 10,
+    MAX_MOVES: 2000,
+    STEP_MOVES: 10,
+    DEFAULT_MOVES: 100
+};
+
+// Semilla del generador aleatorio (entero sin signo de 32 bits)
+export const SEED_LIMITS = {
+    MIN: 0,
+    MAX: 4294967295
+};
+
+// Nombres de los grafos guardados en la biblioteca
+export const LIBRARY_LIMITS = {
+    MAX_NAME_LENGTH: 60
+};
+
 // ===== COLOR PALETTE =====
 export const COLOR_PALETTE = {
     NAMES: ["blue", "red", "green", "yellow", "purple", "orange", "cyan", "magenta", "lime", "pink"],
@@ -39,9 +283,11 @@ export const VIEWBOX_CONFIG = {
     BASE_HEIGHT: 1000,
     SMALL_THRESHOLD: 80,    // <= 80 nodes
     MEDIUM_THRESHOLD: 110,  // <= 110 nodes
+    LARGE_THRESHOLD: 400,   // <= 400 nodes
     SMALL_SCALE: 0.7,       // <= 80 nodes
     MEDIUM_SCALE: 0.6,      // 81-110 nodes
-    LARGE_SCALE: 0.5        // >= 111 nodes
+    LARGE_SCALE: 0.5,       // 111-400 nodes
+    HUGE_SCALE: 1           // >= 401 nodes (el layout ocupa todo el lienzo)
 };
 
 // ===== VISUALIZATION =====
@@ -50,7 +296,15 @@ export const VISUALIZATION = {
     FONT_SIZE: 12,
     EDGE_WIDTH: 2,
     EDGE_OPACITY: 0.6,
-    CONFLICT_EDGE_WIDTH: 2.5
+    CONFLICT_EDGE_WIDTH: 2.5,
+    LABEL_MIN_ZOOM: 0.6,        // Zoom mínimo para mostrar IDs e insignias de orden
+    ORDER_BADGE_HEIGHT: 14,
+    ORDER_BADGE_FONT_SIZE: 10,
+    ORDER_BADGE_CHAR_WIDTH: 6,  // Ancho aproximado de un dígito
+    ORDER_BADGE_PADDING: 4,
+    EXCLUDED_RING_DASH: '3 3',  // Trazo del anillo de los excluidos de RLF
+    PHEROMONE_HALO_RADIUS: 2.2, // Radio del halo de feromona, en radios de nodo
+    PHEROMONE_HALO_MAX_OPACITY: 0.7
 };
 
 // ===== ZOOM LIMITS =====
@@ -51,9 +51,14 @@ export const THEME_COLORS = {
     EDGE_SELECTED: 'rgba(125, 211, 252, 0.95)',
     EDGE_SELECTED_GLOW: 'rgba(125, 211, 252, 0.3)',
     EDGE_CONFLICT: 'rgba(248, 113, 113, 0.95)',
+    EDGE_HIGHLIGHT: 'rgba(245, 158, 11, 0.95)',
     EDGE_NORMAL: 'rgba(148, 163, 184',
     NODE_BORDER: '#020617',
     NODE_DEFAULT: '#e5e7eb',
+    ORDER_BADGE_BG: 'rgba(15, 23, 42, 0.85)',
+    ORDER_BADGE_BORDER: '#7dd3fc',
+    RING_CANDIDATE: '#22c55e',
+    RING_EXCLUDED: '#ef4444',
 };
 
 /**
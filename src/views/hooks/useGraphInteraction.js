@@ -5,6 +5,7 @@
  * @param {React.RefObject} svgRef - Referencia al elemento SVG.
  * @param {Function} onConnectNodes - Callback para conectar dos nodos.
  * @param {Function} onMoveNode - Callback para mover un nodo a nuevas coordenadas.
+ * @param {Function} [onMoveEnd] - Callback al soltar un nodo arrastrado (cierra el paso de deshacer).
  * @returns {Object} Estado de interacción y event handlers.
  * @returns {number|null} returns.selectedNodeId - ID del nodo actualmente seleccionado.
  * @returns {Object|null} returns.selectedEdge - Objeto arista actualmente seleccionada.
@@ -21,7 +22,7 @@
 import { useState } from "react";
 import { obtenerPuntoSvgDesdeEvent } from "../utils/svgHelpers.js";
 
-export function useGraphInteraction(svgRef, onConnectNodes, onMoveNode) {
+export function useGraphInteraction(svgRef, onConnectNodes, onMoveNode, onMoveEnd) {
     const [idNodoSeleccionado, setIdNodoSeleccionado] = useState(null);
     const [aristaSeleccionada, setAristaSeleccionada] = useState(null);
     const [idNodoArrastrado, setIdNodoArrastrado] = useState(null);
@@ -77,13 +78,20 @@ export function useGraphInteraction(svgRef, onConnectNodes, onMoveNode) {
         }
     };
 
-    const handleSvgMouseUp = (panHandlers) => {
+    const terminarArrastre = () => {
+        if (idNodoArrastrado !== null) {
+            onMoveEnd?.(idNodoArrastrado);
+        }
         setIdNodoArrastrado(null);
+    };
+
+    const handleSvgMouseUp = (panHandlers) => {
+        terminarArrastre();
         panHandlers.stopPanning();
     };
 
     const handleSvgMouseLeave = (panHandlers) => {
-        setIdNodoArrastrado(null);
+        terminarArrastre();
         panHandlers.stopPanning();
     };
 
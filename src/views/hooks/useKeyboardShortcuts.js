@@ -1,6 +1,7 @@
 /**
  * Hook personalizado para manejar atajos de teclado.
- * Maneja eliminación de nodos y aristas seleccionadas.
+ * Maneja eliminación de nodos y aristas seleccionadas, y deshacer (Ctrl+Z) / rehacer (Ctrl+Shift+Z).
+ * Los atajos se ignoran mientras se escribe en un campo de texto.
  * @hook
  * @param {Object} opciones - Opciones de configuración.
  * @param {number|null} opciones.selectedNodeId - ID del nodo actualmente seleccionado.
@@ -8,6 +9,8 @@
  * @param {Function} opciones.onDeleteNode - Callback para eliminar un nodo.
  * @param {Function} opciones.onDeleteEdge - Callback para eliminar una arista.
  * @param {Function} opciones.onClearSelection - Callback para limpiar selecciones.
+ * @param {Function} opciones.onUndo - Callback para deshacer.
+ * @param {Function} opciones.onRedo - Callback para rehacer.
  * @param {boolean} opciones.isEnabled - Si los atajos de teclado están habilitados.
  */
 
@@ -19,12 +22,35 @@ export function useKeyboardShortcuts({
     onDeleteNode,
     onDeleteEdge,
     onClearSelection,
+    onUndo,
+    onRedo,
     isEnabled = true
 }) {
     useEffect(() => {
         if (!isEnabled) return;
 
         const handleKeyDown = (evento) => {
+            // No interferir con la edición de texto
+            const objetivo = evento.target;
+            if (objetivo?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(objetivo?.tagName)) {
+                return;
+            }
+
+            // Deshacer con Ctrl+Z (Cmd+Z en macOS), rehacer con Ctrl+Shift+Z o Ctrl+Y
+            if ((evento.ctrlKey || evento.metaKey) && !evento.altKey) {
+                const tecla = evento.key.toLowerCase();
+                if (tecla === 'z' || tecla === 'y') {
+                    evento.preventDefault();
+                    if (tecla === 'z' && !evento.shiftKey) {
+                        onUndo?.();
+                    } else {
+                        onRedo?.();
+                    }
+                    onClearSelection?.();
+                    return;
+                }
+            }
+
             // Eliminar con Backspace o Delete
             if (evento.key === 'Backspace' || evento.key === 'Delete') {
                 evento.preventDefault();
@@ -49,5 +75,5 @@ export function useKeyboardShortcuts({
         return () => {
             window.removeEventListener('keydown', handleKeyDown);
         };
-    }, [selectedNodeId, selectedEdge, onDeleteNode, onDeleteEdge, onClearSelection, isEnabled]);
+    }, [selectedNodeId, selectedEdge, onDeleteNode, onDeleteEdge, onClearSelection, onUndo, onRedo, isEnabled]);
 }
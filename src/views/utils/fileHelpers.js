@@ -0,0 +1,31 @@
+/**
+ * Utilidades para descargar y leer archivos desde el navegador.
+ * @module fileHelpers
+ */
+
+/**
+ * Descarga un texto como archivo.
+ * @param {string} nombreArchivo - Nombre sugerido para el archivo.
+ * @param {string} contenido - Contenido del archivo.
+ * @param {string} [tipoMime='text/plain'] - Tipo MIME del contenido.
+ */
+export function descargarArchivo(nombreArchivo, contenido, tipoMime = 'text/plain') {
+    const blob = new Blob([contenido], { type: `${tipoMime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombreArchivo;
+    document.body.appendChild(enlace);
+    enlace.click();
+    enlace.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Lee el contenido de un archivo seleccionado por el usuario.
+ * @param {File} archivo - Archivo del input de tipo file.
+ * @returns {Promise<string>} Contenido del archivo como texto.
+ */
+export function leerArchivoComoTexto(archivo) {
+    return archivo.text();
+}
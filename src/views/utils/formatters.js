@@ -27,3 +27,21 @@ export function formatearTiempo(tiempoEnMilisegundos) {
     return `${tiempoEnMilisegundos.toFixed(0)} ms`;
 }
 
+/**
+ * Formatea una proporción (0-1) como porcentaje.
+ * @param {number} proporcion - Proporción a formatear.
+ * @param {number} [decimales=1] - Decimales a mostrar.
+ * @returns {string} Porcentaje formateado.
+ */
+export function formatearPorcentaje(proporcion, decimales = 1) {
+    return `${(proporcion * 100).toFixed(decimales)}%`;
+}
+
+/**
+ * Formatea una marca de tiempo como fecha y hora locales.
+ * @param {number} marcaDeTiempo - Milisegundos desde la época.
+ * @returns {string} Fecha y hora formateadas.
+ */
+export function formatearFechaHora(marcaDeTiempo) {
+    return new Date(marcaDeTiempo).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+}
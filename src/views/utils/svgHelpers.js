@@ -51,9 +51,12 @@ export function calcularViewBox(grafo, nivelZoom, pan) {
     } else if (cantidadNodos <= VIEWBOX_CONFIG.MEDIUM_THRESHOLD) {
         anchoViewBoxBase = VIEWBOX_CONFIG.BASE_WIDTH * VIEWBOX_CONFIG.MEDIUM_SCALE;
         altoViewBoxBase = VIEWBOX_CONFIG.BASE_HEIGHT * VIEWBOX_CONFIG.MEDIUM_SCALE;
-    } else {
+    } else if (cantidadNodos <= VIEWBOX_CONFIG.LARGE_THRESHOLD) {
         anchoViewBoxBase = VIEWBOX_CONFIG.BASE_WIDTH * VIEWBOX_CONFIG.LARGE_SCALE;
         altoViewBoxBase = VIEWBOX_CONFIG.BASE_HEIGHT * VIEWBOX_CONFIG.LARGE_SCALE;
+    } else {
+        anchoViewBoxBase = VIEWBOX_CONFIG.BASE_WIDTH * VIEWBOX_CONFIG.HUGE_SCALE;
+        altoViewBoxBase = VIEWBOX_CONFIG.BASE_HEIGHT * VIEWBOX_CONFIG.HUGE_SCALE;
     }
 
     let centroContenidoX = VIEWBOX_CONFIG.BASE_WIDTH / 2;
@@ -100,20 +103,22 @@ export function construirConjuntoConflictos(aristasConflicto) {
  * Renderiza una arista SVG.
  * @param {Object} arista - Objeto arista con sourceId y targetId.
  * @param {number} indice - Índice para key de React.
- * @param {Object} grafo - Objeto grafo conteniendo nodos.
+ * @param {Map<number, Object>} nodosPorId - Nodos del grafo indexados por ID (se construye una vez por render).
  * @param {Set<string>} conjuntoConflictos - Set de claves de aristas en conflicto.
  * @param {Object|null} aristaSeleccionada - Objeto arista actualmente seleccionada.
  * @param {number} nivelZoom - Nivel de zoom actual.
  * @param {Function} onEdgeClick - Handler de click para arista.
+ * @param {Set<string>} [conjuntoResaltado] - Set de claves de aristas resaltadas (certificado).
  * @returns {React.ReactElement|null} Elemento grupo SVG con visualización de arista o null.
  */
-export function renderizarArista(arista, indice, grafo, conjuntoConflictos, aristaSeleccionada, nivelZoom, onEdgeClick) {
-    const origen = grafo.nodos.find((nodo) => nodo.id === arista.sourceId);
-    const destino = grafo.nodos.find((nodo) => nodo.id === arista.targetId);
+export function renderizarArista(arista, indice, nodosPorId, conjuntoConflictos, aristaSeleccionada, nivelZoom, onEdgeClick, conjuntoResaltado) {
+    const origen = nodosPorId.get(arista.sourceId);
+    const destino = nodosPorId.get(arista.targetId);
     if (!origen || !destino) return null;
 
     const clave = `${arista.sourceId}-${arista.targetId}`;
     const esConflicto = conjuntoConflictos.has(clave);
+    const estaResaltada = conjuntoResaltado ? conjuntoResaltado.has(clave) : false;
     const estaSeleccionada = aristaSeleccionada &&
         ((aristaSeleccionada.sourceId === arista.sourceId && aristaSeleccionada.targetId === arista.targetId) ||
             (aristaSeleccionada.sourceId === arista.targetId && aristaSeleccionada.targetId === arista.sourceId));
@@ -123,7 +128,7 @@ export function renderizarArista(arista, indice, grafo, conjuntoConflictos, aris
     const opacidadArista = VISUALIZATION.EDGE_OPACITY;
     const anchoArista = VISUALIZATION.EDGE_WIDTH;
 
-    if (!mostrarAristas && !esConflicto && !estaSeleccionada) return null;
+    if (!mostrarAristas && !esConflicto && !estaSeleccionada && !estaResaltada) return null;
 
     const x1 = origen.x * VIEWBOX_CONFIG.BASE_WIDTH;
     const y1 = origen.y * VIEWBOX_CONFIG.BASE_HEIGHT;
@@ -135,6 +140,9 @@ export function renderizarArista(arista, indice, grafo, conjuntoConflictos, aris
     if (estaSeleccionada) {
         colorTrazo = THEME_COLORS.EDGE_SELECTED;
         anchoTrazo = VISUALIZATION.CONFLICT_EDGE_WIDTH + 1;
+    } else if (estaResaltada) {
+        colorTrazo = THEME_COLORS.EDGE_HIGHLIGHT;
+        anchoTrazo = VISUALIZATION.CONFLICT_EDGE_WIDTH + 1;
     } else if (esConflicto) {
         colorTrazo = THEME_COLORS.EDGE_CONFLICT;
         anchoTrazo = VISUALIZATION.CONFLICT_EDGE_WIDTH;
@@ -182,9 +190,20 @@ export function renderizarArista(arista, indice, grafo, conjuntoConflictos, aris
     );
 }
 
+/**
+ * Trazo del anillo de cada tipo de resaltado de nodo.
+ * 'highlight': subgrafo resaltado (certificado, clique o vértice agregado por RLF).
+ * 'candidate' y 'excluded': conjuntos U y W de la clase que construye RLF.
+ */
+const ANILLOS = {
+    highlight: { stroke: THEME_COLORS.ACCENT_WARNING },
+    candidate: { stroke: THEME_COLORS.RING_CANDIDATE },
+    excluded: { stroke: THEME_COLORS.RING_EXCLUDED, strokeDasharray: VISUALIZATION.EXCLUDED_RING_DASH }
+};
+
 /**
  * Renderiza un nodo SVG con círculo y etiqueta de texto.
- * Muestra anillo de selección y ajusta visibilidad de texto según zoom.
+ * Muestra anillo de selección o de resaltado y ajusta visibilidad de texto según zoom.
  * @param {Object} nodo - Objeto nodo con id, x, y, y color.
  * @param {number|null} idNodoSeleccionado - ID del nodo actualmente seleccionado.
  * @param {number} nivelZoom - Nivel de zoom actual.
@@ -193,9 +212,10 @@ export function renderizarArista(arista, indice, grafo, conjuntoConflictos, aris
  * @param {Function} handlers.onNodeClick - Handler de click.
  * @param {Function} handlers.onNodeContextMenu - Handler de context menu.
  * @param {Function} handlers.onNodeMouseDown - Handler de mouse down para arrastre.
+ * @param {string|null} [resaltado=null] - Anillo de resaltado: 'highlight', 'candidate', 'excluded' o null.
  * @returns {React.ReactElement} Elemento grupo SVG con visualización de nodo.
  */
-export function renderizarNodo(nodo, idNodoSeleccionado, nivelZoom, grafo, handlers) {
+export function renderizarNodo(nodo, idNodoSeleccionado, nivelZoom, grafo, handlers, resaltado = null) {
     const { onNodeClick, onNodeContextMenu, onNodeMouseDown } = handlers;
 
     const colorBase = nodo.color
@@ -206,7 +226,8 @@ export function renderizarNodo(nodo, idNodoSeleccionado, nivelZoom, grafo, handl
     const radioBase = VISUALIZATION.NODE_RADIUS;
     const tamanoFuente = VISUALIZATION.FONT_SIZE;
     const estaSeleccionado = idNodoSeleccionado === nodo.id;
-    const mostrarTexto = nivelZoom >= 0.6 || estaSeleccionado;
+    const anillo = resaltado ? ANILLOS[resaltado] : null;
+    const mostrarTexto = nivelZoom >= VISUALIZATION.LABEL_MIN_ZOOM || estaSeleccionado;
 
     const coordX = nodo.x * VIEWBOX_CONFIG.BASE_WIDTH;
     const coordY = nodo.y * VIEWBOX_CONFIG.BASE_HEIGHT;
@@ -239,6 +260,17 @@ export function renderizarNodo(nodo, idNodoSeleccionado, nivelZoom, grafo, handl
                     style={{ pointerEvents: 'none' }}
                 />
             )}
+            {anillo && !estaSeleccionado && (
+                <circle
+                    cx={coordX}
+                    cy={coordY}
+                    r={radioBase + NODE_RADIUS.OFFSET_MEDIUM}
+                    fill="none"
+                    {...anillo}
+                    strokeWidth={STROKE_WIDTH.MEDIUM}
+                    style={{ pointerEvents: 'none' }}
+                />
+            )}
             <circle
                 cx={coordX}
                 cy={coordY}
@@ -263,3 +295,70 @@ export function renderizarNodo(nodo, idNodoSeleccionado, nivelZoom, grafo, handl
         </g>
     );
 }
+
+/**
+ * Renderiza el halo de feromona de un nodo (colonia de hormigas): un disco detrás del nodo con
+ * el color que más feromona tiene, más opaco cuanto más domina ese color sobre los demás.
+ * @param {Object} nodo - Objeto nodo con id, x e y.
+ * @param {string} color - Nombre del color con más feromona.
+ * @param {number} intensidad - Dominancia del color, entre 0 (feromona pareja) y 1.
+ * @returns {React.ReactElement|null} Círculo SVG del halo o null si no hay feromona dominante.
+ */
+export function renderizarHaloFeromona(nodo, color, intensidad) {
+    if (!(intensidad > 0)) return null;
+
+    return (
+        <circle
+            key={`feromona-${nodo.id}`}
+            cx={nodo.x * VIEWBOX_CONFIG.BASE_WIDTH}
+            cy={nodo.y * VIEWBOX_CONFIG.BASE_HEIGHT}
+            r={VISUALIZATION.NODE_RADIUS * VISUALIZATION.PHEROMONE_HALO_RADIUS}
+            fill={MAPA_COLORES[color] || THEME_COLORS.NODE_DEFAULT}
+            fillOpacity={Math.min(intensidad, 1) * VISUALIZATION.PHEROMONE_HALO_MAX_OPACITY}
+            style={{ pointerEvents: 'none' }}
+        />
+    );
+}
+
+/**
+ * Renderiza la insignia con la posición de un nodo en el orden de coloreo (greedy secuencial),
+ * abajo a la derecha del nodo. Se oculta con poco zoom, igual que los IDs.
+ * @param {Object} nodo - Objeto nodo con id, x e y.
+ * @param {number} posicion - Posición del nodo en el orden (desde 1).
+ * @param {number} nivelZoom - Nivel de zoom actual.
+ * @returns {React.ReactElement|null} Elemento grupo SVG con la insignia o null.
+ */
+export function renderizarInsigniaOrden(nodo, posicion, nivelZoom) {
+    if (nivelZoom < VISUALIZATION.LABEL_MIN_ZOOM) return null;
+
+    const texto = String(posicion);
+    const alto = VISUALIZATION.ORDER_BADGE_HEIGHT;
+    const ancho = texto.length * VISUALIZATION.ORDER_BADGE_CHAR_WIDTH + 2 * VISUALIZATION.ORDER_BADGE_PADDING;
+    const coordX = nodo.x * VIEWBOX_CONFIG.BASE_WIDTH + VISUALIZATION.NODE_RADIUS * 0.6;
+    const coordY = nodo.y * VIEWBOX_CONFIG.BASE_HEIGHT + VISUALIZATION.NODE_RADIUS * 0.6;
+
+    return (
+        <g key={`orden-${nodo.id}`} style={{ pointerEvents: 'none' }}>
+            <rect
+                x={coordX}
+                y={coordY}
+                width={ancho}
+                height={alto}
+                rx={alto / 2}
+                fill={THEME_COLORS.ORDER_BADGE_BG}
+                stroke={THEME_COLORS.ORDER_BADGE_BORDER}
+                strokeWidth={STROKE_WIDTH.THIN}
+            />
+            <text
+                x={coordX + ancho / 2}
+                y={coordY + alto / 2}
+                fontSize={VISUALIZATION.ORDER_BADGE_FONT_SIZE}
+                textAnchor="middle"
+                dominantBaseline="central"
+                fill={THEME_COLORS.ORDER_BADGE_BORDER}
+            >
+                {texto}
+            </text>
+        </g>
+    );
+}
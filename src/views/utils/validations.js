@@ -4,7 +4,7 @@
  * @module validations
  */
 
-import { GRAPH_CONSTRAINTS } from '../constants/index.js';
+import { GRAPH_CONSTRAINTS, SEED_LIMITS, LIBRARY_LIMITS } from '../constants/index.js';
 
 /**
  * Valida opciones de coloración de grafo antes de ejecutar un algoritmo.
@@ -12,6 +12,16 @@ import { GRAPH_CONSTRAINTS } from '../constants/index.js';
  * @param {number} opciones.numColors - Número de colores (k).
  * @param {string} opciones.algorithm - Nombre del algoritmo seleccionado.
  * @param {number} [opciones.iterations] - Número de iteraciones (solo Monte Carlo).
+ * @param {number} [opciones.initialTemperature] - Temperatura inicial (solo Recocido Simulado).
+ * @param {number} [opciones.coolingRate] - Factor de enfriamiento (solo Recocido Simulado).
+ * @param {number} [opciones.movesPerTemperature] - Movimientos por temperatura (solo Recocido Simulado).
+ * @param {number} [opciones.populationSize] - Individuos de la población (solo Evolutivo híbrido).
+ * @param {number} [opciones.maxGenerations] - Máximo de generaciones (solo Evolutivo híbrido).
+ * @param {number} [opciones.tabuIterations] - Iteraciones tabú por individuo (solo Evolutivo híbrido).
+ * @param {number} [opciones.ants] - Hormigas por ciclo (solo Colonia de hormigas).
+ * @param {number} [opciones.evaporation] - Tasa de evaporación (solo Colonia de hormigas).
+ * @param {number} [opciones.heuristicWeight] - Peso de la heurística (solo Colonia de hormigas).
+ * @param {number} [opciones.maxCycles] - Máximo de ciclos (solo Colonia de hormigas).
  * @returns {{valid: boolean, errors: Array<string>}} Resultado de validación con mensajes de error.
  */
 export function validarOpcionesColoracion(opciones) {
@@ -35,12 +45,76 @@ export function validarOpcionesColoracion(opciones) {
         }
     }
 
+    // Validar programa de enfriamiento para Recocido Simulado
+    if (opciones.algorithm === 'annealing-dynamic') {
+        if (!(opciones.initialTemperature > 0)) {
+            errores.push('La temperatura inicial debe ser mayor que 0.');
+        }
+        if (!(opciones.coolingRate > 0 && opciones.coolingRate < 1)) {
+            errores.push('El factor de enfriamiento debe estar entre 0 y 1.');
+        }
+        if (!opciones.movesPerTemperature || opciones.movesPerTemperature < 1) {
+            errores.push('Los movimientos por temperatura deben ser un número entero positivo.');
+        }
+    }
+
+    // Validar parámetros del algoritmo evolutivo híbrido
+    if (opciones.algorithm === 'hea') {
+        if (!Number.isInteger(opciones.populationSize) || opciones.populationSize < 2) {
+            errores.push('La población debe tener al menos 2 individuos.');
+        }
+        if (!Number.isInteger(opciones.maxGenerations) || opciones.maxGenerations < 1) {
+            errores.push('Las generaciones deben ser un número entero positivo.');
+        }
+        if (!Number.isInteger(opciones.tabuIterations) || opciones.tabuIterations < 1) {
+            errores.push('Las iteraciones tabú deben ser un número entero positivo.');
+        }
+    }
+
+    // Validar parámetros de la colonia de hormigas
+    if (opciones.algorithm === 'aco') {
+        if (!Number.isInteger(opciones.ants) || opciones.ants < 1) {
+            errores.push('La colonia debe tener al menos 1 hormiga.');
+        }
+        if (!(opciones.evaporation > 0 && opciones.evaporation < 1)) {
+            errores.push('La tasa de evaporación debe estar entre 0 y 1.');
+        }
+        if (!(opciones.heuristicWeight >= 0)) {
+            errores.push('El peso de la heurística no puede ser negativo.');
+        }
+        if (!Number.isInteger(opciones.maxCycles) || opciones.maxCycles < 1) {
+            errores.push('Los ciclos deben ser un número entero positivo.');
+        }
+    }
+
     return {
         valid: errores.length === 0,
         errors: errores,
     };
 }
 
+/**
+ * Valida la semilla ingresada. Una semilla vacía es válida y significa "generar una nueva".
+ * @param {string} semilla - Texto ingresado en el campo de semilla.
+ * @returns {{valid: boolean, error: string|null}} Resultado de validación con mensaje de error.
+ */
+export function validarSemilla(semilla) {
+    const texto = String(semilla ?? '').trim();
+    if (texto === '') {
+        return { valid: true, error: null };
+    }
+
+    const numero = Number(texto);
+    if (!/^\d+$/.test(texto) || numero < SEED_LIMITS.MIN || numero > SEED_LIMITS.MAX) {
+        return {
+            valid: false,
+            error: `La semilla debe ser un entero entre ${SEED_LIMITS.MIN} y ${SEED_LIMITS.MAX}, o quedar vacía para usar una aleatoria.`
+        };
+    }
+
+    return { valid: true, error: null };
+}
+
 /**
  * Valida que el grafo no tenga nodos aislados.
  * Los algoritmos requieren que todos los nodos estén conectados.
@@ -64,3 +138,77 @@ export function validarSinNodosAislados(nodos, aristas) {
     return { valid: true, error: null, isolatedCount: 0 };
 }
 
+
+/**
+ * Valida el nombre de un grafo de la biblioteca.
+ * @param {string} nombre - Nombre ingresado.
+ * @returns {{valid: boolean, error: string|null}} Resultado de validación con mensaje de error.
+ */
+export function validarNombreGrafo(nombre) {
+    const texto = String(nombre ?? '').trim();
+    if (texto === '') {
+        return { valid: false, error: 'El nombre del grafo no puede estar vacío.' };
+    }
+    if (texto.length > LIBRARY_LIMITS.MAX_NAME_LENGTH) {
+        return {
+            valid: false,
+            error: `El nombre puede tener hasta ${LIBRARY_LIMITS.MAX_NAME_LENGTH} caracteres.`
+        };
+    }
+
+    return { valid: true, error: null };
+}
+
+/**
+ * Interpreta una lista de enteros separados por comas o espacios (p. ej. "60, 100, 150")
+ * y valida que estén dentro del rango.
+ * @param {string} texto - Texto ingresado.
+ * @param {number} minimo - Valor mínimo permitido.
+ * @param {number} maximo - Valor máximo permitido.
+ * @param {string} nombre - Nombre del parámetro para el mensaje de error.
+ * @returns {{valid: boolean, values: Array<number>, error: string|null}} Valores sin repetidos y mensaje de error.
+ */
+export function validarListaEnteros(texto, minimo, maximo, nombre) {
+    const tokens = String(texto ?? '').split(/[\s,;]+/).filter(token => token !== '');
+    if (tokens.length === 0) {
+        return { valid: false, values: [], error: `Indica al menos un valor de ${nombre}.` };
+    }
+
+    const invalido = tokens.find(token => !/^\d+$/.test(token) || Number(token) < minimo || Number(token) > maximo);
+    if (invalido !== undefined) {
+        return {
+            valid: false,
+            values: [],
+            error: `Cada valor de ${nombre} debe ser un entero entre ${minimo} y ${maximo} ("${invalido}" no lo es).`
+        };
+    }
+
+    return { valid: true, values: [...new Set(tokens.map(Number))], error: null };
+}
+
+/**
+ * Interpreta una lista de números separados por comas, punto y coma o espacios (p. ej. "0.05, 0.1")
+ * y valida que estén dentro del rango. El separador decimal es el punto.
+ * @param {string} texto - Texto ingresado.
+ * @param {number} minimo - Valor mínimo permitido.
+ * @param {number} maximo - Valor máximo permitido.
+ * @param {string} nombre - Nombre del parámetro para el mensaje de error.
+ * @returns {{valid: boolean, values: Array<number>, error: string|null}} Valores sin repetidos y mensaje de error.
+ */
+export function validarListaNumeros(texto, minimo, maximo, nombre) {
+    const tokens = String(texto ?? '').split(/[\s,;]+/).filter(token => token !== '');
+    if (tokens.length === 0) {
+        return { valid: false, values: [], error: `Indica al menos un valor de ${nombre}.` };
+    }
+
+    const invalido = tokens.find(token => !/^\d+(\.\d+)?$/.test(token) || Number(token) < minimo || Number(token) > maximo);
+    if (invalido !== undefined) {
+        return {
+            valid: false,
+            values: [],
+            error: `Cada valor de ${nombre} debe ser un número entre ${minimo} y ${maximo} ("${invalido}" no lo es).`
+        };
+    }
+
+    return { valid: true, values: [...new Set(tokens.map(Number))], error: null };
+}